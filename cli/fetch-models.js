@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// fetch-models.js
+// Downloads the TF.js-runtime hand models pinned in shared/vendor-loader.js
+// (VendorLoader.MODELS) into vendor/models/<name>/, where the apps serve them
+// under /vendor/models (server/vendor.js). Run once with network access:
+//
+//   fetch-models [--force]
+//
+// Models already on disk are skipped unless --force is given. Exits with 1
+// when any model could not be downloaded.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { MODELS } = require('../shared/vendor-loader');
+
+const MODELS_DIR = path.join(__dirname, '..', 'vendor', 'models');
+
+async function download(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return res;
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// model.json plus every weight shard it lists, written once all are fetched
+async function fetchModel(name, force) {
+  const dir = path.join(MODELS_DIR, name);
+  if (!force && await exists(path.join(dir, 'model.json'))) {
+    console.log(`${name}: already present`);
+    return;
+  }
+  const res = await download(`${MODELS[name]}/model.json?tfjs-format=file`);
+  const text = await res.text();
+  const files = { 'model.json': Buffer.from(text) };
+  // shard paths are relative to where model.json ended up after redirects
+  for (const group of JSON.parse(text).weightsManifest || []) {
+    for (const p of group.paths) {
+      files[p] = Buffer.from(await (await download(new URL(p, res.url))).arrayBuffer());
+    }
+  }
+  await fs.mkdir(dir, { recursive: true });
+  for (const [file, data] of Object.entries(files)) await fs.writeFile(path.join(dir, file), data);
+  const bytes = Object.values(files).reduce((sum, d) => sum + d.length, 0);
+  console.log(`${name}: ${Object.keys(files).length} files, ${(bytes / 1024 / 1024).toFixed(1)} MB`);
+}
+
+async function main(argv) {
+  const force = argv.includes('--force');
+  let failed = 0;
+  for (const name of Object.keys(MODELS)) {
+    try {
+      await fetchModel(name, force);
+    } catch (e) {
+      console.error(`${name}: ${e.message}`);
+      failed++;
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+// finger-track.js
+// Headless batch analysis of recorded landmark sessions (JSON or CSV, as
+// downloaded from the pages or /api/sessions). Every frame goes through
+// FingerTracker.process(), the same tracking, filtering, finger-extension,
+// smoothing and gesture code the pages run, and comes out as a per-frame
+// timeline (shared/timeline.js) plus summary statistics.
+//
+//   finger-track session.json [more...] [--format table|json|csv] [--out file]
+//   finger-track session.csv --expected labels.csv --min-accuracy 0.9
+//
+// Expected labels give the first hand's count and/or gesture per frame:
+// CSV with a `frame` column and `count` and/or `gesture` columns, a JSON
+// array of { frame, count?, gesture? }, or a timeline JSON. With labels the
+// command exits with 1 when any compared accuracy is below --min-accuracy;
+// usage and input errors exit with 2.
+
+const fs = require('fs');
+const path = require('path');
+const FingerTracker = require('../shared/finger-tracker');
+const Session = require('../shared/session');
+const Timeline = require('../shared/timeline');
+const Calibration = require('../shared/calibration');
+const LandmarkFilter = require('../shared/landmark-filter');
+
+const FORMATS = ['table', 'json', 'csv'];
+const DEFAULT_MIN_ACCURACY = 0.9;
+const MAX_MISMATCHES = 20; // listed per file and metric
+
+const USAGE = `Usage: finger-track <session.json|csv>... [options]
+
+Options:
+  --format table|json|csv   output format (default: table)
+  --out FILE                write to FILE instead of stdout
+  --frames                  table format: also list every frame
+  --expected FILE           expected labels, one per input in the same order
+  --min-accuracy N          fail below this accuracy, 0..1 (default: ${DEFAULT_MIN_ACCURACY})
+  --max-hands N             hands reported per frame (default: 1)
+  --smoothing median|mode   count smoothing (default: median)
+  --history N               smoothing window in frames (default: 8)
+  --filter TYPE             landmark filter: ${LandmarkFilter.FILTER_TYPES.join('|')}
+  --flip auto|on|off        swap Left/Right labels (auto: v1 recordings)
+  --profile FILE            calibration profile JSON (thresholds + hysteresis)
+  -h, --help                show this help
+`;
+
+class UsageError extends Error {}
+
+// ---- arguments ----
+function parseArgs(argv) {
+  const opts = {
+    files: [],
+    format: 'table',
+    out: null,
+    frames: false,
+    expected: [],
+    minAccuracy: DEFAULT_MIN_ACCURACY,
+    maxHands: 1,
+    smoothing: 'median',
+    history: 8,
+    filter: null,
+    flip: 'auto',
+    profile: null,
+    help: false
+  };
+  const value = (i, name) => {
+    if (i >= argv.length || argv[i].startsWith('--')) throw new UsageError(`${name} needs a value`);
+    return argv[i];
+  };
+  const number = (v, name, min, max) => {
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min || n > max) throw new UsageError(`${name} must be a number from ${min} to ${max}`);
+    return n;
+  };
+  const oneOf = (v, name, list) => {
+    if (!list.includes(v)) throw new UsageError(`${name} must be one of ${list.join(', ')}`);
+    return v;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-h': case '--help': opts.help = true; break;
+      case '--format': opts.format = oneOf(value(++i, arg), arg, FORMATS); break;
+      case '--out': opts.out = value(++i, arg); break;
+      case '--frames': opts.frames = true; break;
+      case '--expected': opts.expected.push(value(++i, arg)); break;
+      case '--min-accuracy': opts.minAccuracy = number(value(++i, arg), arg, 0, 1); break;
+      case '--max-hands': opts.maxHands = Math.round(number(value(++i, arg), arg, 1, 4)); break;
+      case '--smoothing': opts.smoothing = oneOf(value(++i, arg), arg, ['median', 'mode']); break;
+      case '--history': opts.history = Math.round(number(value(++i, arg), arg, 1, 100)); break;
+      case '--filter': opts.filter = oneOf(value(++i, arg), arg, LandmarkFilter.FILTER_TYPES); break;
+      case '--flip': opts.flip = oneOf(value(++i, arg), arg, ['auto', 'on', 'off']); break;
+      case '--profile': opts.profile = value(++i, arg); break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+        opts.files.push(arg);
+    }
+  }
+  if (!opts.help && !opts.files.length) throw new UsageError('No input files');
+  if (opts.expected.length && opts.expected.length !== opts.files.length) {
+    throw new UsageError(`${opts.expected.length} --expected file(s) for ${opts.files.length} input(s); give one per input`);
+  }
+  return opts;
+}
+
+// ---- analysis ----
+// session -> timeline, through a fresh tracker per session
+function analyzeSession(session, opts = {}) {
+  const flip = opts.flip === 'on' || (opts.flip !== 'off' && session.source === 'v1');
+  const tracker = new FingerTracker({
+    backend: 'mock', // never started; process() needs no detector
+    maxHands: opts.maxHands || 1,
+    smoothing: opts.smoothing || 'median',
+    historySize: opts.history || 8,
+    flipHandedness: flip,
+    ...(opts.filter ? { filter: { type: opts.filter } } : {}),
+    profile: opts.profile || null
+  });
+  tracker.setSize(session.width || 0, session.height || 0);
+  const builder = new Timeline.TimelineBuilder({
+    source: session.source || null,
+    file: opts.file || null,
+    width: session.width || 0,
+    height: session.height || 0,
+    flipHandedness: flip
+  });
+  let lastT = -Infinity;
+  for (const frame of session.frames) {
+    // out-of-order frames would confuse tracking the same way a replay seek does
+    if (frame.t < lastT) tracker.reset();
+    lastT = frame.t;
+    builder.add(tracker.process(frame.hands, frame.t, { replay: true }));
+  }
+  return builder.finish({ durationMs: session.duration || 0 });
+}
+
+// ---- expected labels -> [{ frame, count?, gesture? }] ----
+function parseExpected(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) {
+      return data.map((e, i) => ({ frame: e.frame ?? i, count: e.count, gesture: e.gesture }));
+    }
+    if (Array.isArray(data.frames)) {
+      // a timeline: the first hand of every frame, no hand = 0 / none
+      return data.frames.map((f, i) => {
+        const h = f.hands && f.hands[0];
+        return { frame: f.frame ?? i, count: h ? h.count : 0, gesture: h ? h.gesture : 'none' };
+      });
+    }
+    throw new Error('Expected labels: JSON must be an array or a timeline');
+  }
+  const lines = trimmed.split(/\r?\n/).filter(l => l.trim());
+  const header = lines.shift().split(',').map(h => h.trim());
+  const col = name => header.indexOf(name);
+  if (col('frame') < 0 || (col('count') < 0 && col('gesture') < 0)) {
+    throw new Error('Expected labels: CSV needs a frame column and a count and/or gesture column');
+  }
+  return lines.map(line => {
+    const cols = line.split(',').map(c => c.trim());
+    const entry = { frame: Number(cols[col('frame')]) };
+    if (col('count') >= 0 && cols[col('count')] !== '' && cols[col('count')] !== undefined) entry.count = Number(cols[col('count')]);
+    if (col('gesture') >= 0 && cols[col('gesture')]) entry.gesture = cols[col('gesture')];
+    return entry;
+  });
+}
+
+// accuracy of the first reported hand (0 / none without a hand) per metric
+function compare(timeline, expected) {
+  const result = {};
+  for (const metric of ['count', 'gesture']) {
+    let compared = 0, correct = 0;
+    const mismatches = [];
+    for (const e of expected) {
+      if (e[metric] === undefined || e[metric] === null) continue;
+      const frame = timeline.frames[e.frame];
+      if (!frame) continue;
+      const hand = frame.hands[0];
+      const actual = hand ? hand[metric] : (metric === 'count' ? 0 : 'none');
+      compared++;
+      if (actual === e[metric]) correct++;
+      else if (mismatches.length < MAX_MISMATCHES) mismatches.push({ frame: e.frame, t: frame.t, expected: e[metric], actual });
+    }
+    if (compared) result[metric] = { compared, correct, accuracy: Math.round(correct / compared * 10000) / 10000, mismatches };
+  }
+  return result;
+}
+
+// ---- output ----
+const CSV_COLUMNS = ['file', 'frame', 't', 'hand', 'id', 'handedness', 'count', 'raw_count', 'gesture', 'confidence'];
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// one row per reported hand per frame; frames without hands get one row with empty hand columns
+function toCSV(results) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const r of results) {
+    for (const f of r.timeline.frames) {
+      if (!f.hands.length) rows.push([r.file, f.frame, f.t].map(csvCell).join(','));
+      f.hands.forEach((h, i) => {
+        rows.push([r.file, f.frame, f.t, i, h.id, h.handedness, h.count, h.rawCount, h.gesture, h.confidence].map(csvCell).join(','));
+      });
+    }
+  }
+  return rows.join('\n') + '\n';
+}
+
+function toJSON(results, passed) {
+  return JSON.stringify({
+    passed,
+    files: results.map(r => ({ file: r.file, accuracy: r.accuracy || null, ...r.timeline }))
+  }, null, 2) + '\n';
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(r => String(r[c]).length)));
+  return rows.map(r => r.map((v, c) => String(v).padEnd(widths[c])).join('  ').trimEnd()).join('\n');
+}
+
+function pct(v) {
+  return `${(v * 100).toFixed(1)}%`;
+}
+
+function summaryTable(r) {
+  const s = r.timeline.summary;
+  const lines = [`${r.file}: ${s.frames} frames, hand present in ${s.framesWithHands} (${pct(s.handPresence)})`];
+  const counts = Object.keys(s.counts).sort((a, b) => a - b);
+  if (counts.length) {
+    lines.push('', table([['count', ...counts], ['frames', ...counts.map(c => s.counts[c])]]));
+  }
+  const gestures = Object.keys(s.gestures).sort((a, b) => s.gestures[b] - s.gestures[a]);
+  if (gestures.length) {
+    lines.push('', table([['gesture', 'frames', 'occurrences'], ...gestures.map(g => [g, s.gestures[g], s.gestureOccurrences[g] || 0])]));
+  }
+  for (const metric of Object.keys(r.accuracy || {})) {
+    const a = r.accuracy[metric];
+    lines.push('', `${metric} accuracy: ${pct(a.accuracy)} (${a.correct}/${a.compared})`);
+    for (const m of a.mismatches) lines.push(`  frame ${m.frame} (${m.t} ms): expected ${m.expected}, got ${m.actual}`);
+  }
+  return lines.join('\n');
+}
+
+function framesTable(r) {
+  const rows = [['frame', 't', 'hand', 'count', 'raw', 'gesture', 'conf']];
+  for (const f of r.timeline.frames) {
+    if (!f.hands.length) rows.push([f.frame, f.t, '—', '', '', '', '']);
+    for (const h of f.hands) rows.push([f.frame, f.t, `#${h.id} ${h.handedness}`, h.count, h.rawCount, h.gesture, h.confidence]);
+  }
+  return table(rows);
+}
+
+function toTable(results, opts, passed) {
+  const parts = results.map(r => (opts.frames ? framesTable(r) + '\n\n' : '') + summaryTable(r));
+  if (passed !== null) parts.push(passed ? `PASS (min accuracy ${pct(opts.minAccuracy)})` : `FAIL: accuracy below ${pct(opts.minAccuracy)}`);
+  return parts.join('\n\n') + '\n';
+}
+
+// ---- entry point: returns the exit code ----
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    io.stderr.write(`finger-track: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+
+  const results = [];
+  try {
+    const profile = opts.profile ? Calibration.validateProfile(JSON.parse(fs.readFileSync(opts.profile, 'utf8'))) : null;
+    opts.files.forEach((file, i) => {
+      const session = Session.parseSession(fs.readFileSync(file, 'utf8'));
+      const timeline = analyzeSession(session, { ...opts, profile, file: path.basename(file) });
+      const result = { file, timeline };
+      if (opts.expected[i]) result.accuracy = compare(timeline, parseExpected(fs.readFileSync(opts.expected[i], 'utf8')));
+      results.push(result);
+    });
+  } catch (e) {
+    io.stderr.write(`finger-track: ${e.message}\n`);
+    return 2;
+  }
+
+  // without labels there is nothing to pass or fail
+  const compared = results.filter(r => r.accuracy && Object.keys(r.accuracy).length);
+  if (opts.expected.length && !compared.length) {
+    io.stderr.write('finger-track: no expected label matched a frame\n');
+    return 2;
+  }
+  const passed = opts.expected.length
+    ? compared.every(r => Object.values(r.accuracy).every(a => a.accuracy >= opts.minAccuracy))
+    : null;
+
+  let output;
+  if (opts.format === 'json') output = toJSON(results, passed);
+  else if (opts.format === 'csv') output = toCSV(results);
+  else output = toTable(results, opts, passed);
+  if (opts.out) fs.writeFileSync(opts.out, output);
+  else io.stdout.write(output);
+  // CSV has no room for the verdict; keep stdout machine-readable
+  if (opts.format === 'csv' && passed !== null) {
+    io.stderr.write(passed ? 'PASS\n' : `FAIL: accuracy below ${pct(opts.minAccuracy)}\n`);
+  }
+  return passed === false ? 1 : 0;
+}
+
+module.exports = { parseArgs, analyzeSession, parseExpected, compare, toCSV, main };
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
@@ -1,14 +1,65 @@
 const express = require('express');
 const path = require('path');
+const { WebSocketServer } = require('ws');
+const { SessionStore } = require('../server/session-store');
+const { sessionsRouter } = require('../server/sessions-router');
+const { ModelStore } = require('../server/model-store');
+const { modelsRouter } = require('../server/models-router');
+const { RecordingStore } = require('../server/recording-store');
+const { recordingsRouter } = require('../server/recordings-router');
+const { attachLiveHub } = require('../server/live-hub');
+const { vendorRouter } = require('../server/vendor');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(express.static(path.join(__dirname, 'public')));
+// shared browser/Node modules (hand analysis etc.)
+app.use('/shared', express.static(path.join(__dirname, '..', 'shared')));
+// pinned MediaPipe / TF.js builds, wasm and models (no CDN needed)
+app.use('/vendor', vendorRouter(express, __dirname));
+
+// recorded landmark sessions, stored as files on this machine
+const sessionStore = new SessionStore({
+  dir: process.env.SESSIONS_DIR || path.join(__dirname, 'data', 'sessions'),
+  maxStoreBytes: (Number(process.env.SESSIONS_MAX_STORE_MB) || 500) * 1024 * 1024
+});
+app.use('/api/sessions', sessionsRouter(express, {
+  store: sessionStore,
+  maxUploadBytes: `${Number(process.env.SESSIONS_MAX_UPLOAD_MB) || 25}mb`
+}));
+
+// trained gesture models, shared by every page using this server
+const modelStore = new ModelStore({
+  dir: process.env.MODELS_DIR || path.join(__dirname, 'data', 'models'),
+  maxStoreBytes: (Number(process.env.MODELS_MAX_STORE_MB) || 200) * 1024 * 1024
+});
+app.use('/api/models', modelsRouter(express, { store: modelStore }));
+
+// WebM clips of the composited video + overlay, uploaded from the page
+const recordingStore = new RecordingStore({
+  dir: process.env.RECORDINGS_DIR || path.join(__dirname, 'data', 'recordings'),
+  maxStoreBytes: (Number(process.env.RECORDINGS_MAX_STORE_MB) || 2000) * 1024 * 1024
+});
+app.use('/api/recordings', recordingsRouter(express, {
+  store: recordingStore,
+  maxUploadBytes: `${Number(process.env.RECORDINGS_MAX_UPLOAD_MB) || 200}mb`
+}));
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public/index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Finger track app running at http://localhost:${PORT}`);
+// live view of events published by any tracker page (see /ws)
+app.get('/monitor', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'shared', 'monitor.html'));
+});
+
+Promise.all([sessionStore.init(), modelStore.init(), recordingStore.init()]).then(() => {
+  const server = app.listen(PORT, () => {
+    console.log(`Finger track app running at http://localhost:${PORT}`);
+  });
+  attachLiveHub(WebSocketServer, server, { path: '/ws' });
+}).catch(err => {
+  console.error('Could not prepare data storage:', err);
+  process.exit(1);
 });
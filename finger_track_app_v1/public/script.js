@@ -1,195 +1,296 @@
 // Finger Tracking with Smoothing, Robust Angles, and Overlay Toggles
+// A thin page over the FingerTracker SDK (shared/finger-tracker.js): the SDK
+// runs the camera, detector, tracking, filtering and smoothing; this file
+// wires its events to the page and the feature panels.
 
 const videoElement = document.getElementById('video');
 const canvasElement = document.getElementById('canvas');
-const canvasCtx = canvasElement.getContext('2d');
 
 const statusEl = document.getElementById('status');
 const handedEl = document.getElementById('handedness');
 const countEl = document.getElementById('count');
+const gestureEl = document.getElementById('gesture');
+const motionEl = document.getElementById('motion');
+const twoHandEl = document.getElementById('twohand');
+const bimanualEl = document.getElementById('bimanual');
+const tracksEl = document.getElementById('tracks');
+const liveStatusEl = document.getElementById('live-status');
 
-let showSkeleton = true;
-let showMultipleHands = false;
-
-// ----- Utility: Ensure canvas matches video size -----
-function ensureCanvasSize(image) {
-  const w = image?.width || videoElement.videoWidth;
-  const h = image?.height || videoElement.videoHeight;
-  if (w && h && (canvasElement.width !== w || canvasElement.height !== h)) {
-    canvasElement.width = w;
-    canvasElement.height = h;
-    canvasElement.style.width = '100%';
-    canvasElement.style.height = '100%';
+// ----- Settings (panel + URL parameters, saved in localStorage, applied live) -----
+const settings = SettingsUI.attach(document.getElementById('settings-controls'), {
+  storageKey: 'fingerTrack.settings.v1',
+  defaults: { flipHandedness: 'on', smoothing: 'mode' }, // selfie camera
+  onChange: (values) => {
+    tracker.setOptions({ ...Settings.trackerOptions(values), profile: Settings.profile(values, calibrationUI.profile) });
+    overlay.setOptions(Settings.overlayOptions(values));
+    hud.setVisible(values.hud);
   }
-}
+});
 
-// ----- Angle between points (3D) -----
-function angleBetweenPoints(a, b, c) {
-  const abx = a.x - b.x, aby = a.y - b.y, abz = (a.z || 0) - (b.z || 0);
-  const cbx = c.x - b.x, cby = c.y - b.y, cbz = (c.z || 0) - (b.z || 0);
-  const dot = abx * cbx + aby * cby + abz * cbz;
-  const mag1 = Math.hypot(abx, aby, abz);
-  const mag2 = Math.hypot(cbx, cby, cbz);
-  if (mag1 === 0 || mag2 === 0) return 0;
-  let cos = dot / (mag1 * mag2);
-  cos = Math.max(-1, Math.min(1, cos));
-  return Math.acos(cos) * (180 / Math.PI);
-}
+// ----- Tracker (?backend=mediapipe-hands|tfjs-mediapipe|tfjs-tfjs|mock, ?filter=one-euro|kalman|none) -----
+const initial = Settings.trackerOptions(settings.values);
+const tracker = new FingerTracker({
+  video: videoElement,
+  backend: Detectors.backendFromUrl('mediapipe-hands'),
+  ...initial,
+  detector: { ...Detectors.optionsFromUrl(), ...initial.detector },
+  filter: LandmarkFilter.optionsFromUrl()
+});
 
-// ----- Analyze fingers with robust angle detection -----
-function analyzeHand(landmarks) {
-  const extended = [false, false, false, false, false]; // thumb, index, middle, ring, pinky
+// ----- Overlay: camera frame, skeleton, lit fingertips, raw vs filtered debug -----
+const overlay = tracker.use(new FingerTrackerOverlay({
+  canvas: canvasElement,
+  drawVideo: true,
+  colors: { joint: '#ffffff' },
+  boneWidth: 4,
+  jointRadius: 4,
+  tipRadius: 10
+}));
+overlay.setOptions(Settings.overlayOptions(settings.values));
 
-  // Thumb: angle at MCP (2) or IP (3)
-  try {
-    const thumbAng = angleBetweenPoints(landmarks[2], landmarks[3], landmarks[4]);
-    extended[0] = thumbAng > 150; // extended if nearly straight
-  } catch (e) {
-    extended[0] = false;
-  }
+// ----- Performance HUD (FPS, inference latency, dropped frames, backend; 'h' or Settings) -----
+const hud = tracker.use(new PerfHUD({ host: document.querySelector('.video-wrap'), visible: settings.values.hud }));
+
+// ----- Per-user calibration (thresholds + hysteresis from the active profile, else the settings' thresholds) -----
+const calibrationUI = CalibrationUI.attach(
+  document.getElementById('calibration-controls'),
+  document.querySelector('.video-wrap'),
+  { onProfileChange: (p) => {
+    tracker.setOptions({ profile: Settings.profile(settings.values, p) });
+    console.log(`Calibration profile: ${p.name}`);
+  } }
+);
+tracker.setOptions({ profile: Settings.profile(settings.values, calibrationUI.profile) });
+
+// ----- Air pointer (first hand's index tip drives an on-page cursor, pinch clicks) -----
+const airPointer = AirPointerUI.attach(document.getElementById('pointer-controls'));
+
+// active region of the camera frame that maps to the whole screen
+overlay.addLayer((ctx, frame, { width, height }) => {
+  if (!airPointer.enabled) return;
+  const r = airPointer.region;
+  ctx.save();
+  ctx.setLineDash([10, 8]);
+  ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(r.x0 * width, r.y0 * height, (r.x1 - r.x0) * width, (r.y1 - r.y0) * height);
+  ctx.restore();
+}, { under: true });
+
+// ----- Air-drawing whiteboard (first hand; index draws, palm erases, fist clears) -----
+const whiteboardUI = WhiteboardUI.attach(document.getElementById('board-controls'), {
+  getSize: () => ({ width: canvasElement.width, height: canvasElement.height })
+});
+overlay.addLayer((ctx, frame, { width, height }) => whiteboardUI.render(ctx, width, height));
+
+// ----- User-trained gestures (k-NN on the first hand, model shared via /api/models) -----
+const gestureTrainer = GestureTrainerUI.attach(document.getElementById('trainer-controls'));
 
-  // Other fingers: PIP joint angles
-  const fingers = [
-    [5, 6, 8],
-    [9, 10, 12],
-    [13, 14, 16],
-    [17, 18, 20]
-  ];
-  for (let i = 0; i < fingers.length; i++) {
-    const [mcp, pip, tip] = fingers[i];
-    try {
-      const ang = angleBetweenPoints(landmarks[mcp], landmarks[pip], landmarks[tip]);
-      extended[i + 1] = ang > 160; // extended if almost straight
-    } catch (e) {
-      extended[i + 1] = false;
-    }
+// ----- ASL fingerspelling (first hand; hold a letter to type it) -----
+const spelling = ASLUI.attach(document.getElementById('spelling-controls'));
+
+// ----- Rehab telemetry (first hand's joint angles, range of motion, exercise protocol) -----
+const rehab = RehabUI.attach(document.getElementById('rehab-controls'), document.querySelector('.video-wrap'));
+
+// ----- Live broadcast to /ws (see /monitor) -----
+const livePublisher = new LivePublisher({ source: 'v1', statusEl: liveStatusEl });
+
+// ----- Actions (gesture rules -> key presses, server URLs, live hub messages, page hooks) -----
+const actionsUI = ActionsUI.attach(document.getElementById('actions-controls'), {
+  publish: (event) => livePublisher.event(event),
+  hooks: {
+    toggleSkeleton: () => overlay.setOptions({ skeleton: !overlay.options.skeleton }),
+    toggleHud: () => settings.set('hud', !settings.values.hud)
   }
+});
+
+// ----- Capture (the canvas already holds the camera frame; adds the text fields as a caption) -----
+function captionLines() {
+  const fields = [countEl, handedEl, gestureEl, motionEl];
+  if (tracker.options.twoHand) fields.push(twoHandEl, bimanualEl);
+  return fields.map(e => e.innerText).filter(s => !s.endsWith('—'));
+}
+const compositor = new Compositor({ source: canvasElement, caption: captionLines });
+CaptureUI.attach(document.getElementById('capture-controls'), compositor, { source: 'v1' });
+
+// ----- Motion gestures (swipes, circles, wave, push/pull) -----
+const MOTION_DISPLAY_MS = 1500;
+let motionClearTimer = null;
+
+tracker.on('motion', (ev) => {
+  motionEl.innerText = `Motion: ${ev.label} (#${ev.id})`;
+  livePublisher.event({ kind: 'motion', hand: ev.id, name: ev.name, label: ev.label });
+  actionsUI.motion(ev);
+  clearTimeout(motionClearTimer);
+  motionClearTimer = setTimeout(() => { motionEl.innerText = 'Motion: —'; }, MOTION_DISPLAY_MS);
+});
+
+// ----- Two-hand mode ('t': total 0–10 per hand, zoom/rotate while both hands point, clap, frame) -----
+let bimanualClearTimer = null;
 
-  const count = extended.reduce((sum, v) => sum + (v ? 1 : 0), 0);
-  return { count, extended };
+function showBimanual(text) {
+  bimanualEl.innerText = `Bimanual: ${text}`;
+  clearTimeout(bimanualClearTimer);
+  bimanualClearTimer = setTimeout(() => { bimanualEl.innerText = 'Bimanual: —'; }, MOTION_DISPLAY_MS);
 }
 
-// ----- Mode & smoothing helpers -----
-function mode(arr) {
-  const counts = {};
-  for (const v of arr) counts[v] = (counts[v] || 0) + 1;
-  return Object.keys(counts).reduce((a, b) => counts[a] > counts[b] ? a : b);
+tracker.on('twohand', ({ total, hands, zoom, rotation }) => {
+  twoHandEl.innerText = hands.length ? `Two hands: ${total} (${hands.map(h => `${h.handedness} ${h.count}`).join(' + ')})` : 'Two hands: —';
+  if (zoom) showBimanual(`Zoom ×${zoom.factor.toFixed(2)} · Rotate ${Math.round(rotation.angle)}°`);
+});
+tracker.on('zoom', (ev) => {
+  if (ev.phase === 'end') livePublisher.event({ kind: 'bimanual', name: 'zoom', label: `Zoom ×${ev.factor.toFixed(2)}` });
+});
+tracker.on('rotate', (ev) => {
+  if (ev.phase === 'end') livePublisher.event({ kind: 'bimanual', name: 'rotate', label: `Rotate ${Math.round(ev.angle)}°` });
+});
+tracker.on('bimanual', (ev) => {
+  showBimanual(ev.label);
+  livePublisher.event({ kind: 'bimanual', name: ev.name, label: ev.label });
+});
+
+// line between the index tips while zooming, the rectangle of a frame gesture
+overlay.addLayer((ctx, frame, { width, height }) => {
+  const two = frame.twoHand;
+  if (!two) return;
+  ctx.save();
+  ctx.strokeStyle = '#ffb347';
+  ctx.lineWidth = 3;
+  if (two.zoom && frame.hands.length >= 2) {
+    const [a, b] = frame.hands.map(h => h.landmarks[8]);
+    ctx.beginPath();
+    ctx.moveTo(a.x * width, a.y * height);
+    ctx.lineTo(b.x * width, b.y * height);
+    ctx.stroke();
+  }
+  if (two.framing) {
+    const r = two.framing;
+    ctx.strokeRect(r.x0 * width, r.y0 * height, (r.x1 - r.x0) * width, (r.y1 - r.y0) * height);
+  }
+  ctx.restore();
+});
+
+function gestureText(g) {
+  return g.name === 'none' ? '—' : `${g.label} (${Math.round(g.confidence * 100)}%)`;
 }
 
-let countHistory = [];
-let handedHistory = [];
-const HISTORY_MAX = 8;
-
-// ----- Main callback -----
-function onResults(results) {
-  ensureCanvasSize(results.image);
-
-  canvasCtx.save();
-  canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-  canvasCtx.drawImage(results.image, 0, 0, canvasElement.width, canvasElement.height);
-
-  if (results.multiHandLandmarks?.length > 0) {
-    const handsToShow = showMultipleHands
-      ? results.multiHandLandmarks.length
-      : Math.min(1, results.multiHandLandmarks.length);
-
-    for (let i = 0; i < handsToShow; i++) {
-      const landmarks = results.multiHandLandmarks[i];
-      let handednessLabel = results.multiHandedness?.[i]?.label || 'Unknown';
-
-      // Flip handedness for selfie camera
-      const usingSelfieCam = true;
-      if (usingSelfieCam) {
-        handednessLabel = handednessLabel === 'Left' ? 'Right'
-                         : handednessLabel === 'Right' ? 'Left' : handednessLabel;
-      }
-
-      const analysis = analyzeHand(landmarks);
-
-      // Update history for smoothing (only for first hand shown)
-      if (i === 0) {
-        countHistory.push(analysis.count);
-        if (countHistory.length > HISTORY_MAX) countHistory.shift();
-        handedHistory.push(handednessLabel);
-        if (handedHistory.length > HISTORY_MAX) handedHistory.shift();
-      }
-
-      if (showSkeleton) {
-        drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, { color: '#00e0a8', lineWidth: 4 });
-        drawLandmarks(canvasCtx, landmarks, { color: '#ffffff', lineWidth: 2, radius: 4 });
-      }
-
-      // Highlight tips if extended
-      const tipIndices = [4, 8, 12, 16, 20];
-      for (let t = 0; t < tipIndices.length; t++) {
-        const lm = landmarks[tipIndices[t]];
-        const x = lm.x * canvasElement.width;
-        const y = lm.y * canvasElement.height;
-        canvasCtx.beginPath();
-        canvasCtx.arc(x, y, 10, 0, Math.PI * 2);
-        canvasCtx.fillStyle = analysis.extended[t]
-          ? 'rgba(0,224,168,0.95)'
-          : 'rgba(255,255,255,0.1)';
-        canvasCtx.fill();
-      }
-    }
-
-    // Apply smoothing
-    const displayedCount = Number(mode(countHistory));
-    const displayedHand = mode(handedHistory);
-
-    // UI
+// ----- Per-frame page update -----
+tracker.on('frame', ({ t: now, hands }) => {
+  if (hands.length > 0) {
+    // UI: first hand in the main fields, every shown hand in the list
+    const first = hands[0];
+    calibrationUI.feed(first.analysis, now);
+    airPointer.update(first.landmarks, now);
+    whiteboardUI.update({ landmarks: first.landmarks, extended: first.analysis.extended }, now);
+    gestureTrainer.feed(first.landmarks, now);
+    spelling.feed({ landmarks: first.landmarks, analysis: first.analysis, gesture: first.gesture, handedness: first.modelHandedness }, now);
+    rehab.feed(first.analysis, now);
+    actionsUI.frame(hands, now);
     statusEl.innerText = 'Hand detected';
-    countEl.innerText = `Fingers: ${displayedCount}`;
-    handedEl.innerText = `Hand: ${displayedHand}`;
+    countEl.innerText = `Fingers: ${first.count}`;
+    handedEl.innerText = `Hand: ${first.handedness}${first.facing ? ` · palm ${first.facing}` : ''}`;
+    gestureEl.innerText = `Gesture: ${gestureText(first.smoothGesture)}`;
+    tracksEl.innerText = hands.map(h => `#${h.id} ${h.handedness}: ${h.count}`).join('  ·  ');
+    livePublisher.frame(hands.map(h => ({
+      id: h.id,
+      handedness: h.handedness,
+      count: h.count,
+      gesture: h.smoothGesture,
+      // ?landmarks=1 sends the detector's raw points, not the filtered ones
+      landmarks: h.raw
+    })), now);
 
   } else {
     statusEl.innerText = 'No hands detected';
     countEl.innerText = 'Fingers: 0';
     handedEl.innerText = 'Hand: —';
-    countHistory = [];
-    handedHistory = [];
+    gestureEl.innerText = 'Gesture: —';
+    tracksEl.innerText = '';
+    livePublisher.frame([], now);
+    calibrationUI.feed(null, now);
+    airPointer.update(null, now);
+    whiteboardUI.update(null, now);
+    gestureTrainer.feed(null, now);
+    spelling.feed(null, now);
+    rehab.feed(null, now);
+    actionsUI.frame([], now);
   }
-
-  canvasCtx.restore();
-}
-
-// ----- MediaPipe Hands setup -----
-const hands = new Hands({
-  locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`
 });
 
-hands.setOptions({
-  maxNumHands: 2,
-  modelComplexity: 1,
-  minDetectionConfidence: 0.7,
-  minTrackingConfidence: 0.6
+// ----- Input (camera picker; video files analysed frame by frame into a downloadable timeline) -----
+InputUI.attach(document.getElementById('input-controls'), tracker, {
+  source: 'v1',
+  onFileEnd: () => { statusEl.innerText = 'Camera started. Show your hand.'; }
 });
 
-hands.onResults(onResults);
+// ----- Session recording & replay -----
+let lastReplayT = -1;
+
+// record raw model output (before the selfie flip) for replay
+tracker.on('detections', ({ t, hands }) => sessionUI.record(hands, t));
 
-const camera = new Camera(videoElement, {
-  onFrame: async () => {
-    await hands.send({ image: videoElement });
+const sessionUI = SessionUI.attach(document.getElementById('session-controls'), {
+  getMeta: () => ({ source: 'v1', width: canvasElement.width, height: canvasElement.height }),
+  onReplayStart: (session) => {
+    tracker.pause();
+    tracker.setSize(session.width || 1280, session.height || 720);
+    lastReplayT = -1;
+    tracker.reset();
+    statusEl.innerText = `Replaying ${session.frames.length} frames`;
+  },
+  onReplayFrame: (frame) => {
+    // seeking backwards invalidates tracks and smoothing
+    if (frame.t < lastReplayT) tracker.reset();
+    lastReplayT = frame.t;
+    tracker.process(frame.hands, frame.t, { replay: true });
   },
-  width: 1280,
-  height: 720
+  onReplayStop: () => {
+    tracker.reset();
+    tracker.resume();
+    statusEl.innerText = 'Camera started. Show your hand.';
+  }
+});
+
+// ----- Start -----
+tracker.on('ready', (info) => {
+  statusEl.innerText = info.needsInput ? 'Camera started. Show your hand.' : `${info.label} running. No camera needed.`;
 });
+tracker.on('error', (err) => console.error('detect error', err));
 
-camera.start().then(() => {
-  statusEl.innerText = 'Camera started. Show your hand.';
-}).catch(err => {
-  statusEl.innerText = 'Camera failed: ' + err.message;
+statusEl.innerText = `Loading ${tracker.options.backend}...`;
+tracker.start().catch(err => {
+  console.error(err);
+  statusEl.innerText = `Detector (${tracker.options.backend}) failed: ${err.message}`;
 });
 
 // ----- Keyboard controls -----
 window.addEventListener('keydown', (e) => {
   if (e.key.toLowerCase() === 's') {
-    showSkeleton = !showSkeleton;
-    console.log(`Skeleton ${showSkeleton ? 'ON' : 'OFF'}`);
+    overlay.setOptions({ skeleton: !overlay.options.skeleton });
+    console.log(`Skeleton ${overlay.options.skeleton ? 'ON' : 'OFF'}`);
   }
   if (e.key.toLowerCase() === 'm') {
-    showMultipleHands = !showMultipleHands;
-    console.log(`Multi-hand mode ${showMultipleHands ? 'ON' : 'OFF'}`);
+    tracker.setOptions({ maxHands: tracker.options.maxHands === 1 ? 2 : 1 });
+    console.log(`Multi-hand mode ${tracker.options.maxHands > 1 ? 'ON' : 'OFF'}`);
+  }
+  if (e.key.toLowerCase() === 't') {
+    tracker.setOptions({ twoHand: !tracker.options.twoHand });
+    twoHandEl.innerText = 'Two hands: —';
+    bimanualEl.innerText = 'Bimanual: —';
+    console.log(`Two-hand mode ${tracker.options.twoHand ? 'ON' : 'OFF'}`);
+  }
+  if (e.key.toLowerCase() === 'f') {
+    const types = LandmarkFilter.FILTER_TYPES;
+    const type = types[(types.indexOf(tracker.options.filter.type) + 1) % types.length];
+    tracker.setOptions({ filter: { type } });
+    console.log(`Landmark filter: ${LandmarkFilter.FILTER_LABELS[type]}`);
+  }
+  if (e.key.toLowerCase() === 'd') {
+    overlay.setOptions({ filterDebug: !overlay.options.filterDebug });
+    console.log(`Filter debug overlay ${overlay.options.filterDebug ? 'ON' : 'OFF'}`);
+  }
+  if (e.key.toLowerCase() === 'h') {
+    settings.set('hud', !settings.values.hud);
+    console.log(`Performance HUD ${settings.values.hud ? 'ON' : 'OFF'}`);
   }
 });
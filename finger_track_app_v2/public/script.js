@@ -1,294 +1,348 @@
 // script.js
-// Uses TensorFlow.js hand-pose-detection model (MediaPipeHands backend).
-// Features:
-// - Angle-based finger detection (3D angles).
-// - Sliding-window median + exponential smoothing.
-// - On-screen toggles for skeleton, multi-hand, mirror video.
+// A thin page over the FingerTracker SDK (shared/finger-tracker.js), which
+// runs the detector (TensorFlow.js hand-pose-detection by default, any backend
+// via ?backend=, shared/detectors.js), stable per-hand tracking, landmark
+// filtering, angle-based finger detection, gestures, motion and smoothing.
+// This file only wires the SDK's events to the page:
+// - On-screen toggles for skeleton, multi-hand, two-hand, mirror video, filter.
+// - Two-hand mode: total count 0–10 and bimanual zoom/rotate/clap/frame.
+// - Settings panel / URL parameters for detector, camera, smoothing,
+//   thresholds, mirroring and overlay colours (shared/settings-ui.js).
+// - Overlay drawn by the FingerTrackerOverlay plugin; detection off the main
+//   thread where the backend allows, paced to a frame budget, with a HUD.
+// - Per-user calibrated thresholds with hysteresis (shared/calibration.js).
+// - Live broadcast of counts/gestures over /ws (shared/live-client.js).
+// - Session recording (JSON/CSV) and replay through the same render path.
+// - Camera picker and frame-by-frame video file analysis (shared/input-ui.js).
+// - Gesture-to-action rules: keys, server URLs, hub messages, hooks (shared/actions-ui.js).
+// - PNG snapshots and WebM clips of video + overlay + caption (shared/capture-ui.js).
 
 const video = document.getElementById('video');
 const canvas = document.getElementById('canvas');
-const ctx = canvas.getContext('2d');
+const videoWrap = document.querySelector('.video-wrap');
 
 const statusEl = document.getElementById('status');
 const handedEl = document.getElementById('handedness');
 const countEl = document.getElementById('count');
+const gestureEl = document.getElementById('gesture');
+const motionEl = document.getElementById('motion');
+const twoHandEl = document.getElementById('twohand');
+const bimanualEl = document.getElementById('bimanual');
+const tracksEl = document.getElementById('tracks');
+const liveStatusEl = document.getElementById('live-status');
 
 const btnSkeleton = document.getElementById('toggle-skeleton');
 const btnMulti = document.getElementById('toggle-multihand');
+const btnTwoHand = document.getElementById('toggle-twohand');
 const btnMirror = document.getElementById('toggle-mirror');
+const filterSelect = document.getElementById('filter-type');
+const btnFilterDebug = document.getElementById('toggle-filter-debug');
+const btnHud = document.getElementById('toggle-hud');
+
+// ---- settings: saved in localStorage, overridden by URL parameters, applied live ----
+const settings = SettingsUI.attach(document.getElementById('settings-controls'), {
+  storageKey: 'fingerTrack.settings.v2',
+  onChange: applySettings
+});
+
+// ---- tracker: ?backend=tfjs-mediapipe|tfjs-tfjs|mediapipe-hands|mock, ?filter= (others in settings.js) ----
+const initial = Settings.trackerOptions(settings.values);
+const tracker = new FingerTracker({
+  video,
+  backend: Detectors.backendFromUrl('tfjs-mediapipe'),
+  ...initial,
+  detector: {...Detectors.optionsFromUrl(), ...initial.detector},
+  filter: LandmarkFilter.optionsFromUrl()
+});
+const overlay = tracker.use(new FingerTrackerOverlay({canvas, fit: 'video', ...Settings.overlayOptions(settings.values)}));
+const hud = tracker.use(new PerfHUD({host: videoWrap}));
+
+function applySettings(values, changed) {
+  tracker.setOptions({...Settings.trackerOptions(values), profile: Settings.profile(values, calibrationUI.profile)});
+  overlay.setOptions(Settings.overlayOptions(values));
+  if (changed.includes('mirror')) showMirror(values.mirror);
+  showHud(values.hud);
+}
+
+function showHud(visible) {
+  hud.setVisible(visible);
+  btnHud.innerText = `HUD: ${visible ? 'On' : 'Off'}`;
+}
 
-let showSkeleton = true;
-let multiHand = false;
-let mirror = false;
+// mirror video visually; the overlay flips its drawing and the tracker its labels and motion directions
+function showMirror(mirror) {
+  btnMirror.innerText = `Mirror: ${mirror ? 'On' : 'Off'}`;
+  video.style.transform = mirror ? 'scaleX(-1)' : 'none';
+  whiteboardUI.setMirror(mirror);
+}
 
+// ---- toggles ----
 btnSkeleton.addEventListener('click', () => {
-  showSkeleton = !showSkeleton;
-  btnSkeleton.innerText = showSkeleton ? 'Hide Skeleton' : 'Show Skeleton';
+  overlay.setOptions({skeleton: !overlay.options.skeleton});
+  btnSkeleton.innerText = overlay.options.skeleton ? 'Hide Skeleton' : 'Show Skeleton';
 });
 btnMulti.addEventListener('click', () => {
-  multiHand = !multiHand;
+  const multiHand = tracker.options.maxHands === 1;
+  tracker.setOptions({maxHands: multiHand ? 2 : 1});
   btnMulti.innerText = `Multi-hand: ${multiHand ? 'On' : 'Off'}`;
 });
-btnMirror.addEventListener('click', () => {
-  mirror = !mirror;
-  btnMirror.innerText = `Mirror: ${mirror ? 'On' : 'Off'}`;
-  // mirror video visually (canvas drawing will flip)
-  video.style.transform = mirror ? 'scaleX(-1)' : 'none';
+btnTwoHand.addEventListener('click', () => {
+  const twoHand = !tracker.options.twoHand;
+  tracker.setOptions({twoHand});
+  btnTwoHand.innerText = `Two-hand: ${twoHand ? 'On' : 'Off'}`;
+  twoHandEl.innerText = 'Two hands: —';
+  bimanualEl.innerText = 'Bimanual: —';
 });
+btnMirror.addEventListener('click', () => settings.set('mirror', !settings.values.mirror));
 
-// canvas sizing helper
-function fitCanvasToVideo() {
-  const vw = video.videoWidth, vh = video.videoHeight;
-  if (!vw || !vh) return;
-  canvas.width = vw;
-  canvas.height = vh;
-  canvas.style.width = video.clientWidth + 'px';
-  canvas.style.height = video.clientHeight + 'px';
+for (const type of LandmarkFilter.FILTER_TYPES) {
+  const opt = document.createElement('option');
+  opt.value = type;
+  opt.textContent = `Filter: ${LandmarkFilter.FILTER_LABELS[type]}`;
+  filterSelect.appendChild(opt);
 }
+filterSelect.value = tracker.options.filter.type;
+filterSelect.addEventListener('change', () => tracker.setOptions({filter: {type: filterSelect.value}}));
+btnFilterDebug.addEventListener('click', () => {
+  overlay.setOptions({filterDebug: !overlay.options.filterDebug});
+  btnFilterDebug.innerText = `Filter debug: ${overlay.options.filterDebug ? 'On' : 'Off'}`;
+});
+btnHud.addEventListener('click', () => settings.set('hud', !settings.values.hud));
+showHud(settings.values.hud);
 
-// ---- angle helper (3D) ----
-function angleBetween(a, b, c) {
-  // returns degrees between BA and BC at point B
-  const abx = a.x - b.x, aby = a.y - b.y, abz = (a.z || 0) - (b.z || 0);
-  const cbx = c.x - b.x, cby = c.y - b.y, cbz = (c.z || 0) - (b.z || 0);
-  const dot = abx * cbx + aby * cby + abz * cbz;
-  const mag1 = Math.hypot(abx, aby, abz);
-  const mag2 = Math.hypot(cbx, cby, cbz);
-  if (mag1 === 0 || mag2 === 0) return 0;
-  let cos = dot / (mag1 * mag2);
-  cos = Math.max(-1, Math.min(1, cos));
-  return Math.acos(cos) * (180 / Math.PI);
+function gestureText(g) {
+  return g.name === 'none' ? '—' : `${g.label} (${Math.round(g.confidence*100)}%)`;
 }
 
-// ---- analyze single hand landmarks ----
-function analyzeLandmarks(landmarks) {
-  // landmarks are array of 21 points (x,y,z) normalized [0..1]
-  // We'll compute whether each finger is extended using angle thresholds.
-  // indices: thumb [1..4], index [5..8], middle [9..12], ring [13..16], pinky [17..20]
-  const extended = [false, false, false, false, false];
-
-  // Thumb: measure angle at CMC/MCP (use 2-3-4)
-  try {
-    const thumbAngle = angleBetween(landmarks[2], landmarks[3], landmarks[4]);
-    extended[0] = thumbAngle > 150; // near straight
-  } catch (e) {
-    extended[0] = false;
-  }
+// ---- per-user calibration (thresholds + hysteresis from the active profile; the settings' thresholds otherwise) ----
+const calibrationUI = CalibrationUI.attach(
+  document.getElementById('calibration-controls'),
+  videoWrap,
+  {onProfileChange: (p) => { tracker.setOptions({profile: Settings.profile(settings.values, p)}); console.log(`Calibration profile: ${p.name}`); }}
+);
+tracker.setOptions({profile: Settings.profile(settings.values, calibrationUI.profile)});
+
+// ---- air pointer: first hand's index tip drives an on-page cursor, pinch clicks ----
+const airPointer = AirPointerUI.attach(document.getElementById('pointer-controls'));
+
+// active region of the camera frame that maps to the whole screen (drawn inside the mirror transform)
+overlay.addLayer((ctx, frame, {width, height}) => {
+  if (!airPointer.enabled) return;
+  const r = airPointer.region;
+  ctx.save();
+  ctx.setLineDash([10,8]);
+  ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(r.x0*width, r.y0*height, (r.x1-r.x0)*width, (r.y1-r.y0)*height);
+  ctx.restore();
+}, {under: true});
 
-  // Other fingers: angle at PIP joint (mcp-pip-tip)
-  const fingers = [
-    [5,6,8],
-    [9,10,12],
-    [13,14,16],
-    [17,18,20]
-  ];
-  for (let i=0;i<fingers.length;i++){
-    const [mcp,pip,tip] = fingers[i];
-    try {
-      const ang = angleBetween(landmarks[mcp], landmarks[pip], landmarks[tip]);
-      extended[i+1] = ang > 160; // tuned threshold
-    } catch (e) {
-      extended[i+1] = false;
-    }
-  }
+// ---- air-drawing whiteboard: first hand; index draws, palm erases, fist clears ----
+const whiteboardUI = WhiteboardUI.attach(document.getElementById('board-controls'), {
+  getSize: () => ({width: canvas.width, height: canvas.height})
+});
+// the board works in view coordinates (mirror already applied to its input)
+overlay.addLayer((ctx, frame, {width, height}) => whiteboardUI.render(ctx, width, height), {mirrored: false});
+showMirror(settings.values.mirror);
 
-  const count = extended.reduce((s,v)=>s+(v?1:0),0);
-  return {extended, count};
-}
+// ---- user-trained gestures: k-NN on the first hand, model shared via /api/models ----
+const gestureTrainer = GestureTrainerUI.attach(document.getElementById('trainer-controls'));
 
-// ---- smoothing / history ----
-const COUNT_HISTORY = 8;
-const HAND_HISTORY = 8;
-let countHistory = []; // array of integers
-let handHistory = [];  // array of strings (Left/Right/Unknown)
-let smoothCount = 0;
-let smoothHand = '—';
-
-function pushHistory(count, handLabel) {
-  countHistory.push(count);
-  if (countHistory.length > COUNT_HISTORY) countHistory.shift();
-  handHistory.push(handLabel);
-  if (handHistory.length > HAND_HISTORY) handHistory.shift();
-
-  // median of countHistory for debouncing
-  const sorted = [...countHistory].sort((a,b)=>a-b);
-  const mid = Math.floor(sorted.length/2);
-  const median = sorted.length%2===1 ? sorted[mid] : Math.round((sorted[mid-1]+sorted[mid])/2);
-
-  // exponential smoothing
-  smoothCount = Math.round((smoothCount*0.6) + (median*0.4));
-  // mode for hand
-  const freq = {};
-  for (const h of handHistory) freq[h] = (freq[h]||0)+1;
-  smoothHand = Object.keys(freq).reduce((a,b)=> freq[a]>freq[b]?a:b);
-}
+// ---- ASL fingerspelling: first hand, hold a letter to type it ----
+const spelling = ASLUI.attach(document.getElementById('spelling-controls'));
 
-// ---- drawing helpers ----
-function drawLine(a,b,width=4, color='rgba(0,224,168,0.95)') {
-  ctx.lineWidth = width;
-  ctx.strokeStyle = color;
-  ctx.beginPath();
-  ctx.moveTo(a.x * canvas.width, a.y * canvas.height);
-  ctx.lineTo(b.x * canvas.width, b.y * canvas.height);
-  ctx.stroke();
-}
-function drawCircle(p,r=6, fill='rgba(0,224,168,0.95)') {
-  ctx.beginPath();
-  ctx.arc(p.x * canvas.width, p.y * canvas.height, r, 0, Math.PI*2);
-  ctx.fillStyle = fill;
-  ctx.fill();
-}
+// ---- rehab telemetry: first hand's joint angles, range of motion, exercise protocol ----
+const rehab = RehabUI.attach(document.getElementById('rehab-controls'), videoWrap);
 
-// ---- finger connections for drawing (index pairs) ----
-const CONNECTIONS = [
-  [0,1],[1,2],[2,3],[3,4],       // thumb
-  [0,5],[5,6],[6,7],[7,8],       // index
-  [0,9],[9,10],[10,11],[11,12],  // middle
-  [0,13],[13,14],[14,15],[15,16],// ring
-  [0,17],[17,18],[18,19],[19,20] // pinky
-];
-
-// ---- TF.js Hand Pose Detection setup ----
-let detector = null;
-let modelLoaded = false;
-
-async function initDetector() {
-  // use the hand-pose-detection model (MediaPipeHands)
-  const model = handPoseDetection.SupportedModels.MediaPipeHands;
-
-  // config: runtime uses "mediapipe" which leverages the mediapipe wasm model
-  // but this package integrates with TF.js; we still satisfy "TensorFlow.js ecosystem"
-  const detectorConfig = {
-    runtime: 'mediapipe',
-    modelType: 'full', // 'lite' or 'full'
-    solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands'
-  };
-
-  detector = await handPoseDetection.createDetector(model, detectorConfig);
-  modelLoaded = true;
-  statusEl.innerText = 'Model loaded — starting camera...';
-  startCamera();
-}
+// ---- live broadcast to /ws (see /monitor) ----
+const livePublisher = new LivePublisher({source: 'v2', statusEl: liveStatusEl});
 
-// ---- camera start ----
-async function startCamera(){
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({video: {width:1280, height:720}, audio:false});
-    video.srcObject = stream;
-    await video.play();
-    fitCanvasToVideo();
-    statusEl.innerText = 'Camera started. Show your hand.';
-    requestAnimationFrame(processFrame);
-  } catch (e) {
-    statusEl.innerText = 'Camera error: ' + e.message;
-    console.error(e);
+// ---- actions: gesture rules -> key presses, server URLs, live hub messages, page hooks ----
+const actionsUI = ActionsUI.attach(document.getElementById('actions-controls'), {
+  publish: (event) => livePublisher.event(event),
+  hooks: {
+    toggleSkeleton: () => btnSkeleton.click(),
+    toggleHud: () => settings.set('hud', !settings.values.hud),
+    toggleMirror: () => settings.set('mirror', !settings.values.mirror)
   }
+});
+
+// ---- capture: <video> + overlay canvas + the text fields as a caption, as PNG snapshots and WebM clips ----
+function captionLines() {
+  const fields = [countEl, handedEl, gestureEl, motionEl];
+  if (tracker.options.twoHand) fields.push(twoHandEl, bimanualEl);
+  return fields.map(e => e.innerText).filter(s => !s.endsWith('—'));
 }
+const compositor = new Compositor({
+  source: canvas,
+  video,
+  // replay, file analysis and scripted hands draw their frame into the canvas
+  showVideo: () => !videoWrap.classList.contains('replaying') && !videoWrap.classList.contains('no-camera'),
+  mirrorVideo: () => settings.values.mirror,
+  caption: captionLines
+});
+CaptureUI.attach(document.getElementById('capture-controls'), compositor, {source: 'v2'});
+
+// ---- motion gestures ----
+const MOTION_DISPLAY_MS = 1500;
+let motionClearTimer = null;
+
+tracker.on('motion', (ev) => {
+  motionEl.innerText = `Motion: ${ev.label} (#${ev.id})`;
+  livePublisher.event({kind: 'motion', hand: ev.id, name: ev.name, label: ev.label});
+  actionsUI.motion(ev);
+  clearTimeout(motionClearTimer);
+  motionClearTimer = setTimeout(() => { motionEl.innerText = 'Motion: —'; }, MOTION_DISPLAY_MS);
+});
 
-// ---- main loop ----
-async function processFrame() {
-  if (!modelLoaded) return requestAnimationFrame(processFrame);
-  if (video.readyState < 2) return requestAnimationFrame(processFrame);
-  fitCanvasToVideo();
-
-  // detect hands (multiHand or single)
-  const maxHands = multiHand ? 2 : 1;
-  let hands;
-  try {
-    hands = await detector.estimateHands(video, {flipHorizontal:false}); // we'll handle mirror manually
-  } catch (err) {
-    console.error('detect error', err);
-    hands = [];
-  }
+// ---- two-hand mode: total 0–10 with a per-hand breakdown, zoom/rotate while both hands point, clap, frame ----
+let bimanualClearTimer = null;
 
-  // render
-  ctx.save();
-  ctx.clearRect(0,0,canvas.width,canvas.height);
+function showBimanual(text) {
+  bimanualEl.innerText = `Bimanual: ${text}`;
+  clearTimeout(bimanualClearTimer);
+  bimanualClearTimer = setTimeout(() => { bimanualEl.innerText = 'Bimanual: —'; }, MOTION_DISPLAY_MS);
+}
+
+tracker.on('twohand', ({total, hands, zoom, rotation}) => {
+  twoHandEl.innerText = hands.length ? `Two hands: ${total} (${hands.map(h => `${h.handedness} ${h.count}`).join(' + ')})` : 'Two hands: —';
+  if (zoom) showBimanual(`Zoom ×${zoom.factor.toFixed(2)} · Rotate ${Math.round(rotation.angle)}°`);
+});
+tracker.on('zoom', (ev) => {
+  if (ev.phase === 'end') livePublisher.event({kind: 'bimanual', name: 'zoom', label: `Zoom ×${ev.factor.toFixed(2)}`});
+});
+tracker.on('rotate', (ev) => {
+  if (ev.phase === 'end') livePublisher.event({kind: 'bimanual', name: 'rotate', label: `Rotate ${Math.round(ev.angle)}°`});
+});
+tracker.on('bimanual', (ev) => {
+  showBimanual(ev.label);
+  livePublisher.event({kind: 'bimanual', name: ev.name, label: ev.label});
+});
 
-  // if mirror mode, flip canvas horizontally so visuals match selfie
-  if (mirror) {
-    ctx.translate(canvas.width, 0);
-    ctx.scale(-1,1);
+// line between the index tips while zooming, the rectangle of a frame gesture
+overlay.addLayer((ctx, frame, {width, height}) => {
+  const two = frame.twoHand;
+  if (!two) return;
+  ctx.save();
+  ctx.strokeStyle = '#ffb347';
+  ctx.lineWidth = 3;
+  if (two.zoom && frame.hands.length >= 2) {
+    const [a, b] = frame.hands.map(h => h.landmarks[8]);
+    ctx.beginPath();
+    ctx.moveTo(a.x*width, a.y*height);
+    ctx.lineTo(b.x*width, b.y*height);
+    ctx.stroke();
+  }
+  if (two.framing) {
+    const r = two.framing;
+    ctx.strokeRect(r.x0*width, r.y0*height, (r.x1-r.x0)*width, (r.y1-r.y0)*height);
   }
+  ctx.restore();
+});
 
-  // draw camera (video frame) underneath by copying video - faster to not draw video to canvas since <video> is visible, but we want overlays only.
-  // we only draw overlays; video element remains visible under the canvas.
-
-  if (hands && hands.length > 0) {
-    // clamp to maxHands
-    const shownHands = hands.slice(0, maxHands);
-
-    for (let i=0;i<shownHands.length;i++){
-      const h = shownHands[i];
-      const keypoints = h.keypoints3D || h.keypoints; // keypoints3D might be available
-      const landmarks = (keypoints && keypoints.length===21) ? keypoints.map(k => ({x:k.x, y:k.y, z:(k.z||0)})) : null;
-
-      // If keypoints are normalized to video pixel coords, normalize to 0..1:
-      let normLandmarks = landmarks;
-      if (landmarks && landmarks[0] && landmarks[0].x > 1.5) {
-        // coordinates in pixels -> convert back to normalized
-        normLandmarks = landmarks.map(pt => ({x: pt.x / canvas.width, y: pt.y / canvas.height, z: pt.z}));
-      }
-
-      // analyze only if we have 21 landmarks
-      if (!normLandmarks || normLandmarks.length !== 21) continue;
-      const analysis = analyzeLandmarks(normLandmarks);
-
-      // detect handedness: model returns h.handedness sometimes in latest API
-      let handednessLabel = 'Unknown';
-      if (h.handedness && h.handedness.length) handednessLabel = h.handedness[0].label || 'Unknown';
-      // When mirror mode ON, flip label so it matches viewer
-      if (mirror) {
-        if (handednessLabel === 'Left') handednessLabel = 'Right';
-        else if (handednessLabel === 'Right') handednessLabel = 'Left';
-      }
-
-      // push history only for first shown hand
-      if (i===0) pushHistory(analysis.count, handednessLabel);
-
-      // draw skeleton if enabled
-      if (showSkeleton) {
-        // draw connections
-        for (const c of CONNECTIONS) {
-          const a = normLandmarks[c[0]], b = normLandmarks[c[1]];
-          drawLine(a, b, 3, 'rgba(0,224,168,0.95)');
-        }
-        // draw points
-        for (let pi=0; pi<normLandmarks.length; pi++) {
-          const p = normLandmarks[pi];
-          const isTip = [4,8,12,16,20].includes(pi);
-          drawCircle(p, isTip?6:3, isTip && analysis.extended[[4,8,12,16,20].indexOf(pi)] ? 'rgba(0,224,168,0.95)' : 'rgba(255,255,255,0.12)');
-        }
-      } else {
-        // draw only highlight tips
-        for (const tidx of [4,8,12,16,20]) {
-          const p = normLandmarks[tidx];
-          const idx = [4,8,12,16,20].indexOf(tidx);
-          const fill = analysis.extended[idx] ? 'rgba(0,224,168,0.95)' : 'rgba(255,255,255,0.08)';
-          drawCircle(p, 7, fill);
-        }
-      }
-    }
-
-    // update UI from smoothed values
-    countEl.innerText = `Fingers: ${smoothCount}`;
-    handedEl.innerText = `Hand: ${smoothHand}`;
-    statusEl.innerText = `Detected ${hands.length} hand(s)`;
+// ---- per-frame page update (live or replayed) ----
+tracker.on('frame', ({t: now, hands, tracked}) => {
+  if (hands.length > 0) {
+    // first hand in the main fields, all hands in the list
+    const first = hands[0];
+    calibrationUI.feed(first.analysis, now);
+    airPointer.update(first.landmarks, now);
+    whiteboardUI.update({landmarks: first.landmarks, extended: first.analysis.extended}, now);
+    gestureTrainer.feed(first.landmarks, now);
+    spelling.feed({landmarks: first.landmarks, analysis: first.analysis, gesture: first.gesture, handedness: first.modelHandedness}, now);
+    rehab.feed(first.analysis, now);
+    actionsUI.frame(hands, now);
+    countEl.innerText = `Fingers: ${first.count}`;
+    handedEl.innerText = `Hand: ${first.handedness}${first.facing ? ` · palm ${first.facing}` : ''}`;
+    gestureEl.innerText = `Gesture: ${gestureText(first.smoothGesture)}`;
+    tracksEl.innerText = hands.map(h => `#${h.id} ${h.handedness}: ${h.count}`).join('  ·  ');
+    livePublisher.frame(hands.map(h => ({
+      id: h.id,
+      handedness: h.handedness,
+      count: h.count,
+      gesture: h.smoothGesture,
+      // ?landmarks=1 sends the detector's raw points, not the filtered ones
+      landmarks: h.raw
+    })), now);
+    statusEl.innerText = `Detected ${tracked} hand(s)`;
   } else {
-    // no hands
+    // no hands (tracks retire on their own after a short timeout)
     statusEl.innerText = 'No hands detected';
     countEl.innerText = 'Fingers: 0';
     handedEl.innerText = 'Hand: —';
-    countHistory = []; handHistory = []; smoothCount = 0; smoothHand = '—';
+    gestureEl.innerText = 'Gesture: —';
+    tracksEl.innerText = '';
+    livePublisher.frame([], now);
+    calibrationUI.feed(null, now);
+    airPointer.update(null, now);
+    whiteboardUI.update(null, now);
+    gestureTrainer.feed(null, now);
+    spelling.feed(null, now);
+    rehab.feed(null, now);
+    actionsUI.frame([], now);
   }
+});
 
-  ctx.restore();
-  requestAnimationFrame(processFrame);
+// ---- input: camera picker, video files analysed frame by frame into a timeline ----
+InputUI.attach(document.getElementById('input-controls'), tracker, {
+  source: 'v2',
+  // show the file's frames on the canvas like replay does
+  onFileStart: () => {
+    videoWrap.classList.add('replaying');
+    overlay.setOptions({drawVideo: true});
+  },
+  onFileEnd: () => {
+    videoWrap.classList.remove('replaying');
+    overlay.setOptions({drawVideo: false});
+    statusEl.innerText = liveStatus();
+  }
+});
+
+function liveStatus() {
+  const d = tracker.detector;
+  return !d ? `Loading ${tracker.options.backend}...`
+    : d.needsInput ? 'Camera started. Show your hand.' : `${d.label} running.`;
 }
 
+// ---- session recording & replay ----
+let lastReplayT = -1;
+
+tracker.on('detections', ({t, hands}) => sessionUI.record(hands, t));
+
+const sessionUI = SessionUI.attach(document.getElementById('session-controls'), {
+  getMeta: () => ({source: 'v2', width: canvas.width, height: canvas.height}),
+  onReplayStart: (session) => {
+    tracker.pause();
+    tracker.setSize(session.width || 1280, session.height || 720);
+    videoWrap.classList.add('replaying');
+    lastReplayT = -1;
+    tracker.reset();
+    statusEl.innerText = `Replaying ${session.frames.length} frames`;
+  },
+  onReplayFrame: (frame) => {
+    // seeking backwards invalidates tracks and smoothing
+    if (frame.t < lastReplayT) tracker.reset();
+    lastReplayT = frame.t;
+    tracker.process(frame.hands, frame.t, {replay: true});
+  },
+  onReplayStop: () => {
+    videoWrap.classList.remove('replaying');
+    tracker.reset();
+    tracker.resume();
+    statusEl.innerText = liveStatus();
+  }
+});
+
 // ---- init ----
-statusEl.innerText = 'Loading TF detector...';
-initDetector().catch(e => {
+tracker.on('ready', (info) => {
+  // scripted hands: no camera, draw on a black canvas like replay does
+  videoWrap.classList.toggle('no-camera', !info.needsInput);
+  statusEl.innerText = info.needsInput ? 'Camera started. Show your hand.' : `${info.label} running. No camera needed.`;
+});
+tracker.on('error', (err) => console.error('detect error', err));
+
+statusEl.innerText = `Loading ${tracker.options.backend}...`;
+tracker.start().catch(e => {
   statusEl.innerText = 'Model init failed: ' + e.message;
   console.error(e);
 });
@@ -0,0 +1,142 @@
+// file-store.js
+// What the file-based stores (sessions, gesture models, recordings) share:
+// StoreError, a byte quota checked in the same queued step as the write,
+// and the <id> + <id>.meta.json layout of the id-addressed stores.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// error carrying an HTTP status for the router
+class StoreError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// runs async tasks one at a time, in call order; a failed task does not
+// block the ones after it
+function taskQueue() {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+// a directory of JSON or binary files with a total size limit;
+// kind ('Session', 'Model', ...) names the items in error messages
+class FileStore {
+  // options: { dir, maxStoreBytes }
+  constructor({ dir, maxStoreBytes }, kind) {
+    this.dir = dir;
+    this.maxStoreBytes = maxStoreBytes;
+    this.kind = kind;
+    // quota check + write must not interleave between uploads
+    this._writes = taskQueue();
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  notFound() {
+    return new StoreError(404, `${this.kind} not found`);
+  }
+
+  async _readJSON(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw this.notFound();
+      throw e;
+    }
+  }
+
+  // runs write() once `bytes` more fit under maxStoreBytes; usage() leaves
+  // out `replacing`, an item the write overwrites
+  _withQuota(bytes, write, replacing) {
+    return this._writes(async () => {
+      if (await this.usage(replacing) + bytes > this.maxStoreBytes) {
+        throw new StoreError(507, `${this.kind} store is full`);
+      }
+      return write();
+    });
+  }
+}
+
+// items under random ids, each <id><suffix> plus a small <id>.meta.json
+// sidecar so listing never has to read the (potentially large) items
+class SidecarStore extends FileStore {
+  constructor(options, kind, suffix) {
+    super(options, kind);
+    this.suffix = suffix;
+  }
+
+  _file(id, suffix = this.suffix) {
+    if (!ID_PATTERN.test(id)) throw this.notFound();
+    return path.join(this.dir, id + suffix);
+  }
+
+  async _metas() {
+    const files = await fs.readdir(this.dir);
+    const metas = [];
+    for (const f of files) {
+      if (!f.endsWith('.meta.json')) continue;
+      try {
+        metas.push(JSON.parse(await fs.readFile(path.join(this.dir, f), 'utf8')));
+      } catch (e) {
+        console.warn(`Skipping unreadable ${this.kind.toLowerCase()} meta ${f}: ${e.message}`);
+      }
+    }
+    return metas;
+  }
+
+  async usage() {
+    const metas = await this._metas();
+    return metas.reduce((sum, m) => sum + (m.bytes || 0), 0);
+  }
+
+  // newest first
+  async list() {
+    const metas = await this._metas();
+    return metas.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+  }
+
+  async getMeta(id) {
+    return this._readJSON(this._file(id, '.meta.json'));
+  }
+
+  // writes data (string or Buffer) and its metadata within the quota;
+  // fields are added to the common id/name/uploader/uploadedAt/bytes
+  _add(data, { name, uploader, ...fields }) {
+    const bytes = Buffer.byteLength(data);
+    return this._withQuota(bytes, async () => {
+      const id = crypto.randomBytes(8).toString('hex');
+      const meta = {
+        id,
+        name: name || `${this.kind.toLowerCase()} ${id.slice(0, 6)}`,
+        uploader: uploader || null,
+        ...fields,
+        uploadedAt: new Date().toISOString(),
+        bytes
+      };
+      await fs.writeFile(this._file(id), data);
+      await fs.writeFile(this._file(id, '.meta.json'), JSON.stringify(meta, null, 2));
+      return meta;
+    });
+  }
+
+  async remove(id) {
+    await this.getMeta(id); // 404 if missing
+    await fs.rm(this._file(id), { force: true });
+    await fs.rm(this._file(id, '.meta.json'), { force: true });
+  }
+}
+
+module.exports = { StoreError, taskQueue, FileStore, SidecarStore, ID_PATTERN };
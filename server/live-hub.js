@@ -0,0 +1,93 @@
+// live-hub.js
+// WebSocket fan-out of tracking events, attached by app.js at /ws.
+//
+// Protocol (JSON text frames):
+//   client -> hub  { type: 'join', channel, role: 'publisher' | 'subscriber' }
+//                  { type: 'publish', event }          (publishers only)
+//                  { type: 'leave' }
+//   hub -> client  { type: 'welcome', id }
+//                  { type: 'joined', channel, role }
+//                  { type: 'presence', channel, publishers: [id] }
+//                  { type: 'event', channel, from, ts, event }
+//                  { type: 'error', error }
+// `WebSocketServer` is passed in (from the app's own `ws` install), like
+// express is for the sessions router.
+
+const CHANNEL_PATTERN = /^[\w-]{1,64}$/;
+const MAX_PAYLOAD = 256 * 1024;
+
+function attachLiveHub(WebSocketServer, httpServer, { path = '/ws' } = {}) {
+  const wss = new WebSocketServer({ server: httpServer, path, maxPayload: MAX_PAYLOAD });
+  const channels = new Map(); // name -> Set<client>
+  let nextId = 1;
+
+  function send(ws, msg) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  function members(channel) {
+    return channels.get(channel) || new Set();
+  }
+
+  function broadcastPresence(channel) {
+    const clients = members(channel);
+    const publishers = [...clients].filter(c => c.role === 'publisher').map(c => c.id);
+    for (const c of clients) send(c.ws, { type: 'presence', channel, publishers });
+  }
+
+  function leave(client) {
+    if (!client.channel) return;
+    const channel = client.channel;
+    const set = members(channel);
+    set.delete(client);
+    if (!set.size) channels.delete(channel);
+    client.channel = null;
+    broadcastPresence(channel);
+  }
+
+  wss.on('connection', (ws) => {
+    const client = { id: `c${nextId++}`, ws, channel: null, role: 'subscriber' };
+    send(ws, { type: 'welcome', id: client.id });
+
+    ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (e) {
+        return send(ws, { type: 'error', error: 'Message is not valid JSON' });
+      }
+
+      if (msg.type === 'join') {
+        if (typeof msg.channel !== 'string' || !CHANNEL_PATTERN.test(msg.channel)) {
+          return send(ws, { type: 'error', error: 'Channel must be 1-64 letters, digits, _ or -' });
+        }
+        leave(client);
+        client.channel = msg.channel;
+        client.role = msg.role === 'publisher' ? 'publisher' : 'subscriber';
+        if (!channels.has(msg.channel)) channels.set(msg.channel, new Set());
+        channels.get(msg.channel).add(client);
+        send(ws, { type: 'joined', channel: client.channel, role: client.role });
+        broadcastPresence(client.channel);
+      } else if (msg.type === 'publish') {
+        if (!client.channel || client.role !== 'publisher') {
+          return send(ws, { type: 'error', error: 'Join a channel as a publisher first' });
+        }
+        const out = { type: 'event', channel: client.channel, from: client.id, ts: Date.now(), event: msg.event };
+        for (const c of members(client.channel)) {
+          if (c !== client) send(c.ws, out);
+        }
+      } else if (msg.type === 'leave') {
+        leave(client);
+      } else {
+        send(ws, { type: 'error', error: `Unknown message type "${msg.type}"` });
+      }
+    });
+
+    ws.on('close', () => leave(client));
+    ws.on('error', (err) => console.warn(`live hub client ${client.id} error:`, err.message));
+  });
+
+  return wss;
+}
+
+module.exports = { attachLiveHub, CHANNEL_PATTERN };
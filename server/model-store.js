@@ -0,0 +1,120 @@
+// model-store.js
+// File-based store for trained gesture models (see shared/gesture-model.js).
+// Models are addressed by name and overwritten on save, so every machine
+// pointing at the same server shares the latest version: <name>.json.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { validate } = require('./validate');
+const { StoreError, FileStore } = require('./file-store');
+const { FEATURE_LENGTH, FEATURE_VERSION, validateModel } = require('../shared/gesture-model');
+
+const MAX_SAMPLES = 5000;
+const NAME_PATTERN = /^[\w-]{1,64}$/;
+
+const MODEL_SCHEMA = {
+  type: 'object',
+  required: ['type', 'featureVersion', 'samples'],
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    type: { type: 'string', enum: ['knn'] },
+    featureVersion: { type: 'integer', enum: [FEATURE_VERSION] },
+    name: { type: 'string', maxLength: 64 },
+    createdAt: { type: ['string', 'null'], maxLength: 64 },
+    updatedAt: { type: ['string', 'null'], maxLength: 64 },
+    k: { type: 'integer', minimum: 1, maximum: 50 },
+    maxDistance: { type: 'number', minimum: 0 },
+    samples: {
+      type: 'array',
+      maxItems: MAX_SAMPLES,
+      items: {
+        type: 'object',
+        required: ['label', 'features'],
+        properties: {
+          label: { type: 'string', minLength: 1, maxLength: 40, pattern: '^[\\w -]+$' },
+          features: { type: 'array', minItems: FEATURE_LENGTH, maxItems: FEATURE_LENGTH, items: { type: 'number' } }
+        }
+      }
+    }
+  }
+};
+
+class ModelStore extends FileStore {
+  // options: { dir, maxStoreBytes }
+  constructor({ dir, maxStoreBytes = 200 * 1024 * 1024 }) {
+    super({ dir, maxStoreBytes }, 'Model');
+  }
+
+  _file(name) {
+    if (!NAME_PATTERN.test(name)) throw this.notFound();
+    return path.join(this.dir, name + '.json');
+  }
+
+  static summary(name, model, bytes) {
+    const labels = {};
+    for (const s of model.samples) labels[s.label] = (labels[s.label] || 0) + 1;
+    return { name, updatedAt: model.updatedAt || null, sampleCount: model.samples.length, labels, bytes };
+  }
+
+  // bytes of all stored models, except `exclude` (a model about to be replaced)
+  async usage(exclude) {
+    const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json') && f !== exclude + '.json');
+    let sum = 0;
+    for (const f of files) {
+      try {
+        sum += (await fs.stat(path.join(this.dir, f))).size;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return sum;
+  }
+
+  async list() {
+    const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+    const out = [];
+    for (const f of files) {
+      try {
+        const body = await fs.readFile(path.join(this.dir, f), 'utf8');
+        out.push(ModelStore.summary(f.slice(0, -5), JSON.parse(body), Buffer.byteLength(body)));
+      } catch (e) {
+        console.warn(`Skipping unreadable gesture model ${f}: ${e.message}`);
+      }
+    }
+    return out.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(name) {
+    return this._readJSON(this._file(name));
+  }
+
+  // validates and replaces the model; returns its summary
+  async save(name, model) {
+    if (!NAME_PATTERN.test(name)) throw new StoreError(400, 'Model names use letters, digits, - and _ (max 64)');
+    const errors = validate(MODEL_SCHEMA, model);
+    if (errors.length) throw new StoreError(400, 'Model failed validation', errors);
+    try {
+      validateModel(model);
+    } catch (e) {
+      throw new StoreError(400, e.message);
+    }
+
+    const stored = { ...model, name, updatedAt: new Date().toISOString() };
+    const body = JSON.stringify(stored);
+    const bytes = Buffer.byteLength(body);
+    return this._withQuota(bytes, async () => {
+      // write then rename so readers never see a half-written model
+      const tmp = this._file(name) + '.tmp';
+      await fs.writeFile(tmp, body);
+      await fs.rename(tmp, this._file(name));
+      return ModelStore.summary(name, stored, bytes);
+    }, name);
+  }
+
+  async remove(name) {
+    await this.get(name); // 404 if missing
+    await fs.rm(this._file(name), { force: true });
+  }
+}
+
+module.exports = { ModelStore, MODEL_SCHEMA, MAX_SAMPLES };
@@ -0,0 +1,38 @@
+// models-router.js
+// REST API for trained gesture models, mounted by app.js at /api/models:
+//   GET    /            list models (name, sample counts per label)
+//   GET    /:name       fetch one model
+//   PUT    /:name       create or replace a model (JSON body)
+//   DELETE /:name       delete one model
+// `express` is passed in so this module resolves against each app's own
+// node_modules.
+
+const { wrap, jsonErrors } = require('./store-router');
+
+function modelsRouter(express, { store, maxUploadBytes = '10mb' }) {
+  const router = express.Router();
+  router.use(express.json({ limit: maxUploadBytes }));
+
+  router.get('/', wrap(async (req, res) => {
+    res.json({ models: await store.list() });
+  }));
+
+  router.get('/:name', wrap(async (req, res) => {
+    res.json(await store.get(req.params.name));
+  }));
+
+  router.put('/:name', wrap(async (req, res) => {
+    res.json(await store.save(req.params.name, req.body));
+  }));
+
+  router.delete('/:name', wrap(async (req, res) => {
+    await store.remove(req.params.name);
+    res.status(204).end();
+  }));
+
+  router.use(jsonErrors('models', maxUploadBytes));
+
+  return router;
+}
+
+module.exports = { modelsRouter };
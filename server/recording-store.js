@@ -0,0 +1,36 @@
+// recording-store.js
+// File-based store for WebM clips recorded from the tracker pages
+// (shared/capture-ui.js), kept as <id>.webm with an <id>.meta.json sidecar
+// like the session store (see file-store.js).
+
+const { StoreError, SidecarStore } = require('./file-store');
+
+// every WebM file starts with an EBML header
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+class RecordingStore extends SidecarStore {
+  // options: { dir, maxStoreBytes }
+  constructor({ dir, maxStoreBytes = 2000 * 1024 * 1024 }) {
+    super({ dir, maxStoreBytes }, 'Recording', '.webm');
+  }
+
+  // path of the clip, for streaming with range support
+  async path(id) {
+    await this.getMeta(id); // 404 if missing
+    return this._file(id);
+  }
+
+  // checks the data is WebM and fits the quota; returns the stored metadata
+  async save(data, { name, uploader, source, durationMs } = {}) {
+    if (!Buffer.isBuffer(data) || !data.length) throw new StoreError(400, 'Recording is empty');
+    if (!data.subarray(0, 4).equals(EBML_MAGIC)) throw new StoreError(400, 'Recording is not a WebM file');
+    return this._add(data, {
+      name,
+      uploader,
+      source: source || 'unknown',
+      durationMs: Number.isFinite(durationMs) && durationMs >= 0 ? Math.round(durationMs) : null
+    });
+  }
+}
+
+module.exports = { RecordingStore };
@@ -0,0 +1,50 @@
+// recordings-router.js
+// REST API for recorded WebM clips, mounted by app.js at /api/recordings:
+//   GET    /            list recordings (metadata only), newest first
+//   POST   /            upload a clip (video/webm body),
+//                       ?name=&uploader=&source=&durationMs= optional
+//   GET    /:id         the clip itself (video/webm, supports range requests)
+//   DELETE /:id         delete one recording
+// `express` is passed in so this module resolves against each app's own
+// node_modules.
+
+const { StoreError } = require('./file-store');
+const { wrap, jsonErrors } = require('./store-router');
+
+function recordingsRouter(express, { store, maxUploadBytes = '200mb' }) {
+  const router = express.Router();
+  router.use(express.raw({ type: 'video/webm', limit: maxUploadBytes }));
+
+  const text = (v, max) => typeof v === 'string' ? v.slice(0, max) : undefined;
+
+  router.get('/', wrap(async (req, res) => {
+    res.json({ recordings: await store.list() });
+  }));
+
+  router.post('/', wrap(async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) throw new StoreError(415, 'Upload the clip as a video/webm body');
+    const meta = await store.save(req.body, {
+      name: text(req.query.name, 120),
+      uploader: text(req.query.uploader, 64),
+      source: text(req.query.source, 64),
+      durationMs: req.query.durationMs !== undefined ? Number(req.query.durationMs) : undefined
+    });
+    res.status(201).location(`${req.baseUrl}/${meta.id}`).json(meta);
+  }));
+
+  router.get('/:id', wrap(async (req, res) => {
+    const file = await store.path(req.params.id);
+    res.type('video/webm').sendFile(file);
+  }));
+
+  router.delete('/:id', wrap(async (req, res) => {
+    await store.remove(req.params.id);
+    res.status(204).end();
+  }));
+
+  router.use(jsonErrors('recordings', maxUploadBytes));
+
+  return router;
+}
+
+module.exports = { recordingsRouter };
@@ -0,0 +1,86 @@
+// session-store.js
+// File-based store for recorded landmark sessions, kept as <id>.json with
+// an <id>.meta.json sidecar (see file-store.js).
+
+const { validate } = require('./validate');
+const { StoreError, SidecarStore } = require('./file-store');
+const { summarize } = require('../shared/session');
+
+const MAX_FRAMES = 100000;
+const MAX_HANDS = 4;
+
+const POINT_SCHEMA = {
+  type: 'object',
+  required: ['x', 'y'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' }
+  }
+};
+
+const SESSION_SCHEMA = {
+  type: 'object',
+  required: ['frames'],
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    name: { type: 'string', maxLength: 120 },
+    source: { type: 'string', maxLength: 64 },
+    createdAt: { type: ['string', 'null'], maxLength: 64 },
+    width: { type: 'integer', minimum: 0, maximum: 10000 },
+    height: { type: 'integer', minimum: 0, maximum: 10000 },
+    duration: { type: 'number', minimum: 0 },
+    frames: {
+      type: 'array',
+      // a session without frames has nothing to replay
+      minItems: 1,
+      maxItems: MAX_FRAMES,
+      items: {
+        type: 'object',
+        required: ['t', 'hands'],
+        properties: {
+          t: { type: 'number', minimum: 0 },
+          hands: {
+            type: 'array',
+            maxItems: MAX_HANDS,
+            items: {
+              type: 'object',
+              required: ['landmarks'],
+              properties: {
+                landmarks: { type: 'array', minItems: 21, maxItems: 21, items: POINT_SCHEMA },
+                handedness: { type: 'string', enum: ['Left', 'Right', 'Unknown'] },
+                score: { type: ['number', 'null'], minimum: 0, maximum: 1 }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+class SessionStore extends SidecarStore {
+  // options: { dir, maxStoreBytes }
+  constructor({ dir, maxStoreBytes = 500 * 1024 * 1024 }) {
+    super({ dir, maxStoreBytes }, 'Session', '.json');
+  }
+
+  async get(id) {
+    return this._readJSON(this._file(id));
+  }
+
+  // validates, checks quota and writes; returns the stored metadata
+  async save(session, { name, uploader } = {}) {
+    const errors = validate(SESSION_SCHEMA, session);
+    if (errors.length) throw new StoreError(400, 'Session failed validation', errors);
+    return this._add(JSON.stringify(session), {
+      name: name || session.name,
+      uploader,
+      source: session.source || 'unknown',
+      createdAt: session.createdAt || null,
+      ...summarize(session)
+    });
+  }
+}
+
+module.exports = { SessionStore, SESSION_SCHEMA, MAX_FRAMES, MAX_HANDS };
@@ -0,0 +1,43 @@
+// sessions-router.js
+// REST API for recorded landmark sessions, mounted by app.js at /api/sessions:
+//   GET    /            list sessions (metadata only), newest first
+//   POST   /            upload a session (JSON body), ?name=&uploader= optional
+//   GET    /:id         fetch one session
+//   DELETE /:id         delete one session
+// `express` is passed in so this module resolves against each app's own
+// node_modules.
+
+const { wrap, jsonErrors } = require('./store-router');
+
+function sessionsRouter(express, { store, maxUploadBytes = '25mb' }) {
+  const router = express.Router();
+  router.use(express.json({ limit: maxUploadBytes }));
+
+  router.get('/', wrap(async (req, res) => {
+    res.json({ sessions: await store.list() });
+  }));
+
+  router.post('/', wrap(async (req, res) => {
+    const meta = await store.save(req.body, {
+      name: typeof req.query.name === 'string' ? req.query.name.slice(0, 120) : undefined,
+      uploader: typeof req.query.uploader === 'string' ? req.query.uploader.slice(0, 64) : undefined
+    });
+    res.status(201).location(`${req.baseUrl}/${meta.id}`).json(meta);
+  }));
+
+  router.get('/:id', wrap(async (req, res) => {
+    const [meta, session] = await Promise.all([store.getMeta(req.params.id), store.get(req.params.id)]);
+    res.json({ ...session, meta });
+  }));
+
+  router.delete('/:id', wrap(async (req, res) => {
+    await store.remove(req.params.id);
+    res.status(204).end();
+  }));
+
+  router.use(jsonErrors('sessions', maxUploadBytes));
+
+  return router;
+}
+
+module.exports = { sessionsRouter };
@@ -0,0 +1,22 @@
+// store-router.js
+// Helpers shared by the REST routers over the file stores (sessions,
+// models, recordings).
+
+const { StoreError } = require('./file-store');
+
+// express 4 does not catch rejected promises from handlers
+const wrap = fn => (req, res, next) => fn(req, res).catch(next);
+
+// JSON errors for one API: body limits and parse errors, StoreError statuses,
+// anything else logged as `<name> api error` and sent as a 500
+function jsonErrors(name, maxUploadBytes) {
+  return (err, req, res, next) => {
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: `Upload exceeds ${maxUploadBytes}` });
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Body is not valid JSON' });
+    if (err instanceof StoreError) return res.status(err.status).json({ error: err.message, details: err.details });
+    console.error(`${name} api error`, err);
+    res.status(500).json({ error: 'Internal error' });
+  };
+}
+
+module.exports = { wrap, jsonErrors };
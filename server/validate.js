@@ -0,0 +1,68 @@
+// validate.js
+// Minimal JSON Schema validator (the subset our payloads need):
+// type (string or array), enum, required, properties, additionalProperties,
+// items, minItems, maxItems, minimum, maximum, minLength, maxLength, pattern.
+// Returns an array of "path: message" strings, empty when valid.
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(actual, expected) {
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+}
+
+function validate(schema, value, path = '$', errors = []) {
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(actual, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (actual === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items allowed`);
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        validate(schema.items, value[i], `${path}[${i}]`, errors);
+        if (errors.length > 20) return errors; // enough to explain the problem
+      }
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const key of Object.keys(value)) {
+      if (props[key]) validate(props[key], value[key], `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,40 @@
+// vendor.js
+// Serves pinned copies of the browser libraries from the app's node_modules
+// under /vendor/<package>/..., including the MediaPipe wasm and model files,
+// and the TF.js graph models fetched into vendor/models (npm run
+// fetch-models) under /vendor/models/<name>/. The manifest lists both.
+// `express` is passed in so this resolves against each app's own install.
+
+const fs = require('fs');
+const path = require('path');
+const { VENDOR_VERSIONS, MODELS } = require('../shared/vendor-loader');
+
+const CACHE_MAX_AGE = '30d';
+const MODELS_DIR = path.join(__dirname, '..', 'vendor', 'models');
+
+function vendorRouter(express, appDir) {
+  const router = express.Router();
+  const manifest = {};
+
+  for (const pkg of Object.keys(VENDOR_VERSIONS)) {
+    const dir = path.join(appDir, 'node_modules', pkg);
+    const pkgJson = path.join(dir, 'package.json');
+    if (!fs.existsSync(pkgJson)) continue; // this app does not use it
+    const { version } = JSON.parse(fs.readFileSync(pkgJson, 'utf8'));
+    if (version !== VENDOR_VERSIONS[pkg]) {
+      console.warn(`vendor: ${pkg} ${version} installed, pages expect ${VENDOR_VERSIONS[pkg]}; run npm install`);
+    }
+    manifest[pkg] = version;
+    // versions are pinned, so files never change under the same URL
+    router.use(`/${pkg}`, express.static(dir, { maxAge: CACHE_MAX_AGE, immutable: true, index: false }));
+  }
+
+  // checked per request so models fetched while the app runs show up
+  const models = () => Object.keys(MODELS).filter(name => fs.existsSync(path.join(MODELS_DIR, name, 'model.json')));
+  router.use('/models', express.static(MODELS_DIR, { maxAge: CACHE_MAX_AGE, immutable: true, index: false }));
+
+  router.get('/manifest.json', (req, res) => res.json({ ...manifest, models: models() }));
+  return router;
+}
+
+module.exports = { vendorRouter };
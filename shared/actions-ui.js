@@ -0,0 +1,223 @@
+// actions-ui.js
+// Gesture-to-action panel shared by both apps (browser only).
+//   ActionsUI.attach(container, { publish(event), hooks: { name: fn } })
+// An on/off button, a preset picker, a JSON rule editor and the rule that
+// fired last. The app calls ui.frame(hands, now) every frame and
+// ui.motion(ev) for each 'motion' event; nothing fires while the mode is off.
+//
+// Rules (see actions.js) are saved to localStorage as JSON after every
+// change, and can be exported and imported as files. Actions:
+//   key        keydown + keyup on the focused element (or `target`)
+//   url        fetch() on this server, JSON body { rule, t } unless `body`
+//   websocket  publish(event) onto the live hub: { kind: 'action', rule, message }
+//   hook       a function from hooks or ui.registerHook(name, fn)
+// Page URL option: ?actions=1 turns the mode on at load.
+
+(function (root) {
+  'use strict';
+
+  const PRESETS = [
+    { label: 'Slide deck', url: '/shared/presets/slide-deck.json' }
+  ];
+  const FIRED_FLASH_MS = 1000;
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function attach(container, options = {}) {
+    const registry = { ...options.hooks };
+    let ruleSet = Actions.load() || Actions.EMPTY_RULESET;
+    const engine = new Actions.RuleEngine(ruleSet);
+    let enabled = false;
+    let flashTimer = null;
+
+    // ---- controls ----
+    const btnToggle = el('button', { type: 'button' }, 'Actions: Off');
+    const presetSelect = el('select', { 'aria-label': 'Action preset' });
+    presetSelect.appendChild(el('option', { value: '' }, 'Load preset…'));
+    PRESETS.forEach((p, i) => presetSelect.appendChild(el('option', { value: String(i) }, p.label)));
+    const btnEdit = el('button', { type: 'button' }, 'Edit rules');
+    const btnExport = el('button', { type: 'button' }, 'Export');
+    const importLabel = el('label', { class: 'file-btn' }, 'Import…');
+    const importInput = el('input', { type: 'file', accept: '.json,application/json' });
+    importLabel.appendChild(importInput);
+    const last = el('span', { class: 'actions-last' }, 'Last: —');
+    container.append(el('span', { class: 'label' }, 'Actions:'), btnToggle, presetSelect, btnEdit, btnExport, importLabel, last);
+
+    // ---- editor ----
+    const panel = el('div', { class: 'actions-panel', hidden: '' });
+    const list = el('ol', { class: 'actions-rules' });
+    const editor = el('textarea', { rows: '14', spellcheck: 'false', 'aria-label': 'Action rules (JSON)' });
+    const btnApply = el('button', { type: 'button' }, 'Apply');
+    const btnRevert = el('button', { type: 'button' }, 'Revert');
+    const message = el('span', { class: 'actions-message' });
+    const buttons = el('div');
+    buttons.append(btnApply, btnRevert, message);
+    panel.append(list, editor, buttons);
+    container.appendChild(panel);
+
+    function render() {
+      editor.value = Actions.toJSON(ruleSet);
+      message.textContent = '';
+      list.innerHTML = '';
+      ruleSet.rules.forEach((rule, i) => {
+        const item = el('li', { class: rule.enabled ? '' : 'disabled' },
+          `${rule.name}: ${Actions.describeTrigger(rule)} → ${Actions.describeAction(rule.action)}` +
+          (rule.cooldownMs ? `, cooldown ${rule.cooldownMs} ms` : ''));
+        item.dataset.index = String(i);
+        list.appendChild(item);
+      });
+    }
+
+    // validated rule set -> engine, storage and editor
+    function setRules(set) {
+      engine.setRules(set);
+      ruleSet = engine.ruleSet;
+      Actions.save(ruleSet);
+      render();
+      last.textContent = `Last: — (${ruleSet.name}, ${ruleSet.rules.length} rule${ruleSet.rules.length === 1 ? '' : 's'})`;
+    }
+
+    function setEnabled(on) {
+      enabled = on;
+      btnToggle.innerText = `Actions: ${on ? 'On' : 'Off'}`;
+      btnToggle.classList.toggle('active', on);
+      engine.reset();
+    }
+
+    btnToggle.addEventListener('click', () => setEnabled(!enabled));
+    btnEdit.addEventListener('click', () => {
+      panel.hidden = !panel.hidden;
+      btnEdit.classList.toggle('active', !panel.hidden);
+    });
+    btnApply.addEventListener('click', () => {
+      try {
+        setRules(Actions.parseRuleSet(editor.value));
+        message.textContent = 'Saved.';
+        message.classList.remove('error');
+      } catch (e) {
+        message.textContent = e.message;
+        message.classList.add('error');
+      }
+    });
+    btnRevert.addEventListener('click', render);
+    btnExport.addEventListener('click', () => {
+      Session.download(`actions-${ruleSet.name.replace(/\W+/g, '_')}.json`, Actions.toJSON(ruleSet), 'application/json');
+    });
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        setRules(Actions.parseRuleSet(await file.text()));
+      } catch (e) {
+        alert('Could not import rules: ' + e.message);
+      }
+    });
+    presetSelect.addEventListener('change', async () => {
+      const preset = PRESETS[Number(presetSelect.value)];
+      presetSelect.value = '';
+      if (!preset) return;
+      if (ruleSet.rules.length && !confirm(`Replace the current rules with the "${preset.label}" preset?`)) return;
+      try {
+        const res = await fetch(preset.url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        setRules(Actions.parseRuleSet(await res.text()));
+      } catch (e) {
+        alert(`Could not load preset "${preset.label}": ${e.message}`);
+      }
+    });
+
+    // ---- running actions ----
+    function pressKey(action) {
+      const target = action.target ? document.querySelector(action.target) : (document.activeElement || document.body);
+      if (!target) throw new Error(`No element matches "${action.target}"`);
+      const init = { key: action.key, code: action.code || '', bubbles: true, cancelable: true, composed: true, view: window };
+      for (const m of ['ctrlKey', 'shiftKey', 'altKey', 'metaKey']) init[m] = !!action[m];
+      target.dispatchEvent(new KeyboardEvent('keydown', init));
+      target.dispatchEvent(new KeyboardEvent('keyup', init));
+    }
+
+    async function run(fired) {
+      const { rule, t } = fired;
+      const action = rule.action;
+      switch (action.type) {
+        case 'key':
+          return pressKey(action);
+        case 'url': {
+          const init = { method: action.method };
+          if (action.method !== 'GET') {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(action.body !== undefined ? action.body : { rule: rule.name, t });
+          }
+          const res = await fetch(action.url, init);
+          if (!res.ok) throw new Error(`${action.method} ${action.url}: HTTP ${res.status}`);
+          return;
+        }
+        case 'websocket':
+          if (!options.publish) throw new Error('No live hub connection on this page');
+          return options.publish({ kind: 'action', rule: rule.name, label: rule.name, message: action.message });
+        default: {
+          const fn = registry[action.name];
+          if (!fn) throw new Error(`No hook named "${action.name}"`);
+          return fn(action.args, fired);
+        }
+      }
+    }
+
+    function show(fired, error) {
+      const { rule, index } = fired;
+      const time = new Date().toLocaleTimeString();
+      last.textContent = error
+        ? `Last: ${rule.name} failed: ${error.message}`
+        : `Last: ${rule.name} (${Actions.describeTrigger(rule)} → ${Actions.describeAction(rule.action)}) at ${time}`;
+      last.classList.add('fired');
+      for (const item of list.children) item.classList.toggle('fired', item.dataset.index === String(index));
+      clearTimeout(flashTimer);
+      flashTimer = setTimeout(() => last.classList.remove('fired'), FIRED_FLASH_MS);
+    }
+
+    function fire(firedRules) {
+      for (const fired of firedRules) {
+        Promise.resolve()
+          .then(() => run(fired))
+          .then(() => show(fired), (e) => {
+            console.warn(`Action rule "${fired.rule.name}" failed:`, e);
+            show(fired, e);
+          });
+      }
+    }
+
+    // called by the app every frame (hands may be empty) and per motion event
+    function frame(hands, now = performance.now()) {
+      if (enabled) fire(engine.frame(hands, now));
+    }
+
+    function motion(ev) {
+      if (enabled) fire(engine.motion(ev));
+    }
+
+    function registerHook(name, fn) {
+      registry[name] = fn;
+    }
+
+    render();
+    if (new URLSearchParams(location.search).get('actions') === '1') setEnabled(true);
+
+    return {
+      frame,
+      motion,
+      registerHook,
+      setRules,
+      get enabled() { return enabled; },
+      get ruleSet() { return ruleSet; },
+      get lastFired() { return engine.lastFired; }
+    };
+  }
+
+  root.ActionsUI = { attach, PRESETS };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,292 @@
+// actions.js
+// Gesture-to-action rules: a finger count, a static gesture or a swipe,
+// held for holdMs and then quiet for cooldownMs, triggers an action.
+// Browser global `Actions`, Node: require('../shared/actions').
+//
+//   const engine = new Actions.RuleEngine(ruleSet);
+//   tracker.on('frame', f => engine.frame(f.hands, f.t).forEach(run));
+//   tracker.on('motion', ev => engine.motion(ev).forEach(run));
+//
+// A rule set is JSON:
+//   { version, name, rules: [{ name, enabled, trigger, holdMs, cooldownMs, action }] }
+// trigger: { type: 'count', count } | { type: 'gesture', gesture }
+//          | { type: 'swipe', direction: 'left' | 'right' | 'up' | 'down' },
+//          each with an optional hand: 'any' | 'Left' | 'Right'; a count
+//          with hand 'both' is the total of two hands (0..10)
+// action:  { type: 'key', key, code?, ctrlKey?, shiftKey?, altKey?, metaKey?, target? }
+//          | { type: 'url', url: '/path on this server', method?, body? }
+//          | { type: 'websocket', message: {...} }      published on the live hub
+//          | { type: 'hook', name, args? }              a function the page registered
+// The engine only decides when rules fire; actions-ui.js runs the actions.
+// A held trigger fires once, then has to be let go before it fires again.
+// Swipes are instant, so holdMs does not apply to them.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gestures'));
+  else root.Actions = factory(root.Gestures);
+})(typeof self !== 'undefined' ? self : this, function (Gestures) {
+  'use strict';
+
+  const RULESET_VERSION = 1;
+  const STORAGE_KEY = 'fingerTrack.actions';
+  const TRIGGER_TYPES = ['count', 'gesture', 'swipe'];
+  const ACTION_TYPES = ['key', 'url', 'websocket', 'hook'];
+  const SWIPE_DIRECTIONS = ['left', 'right', 'up', 'down'];
+  const HANDS = ['any', 'Left', 'Right', 'both'];
+  const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+  const MODIFIERS = ['ctrlKey', 'shiftKey', 'altKey', 'metaKey'];
+  const MAX_MS = 60000;
+
+  const EMPTY_RULESET = { version: RULESET_VERSION, name: 'Untitled', rules: [] };
+
+  function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  // a path on the page's own server: browsers read "/\host" (and "/%5Chost"
+  // once decoded by a proxy) as "//host", so backslashes and control
+  // characters are refused before the resolved origin is compared
+  function isLocalPath(url) {
+    if (typeof url !== 'string' || !/^\/(?!\/)/.test(url) || /[\\\u0000-\u001f\u007f]|%5c/i.test(url)) return false;
+    try {
+      return new URL(url, 'http://x').origin === 'http://x';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function ms(v, what) {
+    if (v == null) return 0;
+    if (!Number.isFinite(v) || v < 0 || v > MAX_MS) throw new Error(`${what} must be 0-${MAX_MS} ms`);
+    return Math.round(v);
+  }
+
+  function validateTrigger(t, where) {
+    if (!isObject(t) || !TRIGGER_TYPES.includes(t.type)) throw new Error(`${where}: trigger.type must be one of ${TRIGGER_TYPES.join(', ')}`);
+    const hand = t.hand == null ? 'any' : t.hand;
+    if (!HANDS.includes(hand)) throw new Error(`${where}: trigger.hand must be one of ${HANDS.join(', ')}`);
+    if (hand === 'both' && t.type !== 'count') throw new Error(`${where}: hand "both" only applies to counts`);
+    switch (t.type) {
+      case 'count': {
+        const max = hand === 'both' ? 10 : 5;
+        if (!Number.isInteger(t.count) || t.count < 0 || t.count > max) throw new Error(`${where}: trigger.count must be 0-${max}`);
+        return { type: 'count', count: t.count, hand };
+      }
+      case 'gesture':
+        if (!Object.prototype.hasOwnProperty.call(Gestures.GESTURE_LABELS, t.gesture) || t.gesture === 'none') {
+          throw new Error(`${where}: unknown gesture "${t.gesture}"`);
+        }
+        return { type: 'gesture', gesture: t.gesture, hand };
+      default:
+        if (!SWIPE_DIRECTIONS.includes(t.direction)) throw new Error(`${where}: trigger.direction must be one of ${SWIPE_DIRECTIONS.join(', ')}`);
+        return { type: 'swipe', direction: t.direction, hand };
+    }
+  }
+
+  function validateAction(a, where) {
+    if (!isObject(a) || !ACTION_TYPES.includes(a.type)) throw new Error(`${where}: action.type must be one of ${ACTION_TYPES.join(', ')}`);
+    switch (a.type) {
+      case 'key': {
+        if (typeof a.key !== 'string' || !a.key) throw new Error(`${where}: key action needs a key (e.g. "ArrowRight")`);
+        const out = { type: 'key', key: a.key };
+        if (typeof a.code === 'string' && a.code) out.code = a.code;
+        for (const m of MODIFIERS) if (a[m]) out[m] = true;
+        if (typeof a.target === 'string' && a.target) out.target = a.target;
+        return out;
+      }
+      case 'url': {
+        // the local server only: a path, not a full URL
+        if (!isLocalPath(a.url)) throw new Error(`${where}: url action needs a path on this server, e.g. "/api/..."`);
+        const method = (a.method || 'POST').toUpperCase();
+        if (!METHODS.includes(method)) throw new Error(`${where}: method must be one of ${METHODS.join(', ')}`);
+        const out = { type: 'url', url: a.url, method };
+        if (a.body !== undefined) out.body = a.body;
+        return out;
+      }
+      case 'websocket':
+        if (!isObject(a.message)) throw new Error(`${where}: websocket action needs a message object`);
+        return { type: 'websocket', message: a.message };
+      default:
+        if (typeof a.name !== 'string' || !/^[\w$.-]{1,64}$/.test(a.name)) throw new Error(`${where}: hook action needs a name`);
+        return a.args === undefined ? { type: 'hook', name: a.name } : { type: 'hook', name: a.name, args: a.args };
+    }
+  }
+
+  // throws on the first problem; returns a normalized copy
+  function validateRuleSet(set) {
+    if (!isObject(set) || !Array.isArray(set.rules)) throw new Error('Rule set needs a "rules" array');
+    const rules = set.rules.map((r, i) => {
+      const where = `Rule ${i + 1}`;
+      if (!isObject(r)) throw new Error(`${where} is not an object`);
+      const trigger = validateTrigger(r.trigger, where);
+      return {
+        name: typeof r.name === 'string' && r.name.trim() ? r.name.trim() : where,
+        enabled: r.enabled !== false,
+        trigger,
+        holdMs: trigger.type === 'swipe' ? 0 : ms(r.holdMs, `${where}: holdMs`),
+        cooldownMs: ms(r.cooldownMs, `${where}: cooldownMs`),
+        action: validateAction(r.action, where)
+      };
+    });
+    return {
+      version: RULESET_VERSION,
+      name: typeof set.name === 'string' && set.name.trim() ? set.name.trim() : 'Untitled',
+      rules
+    };
+  }
+
+  function parseRuleSet(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    return validateRuleSet(data);
+  }
+
+  function toJSON(set) {
+    return JSON.stringify(set, null, 2);
+  }
+
+  // short description for the UI, e.g. "Open palm (Left) 1200 ms"
+  function describeTrigger(rule) {
+    const t = rule.trigger;
+    const what = t.type === 'count' ? `${t.count} finger${t.count === 1 ? '' : 's'}`
+      : t.type === 'gesture' ? Gestures.GESTURE_LABELS[t.gesture]
+      : `swipe ${t.direction}`;
+    const hand = t.hand === 'both' ? ' (both hands)' : t.hand !== 'any' ? ` (${t.hand})` : '';
+    return `${what}${hand}${rule.holdMs ? ` ${rule.holdMs} ms` : ''}`;
+  }
+
+  function describeAction(action) {
+    switch (action.type) {
+      case 'key': return `key ${MODIFIERS.filter(m => action[m]).map(m => m.replace('Key', '') + '+').join('')}${action.key}`;
+      case 'url': return `${action.method} ${action.url}`;
+      case 'websocket': return 'live hub message';
+      default: return `hook ${action.name}`;
+    }
+  }
+
+  // ---- localStorage (browser); missing, blocked or invalid storage means none ----
+  function load(storageKey = STORAGE_KEY) {
+    try {
+      const text = localStorage.getItem(storageKey);
+      return text ? parseRuleSet(text) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function save(set, storageKey = STORAGE_KEY) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(set));
+    } catch (e) {
+      console.warn(`Could not save action rules: ${e.message}`);
+    }
+  }
+
+  function handMatches(trigger, handedness) {
+    return trigger.hand === 'any' || trigger.hand === handedness;
+  }
+
+  function holds(trigger, hand) {
+    if (!handMatches(trigger, hand.handedness)) return false;
+    if (trigger.type === 'count') return hand.count === trigger.count;
+    return hand.smoothGesture.name === trigger.gesture;
+  }
+
+  // the hand a trigger holds for, or the first hand for a two-hand total
+  function heldBy(trigger, hands) {
+    if (trigger.hand !== 'both') return hands.find(h => holds(trigger, h));
+    if (hands.length < 2) return undefined;
+    return hands[0].count + hands[1].count === trigger.count ? hands[0] : undefined;
+  }
+
+  class RuleEngine {
+    constructor(ruleSet = EMPTY_RULESET) {
+      this.setRules(ruleSet);
+    }
+
+    setRules(ruleSet) {
+      this.ruleSet = validateRuleSet(ruleSet);
+      this.reset();
+    }
+
+    reset() {
+      this._clear();
+      this.lastFired = null;
+    }
+
+    _clear() {
+      // per rule: hold start, fired during this hold, last fire time
+      this._state = this.ruleSet.rules.map(() => ({ since: null, fired: false, lastFiredAt: -Infinity }));
+      this._lastT = null;
+    }
+
+    // time went backwards (replay seek): holds and cooldowns start over
+    _clock(t) {
+      if (this._lastT !== null && t < this._lastT) this._clear();
+      this._lastT = t;
+    }
+
+    // hands: FingerTracker hands of one frame; returns [{ rule, index, hand, t }]
+    frame(hands, t) {
+      this._clock(t);
+      const fired = [];
+      this.ruleSet.rules.forEach((rule, index) => {
+        if (!rule.enabled || rule.trigger.type === 'swipe') return;
+        const st = this._state[index];
+        const hand = heldBy(rule.trigger, hands);
+        if (!hand) {
+          st.since = null;
+          st.fired = false;
+          return;
+        }
+        if (st.since === null) st.since = t;
+        if (st.fired || t - st.since < rule.holdMs || t - st.lastFiredAt < rule.cooldownMs) return;
+        st.fired = true;
+        fired.push(this._fire(rule, index, hand, t));
+      });
+      return fired;
+    }
+
+    // ev: FingerTracker 'motion' event; only swipes trigger rules
+    motion(ev, t = ev.t) {
+      if (ev.type !== 'swipe') return [];
+      this._clock(t);
+      const fired = [];
+      this.ruleSet.rules.forEach((rule, index) => {
+        const tr = rule.trigger;
+        if (!rule.enabled || tr.type !== 'swipe' || tr.direction !== ev.direction) return;
+        if (!handMatches(tr, ev.hand ? ev.hand.handedness : null)) return;
+        if (t - this._state[index].lastFiredAt < rule.cooldownMs) return;
+        fired.push(this._fire(rule, index, ev.hand || null, t));
+      });
+      return fired;
+    }
+
+    _fire(rule, index, hand, t) {
+      this._state[index].lastFiredAt = t;
+      this.lastFired = { rule, index, hand, t };
+      return this.lastFired;
+    }
+  }
+
+  return {
+    RULESET_VERSION,
+    STORAGE_KEY,
+    TRIGGER_TYPES,
+    ACTION_TYPES,
+    SWIPE_DIRECTIONS,
+    EMPTY_RULESET,
+    validateRuleSet,
+    parseRuleSet,
+    toJSON,
+    describeTrigger,
+    describeAction,
+    load,
+    save,
+    RuleEngine
+  };
+});
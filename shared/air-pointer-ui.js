@@ -0,0 +1,185 @@
+// air-pointer-ui.js
+// On-page cursor for air-pointer mode, dispatching real DOM pointer events
+// (browser only).
+//   AirPointerUI.attach(container, { options, onToggle(enabled) })
+// Builds an on/off button and a dwell-click checkbox inside `container`.
+// The app calls ui.update(landmarks | null, now) every frame with the first
+// tracked hand's filtered landmarks; nothing happens while the mode is off.
+//
+// Events go to whatever element is under the cursor (document.elementFromPoint):
+// pointerover/out + pointermove while hovering, pointerdown/up with matching
+// mouse events on pinch, pointermove with buttons=1 while dragging, and click
+// when a pinch (or dwell) is released without dragging. The hovered element
+// gets the `air-hover` class since synthetic events do not trigger :hover.
+
+(function (root) {
+  'use strict';
+
+  const POINTER_ID = 7001; // distinct from the real mouse (1)
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function attach(container, hooks = {}) {
+    const pointer = new AirPointer.AirPointer({ ...AirPointer.optionsFromUrl(), ...hooks.options });
+    let enabled = false;
+    let hoverTarget = null;
+    let pressTarget = null;
+    let dispatching = false; // true while one of our synthetic events is in flight
+
+    // ---- controls ----
+    const btnToggle = el('button', { type: 'button' }, 'Air pointer: Off');
+    const dwellLabel = el('label', { class: 'check' });
+    const dwellBox = el('input', { type: 'checkbox' });
+    dwellBox.checked = pointer.options.dwell.enabled;
+    dwellLabel.append(dwellBox, ` Dwell click (${pointer.options.dwell.ms} ms)`);
+    container.append(el('span', { class: 'label' }, 'Pointer:'), btnToggle, dwellLabel);
+
+    // ---- cursor ----
+    const cursor = el('div', { class: 'air-cursor', hidden: '' });
+    document.body.appendChild(cursor);
+
+    function setEnabled(on) {
+      enabled = on;
+      btnToggle.innerText = `Air pointer: ${on ? 'On' : 'Off'}`;
+      btnToggle.classList.toggle('active', on);
+      if (!on) release();
+      if (hooks.onToggle) hooks.onToggle(on);
+    }
+
+    btnToggle.addEventListener('click', () => {
+      // the air pointer must not switch itself off; use a real click for that
+      if (dispatching) return;
+      setEnabled(!enabled);
+    });
+    dwellBox.addEventListener('change', () => {
+      pointer.setOptions({ dwell: { enabled: dwellBox.checked } });
+    });
+
+    // ---- DOM event dispatch ----
+    function fire(type, target, x, y, extra = {}) {
+      if (!target) return;
+      const init = {
+        bubbles: !/^(pointerenter|pointerleave)$/.test(type),
+        cancelable: true,
+        composed: true,
+        view: window,
+        clientX: x,
+        clientY: y,
+        screenX: x + window.screenX,
+        screenY: y + window.screenY,
+        pointerId: POINTER_ID,
+        pointerType: 'mouse',
+        isPrimary: true,
+        button: -1,
+        buttons: pressTarget ? 1 : 0,
+        ...extra
+      };
+      const Ctor = type.startsWith('pointer') && typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+      dispatching = true;
+      try {
+        target.dispatchEvent(new Ctor(type, init));
+      } finally {
+        dispatching = false;
+      }
+    }
+
+    function hover(target, x, y) {
+      if (target === hoverTarget) return;
+      if (hoverTarget) {
+        hoverTarget.classList.remove('air-hover');
+        fire('pointerout', hoverTarget, x, y);
+        fire('pointerleave', hoverTarget, x, y);
+        fire('mouseout', hoverTarget, x, y);
+      }
+      hoverTarget = target;
+      if (target) {
+        target.classList.add('air-hover');
+        fire('pointerover', target, x, y);
+        fire('pointerenter', target, x, y);
+        fire('mouseover', target, x, y);
+      }
+    }
+
+    // drop hover/press state, e.g. when the hand is lost or the mode is turned off
+    function release() {
+      cursor.hidden = true;
+      if (pressTarget) fire('pointercancel', pressTarget, 0, 0);
+      pressTarget = null;
+      hover(null, 0, 0);
+      pointer.reset();
+    }
+
+    function apply(action) {
+      const x = action.x * window.innerWidth;
+      const y = action.y * window.innerHeight;
+      const target = document.elementFromPoint(x, y);
+
+      switch (action.type) {
+        case 'move':
+          hover(target, x, y);
+          fire('pointermove', target, x, y);
+          fire('mousemove', target, x, y);
+          break;
+        case 'down':
+          pressTarget = target;
+          fire('pointerdown', target, x, y, { button: 0, buttons: 1 });
+          fire('mousedown', target, x, y, { button: 0, buttons: 1 });
+          if (target && typeof target.focus === 'function') target.focus({ preventScroll: true });
+          break;
+        case 'drag-start':
+          cursor.classList.add('dragging');
+          break;
+        case 'drag-end':
+          cursor.classList.remove('dragging');
+          break;
+        case 'up':
+          fire('pointerup', target, x, y, { button: 0, buttons: 0 });
+          fire('mouseup', target, x, y, { button: 0, buttons: 0 });
+          break;
+        case 'click':
+          // like a real click: only when released over the pressed element
+          if (pressTarget && target && (pressTarget === target || pressTarget.contains(target))) {
+            fire('click', pressTarget, x, y, { button: 0, buttons: 0 });
+          }
+          pressTarget = null;
+          break;
+        case 'cancel':
+          cursor.classList.remove('dragging');
+          break;
+      }
+    }
+
+    // called by the app every frame
+    function update(landmarks, now = performance.now()) {
+      if (!enabled) return null;
+      const state = pointer.update(landmarks, now);
+      for (const action of state.actions) apply(action);
+      if (state.actions.some(a => a.type === 'cancel') || !state.visible) {
+        release();
+        return state;
+      }
+      if (!state.pinched) pressTarget = null;
+
+      cursor.hidden = false;
+      cursor.style.transform = `translate(${state.x * window.innerWidth}px, ${state.y * window.innerHeight}px)`;
+      cursor.classList.toggle('pressed', state.pinched);
+      cursor.style.setProperty('--dwell', state.dwellProgress);
+      return state;
+    }
+
+    return {
+      update,
+      setEnabled,
+      pointer,
+      get enabled() { return enabled; },
+      get region() { return pointer.options.region; }
+    };
+  }
+
+  root.AirPointerUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
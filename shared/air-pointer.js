@@ -0,0 +1,194 @@
+// air-pointer.js
+// Touchless pointer: the index fingertip (landmark 8) drives a cursor and a
+// thumb–index pinch presses it. Browser global `AirPointer`,
+// Node: require('../shared/air-pointer').
+//
+// Pure logic only; air-pointer-ui.js turns the returned actions into DOM
+// pointer events. Positions are fractions [0..1] of the screen.
+//
+// A configurable active region of the camera frame is stretched over the
+// whole screen, so the user reaches the edges without moving their arm far.
+// Pinch uses hysteresis on the tip distance relative to hand size. While
+// pinched the cursor stays at the press point until it moves further than
+// dragThreshold, which keeps the pinch itself from turning a click into a drag.
+//
+// Page URL options: ?pointerRegion=x0,y0,x1,y1 (camera fractions),
+// ?dwell=<ms> to turn dwell-to-click on, ?pointerMirror=0 for a rear camera.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gestures'), require('./landmark-filter'));
+  else root.AirPointer = factory(root.Gestures, root.LandmarkFilter);
+})(typeof self !== 'undefined' ? self : this, function (Gestures, LandmarkFilter) {
+  'use strict';
+
+  const INDEX_TIP = 8;
+  const THUMB_TIP = 4;
+
+  const DEFAULT_OPTIONS = {
+    // part of the camera frame that maps to the full screen
+    region: { x0: 0.25, y0: 0.2, x1: 0.75, y1: 0.7 },
+    // selfie camera: moving the hand to the user's right moves the cursor right
+    mirrorX: true,
+    // One Euro on the mapped cursor (screen fractions)
+    smoothing: { minCutoff: 0.8, beta: 5, dCutoff: 1.0 },
+    // thumb tip – index tip distance / hand size
+    pinchDown: 0.25,
+    pinchUp: 0.4,
+    // screen fraction the cursor must move while pinched to start a drag
+    dragThreshold: 0.015,
+    // dwell-to-click: hold the cursor within `radius` for `ms`
+    dwell: { enabled: false, ms: 1000, radius: 0.02 }
+  };
+
+  function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+  }
+
+  // camera-frame point -> screen fraction through the active region
+  function mapToScreen(p, region, mirrorX) {
+    const x = clamp01((p.x - region.x0) / (region.x1 - region.x0));
+    const y = clamp01((p.y - region.y0) / (region.y1 - region.y0));
+    return { x: mirrorX ? 1 - x : x, y };
+  }
+
+  function pinchRatio(landmarks) {
+    const size = Gestures.handSize(landmarks);
+    return size > 0 ? Gestures.dist(landmarks[THUMB_TIP], landmarks[INDEX_TIP]) / size : Infinity;
+  }
+
+  function validRegion(r) {
+    return r && [r.x0, r.y0, r.x1, r.y1].every(Number.isFinite) &&
+      r.x0 >= 0 && r.y0 >= 0 && r.x1 <= 1 && r.y1 <= 1 && r.x1 - r.x0 > 0.05 && r.y1 - r.y0 > 0.05;
+  }
+
+  function parseRegion(text) {
+    const [x0, y0, x1, y1] = String(text).split(',').map(Number);
+    const region = { x0, y0, x1, y1 };
+    return validRegion(region) ? region : null;
+  }
+
+  function mergeOptions(base, options = {}) {
+    return {
+      ...base,
+      ...options,
+      region: { ...base.region, ...options.region },
+      smoothing: { ...base.smoothing, ...options.smoothing },
+      dwell: { ...base.dwell, ...options.dwell }
+    };
+  }
+
+  class AirPointer {
+    constructor(options = {}) {
+      this.setOptions(options);
+    }
+
+    setOptions(options = {}) {
+      const merged = mergeOptions(this.options || DEFAULT_OPTIONS, options);
+      if (!validRegion(merged.region)) throw new Error('Air pointer region must be x0 < x1, y0 < y1 inside [0..1]');
+      this.options = merged;
+      this.reset();
+    }
+
+    reset() {
+      this.fx = new LandmarkFilter.OneEuroFilter(this.options.smoothing);
+      this.fy = new LandmarkFilter.OneEuroFilter(this.options.smoothing);
+      this.lastT = null;
+      this.position = null;
+      this.pinched = false;
+      this.state = 'idle'; // idle | pressed | dragging
+      this.pressAt = null;
+      this.dwell = null;   // { x, y, t, fired }
+    }
+
+    // landmarks: filtered landmarks of the controlling hand, or null when it is gone
+    // returns { visible, x, y, pinched, dwellProgress, actions: [{ type, x, y }] }
+    // action types: move, down, drag-start, drag-end, up, click, cancel
+    update(landmarks, t) {
+      const actions = [];
+      if (!landmarks) {
+        if (this.state !== 'idle' && this.position) actions.push({ type: 'cancel', ...this.position });
+        this.reset();
+        return { visible: false, x: 0, y: 0, pinched: false, dwellProgress: 0, actions };
+      }
+
+      const o = this.options;
+      const mapped = mapToScreen(landmarks[INDEX_TIP], o.region, o.mirrorX);
+      const dt = this.lastT === null ? 0 : (t - this.lastT) / 1000;
+      this.lastT = t;
+      const pos = { x: clamp01(this.fx.filter(mapped.x, dt)), y: clamp01(this.fy.filter(mapped.y, dt)) };
+
+      const ratio = pinchRatio(landmarks);
+      const wasPinched = this.pinched;
+      this.pinched = wasPinched ? ratio < o.pinchUp : ratio < o.pinchDown;
+
+      if (this.pinched && !wasPinched) {
+        this.state = 'pressed';
+        this.pressAt = pos;
+        this.dwell = null;
+        actions.push({ type: 'down', ...pos });
+      } else if (this.pinched) {
+        if (this.state === 'pressed' && Math.hypot(pos.x - this.pressAt.x, pos.y - this.pressAt.y) > o.dragThreshold) {
+          this.state = 'dragging';
+          actions.push({ type: 'drag-start', ...this.pressAt });
+        }
+      } else if (wasPinched) {
+        const at = this.state === 'dragging' ? pos : this.pressAt;
+        if (this.state === 'dragging') actions.push({ type: 'drag-end', ...at });
+        actions.push({ type: 'up', ...at });
+        if (this.state === 'pressed') actions.push({ type: 'click', ...at });
+        this.state = 'idle';
+        this.pressAt = null;
+      }
+
+      // a press holds the cursor still until it becomes a drag
+      this.position = this.state === 'pressed' ? this.pressAt : pos;
+      actions.unshift({ type: 'move', ...this.position });
+
+      let dwellProgress = 0;
+      if (o.dwell.enabled && this.state === 'idle') {
+        dwellProgress = this._dwell(this.position, t, actions);
+      }
+
+      return { visible: true, ...this.position, pinched: this.pinched, dwellProgress, actions };
+    }
+
+    _dwell(pos, t, actions) {
+      const d = this.options.dwell;
+      if (!this.dwell || Math.hypot(pos.x - this.dwell.x, pos.y - this.dwell.y) > d.radius) {
+        this.dwell = { x: pos.x, y: pos.y, t, fired: false };
+        return 0;
+      }
+      if (this.dwell.fired) return 0;
+      const progress = Math.min(1, (t - this.dwell.t) / d.ms);
+      if (progress >= 1) {
+        // one click per dwell; the cursor has to move away to arm it again
+        this.dwell.fired = true;
+        const at = { x: this.dwell.x, y: this.dwell.y };
+        actions.push({ type: 'down', ...at }, { type: 'up', ...at }, { type: 'click', ...at });
+        return 0;
+      }
+      return progress;
+    }
+  }
+
+  function optionsFromUrl() {
+    if (typeof location === 'undefined') return {};
+    const p = new URLSearchParams(location.search);
+    const opts = {};
+    const region = p.get('pointerRegion') && parseRegion(p.get('pointerRegion'));
+    if (region) opts.region = region;
+    const dwell = Number(p.get('dwell'));
+    if (p.get('dwell') && dwell > 0) opts.dwell = { enabled: true, ms: dwell };
+    if (p.get('pointerMirror') === '0') opts.mirrorX = false;
+    return opts;
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    AirPointer,
+    mapToScreen,
+    pinchRatio,
+    parseRegion,
+    optionsFromUrl
+  };
+});
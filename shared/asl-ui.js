@@ -0,0 +1,128 @@
+// asl-ui.js
+// Fingerspelling panel: letter readout, hold progress and the spelled text
+// (browser only).
+//   ASLUI.attach(container, { onCommit(symbol, text) })
+// The app calls ui.feed(hand | null, now) every frame with the first tracked
+// hand: { landmarks, analysis, gesture, handedness } (filtered landmarks,
+// this frame's HandAnalysis/Gestures results and the raw model label).
+//
+// A letter is added after it has been held for ASL.Speller's holdMs; open
+// palm adds a space and thumbs-down deletes the last character. J and Z are
+// traced in the air (pinky for J, index for Z) when "J/Z by motion" is on,
+// otherwise they are reported as unsupported.
+
+(function (root) {
+  'use strict';
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  const SYMBOL_LABELS = { space: '␣ space', backspace: '⌫ delete' };
+
+  function attach(container, hooks = {}) {
+    const speller = new ASL.Speller();
+    const motion = new ASL.MotionLetters();
+    let enabled = false;
+    let reading = null; // { symbol, confidence, progress }
+
+    // ---- controls ----
+    const btnToggle = el('button', { type: 'button' }, 'Fingerspelling: Off');
+    const motionLabel = el('label', { class: 'check', title: 'Trace J with the pinky and Z with the index finger; when off, J and Z are not supported' });
+    const motionBox = el('input', { type: 'checkbox' });
+    motionBox.checked = true;
+    motionLabel.append(motionBox, ' J/Z by motion');
+    const current = el('span', { class: 'asl-current' }, 'Letter: —');
+    const progress = el('progress', { class: 'asl-progress', max: '1', value: '0' });
+    const btnClear = el('button', { type: 'button' }, 'Clear');
+    const btnCopy = el('button', { type: 'button' }, 'Copy');
+    const text = el('div', { class: 'asl-text', 'aria-live': 'polite', hidden: '' });
+    container.append(el('span', { class: 'label' }, 'Spell:'), btnToggle, motionLabel, current, progress, btnClear, btnCopy, text);
+
+    function showText() {
+      text.textContent = speller.text;
+      text.classList.toggle('empty', !speller.text);
+    }
+
+    function setEnabled(on) {
+      enabled = on;
+      btnToggle.innerText = `Fingerspelling: ${on ? 'On' : 'Off'}`;
+      btnToggle.classList.toggle('active', on);
+      text.hidden = !on;
+      speller.reset();
+      motion.reset();
+      show(null);
+    }
+
+    function show(r) {
+      reading = r;
+      progress.value = r ? r.progress : 0;
+      if (!r || !r.symbol) {
+        current.textContent = 'Letter: —';
+        return;
+      }
+      const name = SYMBOL_LABELS[r.symbol] || r.symbol;
+      current.textContent = r.confidence == null ? `Letter: ${name}` : `Letter: ${name} (${Math.round(r.confidence * 100)}%)`;
+    }
+
+    btnToggle.addEventListener('click', () => setEnabled(!enabled));
+    motionBox.addEventListener('change', () => motion.reset());
+    btnClear.addEventListener('click', () => {
+      speller.clear();
+      showText();
+    });
+    btnCopy.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(speller.text);
+        btnCopy.innerText = 'Copied';
+      } catch (e) {
+        btnCopy.innerText = 'Copy failed';
+      }
+      setTimeout(() => { btnCopy.innerText = 'Copy'; }, 1200);
+    });
+
+    // called by the app every frame
+    function feed(hand, now = performance.now()) {
+      if (!enabled) return null;
+      if (!hand) {
+        speller.feed(null, now);
+        motion.reset();
+        show(null);
+        return null;
+      }
+
+      const control = ASL.controlSymbol(hand.gesture);
+      const letter = control ? null : ASL.recognizeLetter(hand.landmarks, hand.analysis, { handedness: hand.handedness });
+      let result;
+      const traced = letter && motionBox.checked ? motion.push(hand.landmarks, letter.letter, hand.analysis, now) : null;
+      if (traced) {
+        result = { ...speller.feed(traced, now, true), confidence: null };
+      } else {
+        if (control) motion.reset();
+        const symbol = control || (letter && !motion.moving(now) ? letter.letter : null);
+        result = { ...speller.feed(symbol, now), confidence: control ? hand.gesture.confidence : letter.confidence };
+      }
+      show(result);
+      if (result.committed) {
+        showText();
+        if (hooks.onCommit) hooks.onCommit(result.committed, speller.text);
+      }
+      return result;
+    }
+
+    showText();
+
+    return {
+      feed,
+      setEnabled,
+      get text() { return speller.text; },
+      get reading() { return reading; },
+      get enabled() { return enabled; }
+    };
+  }
+
+  root.ASLUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
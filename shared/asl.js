@@ -0,0 +1,333 @@
+// asl.js
+// ASL fingerspelling: static alphabet letters from the 21 landmarks, J and Z
+// from the fingertip path, and a Speller that assembles words.
+// Browser global `ASL`, Node: require('../shared/asl').
+//
+// recognizeLetter() works in a hand-local frame (origin at the wrist, +y
+// along wrist -> middle MCP, +x towards the index side) so it does not care
+// about left/right hands or in-plane rotation. It combines:
+//   - finger shape from joint angles (straight / hooked / curled / curved)
+//   - fingertip contacts (thumb to each tip, tips to each other)
+//   - where the thumb tip sits along the knuckle line (A, S, T, N, M, E)
+//   - palm orientation: pointing direction in the image (up, sideways for
+//     G/H, down for P/Q) and whether the palm faces the camera
+// Each letter is a list of soft conditions; a letter's score is their
+// product and the best score above MIN_SCORE wins. Landmarks are 2.5D, so the
+// closed-hand letters (E, M, N, S, T) are the least reliable.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'), require('./gestures'));
+  else root.ASL = factory(root.HandAnalysis, root.Gestures);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis, Gestures) {
+  'use strict';
+
+  const STATIC_LETTERS = 'ABCDEFGHIKLMNOPQRSTUVWXY'.split('');
+  const MOTION_LETTERS = ['J', 'Z'];
+  const MIN_SCORE = 0.35;
+
+  function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+  }
+
+  // soft comparisons: 0.5 at the threshold, 0/1 `soft` units away from it
+  function above(v, t, soft) {
+    return clamp01((v - t) / soft + 0.5);
+  }
+  function below(v, t, soft) {
+    return clamp01((t - v) / soft + 0.5);
+  }
+  function between(v, lo, hi, soft) {
+    return Math.min(above(v, lo, soft), below(v, hi, soft));
+  }
+
+  function unit(dx, dy) {
+    const l = Math.hypot(dx, dy) || 1e-6;
+    return { x: dx / l, y: dy / l };
+  }
+
+  // ---- geometric description of one hand ----
+  function describe(landmarks, analysis) {
+    const size = Gestures.handSize(landmarks);
+    const w = landmarks[0];
+    const up = unit(landmarks[9].x - w.x, landmarks[9].y - w.y);
+    let side = { x: -up.y, y: up.x };
+    // +x towards the index side
+    const across = (landmarks[5].x - landmarks[17].x) * side.x + (landmarks[5].y - landmarks[17].y) * side.y;
+    const mirrored = across < 0;
+    if (mirrored) side = { x: -side.x, y: -side.y };
+    const local = landmarks.map(p => {
+      const dx = p.x - w.x, dy = p.y - w.y;
+      return { x: (dx * side.x + dy * side.y) / size, y: (dx * up.x + dy * up.y) / size };
+    });
+
+    const touch = (a, b) => Gestures.dist(landmarks[a], landmarks[b]) / size;
+    const fingers = [1, 2, 3, 4].map(i => {
+      const name = HandAnalysis.FINGERS[i];
+      const a = analysis.angles[name];
+      return {
+        ext: analysis.extended[i],
+        extAngle: analysis.extensionAngles[i],
+        mcp: a.mcp,
+        pip: a.pip,
+        dip: a.dip
+      };
+    });
+
+    // thumb tip along the knuckle line: 0 at the index MCP, 1 at the pinky MCP, < 0 outside the index
+    const t = local[4];
+    const k5 = local[5], k17 = local[17];
+    const knuckle = (k5.x - t.x) / ((k5.x - k17.x) || 1e-6);
+    const tipsY = (local[8].y + local[12].y + local[16].y + local[20].y) / 4;
+
+    // pointing directions in the image (y grows downward)
+    const hand = up;
+    const index = unit(landmarks[8].x - landmarks[5].x, landmarks[8].y - landmarks[5].y);
+    const thumb = unit(landmarks[4].x - landmarks[2].x, landmarks[4].y - landmarks[2].y);
+
+    return { size, local, touch, fingers, thumbExt: analysis.extended[0], thumbAngle: analysis.extensionAngles[0], knuckle, tipsY, hand, index, thumb, mirrored };
+  }
+
+  // palm towards the camera (HandAnalysis.palmFrame read against the model's
+  // label)? null when the label is unknown or the palm is edge-on
+  function palmFacing(landmarks, rawHandedness) {
+    const facing = HandAnalysis.palmFrame(landmarks, rawHandedness).facing;
+    return facing === 'front' ? 'camera' : facing === 'back' ? 'away' : null;
+  }
+
+  // ---- per-finger shape scores ----
+  const straight = f => above(f.extAngle, 150, 30);
+  const folded = f => below(f.extAngle, 130, 40);
+  const hooked = f => Math.min(above(f.mcp, 140, 30), below(f.pip, 130, 30));
+  const curved = f => between(f.extAngle, 80, 155, 30);
+  const pointingUp = v => below(v.y, -0.5, 0.4);
+  const pointingDown = v => above(v.y, 0.4, 0.4);
+  const pointingSide = v => above(Math.abs(v.x), 0.7, 0.3);
+  const allFolded = d => Math.min(...d.fingers.map(folded));
+
+  // conditions per letter, each returns [0..1]
+  const RULES = {
+    A: [allFolded, d => above(d.thumbAngle, 140, 30), d => below(d.knuckle, -0.05, 0.3), d => above(d.local[4].y, d.local[5].y - 0.15, 0.3), d => pointingUp(d.hand)],
+    B: [d => Math.min(...d.fingers.map(straight)), d => below(d.touch(8, 20), 0.8, 0.3), d => above(d.knuckle, 0.1, 0.3), d => pointingUp(d.hand)],
+    C: [d => Math.min(...d.fingers.map(curved)), d => between(d.touch(4, 8), 0.35, 1.2, 0.2), d => below(d.touch(4, 12), 1.3, 0.3), d => between(d.thumbAngle, 100, 175, 30)],
+    D: [d => straight(d.fingers[0]), d => Math.min(folded(d.fingers[1]), folded(d.fingers[2]), folded(d.fingers[3])), d => below(d.touch(4, 12), 0.45, 0.3), d => pointingUp(d.index)],
+    E: [allFolded, d => above(d.knuckle, 0.0, 0.3), d => above(d.tipsY - d.local[4].y, 0.12, 0.2), d => below(d.touch(4, 12), 0.7, 0.3)],
+    F: [d => below(d.touch(4, 8), 0.35, 0.25), d => Math.min(straight(d.fingers[1]), straight(d.fingers[2]), straight(d.fingers[3]))],
+    G: [d => straight(d.fingers[0]), d => Math.min(folded(d.fingers[1]), folded(d.fingers[2]), folded(d.fingers[3])), d => pointingSide(d.index), d => above(d.thumbAngle, 140, 30), d => above(d.touch(4, 8), 0.25, 0.2)],
+    H: [d => Math.min(straight(d.fingers[0]), straight(d.fingers[1])), d => Math.min(folded(d.fingers[2]), folded(d.fingers[3])), d => pointingSide(d.index), d => below(d.touch(8, 12), 0.35, 0.2)],
+    I: [d => straight(d.fingers[3]), d => Math.min(folded(d.fingers[0]), folded(d.fingers[1]), folded(d.fingers[2])), d => above(d.knuckle, -0.1, 0.3), d => pointingUp(d.hand)],
+    K: [d => Math.min(straight(d.fingers[0]), straight(d.fingers[1])), d => Math.min(folded(d.fingers[2]), folded(d.fingers[3])), d => below(Math.min(d.touch(4, 10), d.touch(4, 6)), 0.45, 0.3), d => above(d.touch(8, 12), 0.3, 0.2), d => pointingUp(d.index)],
+    L: [d => straight(d.fingers[0]), d => Math.min(folded(d.fingers[1]), folded(d.fingers[2]), folded(d.fingers[3])), d => above(d.thumbAngle, 150, 25), d => below(d.thumb.x * d.index.x + d.thumb.y * d.index.y, 0.6, 0.3), d => pointingUp(d.index)],
+    M: [allFolded, d => above(d.knuckle, 0.62, 0.2), d => between(d.tipsY - d.local[4].y, -0.15, 0.15, 0.2)],
+    N: [allFolded, d => between(d.knuckle, 0.35, 0.62, 0.2), d => between(d.tipsY - d.local[4].y, -0.15, 0.15, 0.2)],
+    O: [d => Math.min(...d.fingers.map(curved)), d => below(d.touch(4, 8), 0.35, 0.25), d => below(d.touch(4, 12), 0.5, 0.3)],
+    P: [d => Math.min(straight(d.fingers[0]), curved(d.fingers[1])), d => Math.min(folded(d.fingers[2]), folded(d.fingers[3])), d => below(Math.min(d.touch(4, 10), d.touch(4, 6)), 0.5, 0.3), d => pointingDown(d.index)],
+    Q: [d => straight(d.fingers[0]), d => Math.min(folded(d.fingers[1]), folded(d.fingers[2]), folded(d.fingers[3])), d => above(d.thumbAngle, 130, 30), d => pointingDown(d.index)],
+    R: [d => Math.min(straight(d.fingers[0]), straight(d.fingers[1])), d => Math.min(folded(d.fingers[2]), folded(d.fingers[3])), d => below(d.local[8].x - d.local[12].x, -0.02, 0.1), d => pointingUp(d.index)],
+    S: [allFolded, d => between(d.knuckle, 0.1, 0.9, 0.3), d => below(d.tipsY - d.local[4].y, -0.12, 0.2)],
+    T: [allFolded, d => between(d.knuckle, -0.15, 0.35, 0.2), d => below(d.touch(4, 6), 0.4, 0.25), d => above(d.local[4].y, d.local[5].y, 0.3)],
+    U: [d => Math.min(straight(d.fingers[0]), straight(d.fingers[1])), d => Math.min(folded(d.fingers[2]), folded(d.fingers[3])), d => below(d.touch(8, 12), 0.3, 0.15), d => above(d.local[8].x - d.local[12].x, 0, 0.1), d => pointingUp(d.index)],
+    V: [d => Math.min(straight(d.fingers[0]), straight(d.fingers[1])), d => Math.min(folded(d.fingers[2]), folded(d.fingers[3])), d => above(d.touch(8, 12), 0.4, 0.2), d => above(Math.min(d.touch(4, 10), d.touch(4, 6)), 0.45, 0.3), d => pointingUp(d.index)],
+    W: [d => Math.min(straight(d.fingers[0]), straight(d.fingers[1]), straight(d.fingers[2])), d => folded(d.fingers[3])],
+    X: [d => hooked(d.fingers[0]), d => Math.min(folded(d.fingers[1]), folded(d.fingers[2]), folded(d.fingers[3])), d => pointingUp(d.hand)],
+    Y: [d => straight(d.fingers[3]), d => Math.min(folded(d.fingers[0]), folded(d.fingers[1]), folded(d.fingers[2])), d => above(d.thumbAngle, 140, 30), d => below(d.knuckle, -0.1, 0.3)]
+  };
+
+  // ---- static letter from one frame ----
+  // analysis: HandAnalysis.analyzeHand() for the same landmarks
+  // options.handedness: raw model label, used only for palm orientation
+  // returns { letter | null, confidence, candidates: [{letter, score}], palm }
+  function recognizeLetter(landmarks, analysis, options = {}) {
+    const d = describe(landmarks, analysis);
+    const candidates = STATIC_LETTERS.map(letter => ({
+      letter,
+      score: RULES[letter].reduce((s, rule) => s * rule(d), 1)
+    })).sort((a, b) => b.score - a.score);
+    const best = candidates[0];
+    const palm = palmFacing(landmarks, options.handedness);
+    // letters are signed palm-forward; the back of the hand halves the confidence
+    const confidence = best.score * (palm === 'away' ? 0.5 : 1);
+    return {
+      letter: confidence >= MIN_SCORE ? best.letter : null,
+      confidence,
+      candidates: candidates.slice(0, 3),
+      palm
+    };
+  }
+
+  // ---- J and Z from the fingertip path ----
+  // J: pinky (I hand shape) moves down, then hooks sideways
+  // Z: index alone draws across, diagonally back and down, then across again
+  const PATH_MS = 1500;
+  const STEP = 0.12; // path resampling step, in hand sizes
+  const MOVING = 0.25;
+  const MOVING_MS = 300;
+
+  function directions(path, size) {
+    const dirs = [];
+    let last = path[0];
+    for (const p of path) {
+      const dx = p.x - last.x, dy = p.y - last.y;
+      if (Math.hypot(dx, dy) < STEP * size) continue;
+      const a = Math.atan2(dy, dx);
+      dirs.push(Math.round(a / (Math.PI / 4)) & 7); // 0 = +x, 2 = down, 4 = -x, 6 = up
+      last = p;
+    }
+    // collapse runs, dropping single-step wobble
+    const runs = [];
+    for (const dir of dirs) {
+      const r = runs[runs.length - 1];
+      if (r && r.dir === dir) r.n++;
+      else runs.push({ dir, n: 1 });
+    }
+    return runs.filter(r => r.n > 1).reduce((out, r) => {
+      if (out.length && out[out.length - 1].dir === r.dir) out[out.length - 1].n += r.n;
+      else out.push({ ...r });
+      return out;
+    }, []);
+  }
+
+  function looksLikeZ(runs) {
+    const seq = runs.map(r => r.dir);
+    for (let i = 0; i + 2 < seq.length; i++) {
+      const [a, b, c] = seq.slice(i, i + 3);
+      if (a === 0 && b === 3 && c === 0) return true; // left-to-right Z
+      if (a === 4 && b === 1 && c === 4) return true; // mirrored view
+    }
+    return false;
+  }
+
+  function looksLikeJ(runs) {
+    const seq = runs.map(r => r.dir);
+    const down = seq.indexOf(2);
+    return down >= 0 && seq.slice(down + 1).some(d => d === 0 || d === 4 || d === 3 || d === 1 || d === 5 || d === 7);
+  }
+
+  class MotionLetters {
+    constructor() {
+      this.reset();
+    }
+
+    reset() {
+      this.shape = null; // 'I' | 'index'
+      this.path = [];
+      this.size = 0;
+    }
+
+    // the traced tip moved more than MOVING hand sizes in the last MOVING_MS;
+    // static letters should not commit mid-trace
+    moving(t) {
+      const recent = this.path.filter(p => t - p.t <= MOVING_MS);
+      if (recent.length < 2) return false;
+      const a = recent[0], b = recent[recent.length - 1];
+      return Math.hypot(b.x - a.x, b.y - a.y) > MOVING * this.size;
+    }
+
+    // returns 'J', 'Z' or null
+    push(landmarks, staticLetter, analysis, t) {
+      const ext = analysis.extended;
+      const shape = staticLetter === 'I' || (ext[4] && !ext[1] && !ext[2] && !ext[3]) ? 'I'
+        : ext[1] && !ext[2] && !ext[3] && !ext[4] ? 'index' : null;
+      if (shape !== this.shape) {
+        this.shape = shape;
+        this.path = [];
+      }
+      if (!shape) return null;
+      const tip = landmarks[shape === 'I' ? 20 : 8];
+      this.path.push({ x: tip.x, y: tip.y, t });
+      while (this.path.length && t - this.path[0].t > PATH_MS) this.path.shift();
+
+      this.size = Gestures.handSize(landmarks);
+      const runs = directions(this.path, this.size);
+      const letter = shape === 'I' ? (looksLikeJ(runs) ? 'J' : null) : (looksLikeZ(runs) ? 'Z' : null);
+      if (letter) this.path = [];
+      return letter;
+    }
+  }
+
+  // ---- word assembly ----
+  // feed(frame) with { letter, confidence } for the frame or a control
+  // symbol ('space' | 'backspace'); a symbol commits after holdMs of the
+  // same reading and must be let go (releaseMs of something else) before it
+  // can commit again, so double letters need a short release in between.
+  // Motion letters commit immediately.
+  const DEFAULT_SPELLER = { holdMs: 800, releaseMs: 250, maxLength: 500 };
+
+  class Speller {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_SPELLER, ...options };
+      this.text = '';
+      this.reset();
+    }
+
+    reset() {
+      this.candidate = null; // symbol being held
+      this.since = 0;
+      this.committed = null; // last committed symbol, until released
+      this.otherSince = null;
+    }
+
+    clear() {
+      this.text = '';
+      this.reset();
+    }
+
+    _apply(symbol) {
+      if (symbol === 'backspace') this.text = this.text.slice(0, -1);
+      else if (symbol === 'space') {
+        if (this.text && !this.text.endsWith(' ')) this.text += ' ';
+      } else if (this.text.length < this.options.maxLength) this.text += symbol;
+    }
+
+    // symbol: letter, 'space', 'backspace' or null; motion: true for J/Z
+    // returns { symbol, progress (0..1 of the hold), committed (symbol or null) }
+    feed(symbol, t, motion = false) {
+      const o = this.options;
+      if (motion && symbol) {
+        this._apply(symbol);
+        this.committed = symbol;
+        this.candidate = symbol;
+        this.since = t;
+        return { symbol, progress: 1, committed: symbol };
+      }
+
+      // release tracking for the last committed symbol
+      if (this.committed && symbol !== this.committed) {
+        if (this.otherSince === null) this.otherSince = t;
+        if (t - this.otherSince >= o.releaseMs) this.committed = null;
+      } else this.otherSince = null;
+
+      if (symbol !== this.candidate) {
+        this.candidate = symbol;
+        this.since = t;
+      }
+      if (!symbol || symbol === this.committed) return { symbol, progress: 0, committed: null };
+
+      const progress = Math.min(1, (t - this.since) / o.holdMs);
+      if (progress < 1) return { symbol, progress, committed: null };
+      this._apply(symbol);
+      this.committed = symbol;
+      this.otherSince = null;
+      return { symbol, progress: 1, committed: symbol };
+    }
+  }
+
+  // symbol for one frame: control gestures first, then J/Z, then the static letter
+  // gesture: Gestures.recognizeGesture() result for the same frame
+  function controlSymbol(gesture) {
+    if (!gesture) return null;
+    if (gesture.name === 'open_palm') return 'space';
+    if (gesture.name === 'thumbs_down') return 'backspace';
+    return null;
+  }
+
+  return {
+    STATIC_LETTERS,
+    MOTION_LETTERS,
+    MIN_SCORE,
+    describe,
+    recognizeLetter,
+    controlSymbol,
+    MotionLetters,
+    Speller
+  };
+});
@@ -0,0 +1,197 @@
+// calibration-ui.js
+// Profile picker + guided calibration wizard shared by both apps (browser only).
+//   CalibrationUI.attach(container, overlayHost, { onProfileChange(profile) })
+// The app calls ui.feed(analysis) every frame with the first tracked hand's
+// analysis (or null when no hand is visible) and ui.profile for the active
+// thresholds.
+
+(function (root) {
+  'use strict';
+
+  const READY_MS = 1500;   // hold still before capture starts
+  const CAPTURE_MS = 1500; // capture window per step
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function attach(container, overlayHost, hooks = {}) {
+    const store = Calibration.ProfileStore;
+    let profile = store.active();
+    let wizard = null; // { stepIndex, phase, phaseStart, samples }
+
+    // ---- profile controls ----
+    const select = el('select', { 'aria-label': 'Calibration profile' });
+    const btnCalibrate = el('button', { type: 'button' }, 'Calibrate');
+    const btnExport = el('button', { type: 'button' }, 'Export');
+    const importLabel = el('label', { class: 'file-btn' }, 'Import…');
+    const importInput = el('input', { type: 'file', accept: '.json,application/json' });
+    importLabel.appendChild(importInput);
+    const btnDelete = el('button', { type: 'button' }, 'Delete');
+    container.append(el('span', { class: 'label' }, 'Profile:'), select, btnCalibrate, btnExport, importLabel, btnDelete);
+
+    // ---- wizard overlay ----
+    const overlay = el('div', { class: 'calibration-overlay', hidden: '' });
+    const title = el('div', { class: 'cal-title' });
+    const prompt = el('div', { class: 'cal-prompt' });
+    const bar = el('div', { class: 'cal-bar' });
+    const barFill = el('div', { class: 'cal-bar-fill' });
+    bar.appendChild(barFill);
+    const result = el('div', { class: 'cal-result' });
+    const actions = el('div', { class: 'cal-actions' });
+    overlay.append(title, prompt, bar, result, actions);
+    overlayHost.appendChild(overlay);
+
+    function setProfile(p) {
+      profile = p;
+      store.setActive(p === Calibration.DEFAULT_PROFILE ? null : p.name);
+      refreshSelect();
+      if (hooks.onProfileChange) hooks.onProfileChange(profile);
+    }
+
+    function refreshSelect() {
+      select.innerHTML = '';
+      select.appendChild(el('option', { value: '' }, Calibration.DEFAULT_PROFILE.name));
+      for (const p of store.list()) {
+        const opt = el('option', { value: p.name }, p.name);
+        if (p.name === profile.name) opt.selected = true;
+        select.appendChild(opt);
+      }
+      const custom = profile !== Calibration.DEFAULT_PROFILE;
+      btnExport.disabled = btnDelete.disabled = !custom;
+    }
+
+    select.addEventListener('change', () => {
+      setProfile(store.list().find(p => p.name === select.value) || Calibration.DEFAULT_PROFILE);
+    });
+    btnExport.addEventListener('click', () => {
+      const json = store.exportJSON(profile.name);
+      if (json) Session.download(`calibration-${profile.name.replace(/\W+/g, '_')}.json`, json, 'application/json');
+    });
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        setProfile(store.importJSON(await file.text()));
+      } catch (e) {
+        alert('Could not import profile: ' + e.message);
+      }
+    });
+    btnDelete.addEventListener('click', () => {
+      if (profile === Calibration.DEFAULT_PROFILE) return;
+      if (!confirm(`Delete calibration profile "${profile.name}"?`)) return;
+      store.remove(profile.name);
+      setProfile(Calibration.DEFAULT_PROFILE);
+    });
+
+    // ---- wizard flow ----
+    function button(text, onClick) {
+      const b = el('button', { type: 'button' }, text);
+      b.addEventListener('click', onClick);
+      return b;
+    }
+
+    function startWizard() {
+      wizard = { stepIndex: 0, phase: 'ready', phaseStart: 0, samples: {} };
+      overlay.hidden = false;
+      result.innerHTML = '';
+      actions.innerHTML = '';
+      actions.appendChild(button('Cancel', closeWizard));
+      bar.hidden = false;
+      showStep();
+    }
+
+    function closeWizard() {
+      wizard = null;
+      overlay.hidden = true;
+    }
+
+    function showStep() {
+      const step = Calibration.STEPS[wizard.stepIndex];
+      title.textContent = `Calibration ${wizard.stepIndex + 1}/${Calibration.STEPS.length}`;
+      prompt.textContent = step.prompt;
+      barFill.style.width = '0%';
+    }
+
+    function finishWizard() {
+      const { profile: derived, warnings } = Calibration.deriveProfile(wizard.samples, `Calibrated ${new Date().toLocaleDateString()}`);
+      wizard = null;
+      title.textContent = 'Calibration done';
+      prompt.textContent = 'Thresholds (degrees, ± hysteresis):';
+      bar.hidden = true;
+      result.innerHTML = '';
+      derived.thresholds.forEach((t, i) => {
+        result.appendChild(el('div', {}, `${HandAnalysis.FINGERS[i]}: ${t}° ± ${derived.hysteresis[i]}°`));
+      });
+      for (const w of warnings) result.appendChild(el('div', { class: 'cal-warning' }, w));
+
+      const nameInput = el('input', { value: derived.name, 'aria-label': 'Profile name' });
+      actions.innerHTML = '';
+      actions.append(nameInput, button('Save & use', () => {
+        try {
+          setProfile(store.save({ ...derived, name: nameInput.value }));
+          overlay.hidden = true;
+        } catch (e) {
+          alert(e.message);
+        }
+      }), button('Discard', () => { overlay.hidden = true; }));
+    }
+
+    btnCalibrate.addEventListener('click', startWizard);
+
+    // called by the app every frame
+    function feed(analysis, now = performance.now()) {
+      if (!wizard) return;
+      if (!analysis) {
+        // restart the current step when the hand leaves the frame
+        wizard.phase = 'ready';
+        wizard.phaseStart = 0;
+        barFill.style.width = '0%';
+        prompt.textContent = `${Calibration.STEPS[wizard.stepIndex].prompt} — show your hand`;
+        return;
+      }
+      const step = Calibration.STEPS[wizard.stepIndex];
+      if (!wizard.phaseStart) {
+        wizard.phaseStart = now;
+        prompt.textContent = step.prompt;
+      }
+      const elapsed = now - wizard.phaseStart;
+
+      if (wizard.phase === 'ready') {
+        barFill.style.width = `${Math.min(100, elapsed / READY_MS * 100)}%`;
+        barFill.classList.remove('capturing');
+        if (elapsed >= READY_MS) {
+          wizard.phase = 'capture';
+          wizard.phaseStart = now;
+          wizard.samples[step.id] = [];
+        }
+        return;
+      }
+
+      wizard.samples[step.id].push(analysis.extensionAngles.slice());
+      barFill.classList.add('capturing');
+      barFill.style.width = `${Math.min(100, elapsed / CAPTURE_MS * 100)}%`;
+      if (elapsed >= CAPTURE_MS) {
+        wizard.stepIndex++;
+        wizard.phase = 'ready';
+        wizard.phaseStart = 0;
+        if (wizard.stepIndex >= Calibration.STEPS.length) finishWizard();
+        else showStep();
+      }
+    }
+
+    refreshSelect();
+
+    return {
+      feed,
+      get profile() { return profile; },
+      get calibrating() { return !!wizard; }
+    };
+  }
+
+  root.CalibrationUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
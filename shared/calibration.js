@@ -0,0 +1,164 @@
+// calibration.js
+// Per-user finger-extension thresholds derived from a guided capture.
+// Browser global `Calibration`, Node: require('../shared/calibration').
+//
+// The wizard records analyzeHand().extensionAngles while the user holds a
+// fist, an open hand and each finger on its own. For every finger the angles
+// seen while it was folded and while it was extended give a threshold halfway
+// between the two clusters and a hysteresis band sized to the gap.
+// Profiles live in localStorage and can be exported/imported as JSON.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'));
+  else root.Calibration = factory(root.HandAnalysis);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis) {
+  'use strict';
+
+  const PROFILE_VERSION = 1;
+  const STORAGE_KEY = 'fingerTrack.calibration.profiles';
+  const ACTIVE_KEY = 'fingerTrack.calibration.active';
+
+  // capture steps; `extended` says which fingers should be straight
+  const STEPS = [
+    { id: 'fist', prompt: 'Make a fist', extended: [false, false, false, false, false] },
+    { id: 'open', prompt: 'Open your hand, fingers straight', extended: [true, true, true, true, true] },
+    { id: 'thumb', prompt: 'Thumb only', extended: [true, false, false, false, false] },
+    { id: 'index', prompt: 'Index finger only', extended: [false, true, false, false, false] },
+    { id: 'middle', prompt: 'Middle finger only (others folded as far as you can)', extended: [false, false, true, false, false] },
+    { id: 'ring', prompt: 'Ring finger only (others folded as far as you can)', extended: [false, false, false, true, false] },
+    { id: 'pinky', prompt: 'Little finger only', extended: [false, false, false, false, true] }
+  ];
+
+  const MIN_HYSTERESIS = 2;
+  const MAX_HYSTERESIS = 12;
+
+  const DEFAULT_PROFILE = {
+    version: PROFILE_VERSION,
+    name: 'Default',
+    thresholds: HandAnalysis.DEFAULT_THRESHOLDS.slice(),
+    hysteresis: [0, 0, 0, 0, 0]
+  };
+
+  function quantile(values, q) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  // ---- derive a profile from captured angles ----
+  // samples: { [stepId]: [extensionAngles[5], ...] }
+  // returns { profile, warnings }
+  function deriveProfile(samples, name = 'Calibrated') {
+    const thresholds = [], hysteresis = [], stats = [];
+    const warnings = [];
+
+    for (let f = 0; f < 5; f++) {
+      const folded = [], straight = [];
+      for (const step of STEPS) {
+        for (const angles of samples[step.id] || []) {
+          (step.extended[f] ? straight : folded).push(angles[f]);
+        }
+      }
+      const finger = HandAnalysis.FINGERS[f];
+      if (!folded.length || !straight.length) {
+        warnings.push(`${finger}: not enough samples, keeping default`);
+        thresholds.push(DEFAULT_PROFILE.thresholds[f]);
+        hysteresis.push(0);
+        stats.push(null);
+        continue;
+      }
+
+      // robust edges of each cluster
+      const foldedHigh = quantile(folded, 0.9);
+      const straightLow = quantile(straight, 0.1);
+      const gap = straightLow - foldedHigh;
+      stats.push({ foldedHigh, straightLow });
+      if (gap <= 0) {
+        warnings.push(`${finger}: folded and extended angles overlap, keeping default`);
+        thresholds.push(DEFAULT_PROFILE.thresholds[f]);
+        hysteresis.push(0);
+        continue;
+      }
+      thresholds.push(Math.round((foldedHigh + straightLow) / 2 * 10) / 10);
+      hysteresis.push(Math.round(Math.max(MIN_HYSTERESIS, Math.min(MAX_HYSTERESIS, gap / 4)) * 10) / 10);
+    }
+
+    return {
+      profile: { version: PROFILE_VERSION, name, createdAt: new Date().toISOString(), thresholds, hysteresis, stats },
+      warnings
+    };
+  }
+
+  // ---- options for HandAnalysis.analyzeHand / Gestures.recognizeGesture ----
+  function analysisOptions(profile, previous) {
+    const p = profile || DEFAULT_PROFILE;
+    return { thresholds: p.thresholds, hysteresis: p.hysteresis, previous };
+  }
+
+  function validateProfile(p) {
+    const okArray = a => Array.isArray(a) && a.length === 5 && a.every(Number.isFinite);
+    if (!p || typeof p.name !== 'string' || !p.name.trim()) throw new Error('Profile needs a name');
+    if (!okArray(p.thresholds)) throw new Error('Profile needs 5 numeric thresholds');
+    if (p.hysteresis != null && !okArray(p.hysteresis)) throw new Error('Profile hysteresis must be 5 numbers');
+    if (p.thresholds.some(t => t <= 0 || t >= 180)) throw new Error('Thresholds must be between 0 and 180 degrees');
+    return {
+      version: PROFILE_VERSION,
+      name: p.name.trim().slice(0, 60),
+      createdAt: p.createdAt || new Date().toISOString(),
+      thresholds: p.thresholds.slice(),
+      hysteresis: (p.hysteresis || [0, 0, 0, 0, 0]).slice(),
+      stats: p.stats || null
+    };
+  }
+
+  // ---- localStorage-backed profile store (browser) ----
+  const ProfileStore = {
+    list() {
+      try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+      } catch (e) {
+        return [];
+      }
+    },
+    save(profile) {
+      const p = validateProfile(profile);
+      const profiles = this.list().filter(x => x.name !== p.name);
+      profiles.push(p);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+      return p;
+    },
+    remove(name) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.list().filter(x => x.name !== name)));
+      if (this.activeName() === name) this.setActive(null);
+    },
+    activeName() {
+      return localStorage.getItem(ACTIVE_KEY);
+    },
+    setActive(name) {
+      if (name) localStorage.setItem(ACTIVE_KEY, name);
+      else localStorage.removeItem(ACTIVE_KEY);
+    },
+    // the active profile, or the default one
+    active() {
+      const name = this.activeName();
+      return this.list().find(p => p.name === name) || DEFAULT_PROFILE;
+    },
+    exportJSON(name) {
+      const p = this.list().find(x => x.name === name);
+      return p ? JSON.stringify(p, null, 2) : null;
+    },
+    importJSON(text) {
+      return this.save(JSON.parse(text));
+    }
+  };
+
+  return {
+    STEPS,
+    DEFAULT_PROFILE,
+    deriveProfile,
+    analysisOptions,
+    validateProfile,
+    ProfileStore
+  };
+});
@@ -0,0 +1,174 @@
+// capture-ui.js
+// Snapshot and clip controls shared by both apps (browser only).
+//   CaptureUI.attach(container, compositor, { source: 'v2' })
+// Snapshot saves the composited view (see compositor.js) as PNG. Record
+// captures it with MediaRecorder to WebM, showing the elapsed time; the
+// finished clip can be downloaded or uploaded to /api/recordings, or
+// uploaded as soon as recording stops. Clips stop on their own after
+// MAX_CLIP_MS.
+
+(function (root) {
+  'use strict';
+
+  const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  const FPS = 30;
+  const MAX_CLIP_MS = 10 * 60 * 1000;
+  const TIMER_MS = 250;
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function fmt(ms) {
+    const s = Math.floor(ms / 1000);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  function stamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+  }
+
+  function mimeType() {
+    return MIME_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || '';
+  }
+
+  function attach(container, compositor, options = {}) {
+    const source = options.source || 'unknown';
+    const canRecord = typeof MediaRecorder !== 'undefined' && typeof compositor.canvas.captureStream === 'function';
+    let recorder = null;
+    let chunks = [];
+    let startedAt = 0;
+    let timer = null;
+    let clip = null;   // { blob, durationMs, name }
+
+    const btnSnapshot = el('button', { type: 'button', title: 'Save the video with the overlay as PNG' }, 'Snapshot');
+    const btnRecord = el('button', { type: 'button' }, '● Record clip');
+    const timeEl = el('span', { class: 'capture-time' }, '0:00');
+    const btnDownload = el('button', { type: 'button', disabled: '' }, 'Download WebM');
+    const btnUpload = el('button', { type: 'button', disabled: '', title: 'Store on the server (/api/recordings)' }, 'Upload');
+    const autoLabel = el('label', { class: 'check' });
+    const autoUpload = el('input', { type: 'checkbox' });
+    autoLabel.append(autoUpload, 'Upload when stopped');
+    container.append(el('span', { class: 'label' }, 'Capture:'), btnSnapshot, btnRecord, timeEl, btnDownload, btnUpload, autoLabel);
+    if (!canRecord) {
+      btnRecord.disabled = true;
+      btnRecord.title = 'This browser cannot record a canvas (MediaRecorder / captureStream)';
+    }
+
+    btnSnapshot.addEventListener('click', async () => {
+      try {
+        Session.download(`snapshot-${stamp()}.png`, await compositor.snapshot(), 'image/png');
+      } catch (e) {
+        console.error(e);
+        alert('Snapshot failed: ' + e.message);
+      }
+    });
+
+    function tick() {
+      const elapsed = performance.now() - startedAt;
+      timeEl.textContent = fmt(elapsed);
+      if (elapsed >= MAX_CLIP_MS) stop();
+    }
+
+    function start() {
+      const type = mimeType();
+      compositor.start();
+      recorder = new MediaRecorder(compositor.captureStream(FPS), type ? { mimeType: type } : undefined);
+      chunks = [];
+      recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size) chunks.push(e.data);
+      });
+      recorder.addEventListener('stop', finish);
+      recorder.start(1000);
+      startedAt = performance.now();
+      timer = setInterval(tick, TIMER_MS);
+      timeEl.textContent = '0:00';
+      timeEl.classList.add('recording');
+      btnRecord.textContent = '■ Stop';
+      btnRecord.classList.add('recording');
+      btnDownload.disabled = btnUpload.disabled = true;
+    }
+
+    function stop() {
+      if (!recorder || recorder.state === 'inactive') return;
+      clearInterval(timer);
+      recorder.stop();
+    }
+
+    function finish() {
+      const durationMs = performance.now() - startedAt;
+      recorder.stream.getTracks().forEach(t => t.stop());
+      recorder = null;
+      compositor.stop();
+      timeEl.classList.remove('recording');
+      timeEl.textContent = fmt(durationMs);
+      btnRecord.textContent = '● Record clip';
+      btnRecord.classList.remove('recording');
+      clip = chunks.length ? { blob: new Blob(chunks, { type: 'video/webm' }), durationMs, name: `clip-${stamp()}` } : null;
+      chunks = [];
+      btnDownload.disabled = btnUpload.disabled = !clip;
+      btnUpload.textContent = 'Upload';
+      btnUpload.title = 'Store on the server (/api/recordings)';
+      if (clip && autoUpload.checked) upload(clip.name);
+    }
+
+    btnRecord.addEventListener('click', () => {
+      if (recorder) stop();
+      else {
+        try {
+          start();
+        } catch (e) {
+          console.error(e);
+          compositor.stop();
+          recorder = null;
+          alert('Could not start recording: ' + e.message);
+        }
+      }
+    });
+
+    btnDownload.addEventListener('click', () => {
+      if (clip) Session.download(`${clip.name}.webm`, clip.blob, 'video/webm');
+    });
+
+    async function upload(name) {
+      const current = clip;
+      btnUpload.disabled = true;
+      btnUpload.textContent = 'Uploading…';
+      try {
+        const query = `name=${encodeURIComponent(name)}&source=${encodeURIComponent(source)}&durationMs=${Math.round(current.durationMs)}`;
+        const res = await fetch(`/api/recordings?${query}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'video/webm' },
+          body: current.blob
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error);
+        btnUpload.textContent = 'Uploaded ✓';
+        btnUpload.title = `Stored as /api/recordings/${body.id}`;
+      } catch (e) {
+        console.error(e);
+        btnUpload.textContent = 'Upload';
+        btnUpload.disabled = false;
+        alert('Upload failed: ' + e.message);
+      }
+    }
+
+    btnUpload.addEventListener('click', () => {
+      if (!clip) return;
+      const name = prompt('Recording name', clip.name);
+      if (name !== null) upload(name);
+    });
+
+    return {
+      snapshot: () => btnSnapshot.click(),
+      toggleRecording: () => btnRecord.click(),
+      get recording() { return !!recorder; },
+      get lastClip() { return clip; }
+    };
+  }
+
+  root.CaptureUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,134 @@
+// compositor.js
+// Renders the camera video, the overlay canvas and a caption (the page's
+// count / handedness / gesture text) into one canvas, for PNG snapshots and
+// WebM clips (browser only).
+//   const comp = new Compositor({ source: canvas, video, caption: () => [...] });
+//   comp.render();                  // one composited frame
+//   const blob = await comp.snapshot();
+//   comp.captureStream(30);         // MediaStream for MediaRecorder
+//
+// The output has the overlay canvas's pixel size. Pages that copy the video
+// into the overlay themselves (v1, replay, file analysis) pass no video or
+// return false from showVideo(); the overlay's own mirroring is already in
+// its pixels, so only the separate <video> is flipped by mirrorVideo().
+
+(function (root) {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    video: null,               // <video> drawn under the overlay
+    showVideo: () => true,     // false while the overlay draws the frame itself
+    mirrorVideo: () => false,  // selfie view: the <video> is flipped with CSS
+    caption: () => [],         // lines of text for the bottom-left box
+    timestamp: true            // wall-clock time in the top-right corner
+  };
+
+  class Compositor {
+    // options: DEFAULT_OPTIONS plus { source } (the overlay canvas, required)
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.source = options.source;
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d');
+      this._raf = null;
+    }
+
+    setOptions(options = {}) {
+      this.options = { ...this.options, ...options };
+    }
+
+    render() {
+      const { canvas, ctx, source } = this;
+      const o = this.options;
+      const width = source.width || 640, height = source.height || 480;
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, width, height);
+
+      const video = o.video;
+      if (video && o.showVideo() && video.readyState >= 2) {
+        ctx.save();
+        if (o.mirrorVideo()) {
+          ctx.translate(width, 0);
+          ctx.scale(-1, 1);
+        }
+        ctx.drawImage(video, 0, 0, width, height);
+        ctx.restore();
+      }
+      ctx.drawImage(source, 0, 0, width, height);
+
+      this._caption(o.caption().filter(Boolean), width, height);
+      if (o.timestamp) this._timestamp(width);
+      return canvas;
+    }
+
+    _caption(lines, width, height) {
+      if (!lines.length) return;
+      const { ctx } = this;
+      const size = Math.max(12, Math.round(height / 28));
+      const pad = Math.round(size / 2), lineHeight = Math.round(size * 1.3);
+      ctx.font = `600 ${size}px sans-serif`;
+      const boxW = Math.min(width - 2 * pad, Math.max(...lines.map(l => ctx.measureText(l).width)) + 2 * pad);
+      const boxH = lines.length * lineHeight + pad;
+      const y0 = height - pad - boxH;
+      ctx.fillStyle = 'rgba(0,0,0,0.6)';
+      ctx.fillRect(pad, y0, boxW, boxH);
+      ctx.fillStyle = '#fff';
+      ctx.textBaseline = 'top';
+      lines.forEach((line, i) => ctx.fillText(line, 2 * pad, y0 + pad / 2 + i * lineHeight + (lineHeight - size) / 2, boxW - 2 * pad));
+      ctx.textBaseline = 'alphabetic';
+    }
+
+    _timestamp(width) {
+      const { ctx } = this;
+      const size = Math.max(10, Math.round(this.canvas.height / 40));
+      const text = new Date().toLocaleString();
+      ctx.font = `${size}px monospace`;
+      const w = ctx.measureText(text).width;
+      ctx.fillStyle = 'rgba(0,0,0,0.6)';
+      ctx.fillRect(width - w - size * 1.5, size / 2, w + size, size * 1.5);
+      ctx.fillStyle = '#ddd';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(text, width - w - size, size * 1.25);
+      ctx.textBaseline = 'alphabetic';
+    }
+
+    // PNG of the current view
+    snapshot(type = 'image/png') {
+      this.render();
+      return new Promise((resolve, reject) => {
+        this.canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the snapshot')), type);
+      });
+    }
+
+    // keep rendering every animation frame (while recording)
+    start() {
+      if (this._raf !== null) return;
+      const loop = () => {
+        this.render();
+        this._raf = requestAnimationFrame(loop);
+      };
+      loop();
+    }
+
+    stop() {
+      if (this._raf !== null) cancelAnimationFrame(this._raf);
+      this._raf = null;
+    }
+
+    get running() {
+      return this._raf !== null;
+    }
+
+    captureStream(fps = 30) {
+      this.render();
+      return this.canvas.captureStream(fps);
+    }
+  }
+
+  Compositor.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+  root.Compositor = Compositor;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,74 @@
+// detector-worker.js
+// Web Worker side of Detectors' worker mode (see WorkerDetector in
+// detectors.js): runs a backend off the main thread so slow inference
+// cannot stall the page.
+//
+// Messages in (each with an id, answered with the same id):
+//   { type: 'init', backend, options, scripts }   load scripts, create the detector
+//   { type: 'estimate', bitmap, t, scale }        ImageBitmap (transferred) or null
+//   { type: 'options', options }
+//   { type: 'close' }
+// Answers: { type: 'ready' | 'result' | 'done' | 'error', id, ... }.
+// Frames are scaled on an OffscreenCanvas before detection; landmarks are
+// normalized, so the scale never shows in the output.
+
+/* global importScripts, Detectors */
+'use strict';
+
+let detector = null;
+let canvas = null;
+let ctx = null;
+
+function scaled(bitmap, scale) {
+  if (scale >= 1 || typeof OffscreenCanvas === 'undefined') return bitmap;
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d');
+  }
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return canvas.transferToImageBitmap();
+}
+
+async function handle(msg) {
+  switch (msg.type) {
+    case 'init':
+      importScripts(...msg.scripts, 'detectors.js');
+      detector = await Detectors.create(msg.backend, msg.options);
+      return { type: 'ready', label: detector.label, width: detector.width || 0, height: detector.height || 0 };
+    case 'estimate': {
+      const input = msg.bitmap ? scaled(msg.bitmap, msg.scale || 1) : null;
+      try {
+        return { type: 'result', hands: await detector.estimate(input, msg.t) };
+      } finally {
+        if (input) input.close();
+      }
+    }
+    case 'options':
+      await detector.setOptions(msg.options);
+      return { type: 'done' };
+    case 'close':
+      if (detector) detector.close();
+      detector = null;
+      self.close();
+      return { type: 'done' };
+    default:
+      throw new Error(`Unknown message ${msg.type}`);
+  }
+}
+
+self.onmessage = async ({ data: msg }) => {
+  let reply;
+  try {
+    reply = await handle(msg);
+  } catch (e) {
+    reply = { type: 'error', message: e.message };
+  }
+  self.postMessage({ ...reply, id: msg.id });
+};
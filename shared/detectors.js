@@ -0,0 +1,441 @@
+// detectors.js
+// Common hand-detector interface over the supported backends.
+// Browser global `Detectors`, Node: require('../shared/detectors') (mock only).
+//
+// Every backend resolves estimate(input, timestamp) to the same shape:
+//   [{ landmarks: [{x, y, z} x21], handedness: 'Left'|'Right'|'Unknown', score }]
+// with x/y normalized to [0..1] of the input frame and z on the same scale
+// as x, relative to the wrist (MediaPipe convention). Handedness is the raw
+// model label; apps apply their own mirror/selfie flip.
+//
+// Backends (pick with ?backend=<name>, model size with ?model=lite|full):
+//   mediapipe-hands   MediaPipe Hands solution (@mediapipe/hands)
+//   tfjs-mediapipe    hand-pose-detection, MediaPipe (wasm) runtime
+//   tfjs-tfjs         hand-pose-detection, TF.js (WebGL) runtime
+//   mock              scripted hands, no camera or GPU needed
+//
+// With options.worker, backends that do not need the DOM (tfjs-tfjs, mock)
+// run in a Web Worker (detector-worker.js) behind the same interface; the
+// others, or browsers without Worker/OffscreenCanvas, stay on the main
+// thread. detector.inWorker says which. estimate() also takes { scale }:
+// the worker downsizes frames itself, main-thread callers pass a smaller
+// input instead.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Detectors = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TFJS_SCRIPTS = [
+    ['@tensorflow/tfjs-core', 'dist/tf-core.min.js'],
+    ['@tensorflow/tfjs-converter', 'dist/tf-converter.min.js'],
+    ['@tensorflow/tfjs-backend-webgl', 'dist/tf-backend-webgl.min.js']
+  ];
+
+  // vendor scripts (see vendor-loader.js) each backend needs on the page
+  const BACKENDS = {
+    'mediapipe-hands': { label: 'MediaPipe Hands', vendor: [['@mediapipe/hands', 'hands.js']] },
+    'tfjs-mediapipe': {
+      label: 'TF.js hand-pose-detection (mediapipe runtime)',
+      vendor: [...TFJS_SCRIPTS, ['@mediapipe/hands', 'hands.js'], ['@tensorflow-models/hand-pose-detection', 'dist/hand-pose-detection.min.js']]
+    },
+    'tfjs-tfjs': {
+      label: 'TF.js hand-pose-detection (tfjs runtime)',
+      vendor: [...TFJS_SCRIPTS, ['@tensorflow-models/hand-pose-detection', 'dist/hand-pose-detection.min.js']]
+    },
+    mock: { label: 'Mock (scripted)', vendor: [] }
+  };
+
+  // backends that can run in detector-worker.js (the MediaPipe runtimes need a document)
+  const WORKER_BACKENDS = ['tfjs-tfjs', 'mock'];
+  const WORKER_URL = '/shared/detector-worker.js';
+
+  function hasUrl() {
+    return typeof location !== 'undefined';
+  }
+
+  // backend name from ?backend=, falling back to the app's default
+  function backendFromUrl(fallback) {
+    const name = hasUrl() ? new URLSearchParams(location.search).get('backend') : null;
+    return BACKENDS[name] ? name : fallback;
+  }
+
+  // options common to all backends, from the page URL
+  function optionsFromUrl() {
+    if (!hasUrl()) return {};
+    const p = new URLSearchParams(location.search);
+    const opts = {};
+    if (p.get('model') === 'lite' || p.get('model') === 'full') opts.modelType = p.get('model');
+    if (p.get('maxHands')) opts.maxHands = Number(p.get('maxHands'));
+    if (p.get('script')) opts.scriptUrl = p.get('script');
+    if (p.get('detectorModelUrl')) opts.detectorModelUrl = p.get('detectorModelUrl');
+    if (p.get('landmarkModelUrl')) opts.landmarkModelUrl = p.get('landmarkModelUrl');
+    return opts;
+  }
+
+  function vendorScripts(name) {
+    return BACKENDS[name] ? BACKENDS[name].vendor : [];
+  }
+
+  // tfjs-tfjs model files, vendored under /vendor/models (see vendor-loader.js);
+  // resolved on the page since the worker has no VendorLoader
+  function withModelUrls(name, options) {
+    if (name !== 'tfjs-tfjs' || options.modelUrls || typeof VendorLoader === 'undefined') return options;
+    const modelUrls = {};
+    for (const part of ['detector', 'landmark']) {
+      modelUrls[part] = {};
+      for (const type of ['full', 'lite']) modelUrls[part][type] = VendorLoader.modelUrl(`handpose_3d/${part}/${type}`);
+    }
+    return { ...options, modelUrls };
+  }
+
+  function inputSize(input) {
+    if (!input) return { width: 0, height: 0 };
+    return {
+      width: input.videoWidth || input.width || 0,
+      height: input.videoHeight || input.height || 0
+    };
+  }
+
+  // ---- MediaPipe Hands solution ----
+  class MediaPipeHandsDetector {
+    constructor(options) {
+      this.name = 'mediapipe-hands';
+      this.needsInput = true;
+      this._last = [];
+      this.hands = new Hands({
+        locateFile: (file) => VendorLoader.url('@mediapipe/hands', file)
+      });
+      this.setOptions(options);
+      this.hands.onResults((results) => {
+        this._last = (results.multiHandLandmarks || []).map((landmarks, i) => ({
+          landmarks: landmarks.map(p => ({ x: p.x, y: p.y, z: p.z || 0 })),
+          handedness: results.multiHandedness?.[i]?.label || 'Unknown',
+          score: results.multiHandedness?.[i]?.score ?? null
+        }));
+      });
+    }
+
+    // applied live; omitted options keep their current values
+    setOptions(options = {}) {
+      const o = this.options = { ...this.options, ...options };
+      this.hands.setOptions({
+        maxNumHands: o.maxHands ?? 2,
+        modelComplexity: o.modelType === 'lite' ? 0 : 1,
+        minDetectionConfidence: o.minDetectionConfidence ?? 0.7,
+        minTrackingConfidence: o.minTrackingConfidence ?? 0.6
+      });
+    }
+
+    async init() {
+      await this.hands.initialize();
+    }
+
+    async estimate(input) {
+      this._last = [];
+      await this.hands.send({ image: input });
+      return this._last;
+    }
+
+    close() {
+      this.hands.close();
+    }
+  }
+
+  // ---- TF.js hand-pose-detection (mediapipe or tfjs runtime) ----
+  class HandPoseDetector {
+    constructor(runtime, options) {
+      this.name = `tfjs-${runtime}`;
+      this.runtime = runtime;
+      this.needsInput = true;
+      this.options = options;
+      this.detector = null;
+    }
+
+    async init() {
+      const o = this.options;
+      const config = {
+        runtime: this.runtime,
+        modelType: o.modelType || 'full',
+        maxHands: o.maxHands ?? 2
+      };
+      if (this.runtime === 'mediapipe') {
+        config.solutionPath = VendorLoader.url('@mediapipe/hands').replace(/\/$/, '');
+      } else {
+        await tf.setBackend('webgl');
+        await tf.ready();
+        const urls = o.modelUrls;
+        const detectorUrl = o.detectorModelUrl || (urls && urls.detector[config.modelType]);
+        const landmarkUrl = o.landmarkModelUrl || (urls && urls.landmark[config.modelType]);
+        if (detectorUrl) config.detectorModelUrl = detectorUrl;
+        if (landmarkUrl) config.landmarkModelUrl = landmarkUrl;
+      }
+      this.detector = await handPoseDetection.createDetector(handPoseDetection.SupportedModels.MediaPipeHands, config);
+    }
+
+    // recreating the detector is the only way to change the model or hand
+    // count; the confidence options do not apply to this API
+    async setOptions(options) {
+      const before = this.options;
+      this.options = { ...before, ...options };
+      if (this.options.modelType === before.modelType && this.options.maxHands === before.maxHands) return;
+      const old = this.detector;
+      await this.init();
+      if (old) old.dispose();
+    }
+
+    async estimate(input) {
+      const { width, height } = inputSize(input);
+      if (!width || !height) return [];
+      const hands = await this.detector.estimateHands(input, { flipHorizontal: false });
+      return hands.map(h => normalizeHandPose(h, width, height)).filter(Boolean);
+    }
+
+    close() {
+      if (this.detector) this.detector.dispose();
+    }
+  }
+
+  // pixel keypoints -> normalized landmarks; z from keypoints3D (metres),
+  // rescaled so wrist->middle-MCP has the same length as in the 2D frame
+  function normalizeHandPose(h, width, height) {
+    const kp = h.keypoints;
+    if (!kp || kp.length !== 21) return null;
+    const landmarks = kp.map(k => ({ x: k.x / width, y: k.y / height, z: 0 }));
+    const k3 = h.keypoints3D;
+    if (k3 && k3.length === 21) {
+      const len2d = Math.hypot(landmarks[9].x - landmarks[0].x, landmarks[9].y - landmarks[0].y);
+      const len3d = Math.hypot(k3[9].x - k3[0].x, k3[9].y - k3[0].y, (k3[9].z || 0) - (k3[0].z || 0));
+      const scale = len3d ? len2d / len3d : 0;
+      for (let i = 0; i < 21; i++) landmarks[i].z = ((k3[i].z || 0) - (k3[0].z || 0)) * scale;
+    }
+    // 0.0.x builds returned [{label, score}], 2.x returns a plain string
+    const handedness = Array.isArray(h.handedness) ? h.handedness[0]?.label : h.handedness;
+    return { landmarks, handedness: handedness || 'Unknown', score: h.score ?? null };
+  }
+
+  // ---- synthetic hands for the mock backend ----
+  // extended: [thumb..pinky] booleans; center: palm center (normalized);
+  // size: wrist -> middle MCP length; handedness: model-style label
+  // ('Left' puts the thumb on the image's right, as MediaPipe labels an
+  // unmirrored right hand)
+  function syntheticHand({ extended, center = { x: 0.5, y: 0.55 }, size = 0.18, handedness = 'Left', tilt = 0 }) {
+    const side = handedness === 'Left' ? 1 : -1;
+    const cos = Math.cos(tilt), sin = Math.sin(tilt);
+    const pts = [];
+    // build in a local frame: x across the palm (thumb side positive), y up the fingers
+    const local = [];
+    local.push([0, -0.55]); // wrist
+    // thumb: CMC, MCP, IP, TIP
+    if (extended[0]) local.push([0.28, -0.4], [0.5, -0.2], [0.68, -0.05], [0.84, 0.08]);
+    else local.push([0.28, -0.4], [0.38, -0.2], [0.3, -0.02], [0.14, 0.02]);
+    const bases = [0.22, 0.02, -0.18, -0.36];
+    const lengths = [0.42, 0.46, 0.42, 0.34];
+    for (let f = 0; f < 4; f++) {
+      const bx = bases[f], by = f === 3 ? 0.4 : 0.45;
+      const l = lengths[f] / 3;
+      local.push([bx, by]);
+      if (extended[f + 1]) local.push([bx, by + l], [bx, by + 2 * l], [bx, by + 3 * l]);
+      else local.push([bx, by + l], [bx, by + l * 0.35], [bx, by - l * 0.1]);
+    }
+    for (let i = 0; i < local.length; i++) {
+      const [lx, ly] = local[i];
+      const ux = lx * side, uy = ly;
+      const rx = ux * cos - uy * sin, ry = ux * sin + uy * cos;
+      // folded finger segments come toward the camera
+      const curled = i > 0 && i % 4 !== 1 && !extended[Math.floor((i - 1) / 4)];
+      pts.push({ x: center.x + rx * size, y: center.y - ry * size, z: curled ? -0.03 : 0 });
+    }
+    return pts;
+  }
+
+  // default mock script: one hand cycling through counts 0..5 while drifting
+  const MOCK_POSES = [
+    [false, false, false, false, false],
+    [false, true, false, false, false],
+    [false, true, true, false, false],
+    [false, true, true, true, false],
+    [false, true, true, true, true],
+    [true, true, true, true, true]
+  ];
+  const MOCK_POSE_MS = 1500;
+
+  // ---- scripted mock ----
+  // options.frames: session-style frames [{ t, hands }] to loop over
+  // options.scriptUrl: URL of a recorded session JSON to load instead
+  class MockDetector {
+    constructor(options = {}) {
+      this.name = 'mock';
+      this.needsInput = false;
+      this.options = options;
+      this.frames = options.frames || null;
+      this.start = null;
+      this.width = options.width || 1280;
+      this.height = options.height || 720;
+    }
+
+    async init() {
+      if (!this.frames && this.options.scriptUrl) {
+        const res = await fetch(this.options.scriptUrl);
+        if (!res.ok) throw new Error(`Mock script ${this.options.scriptUrl}: HTTP ${res.status}`);
+        const session = await res.json();
+        this.frames = session.frames;
+        if (session.width) this.width = session.width;
+        if (session.height) this.height = session.height;
+      }
+    }
+
+    setOptions(options) {
+      this.options = { ...this.options, ...options };
+    }
+
+    estimate(input, timestamp = Date.now()) {
+      if (this.start === null) this.start = timestamp;
+      const elapsed = timestamp - this.start;
+      const maxHands = this.options.maxHands ?? 2;
+
+      if (this.frames && this.frames.length) {
+        const duration = this.frames[this.frames.length - 1].t || 1;
+        const t = elapsed % (duration + 1);
+        let frame = this.frames[0];
+        for (const f of this.frames) { if (f.t <= t) frame = f; else break; }
+        return Promise.resolve(frame.hands.slice(0, maxHands).map(h => ({
+          landmarks: h.landmarks.map(p => ({ x: p.x, y: p.y, z: p.z || 0 })),
+          handedness: h.handedness || 'Unknown',
+          score: h.score ?? 1
+        })));
+      }
+
+      const pose = MOCK_POSES[Math.floor(elapsed / MOCK_POSE_MS) % MOCK_POSES.length];
+      const phase = elapsed / 4000 * Math.PI * 2;
+      return Promise.resolve([{
+        landmarks: syntheticHand({ extended: pose, center: { x: 0.5 + 0.15 * Math.sin(phase), y: 0.55 } }),
+        handedness: 'Left',
+        score: 1
+      }]);
+    }
+
+    close() {}
+  }
+
+  // ---- worker proxy ----
+  function workerSupported() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+  }
+
+  class WorkerDetector {
+    constructor(name, options) {
+      this.name = name;
+      this.needsInput = name !== 'mock';
+      this.inWorker = true;
+      this.options = options;
+      this.worker = null;
+      this.width = 0;
+      this.height = 0;
+      this._calls = new Map(); // message id -> { resolve, reject }
+      this._nextId = 1;
+    }
+
+    _call(msg, transfer = []) {
+      if (!this.worker) return Promise.reject(new Error('Detector worker is closed'));
+      const id = this._nextId++;
+      return new Promise((resolve, reject) => {
+        this._calls.set(id, { resolve, reject });
+        this.worker.postMessage({ ...msg, id }, transfer);
+      });
+    }
+
+    _failAll(err) {
+      for (const c of this._calls.values()) c.reject(err);
+      this._calls.clear();
+    }
+
+    async init() {
+      const { worker, workerUrl, ...options } = this.options;
+      const base = hasUrl() ? location.href : undefined;
+      // the worker resolves relative URLs against its own script
+      if (options.scriptUrl) options.scriptUrl = new URL(options.scriptUrl, base).href;
+      const scripts = BACKENDS[this.name].vendor.map(([pkg, file]) => new URL(VendorLoader.url(pkg, file), base).href);
+      this.worker = new Worker(workerUrl || WORKER_URL);
+      this.worker.onmessage = ({ data }) => {
+        const call = this._calls.get(data.id);
+        if (!call) return;
+        this._calls.delete(data.id);
+        if (data.type === 'error') call.reject(new Error(data.message));
+        else call.resolve(data);
+      };
+      this.worker.onerror = (e) => {
+        e.preventDefault();
+        this._failAll(new Error(e.message || 'Detector worker failed'));
+      };
+      const info = await this._call({ type: 'init', backend: this.name, options, scripts });
+      this.width = info.width;
+      this.height = info.height;
+    }
+
+    setOptions(options) {
+      this.options = { ...this.options, ...options };
+      return this._call({ type: 'options', options });
+    }
+
+    // the frame is copied into an ImageBitmap and transferred, not cloned
+    async estimate(input, timestamp = Date.now(), { scale = 1 } = {}) {
+      let bitmap = null;
+      if (input) {
+        const { width, height } = inputSize(input);
+        if (!width || !height) return [];
+        bitmap = await createImageBitmap(input);
+      }
+      const reply = await this._call({ type: 'estimate', bitmap, t: timestamp, scale }, bitmap ? [bitmap] : []);
+      return reply.hands;
+    }
+
+    close() {
+      if (!this.worker) return;
+      this.worker.terminate();
+      this.worker = null;
+      this._failAll(new Error('Detector worker closed'));
+    }
+  }
+
+  // ---- factory ----
+  // options.worker: run in a Web Worker when the backend and browser allow it
+  async function create(name, options = {}) {
+    options = withModelUrls(name, options);
+    if (options.worker && WORKER_BACKENDS.includes(name) && workerSupported()) {
+      const detector = new WorkerDetector(name, options);
+      try {
+        await detector.init();
+        detector.label = BACKENDS[name].label;
+        return detector;
+      } catch (e) {
+        detector.close();
+        console.warn(`Worker inference unavailable (${e.message}); running ${name} on the main thread`);
+      }
+    }
+    let detector;
+    if (name === 'mediapipe-hands') detector = new MediaPipeHandsDetector(options);
+    else if (name === 'tfjs-mediapipe') detector = new HandPoseDetector('mediapipe', options);
+    else if (name === 'tfjs-tfjs') detector = new HandPoseDetector('tfjs', options);
+    else if (name === 'mock') detector = new MockDetector(options);
+    else throw new Error(`Unknown detector backend "${name}"`);
+    await detector.init();
+    detector.label = BACKENDS[name].label;
+    detector.inWorker = false;
+    return detector;
+  }
+
+  return {
+    BACKENDS,
+    WORKER_BACKENDS,
+    backendFromUrl,
+    optionsFromUrl,
+    vendorScripts,
+    create,
+    normalizeHandPose,
+    syntheticHand,
+    MockDetector,
+    WorkerDetector
+  };
+});
@@ -0,0 +1,222 @@
+// finger-tracker-overlay.js
+// Optional FingerTracker plugin that draws hands onto a canvas (browser only).
+//   const overlay = tracker.use(new FingerTrackerOverlay({ canvas, drawVideo: true }));
+//   overlay.addLayer((ctx, frame, size) => { ... }, { under: true });
+//
+// Every frame it sizes the canvas to the frame, optionally copies the video
+// in (for pages that hide the <video>; the file's frame during processVideo),
+// then draws per reported hand: the filtered skeleton, fingertips lit when
+// extended, and a "#id Left" label. With filterDebug on, the canvas shows two
+// panes side by side, the raw detector skeleton (red) on the left and the
+// filtered one on the right, each with the camera frame and its per-frame
+// jitter readout.
+// Landmarks are drawn inside the mirror transform when `mirror` is on; text
+// is always drawn unmirrored.
+//
+// Layers let the page add its own drawing: `under` layers go before the
+// hands, the rest after; `mirrored: false` layers are drawn in view
+// coordinates after the mirror transform is undone.
+
+(function (root) {
+  'use strict';
+
+  const CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],         // thumb
+    [0, 5], [5, 6], [6, 7], [7, 8],         // index
+    [0, 9], [9, 10], [10, 11], [11, 12],    // middle
+    [0, 13], [13, 14], [14, 15], [15, 16],  // ring
+    [0, 17], [17, 18], [18, 19], [19, 20]   // pinky
+  ];
+
+  const DEFAULT_OPTIONS = {
+    drawVideo: false,   // copy the camera frame into the canvas (black when there is none)
+    fit: 'fill',        // CSS size: 'fill' (100% of the parent) or 'video' (the <video> box)
+    skeleton: true,
+    labels: true,
+    filterDebug: false, // raw | filtered panes + px/frame jitter readout
+    mirror: false,
+    colors: {
+      bone: 'rgba(0,224,168,0.95)',
+      joint: 'rgba(255,255,255,0.12)',
+      tipOn: 'rgba(0,224,168,0.95)',
+      tipOff: 'rgba(255,255,255,0.1)',
+      raw: 'rgba(255,80,80,0.9)',
+      label: '#ffffff'
+    },
+    boneWidth: 3,
+    jointRadius: 3,
+    tipRadius: 7
+  };
+
+  class FingerTrackerOverlay {
+    // options: DEFAULT_OPTIONS plus { canvas } (required)
+    constructor(options = {}) {
+      this.canvas = options.canvas;
+      this.ctx = this.canvas.getContext('2d');
+      this.options = { ...DEFAULT_OPTIONS, ...options, colors: { ...DEFAULT_OPTIONS.colors, ...options.colors } };
+      this.layers = [];
+      this.tracker = null;
+      this._onFrame = frame => this.render(frame);
+    }
+
+    install(tracker) {
+      this.tracker = tracker;
+      tracker.on('frame', this._onFrame);
+    }
+
+    uninstall(tracker) {
+      tracker.off('frame', this._onFrame);
+      this.tracker = null;
+    }
+
+    setOptions(options = {}) {
+      this.options = { ...this.options, ...options, colors: { ...this.options.colors, ...options.colors } };
+    }
+
+    // draw(ctx, frame, { width, height }); returns a function that removes the layer
+    addLayer(draw, { under = false, mirrored = true } = {}) {
+      const layer = { draw, under, mirrored };
+      this.layers.push(layer);
+      return () => { this.layers = this.layers.filter(l => l !== layer); };
+    }
+
+    _resize(frame) {
+      const c = this.canvas;
+      if (frame.width && frame.height && (c.width !== frame.width || c.height !== frame.height)) {
+        c.width = frame.width;
+        c.height = frame.height;
+      }
+      const video = this.tracker && this.tracker.video;
+      if (this.options.fit === 'fill') {
+        c.style.width = '100%';
+        c.style.height = '100%';
+      } else if (video && video.clientWidth && !frame.replay) {
+        c.style.width = video.clientWidth + 'px';
+        c.style.height = video.clientHeight + 'px';
+      }
+    }
+
+    _line(a, b, width, color) {
+      const { ctx, canvas } = this;
+      ctx.lineWidth = width;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(a.x * canvas.width, a.y * canvas.height);
+      ctx.lineTo(b.x * canvas.width, b.y * canvas.height);
+      ctx.stroke();
+    }
+
+    _dot(p, r, fill) {
+      const { ctx, canvas } = this;
+      ctx.beginPath();
+      ctx.arc(p.x * canvas.width, p.y * canvas.height, r, 0, Math.PI * 2);
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+
+    // pane: 'filtered' (the normal view) or 'raw' (the detector's points)
+    _drawHand(hand, pane) {
+      const o = this.options, c = o.colors;
+      const points = pane === 'raw' ? hand.raw : hand.landmarks;
+      if (o.skeleton || pane === 'raw') {
+        const bone = pane === 'raw' ? c.raw : c.bone;
+        for (const [a, b] of CONNECTIONS) this._line(points[a], points[b], o.boneWidth, bone);
+        points.forEach((p, i) => {
+          if (!HandAnalysis.TIP_INDICES.includes(i)) this._dot(p, o.jointRadius, c.joint);
+        });
+      }
+      HandAnalysis.TIP_INDICES.forEach((tip, f) => {
+        this._dot(points[tip], o.tipRadius, hand.analysis.extended[f] ? c.tipOn : c.tipOff);
+      });
+    }
+
+    // zoom: the pane's scale, so debug panes keep readable text
+    _labels(frame, pane, zoom = 1) {
+      const { ctx, canvas } = this;
+      const o = this.options;
+      const text = (s, p, dy, size, font, color) => {
+        const x = (o.mirror ? 1 - p.x : p.x) * canvas.width;
+        ctx.font = font.replace('%', size / zoom + 'px');
+        ctx.fillStyle = color;
+        ctx.fillText(s, x + 12 / zoom, p.y * canvas.height + (24 + dy) / zoom);
+      };
+      for (const hand of frame.hands) {
+        const wrist = (pane === 'raw' ? hand.raw : hand.landmarks)[0];
+        text(`#${hand.id} ${hand.handedness}`, wrist, 0, 22, 'bold % sans-serif', o.colors.label);
+        if (!o.filterDebug) continue;
+        // per-frame movement of this pane's skeleton; at rest this is pure jitter
+        const v = pane === 'raw' ? hand.jitter.raw : hand.jitter.filtered;
+        const px = v === null ? '—' : (v * canvas.width).toFixed(1);
+        text(`${px} px/frame`, wrist, 26, 16, '% monospace', pane === 'raw' ? 'rgba(255,80,80,1)' : o.colors.tipOn);
+      }
+    }
+
+    _video(frame, always) {
+      const { ctx, canvas } = this;
+      const t = this.tracker;
+      const live = t && t.video && t.detector && t.detector.needsInput && !frame.replay;
+      if (frame.input) ctx.drawImage(frame.input, 0, 0, canvas.width, canvas.height);
+      else if (live) ctx.drawImage(t.video, 0, 0, canvas.width, canvas.height);
+      else if (always || this.options.drawVideo) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+      }
+    }
+
+    // one full-size view in the current transform; debug panes always carry
+    // the camera frame, since they no longer line up with a <video> below
+    _pane(frame, pane, zoom) {
+      const { ctx, canvas } = this;
+      const o = this.options;
+      const size = { width: canvas.width, height: canvas.height };
+      const debug = zoom !== 1;
+
+      ctx.save();
+      if (o.mirror) {
+        ctx.translate(canvas.width, 0);
+        ctx.scale(-1, 1);
+      }
+      if (o.drawVideo || debug) this._video(frame, debug);
+      if (pane === 'filtered') for (const l of this.layers) if (l.under && l.mirrored) l.draw(ctx, frame, size);
+      for (const hand of frame.hands) this._drawHand(hand, pane);
+      if (pane === 'filtered') for (const l of this.layers) if (!l.under && l.mirrored) l.draw(ctx, frame, size);
+      ctx.restore();
+
+      if (pane === 'filtered') for (const l of this.layers) if (!l.mirrored) l.draw(ctx, frame, size);
+      if (o.labels || debug) this._labels(frame, pane, zoom);
+    }
+
+    render(frame) {
+      const { ctx, canvas } = this;
+      this._resize(frame);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (!this.options.filterDebug) {
+        this._pane(frame, 'filtered', 1);
+        return;
+      }
+
+      // raw | filtered, each at half size and centred vertically
+      const w = canvas.width, h = canvas.height;
+      const type = this.tracker ? this.tracker.options.filter.type : 'one-euro';
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, w, h);
+      [['raw', 'Raw'], ['filtered', `Filtered: ${LandmarkFilter.FILTER_LABELS[type]}`]].forEach(([pane, title], i) => {
+        ctx.save();
+        ctx.translate(i * w / 2, h / 4);
+        ctx.scale(0.5, 0.5);
+        ctx.beginPath();
+        ctx.rect(0, 0, w, h);
+        ctx.clip();
+        this._pane(frame, pane, 0.5);
+        ctx.restore();
+        ctx.font = 'bold 18px sans-serif';
+        ctx.fillStyle = pane === 'raw' ? 'rgba(255,80,80,1)' : this.options.colors.tipOn;
+        ctx.fillText(title, i * w / 2 + 10, h / 4 - 10);
+      });
+    }
+  }
+
+  FingerTrackerOverlay.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+  FingerTrackerOverlay.CONNECTIONS = CONNECTIONS;
+  root.FingerTrackerOverlay = FingerTrackerOverlay;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,589 @@
+// finger-tracker.js
+// Embeddable finger tracker: detector, hand tracking, landmark filtering,
+// finger/gesture/motion analysis and smoothing behind one event-emitting class.
+// Browser global `FingerTracker`, Node: require('../shared/finger-tracker').
+//
+//   const ft = new FingerTracker({ video, backend: 'mock', maxHands: 2 });
+//   ft.on('count', e => console.log(`#${e.id}: ${e.count}`));
+//   ft.use(new FingerTrackerOverlay({ canvas }));   // optional drawing plugin
+//   await ft.start();
+//
+// Events:
+//   ready       { backend, label, needsInput, inWorker, width, height }   after start()
+//   detections  { t, hands }   raw detector output for a live frame (for recording)
+//   hand        hand           every frame, per reported hand (see _analyze)
+//   count       { id, count, previous, hand }            smoothed count changed
+//   handedness  { id, handedness, previous, hand }       smoothed label changed
+//   palm        { id, facing, previous, hand }           smoothed palm facing changed:
+//               'front' | 'back' | 'side' | null (unknown label)
+//   gesture     { id, name, label, confidence, previous, hand }
+//   motion      { id, name, label, ..., hand }           swipe, circle, wave, push/pull
+//   lost        { id, handedness }                       a track was retired
+//   frame       { t, replay, width, height, tracked, hands, input?, twoHand? }   after every
+//               processed frame; tracked counts every hand seen, hands holds the first
+//               maxHands; input is the video element of a processVideo() frame
+// with twoHand: true (the first two hands, see two-hand.js):
+//   twohand     { t, total, hands, left, right, zoom, rotation, framing }   every frame
+//   total       { total, previous, hands }               total count (0–10) changed
+//   zoom        { phase, factor, distance }              index tips apart/together; phase
+//               'start' | 'move' (every frame) | 'end'
+//   rotate      { phase, angle, delta }                  same hands, degrees clockwise on screen
+//   bimanual    { name: 'clap' | 'frame', label, t, ... }   frame carries the rect
+//   stats       { fps, latency, dropped, scale, skip, ..., backend, label, inWorker }
+//               once a second while the camera loop runs (see frame-pacer.js)
+//   error       Error                                    detector or camera failure, or
+//               detections without 21 valid landmarks (dropped from the frame)
+//
+// process(detections, t) analyses one frame without the camera loop; session
+// replay and Node callers use it with recorded { landmarks, handedness, score }
+// hands. processVideo(video) runs the detector over a video file frame by
+// frame. Nothing outside start()/stop()/processVideo() touches the DOM.
+//
+// The camera loop never waits for the detector inside requestAnimationFrame:
+// camera frames that arrive while a detection is in flight are dropped, and
+// a FramePacer scales the input down and skips frames when detection is
+// slower than the `pacing` budget. With `worker: true` detection runs in a
+// Web Worker where the backend allows it (see detectors.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./hand-analysis'), require('./gestures'), require('./motion'),
+      require('./hand-tracker'), require('./landmark-filter'), require('./calibration'), require('./detectors'),
+      require('./frame-pacer'), require('./two-hand'));
+  } else {
+    root.FingerTracker = factory(root.HandAnalysis, root.Gestures, root.Motion,
+      root.HandTracker, root.LandmarkFilter, root.Calibration, root.Detectors, root.FramePacer, root.TwoHand);
+  }
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis, Gestures, Motion, HandTracker, LandmarkFilter, Calibration, Detectors, FramePacer, TwoHand) {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    backend: 'tfjs-mediapipe',    // Detectors.BACKENDS key
+    detector: {},                 // options for Detectors.create / detector.setOptions
+    worker: false,                // detect in a Web Worker when the backend allows it
+    pacing: { targetFps: 30, adaptive: true }, // FramePacer options
+    camera: { width: 1280, height: 720 }, // getUserMedia; changes reopen the camera
+    maxHands: 1,                  // hands reported; all are tracked so IDs stay stable
+    twoHand: false,               // total count and bimanual gestures (reports at least 2 hands)
+    mirror: false,                // selfie display: motion directions are flipped
+    flipHandedness: null,         // swap Left/Right labels; null follows `mirror`
+    checkHandedness: true,        // the palm's side overrides a model label it clearly contradicts
+    filter: { type: LandmarkFilter.DEFAULT_OPTIONS.type }, // LandmarkFilter.HandFilter options
+    profile: null,                // calibration profile (thresholds + hysteresis)
+    smoothing: 'median',          // count smoothing: 'median' (median + EMA) or 'mode'
+    historySize: 8                // frames in the count/gesture smoothing window
+  };
+
+  // ---- video file helpers (browser) ----
+  function once(target, type) {
+    return new Promise((resolve, reject) => {
+      const ok = () => { target.removeEventListener('error', fail); resolve(); };
+      const fail = () => { target.removeEventListener(type, ok); reject(new Error(`Video ${type} failed`)); };
+      target.addEventListener(type, ok, { once: true });
+      target.addEventListener('error', fail, { once: true });
+    });
+  }
+
+  // MediaRecorder WebM files report Infinity until the browser has seen the end
+  async function mediaDuration(video) {
+    if (video.readyState < 1) await once(video, 'loadedmetadata');
+    if (Number.isFinite(video.duration)) return video.duration;
+    video.currentTime = 1e9;
+    await once(video, 'seeked');
+    const duration = video.duration;
+    video.currentTime = 0;
+    await once(video, 'seeked');
+    return duration;
+  }
+
+  async function seek(video, time) {
+    if (Math.abs(video.currentTime - time) < 1e-4 && video.readyState >= 2) return;
+    video.currentTime = time;
+    await once(video, 'seeked');
+  }
+
+  function swapLabel(label) {
+    return label === 'Left' ? 'Right' : label === 'Right' ? 'Left' : label;
+  }
+
+  function mode(arr) {
+    const counts = {};
+    for (const v of arr) counts[v] = (counts[v] || 0) + 1;
+    return Object.keys(counts).reduce((a, b) => counts[a] > counts[b] ? a : b);
+  }
+
+  // ---- minimal event emitter ----
+  class Emitter {
+    constructor() {
+      this._listeners = {};
+    }
+
+    on(type, fn) {
+      (this._listeners[type] || (this._listeners[type] = [])).push(fn);
+      return this;
+    }
+
+    off(type, fn) {
+      const list = this._listeners[type];
+      if (list) this._listeners[type] = list.filter(f => f !== fn);
+      return this;
+    }
+
+    // a throwing listener must not stop the frame loop
+    emit(type, payload) {
+      for (const fn of (this._listeners[type] || []).slice()) {
+        try {
+          fn(payload);
+        } catch (e) {
+          console.error(`FingerTracker "${type}" listener failed:`, e);
+        }
+      }
+    }
+  }
+
+  class FingerTracker extends Emitter {
+    // options: DEFAULT_OPTIONS plus { video } (created hidden when a camera
+    // backend starts without one); plugins via use()
+    constructor(options = {}) {
+      super();
+      const { video, ...rest } = options;
+      this.video = video || null;
+      this.options = { ...DEFAULT_OPTIONS };
+      this._merge(rest);
+      this.detector = null;
+      this.running = false;
+      this.paused = false;
+      this.width = 0;
+      this.height = 0;
+      this.plugins = [];
+      this._stream = null;
+      this._raf = null;
+      this._last = new Map(); // track id -> { count, handedness, gesture } last emitted
+      this.pacer = new FramePacer.FramePacer(this.options.pacing);
+      this._busy = false;     // a detection is in flight
+      this._lastVideoTime = null;
+      this._scaleCanvas = null;
+      this.twoHand = new TwoHand.TwoHandDetector({ mirrorX: this.options.mirror });
+      this.tracker = new HandTracker.HandTracker({
+        createState: () => this._createState(),
+        onRetire: track => this._lost(track)
+      });
+    }
+
+    _merge(options) {
+      const o = this.options;
+      for (const k of Object.keys(options)) {
+        const v = options[k];
+        o[k] = (v && typeof v === 'object' && !Array.isArray(v) && o[k] && typeof o[k] === 'object') ? { ...o[k], ...v } : v;
+      }
+    }
+
+    get flipHandedness() {
+      return this.options.flipHandedness == null ? this.options.mirror : this.options.flipHandedness;
+    }
+
+    _createState() {
+      return {
+        countHistory: [],
+        gestureHistory: [],
+        smoothCount: 0,
+        countEma: 0,        // unrounded, so single-finger steps get through
+        smoothGesture: { name: 'none', confidence: 0 },
+        facingHistory: [],
+        facing: null,       // smoothed palm facing
+        lastExtended: null, // for the calibration profile's hysteresis
+        motion: new Motion.MotionDetector({ mirrorX: this.options.mirror }),
+        filter: new LandmarkFilter.HandFilter(this.options.filter),
+        jitter: new LandmarkFilter.JitterMeter()
+      };
+    }
+
+    // ---- plugins: { install(tracker), uninstall?(tracker) } ----
+    use(plugin) {
+      this.plugins.push(plugin);
+      if (plugin.install) plugin.install(this);
+      return plugin;
+    }
+
+    remove(plugin) {
+      this.plugins = this.plugins.filter(p => p !== plugin);
+      if (plugin.uninstall) plugin.uninstall(this);
+    }
+
+    // ---- options ----
+    setOptions(options = {}) {
+      const before = this.options;
+      this.options = { ...before };
+      this._merge(options);
+      const o = this.options;
+
+      if (options.filter) {
+        for (const t of this.tracker.tracks) {
+          t.state.filter.setOptions(o.filter);
+          t.state.jitter.reset();
+        }
+      }
+      if ('mirror' in options) {
+        for (const t of this.tracker.tracks) t.state.motion.setOptions({ mirrorX: o.mirror });
+        this.twoHand.setOptions({ mirrorX: o.mirror });
+      }
+      if ('twoHand' in options && !o.twoHand && before.twoHand) this._twoHandEvents(this.twoHand.reset());
+      // a new label convention would fight the tracker's smoothed labels
+      if (this.flipHandedness !== (before.flipHandedness == null ? before.mirror : before.flipHandedness)) this.reset();
+      if (options.pacing) this.pacer.setOptions(o.pacing);
+      const newDetector = (options.backend && options.backend !== before.backend) || ('worker' in options && !!options.worker !== !!before.worker);
+      if (newDetector && this.detector) {
+        const restart = this.running;
+        this.stop();
+        this.detector.close();
+        this.detector = null;
+        if (restart) this.start().catch(e => this.emit('error', e));
+      } else {
+        if (options.detector && this.detector) {
+          Promise.resolve(this.detector.setOptions(options.detector)).catch(e => this.emit('error', e));
+        }
+        const c = o.camera, b = before.camera;
+        if (options.camera && this._stream && (c.width !== b.width || c.height !== b.height || c.deviceId !== b.deviceId || c.facingMode !== b.facingMode)) {
+          this._restartCamera().catch(e => this.emit('error', e));
+        }
+      }
+      this.emit('options', o);
+      return o;
+    }
+
+    // drop every track (e.g. when replay seeks backwards)
+    reset() {
+      for (const t of this.tracker.tracks) this._lost(t);
+      this.tracker.reset();
+      this._twoHandEvents(this.twoHand.reset());
+    }
+
+    setSize(width, height) {
+      this.width = width;
+      this.height = height;
+    }
+
+    // ---- camera loop (browser) ----
+    async start() {
+      if (this.running) return;
+      this.running = true;
+      try {
+        if (!this.detector) this.detector = await this._createDetector();
+        if (this.detector.needsInput) await this._startCamera();
+        else this.setSize(this.detector.width, this.detector.height);
+      } catch (e) {
+        this.running = false;
+        throw e;
+      }
+      if (!this.running) return; // stopped while loading
+      this.emit('ready', {
+        backend: this.options.backend,
+        label: this.detector.label,
+        needsInput: this.detector.needsInput,
+        inWorker: !!this.detector.inWorker,
+        width: this.width,
+        height: this.height
+      });
+      this.pacer.reset();
+      this._lastVideoTime = null;
+      this._raf = requestAnimationFrame(() => this._tick());
+    }
+
+    _createDetector() {
+      return Detectors.create(this.options.backend, { ...this.options.detector, worker: this.options.worker });
+    }
+
+    async _startCamera() {
+      if (!this.video) {
+        this.video = document.createElement('video');
+        this.video.style.display = 'none';
+        document.body.appendChild(this.video);
+      }
+      const { width, height, deviceId, facingMode } = this.options.camera;
+      const video = { width, height };
+      if (deviceId) video.deviceId = { exact: deviceId };
+      else if (facingMode) video.facingMode = facingMode;
+      this._stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+      this.video.muted = true;
+      this.video.playsInline = true;
+      this.video.srcObject = this._stream;
+      await this.video.play();
+      this.setSize(this.video.videoWidth, this.video.videoHeight);
+    }
+
+    // new resolution or device: reopen the stream, the loop keeps running
+    async _restartCamera() {
+      for (const track of this._stream.getTracks()) track.stop();
+      this._stream = null;
+      await this._startCamera();
+      if (!this.running) this.stop(); // stopped while reopening
+    }
+
+    stop() {
+      this.running = false;
+      if (this._raf !== null) cancelAnimationFrame(this._raf);
+      this._raf = null;
+      if (this._stream) {
+        for (const track of this._stream.getTracks()) track.stop();
+        this._stream = null;
+        if (this.video) this.video.srcObject = null;
+      }
+    }
+
+    // video-input cameras; labels are empty until camera permission is granted
+    static async listCameras() {
+      if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.filter(d => d.kind === 'videoinput').map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+    }
+
+    // skip detection while something else (session replay) drives process()
+    pause() {
+      this.paused = true;
+    }
+
+    resume() {
+      this.paused = false;
+      if (!this.detector) return;
+      if (this.detector.needsInput && this.video) this.setSize(this.video.videoWidth, this.video.videoHeight);
+      else if (!this.detector.needsInput) this.setSize(this.detector.width, this.detector.height);
+    }
+
+    // every display frame: start a detection on a new camera frame unless one
+    // is in flight (dropped) or the pacer skips it
+    _tick() {
+      if (!this.running) return;
+      this._raf = requestAnimationFrame(() => this._tick());
+      if (this.paused) return;
+      const input = this.detector.needsInput ? this.video : null;
+      if (input) {
+        if (input.readyState < 2 || input.currentTime === this._lastVideoTime) return;
+        this._lastVideoTime = input.currentTime;
+      }
+      if (this._busy) {
+        if (input) this.pacer.drop();
+        return;
+      }
+      if (this.pacer.shouldProcess()) this._detect(input);
+    }
+
+    async _detect(input) {
+      this._busy = true;
+      const t = performance.now();
+      const scale = this.pacer.scale;
+      let hands;
+      try {
+        if (input) this.setSize(input.videoWidth, input.videoHeight);
+        const frame = input && scale < 1 && !this.detector.inWorker ? this._scaled(input, scale) : input;
+        hands = await this.detector.estimate(frame, t, { scale });
+      } catch (e) {
+        if (this.running) this.emit('error', e); // else the detector was closed under it
+        hands = [];
+      } finally {
+        this._busy = false;
+      }
+      const stats = this.pacer.record(performance.now() - t, performance.now());
+      if (!this.running || this.paused) return;
+      this.emit('detections', { t, hands });
+      this.process(hands, t);
+      if (stats) {
+        this.emit('stats', {
+          ...stats,
+          backend: this.options.backend,
+          label: this.detector.label,
+          inWorker: !!this.detector.inWorker,
+          width: Math.round(this.width * scale),
+          height: Math.round(this.height * scale)
+        });
+      }
+    }
+
+    // main-thread detectors get a downscaled copy of the frame; landmarks are
+    // normalized, so the scale never shows in the output
+    _scaled(input, scale) {
+      const c = this._scaleCanvas || (this._scaleCanvas = document.createElement('canvas'));
+      const width = Math.max(1, Math.round(input.videoWidth * scale));
+      const height = Math.max(1, Math.round(input.videoHeight * scale));
+      if (c.width !== width || c.height !== height) {
+        c.width = width;
+        c.height = height;
+      }
+      c.getContext('2d').drawImage(input, 0, 0, width, height);
+      return c;
+    }
+
+    // Runs the detector on every frame of a (paused, loaded) video element at
+    // `fps`, as fast as the detector allows rather than in real time, and
+    // processes each as a replay frame with t = media time in ms. The camera
+    // loop is paused meanwhile and tracks are reset before and after.
+    // options: { fps = 30, signal (AbortSignal), onFrame(frame, index, total) }
+    // returns { frames, total, aborted }
+    async processVideo(video, { fps = 30, signal = null, onFrame = null } = {}) {
+      if (!this.detector) this.detector = await this._createDetector();
+      const wasPaused = this.paused;
+      this.pause();
+      while (this._busy) await new Promise(resolve => setTimeout(resolve, 10)); // let a live detection finish
+      this.reset();
+      let index = 0;
+      let total = 0;
+      try {
+        video.pause();
+        total = Math.max(1, Math.floor((await mediaDuration(video)) * fps));
+        this.setSize(video.videoWidth, video.videoHeight);
+        for (; index < total && !(signal && signal.aborted); index++) {
+          // aim for the middle of each frame's display interval
+          await seek(video, (index + 0.5) / fps);
+          const t = Math.round(index * 1000 / fps);
+          let hands;
+          try {
+            hands = await this.detector.estimate(video, t);
+          } catch (e) {
+            this.emit('error', e);
+            hands = [];
+          }
+          const frame = this.process(hands, t, { replay: true, input: video });
+          if (onFrame) onFrame(frame, index, total);
+        }
+      } finally {
+        this.reset();
+        if (!wasPaused) this.resume();
+      }
+      return { frames: index, total, aborted: index < total };
+    }
+
+    // ---- one frame ----
+    // detections: [{ landmarks, handedness (raw model label), score }]
+    // options.replay: frame comes from a recording or file, not the live camera
+    // options.input: the image the detections came from, if not the camera
+    process(detections, t, options = {}) {
+      const flip = this.flipHandedness;
+      const check = this.options.checkHandedness;
+      // a malformed scripted or replayed hand must not break the whole frame
+      const valid = detections.filter(d => d && HandAnalysis.isValidLandmarks(d.landmarks));
+      if (valid.length < detections.length) {
+        this.emit('error', new TypeError(`Dropped ${detections.length - valid.length} detection(s) without ${HandAnalysis.LANDMARK_COUNT} valid landmarks`));
+      }
+      const labelled = valid.map(d => {
+        let label = d.handedness || 'Unknown';
+        // curled fingers show which hand it is; the tracker still votes over frames
+        if (check) label = HandAnalysis.palmFrame(d.landmarks).chirality || label;
+        return { ...d, handedness: flip ? swapLabel(label) : label };
+      });
+      const tracks = this.tracker.update(labelled, t);
+      const reported = this.options.twoHand ? Math.max(2, this.options.maxHands) : this.options.maxHands;
+      const hands = tracks.slice(0, reported).map(track => this._analyze(track, t));
+
+      for (const hand of hands) {
+        this.emit('hand', hand);
+        this._changes(hand);
+      }
+      const frame = { t, replay: !!options.replay, width: this.width, height: this.height, tracked: tracks.length, hands };
+      if (options.input) frame.input = options.input;
+      if (this.options.twoHand) {
+        const { events, ...state } = this.twoHand.update(hands, t, this.width && this.height ? this.width / this.height : 1);
+        this.emit('twohand', state);
+        this._twoHandEvents(events);
+        frame.twoHand = state;
+      }
+      this.emit('frame', frame);
+      return frame;
+    }
+
+    _analyze(track, t) {
+      const st = track.state;
+      // filtered landmarks feed analysis, drawing and everything downstream
+      const landmarks = st.filter.filter(track.landmarks, t);
+      st.jitter.update(track.landmarks, landmarks);
+      const modelHandedness = this.flipHandedness ? swapLabel(track.handedness) : track.handedness;
+      const analysisOptions = { ...Calibration.analysisOptions(this.options.profile, st.lastExtended), handedness: modelHandedness };
+      const analysis = HandAnalysis.analyzeHand(landmarks, analysisOptions);
+      const gesture = Gestures.recognizeGesture(landmarks, analysis, analysisOptions);
+      st.lastExtended = analysis.extended;
+      this._smooth(st, analysis.count, gesture);
+      this._smoothFacing(st, analysis.palm.facing);
+
+      const hand = {
+        id: track.id,
+        handedness: track.handedness,
+        // the detector's own label convention (before any flip), e.g. for palm orientation
+        modelHandedness,
+        score: track.score,
+        landmarks,
+        raw: track.landmarks,
+        analysis,
+        gesture,
+        palm: analysis.palm,        // this frame's palm frame: normal, facing, chirality (hand-analysis.js)
+        facing: st.facing,          // smoothed: 'front' | 'back' | 'side' | null without a label
+        count: st.smoothCount,
+        smoothGesture: { ...st.smoothGesture, label: Gestures.GESTURE_LABELS[st.smoothGesture.name] },
+        jitter: { raw: st.jitter.raw, filtered: st.jitter.filtered },
+        track
+      };
+
+      const motion = st.motion.push(Motion.sampleFromLandmarks(landmarks, t));
+      if (motion) this.emit('motion', { id: track.id, ...motion, hand });
+      return hand;
+    }
+
+    _smooth(st, count, gesture) {
+      const n = this.options.historySize;
+      st.countHistory.push(count);
+      while (st.countHistory.length > n) st.countHistory.shift();
+      if (this.options.smoothing === 'mode') {
+        st.smoothCount = Number(mode(st.countHistory));
+      } else {
+        // median of the window for debouncing, then exponential smoothing
+        const sorted = [...st.countHistory].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 === 1 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+        st.countEma = st.countEma * 0.6 + median * 0.4;
+        st.smoothCount = Math.round(st.countEma);
+      }
+
+      // most frequent gesture, confidence averaged over the frames that agree
+      st.gestureHistory.push(gesture);
+      while (st.gestureHistory.length > n) st.gestureHistory.shift();
+      const name = mode(st.gestureHistory.map(g => g.name));
+      const agreeing = st.gestureHistory.filter(g => g.name === name);
+      st.smoothGesture = { name, confidence: agreeing.reduce((s, g) => s + g.confidence, 0) / agreeing.length };
+    }
+
+    _smoothFacing(st, facing) {
+      st.facingHistory.push(facing || 'unknown');
+      while (st.facingHistory.length > this.options.historySize) st.facingHistory.shift();
+      const name = mode(st.facingHistory);
+      st.facing = name === 'unknown' ? null : name;
+    }
+
+    _changes(hand) {
+      const last = this._last.get(hand.id) || { count: null, handedness: null, gesture: null, palm: null };
+      if (hand.count !== last.count) {
+        this.emit('count', { id: hand.id, count: hand.count, previous: last.count, hand });
+      }
+      if (hand.handedness !== last.handedness) {
+        this.emit('handedness', { id: hand.id, handedness: hand.handedness, previous: last.handedness, hand });
+      }
+      if (hand.smoothGesture.name !== last.gesture) {
+        this.emit('gesture', { id: hand.id, ...hand.smoothGesture, previous: last.gesture, hand });
+      }
+      if (hand.facing !== last.palm) {
+        this.emit('palm', { id: hand.id, facing: hand.facing, previous: last.palm, hand });
+      }
+      this._last.set(hand.id, { count: hand.count, handedness: hand.handedness, gesture: hand.smoothGesture.name, palm: hand.facing });
+    }
+
+    _twoHandEvents(events) {
+      for (const { type, ...payload } of events) this.emit(type, payload);
+    }
+
+    _lost(track) {
+      // only hands that were reported can be lost
+      if (!this._last.delete(track.id)) return;
+      this.emit('lost', { id: track.id, handedness: track.handedness });
+    }
+  }
+
+  FingerTracker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+  FingerTracker.Emitter = Emitter;
+  return FingerTracker;
+});
@@ -0,0 +1,132 @@
+// frame-pacer.js
+// Keeps hand detection within a frame budget on slow machines.
+// Browser global `FramePacer`, Node: require('../shared/frame-pacer').
+//
+//   const pacer = new FramePacer.FramePacer({ targetFps: 30 });
+//   // per new camera frame:
+//   if (pacer.shouldProcess()) { ...detect at pacer.scale...; stats = pacer.record(ms, now); }
+//   // a frame that arrives while detection is still busy: pacer.drop()
+//
+// Once per second (record() then returns the stats) the smoothed inference
+// latency is compared with the budget (1000 / targetFps): over 120% first
+// lowers the input scale in steps down to minScale, then skips frames
+// between detections (up to maxSkip); under 60% undoes the last step.
+// Skipped and busy frames both count as dropped.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FramePacer = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_OPTIONS = {
+    targetFps: 30,
+    adaptive: true,
+    minScale: 0.5,
+    scaleStep: 0.25,
+    maxSkip: 3
+  };
+  const WINDOW_MS = 1000;   // stats and adaptation interval
+  const LATENCY_ALPHA = 0.2;
+  const OVER_BUDGET = 1.2;
+  const UNDER_BUDGET = 0.6;
+
+  class FramePacer {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.reset();
+    }
+
+    reset() {
+      this.scale = 1;
+      this.skip = 0;          // frames skipped after each detection
+      this.latency = null;    // smoothed ms per detection
+      this.fps = 0;           // detections per second
+      this.processed = 0;
+      this.dropped = 0;
+      this.droppedPerSec = 0;
+      this._skipLeft = 0;
+      this._windowStart = null;
+      this._windowFrames = 0;
+      this._windowDropped = 0;
+    }
+
+    setOptions(options = {}) {
+      this.options = { ...this.options, ...options };
+      if (!this.options.adaptive) {
+        this.scale = 1;
+        this.skip = 0;
+        this._skipLeft = 0;
+      }
+    }
+
+    get budget() {
+      return 1000 / this.options.targetFps;
+    }
+
+    // a new camera frame is ready; false means skip it
+    shouldProcess() {
+      if (this._skipLeft > 0) {
+        this._skipLeft--;
+        this.drop();
+        return false;
+      }
+      this._skipLeft = this.skip;
+      return true;
+    }
+
+    drop() {
+      this.dropped++;
+      this._windowDropped++;
+    }
+
+    // one detection took `ms`; returns the stats once per window, else null
+    record(ms, now) {
+      this.processed++;
+      this._windowFrames++;
+      this.latency = this.latency === null ? ms : this.latency * (1 - LATENCY_ALPHA) + ms * LATENCY_ALPHA;
+      if (this._windowStart === null) this._windowStart = now;
+      const elapsed = now - this._windowStart;
+      if (elapsed < WINDOW_MS) return null;
+      this.fps = this._windowFrames * 1000 / elapsed;
+      this.droppedPerSec = this._windowDropped * 1000 / elapsed;
+      this._windowStart = now;
+      this._windowFrames = 0;
+      this._windowDropped = 0;
+      if (this.options.adaptive) this._adapt();
+      return this.stats;
+    }
+
+    _adapt() {
+      const o = this.options;
+      const step = v => Math.round(v * 100) / 100;
+      if (this.latency > this.budget * OVER_BUDGET) {
+        if (this.scale > o.minScale) this.scale = Math.max(o.minScale, step(this.scale - o.scaleStep));
+        else if (this.skip < o.maxSkip) this.skip++;
+      } else if (this.latency < this.budget * UNDER_BUDGET) {
+        if (this.skip > 0) this.skip--;
+        else if (this.scale < 1) this.scale = Math.min(1, step(this.scale + o.scaleStep));
+      }
+    }
+
+    get stats() {
+      return {
+        fps: this.fps,
+        targetFps: this.options.targetFps,
+        latency: this.latency,
+        budget: this.budget,
+        processed: this.processed,
+        dropped: this.dropped,
+        droppedPerSec: this.droppedPerSec,
+        scale: this.scale,
+        skip: this.skip,
+        adaptive: this.options.adaptive
+      };
+    }
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    FramePacer
+  };
+});
@@ -0,0 +1,189 @@
+// gesture-model.js
+// User-trained static gestures: landmark features + k-nearest-neighbours.
+// Browser global `GestureModel`, Node: require('../shared/gesture-model').
+//
+// Features (FEATURE_VERSION 1, FEATURE_LENGTH values):
+//   - the 21 landmarks relative to the wrist, scaled by hand size and rotated
+//     so wrist -> middle MCP points up; x is flipped when needed so the index
+//     side is always +x, which makes left/right hands (and palm/back) alike
+//   - the 15 joint angles from HandAnalysis.jointAngles, as fractions of 180°
+//     times ANGLE_WEIGHT
+// Models are plain JSON (see toJSON) so they can be exported, stored on the
+// server (/api/models) and loaded on another machine.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'), require('./gestures'));
+  else root.GestureModel = factory(root.HandAnalysis, root.Gestures);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis, Gestures) {
+  'use strict';
+
+  const MODEL_VERSION = 1;
+  const FEATURE_VERSION = 1;
+  const ANGLE_WEIGHT = 2;
+  const FEATURE_LENGTH = HandAnalysis.LANDMARK_COUNT * 3 + 15;
+  const LABEL_PATTERN = /^[\w -]{1,40}$/;
+
+  const DEFAULTS = { k: 5, maxDistance: 1.0 };
+
+  // ---- feature vector for one hand ----
+  function features(landmarks) {
+    if (!HandAnalysis.isValidLandmarks(landmarks)) {
+      throw new TypeError(`features expects ${HandAnalysis.LANDMARK_COUNT} landmarks with numeric x/y`);
+    }
+    const wrist = landmarks[0];
+    const scale = 1 / Gestures.handSize(landmarks);
+    // rotate wrist -> middle MCP onto -y (up in image coordinates)
+    const ux = landmarks[9].x - wrist.x, uy = landmarks[9].y - wrist.y;
+    const angle = Math.atan2(ux, -uy);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const pts = landmarks.map(p => {
+      const x = p.x - wrist.x, y = p.y - wrist.y;
+      return {
+        x: (x * cos + y * sin) * scale,
+        y: (-x * sin + y * cos) * scale,
+        z: ((p.z || 0) - (wrist.z || 0)) * scale
+      };
+    });
+    // canonical chirality: index MCP on the +x side of pinky MCP
+    const flip = pts[5].x < pts[17].x ? -1 : 1;
+
+    const out = [];
+    for (const p of pts) out.push(p.x * flip, p.y, p.z);
+    const angles = HandAnalysis.jointAngles(landmarks);
+    for (const finger of HandAnalysis.FINGERS) {
+      for (const joint of HandAnalysis.JOINT_NAMES[finger]) out.push(angles[finger][joint] / 180 * ANGLE_WEIGHT);
+    }
+    return out;
+  }
+
+  function distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      const d = a[i] - b[i];
+      sum += d * d;
+    }
+    return Math.sqrt(sum);
+  }
+
+  function validLabel(label) {
+    return typeof label === 'string' && LABEL_PATTERN.test(label.trim());
+  }
+
+  // ---- k-NN classifier ----
+  class GestureClassifier {
+    // options: { k, maxDistance (nearest sample further than this -> no match), name }
+    constructor(options = {}) {
+      this.k = options.k || DEFAULTS.k;
+      this.maxDistance = options.maxDistance || DEFAULTS.maxDistance;
+      this.name = options.name || 'default';
+      this.createdAt = options.createdAt || new Date().toISOString();
+      this.updatedAt = options.updatedAt || this.createdAt;
+      this.samples = []; // { label, features }
+    }
+
+    _touch() {
+      this.updatedAt = new Date().toISOString();
+    }
+
+    addSample(label, featureVector) {
+      if (!validLabel(label)) throw new Error('Gesture names use letters, digits, spaces, - and _ (max 40)');
+      if (!Array.isArray(featureVector) || featureVector.length !== FEATURE_LENGTH) {
+        throw new Error(`Expected ${FEATURE_LENGTH} features`);
+      }
+      this.samples.push({ label: label.trim(), features: featureVector });
+      this._touch();
+    }
+
+    removeLabel(label) {
+      const before = this.samples.length;
+      this.samples = this.samples.filter(s => s.label !== label);
+      if (this.samples.length !== before) this._touch();
+    }
+
+    clear() {
+      this.samples = [];
+      this._touch();
+    }
+
+    // [{ label, count }] in first-trained order
+    labels() {
+      const counts = new Map();
+      for (const s of this.samples) counts.set(s.label, (counts.get(s.label) || 0) + 1);
+      return [...counts].map(([label, count]) => ({ label, count }));
+    }
+
+    // returns { label, confidence, distance, votes } or null without samples;
+    // label is null when even the nearest sample is further than maxDistance
+    predict(featureVector) {
+      if (!this.samples.length) return null;
+      const nearest = this.samples
+        .map(s => ({ label: s.label, d: distance(featureVector, s.features) }))
+        .sort((a, b) => a.d - b.d)
+        .slice(0, this.k);
+
+      // inverse-distance weighted vote
+      const votes = {};
+      let total = 0;
+      for (const n of nearest) {
+        const w = 1 / (n.d + 1e-3);
+        votes[n.label] = (votes[n.label] || 0) + w;
+        total += w;
+      }
+      const label = Object.keys(votes).reduce((a, b) => (votes[a] >= votes[b] ? a : b));
+      const best = nearest.find(n => n.label === label).d;
+      if (best > this.maxDistance) return { label: null, confidence: 0, distance: best, votes };
+      // share of the vote, faded out as the match gets further away
+      const confidence = votes[label] / total * Math.max(0, 1 - best / this.maxDistance / 2);
+      return { label, confidence, distance: best, votes };
+    }
+
+    toJSON() {
+      return {
+        version: MODEL_VERSION,
+        type: 'knn',
+        featureVersion: FEATURE_VERSION,
+        name: this.name,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt,
+        k: this.k,
+        maxDistance: this.maxDistance,
+        samples: this.samples.map(s => ({ label: s.label, features: s.features.map(v => Math.round(v * 1e4) / 1e4) }))
+      };
+    }
+
+    static fromJSON(obj) {
+      validateModel(obj);
+      const model = new GestureClassifier(obj);
+      model.samples = obj.samples.map(s => ({ label: s.label, features: s.features.slice() }));
+      return model;
+    }
+  }
+
+  // structural checks for models from files or the server (throws)
+  function validateModel(obj) {
+    if (!obj || typeof obj !== 'object') throw new Error('Gesture model must be a JSON object');
+    if (obj.type !== 'knn') throw new Error('Unsupported gesture model type');
+    if (obj.featureVersion !== FEATURE_VERSION) {
+      throw new Error(`Gesture model uses feature version ${obj.featureVersion}, this build needs ${FEATURE_VERSION}`);
+    }
+    if (!Array.isArray(obj.samples)) throw new Error('Gesture model has no samples array');
+    for (const s of obj.samples) {
+      if (!validLabel(s.label)) throw new Error(`Invalid gesture name "${s.label}"`);
+      if (!Array.isArray(s.features) || s.features.length !== FEATURE_LENGTH || !s.features.every(Number.isFinite)) {
+        throw new Error(`Sample for "${s.label}" needs ${FEATURE_LENGTH} numeric features`);
+      }
+    }
+    return obj;
+  }
+
+  return {
+    MODEL_VERSION,
+    FEATURE_VERSION,
+    FEATURE_LENGTH,
+    LABEL_PATTERN,
+    features,
+    distance,
+    GestureClassifier,
+    validateModel
+  };
+});
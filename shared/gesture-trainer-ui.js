@@ -0,0 +1,209 @@
+// gesture-trainer-ui.js
+// Training panel for user-defined gestures (browser only).
+//   GestureTrainerUI.attach(container, { onPrediction(prediction) })
+// Name a gesture, record N samples of the current hand, and the k-NN model
+// (shared/gesture-model.js) classifies every frame. The app calls
+// ui.feed(landmarks | null, now) with the first tracked hand.
+//
+// The model is saved to localStorage after every change and, when the page
+// is served by the Express app, to /api/models/<name> so other machines load
+// the same model at startup. Startup order: server, then localStorage.
+// Page URL option: ?gestureModel=<name> (default "default").
+
+(function (root) {
+  'use strict';
+
+  const STORAGE_KEY = 'fingerTrack.gestureModel';
+  const SAMPLE_INTERVAL_MS = 50; // spread samples over small pose changes
+  const SAVE_DELAY_MS = 500;
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function attach(container, hooks = {}) {
+    const params = new URLSearchParams(location.search);
+    const modelName = /^[\w-]{1,64}$/.test(params.get('gestureModel') || '') ? params.get('gestureModel') : 'default';
+    const apiUrl = `/api/models/${modelName}`;
+    let model = new GestureModel.GestureClassifier({ name: modelName });
+    let serverAvailable = false;
+    let recording = null; // { label, target, samples, lastT }
+    let saveTimer = null;
+    let prediction = null;
+
+    // ---- controls ----
+    const nameInput = el('input', { type: 'text', placeholder: 'gesture name', maxlength: '40', 'aria-label': 'Gesture name' });
+    const countInput = el('input', { type: 'number', min: '5', max: '200', value: '30', 'aria-label': 'Samples to record', title: 'Samples to record' });
+    const btnRecord = el('button', { type: 'button' }, 'Record samples');
+    const btnExport = el('button', { type: 'button' }, 'Export');
+    const importLabel = el('label', { class: 'file-btn' }, 'Import…');
+    const importInput = el('input', { type: 'file', accept: '.json,application/json' });
+    importLabel.appendChild(importInput);
+    const list = el('span', { class: 'trainer-labels' });
+    const result = el('span', { class: 'trainer-result' }, 'Custom: —');
+    const status = el('span', { class: 'label' });
+    container.append(el('span', { class: 'label' }, 'Train:'), nameInput, countInput, btnRecord, btnExport, importLabel, list, result, status);
+
+    function setStatus(text) {
+      status.textContent = text;
+    }
+
+    function refreshList() {
+      list.innerHTML = '';
+      for (const { label, count } of model.labels()) {
+        const chip = el('span', { class: 'trainer-chip' }, `${label} (${count}) `);
+        const del = el('button', { type: 'button', title: `Delete "${label}"` }, '×');
+        del.addEventListener('click', () => {
+          if (!confirm(`Delete all samples of "${label}"?`)) return;
+          model.removeLabel(label);
+          changed();
+        });
+        chip.appendChild(del);
+        list.appendChild(chip);
+      }
+      btnExport.disabled = !model.samples.length;
+    }
+
+    // ---- persistence ----
+    function saveLocal() {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(model.toJSON()));
+      } catch (e) {
+        console.warn('Could not store gesture model locally:', e.message);
+      }
+    }
+
+    async function saveServer() {
+      try {
+        const res = await fetch(apiUrl, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(model.toJSON())
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setStatus(`Saved to server (${modelName})`);
+      } catch (e) {
+        setStatus(`Server save failed: ${e.message}`);
+      }
+    }
+
+    function changed() {
+      refreshList();
+      saveLocal();
+      if (!serverAvailable) return setStatus('Saved locally');
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(saveServer, SAVE_DELAY_MS);
+    }
+
+    function use(obj, source) {
+      model = GestureModel.GestureClassifier.fromJSON({ ...obj, name: modelName });
+      refreshList();
+      setStatus(`Loaded ${model.samples.length} samples from ${source}`);
+    }
+
+    async function load() {
+      try {
+        const res = await fetch(apiUrl);
+        if (res.status === 404) serverAvailable = true; // server is up, nothing trained yet
+        else if (res.ok) {
+          serverAvailable = true;
+          use(await res.json(), 'server');
+          saveLocal();
+          return;
+        }
+      } catch (e) {
+        // page not served by the Express app (or offline): local only
+      }
+      try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored) use(stored, 'this browser');
+        else setStatus(serverAvailable ? 'No model yet' : 'No model yet (local only)');
+      } catch (e) {
+        setStatus(`Stored model ignored: ${e.message}`);
+      }
+    }
+
+    // ---- recording ----
+    btnRecord.addEventListener('click', () => {
+      if (recording) {
+        recording = null;
+        btnRecord.innerText = 'Record samples';
+        btnRecord.classList.remove('recording');
+        return;
+      }
+      const label = nameInput.value.trim();
+      if (!GestureModel.LABEL_PATTERN.test(label)) {
+        alert('Name the gesture first (letters, digits, spaces, - and _)');
+        return;
+      }
+      const target = Math.max(5, Math.min(200, Number(countInput.value) || 30));
+      recording = { label, target, samples: [], lastT: 0 };
+      btnRecord.classList.add('recording');
+      btnRecord.innerText = `Show "${label}"… 0/${target}`;
+    });
+
+    function capture(landmarks, now) {
+      if (now - recording.lastT < SAMPLE_INTERVAL_MS) return;
+      recording.lastT = now;
+      recording.samples.push(GestureModel.features(landmarks));
+      btnRecord.innerText = `Show "${recording.label}"… ${recording.samples.length}/${recording.target}`;
+      if (recording.samples.length < recording.target) return;
+      for (const f of recording.samples) model.addSample(recording.label, f);
+      recording = null;
+      btnRecord.innerText = 'Record samples';
+      btnRecord.classList.remove('recording');
+      changed();
+    }
+
+    // ---- import / export ----
+    btnExport.addEventListener('click', () => {
+      Session.download(`gesture-model-${modelName}.json`, JSON.stringify(model.toJSON()), 'application/json');
+    });
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+      try {
+        use(JSON.parse(await file.text()), file.name);
+        changed();
+      } catch (e) {
+        alert('Could not import gesture model: ' + e.message);
+      }
+    });
+
+    // called by the app every frame
+    function feed(landmarks, now = performance.now()) {
+      if (!landmarks) {
+        prediction = null;
+        result.textContent = 'Custom: —';
+        return null;
+      }
+      if (recording) {
+        capture(landmarks, now);
+        return null;
+      }
+      prediction = model.predict(GestureModel.features(landmarks));
+      result.textContent = prediction && prediction.label
+        ? `Custom: ${prediction.label} (${Math.round(prediction.confidence * 100)}%)`
+        : 'Custom: —';
+      if (hooks.onPrediction) hooks.onPrediction(prediction);
+      return prediction;
+    }
+
+    refreshList();
+    load();
+
+    return {
+      feed,
+      get model() { return model; },
+      get prediction() { return prediction; },
+      get recording() { return !!recording; }
+    };
+  }
+
+  root.GestureTrainerUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
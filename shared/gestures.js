@@ -0,0 +1,143 @@
+// gestures.js
+// Static (single frame) gesture recognition on top of HandAnalysis.
+// Browser global `Gestures`, Node: require('../shared/gestures').
+// Finger states come from analyzeHand().extended; poses that need more than
+// that (OK, thumbs up/down) use landmark geometry: tip distances and the
+// direction of the thumb relative to the wrist.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'));
+  else root.Gestures = factory(root.HandAnalysis);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis) {
+  'use strict';
+
+  const GESTURE_LABELS = {
+    none: '—',
+    fist: 'Fist',
+    open_palm: 'Open palm',
+    thumbs_up: 'Thumbs up',
+    thumbs_down: 'Thumbs down',
+    peace: 'Peace',
+    pointing: 'Pointing',
+    ok: 'OK',
+    rock: 'Rock',
+    call_me: 'Call me'
+  };
+
+  // how far (degrees) past the threshold a finger must be to count as fully certain
+  const ANGLE_MARGIN = 30;
+  // thumb-index tip distance (in hand sizes) below which they "touch"
+  const TOUCH_DISTANCE = 0.35;
+  // thumb tip to middle MCP distance (in hand sizes) for a tucked thumb
+  const TUCKED_DISTANCE = 0.8;
+  // minimum |cos| between thumb direction and vertical for thumbs up/down
+  const VERTICAL_COS = 0.6;
+
+  function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+  }
+
+  // wrist -> middle MCP, used to make distances scale-invariant
+  function handSize(landmarks) {
+    return dist(landmarks[0], landmarks[9]) || 1e-6;
+  }
+
+  function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+  }
+
+  // thumb direction (MCP -> tip) in image coords, y grows downward
+  function thumbDirection(landmarks) {
+    const a = landmarks[2], b = landmarks[4];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const mag = Math.hypot(dx, dy) || 1e-6;
+    return { x: dx / mag, y: dy / mag };
+  }
+
+  // 0..1 how clearly the thumb points up (sign = -1) or down (sign = 1)
+  function thumbVertical(landmarks, sign) {
+    const dir = thumbDirection(landmarks);
+    const tipBeyondWrist = sign * (landmarks[4].y - landmarks[0].y) > 0;
+    if (!tipBeyondWrist || sign * dir.y < VERTICAL_COS) return 0;
+    return 0.5 + 0.5 * (sign * dir.y - VERTICAL_COS) / (1 - VERTICAL_COS);
+  }
+
+  function thumbIndexTouch(landmarks) {
+    const d = dist(landmarks[4], landmarks[8]) / handSize(landmarks);
+    if (d > TOUCH_DISTANCE) return 0;
+    return 1 - 0.5 * d / TOUCH_DISTANCE;
+  }
+
+  // thumb tip resting over the folded fingers (near the middle MCP)
+  function thumbTucked(landmarks) {
+    const d = dist(landmarks[4], landmarks[9]) / handSize(landmarks);
+    if (d > TUCKED_DISTANCE) return 0;
+    return 1 - 0.5 * d / TUCKED_DISTANCE;
+  }
+
+  function fingersSpread(landmarks) {
+    const d = dist(landmarks[8], landmarks[12]) / handSize(landmarks);
+    return clamp01(d / 0.3);
+  }
+
+  // finger pattern: true = extended, false = folded, null = either
+  // check (optional): geometry score 0..1, gesture rejected at 0
+  const GESTURES = [
+    { name: 'ok', fingers: [null, null, true, true, true], check: thumbIndexTouch },
+    { name: 'thumbs_up', fingers: [true, false, false, false, false], check: lm => thumbVertical(lm, -1) },
+    { name: 'thumbs_down', fingers: [true, false, false, false, false], check: lm => thumbVertical(lm, 1) },
+    { name: 'open_palm', fingers: [true, true, true, true, true] },
+    { name: 'peace', fingers: [false, true, true, false, false], check: fingersSpread },
+    { name: 'pointing', fingers: [null, true, false, false, false] },
+    { name: 'rock', fingers: [null, true, false, false, true] },
+    { name: 'call_me', fingers: [true, false, false, false, true] },
+    { name: 'fist', fingers: [null, false, false, false, false], check: thumbTucked }
+  ];
+
+  // per-finger certainty that the finger is in the wanted state (0.5 at the threshold)
+  function fingerCertainty(angle, threshold, wantExtended) {
+    const margin = wantExtended ? angle - threshold : threshold - angle;
+    return clamp01(0.5 + 0.5 * margin / ANGLE_MARGIN);
+  }
+
+  // ---- recognize a named pose for one hand ----
+  // analysis: result of HandAnalysis.analyzeHand (computed if omitted)
+  // options.thresholds: same thresholds passed to analyzeHand
+  // returns { name, label, confidence }
+  function recognizeGesture(landmarks, analysis, options = {}) {
+    analysis = analysis || HandAnalysis.analyzeHand(landmarks, options);
+    const thresholds = options.thresholds || HandAnalysis.DEFAULT_THRESHOLDS;
+
+    let best = { name: 'none', confidence: 0 };
+    for (const g of GESTURES) {
+      let matches = true;
+      let sum = 0, n = 0;
+      for (let f = 0; f < 5; f++) {
+        const want = g.fingers[f];
+        if (want === null) continue;
+        if (analysis.extended[f] !== want) { matches = false; break; }
+        sum += fingerCertainty(analysis.extensionAngles[f], thresholds[f], want);
+        n++;
+      }
+      if (!matches) continue;
+
+      let confidence = n ? sum / n : 1;
+      if (g.check) {
+        const score = g.check(landmarks);
+        if (score <= 0) continue;
+        confidence *= score;
+      }
+      if (confidence > best.confidence) best = { name: g.name, confidence };
+    }
+
+    return { name: best.name, label: GESTURE_LABELS[best.name], confidence: best.confidence };
+  }
+
+  return {
+    GESTURE_LABELS,
+    GESTURES,
+    handSize,
+    dist,
+    recognizeGesture
+  };
+});
@@ -0,0 +1,228 @@
+// hand-analysis.js
+// Shared hand analysis used by both apps (browser global `HandAnalysis`)
+// and by Node (require('../shared/hand-analysis')).
+// Input: 21 landmarks {x, y, z} in MediaPipe order, normalized [0..1].
+// Output: per-finger extension, joint angles, the extended-finger count and
+// the palm frame (which way the palm faces, which hand it is).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.HandAnalysis = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const LANDMARK_COUNT = 21;
+  const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+  const TIP_INDICES = [4, 8, 12, 16, 20];
+
+  // wrist -> ... -> tip chain for each finger
+  const FINGER_CHAINS = {
+    thumb: [0, 1, 2, 3, 4],
+    index: [0, 5, 6, 7, 8],
+    middle: [0, 9, 10, 11, 12],
+    ring: [0, 13, 14, 15, 16],
+    pinky: [0, 17, 18, 19, 20]
+  };
+
+  // names of the three joints along each chain (angle at chain[1..3])
+  const JOINT_NAMES = {
+    thumb: ['cmc', 'mcp', 'ip'],
+    index: ['mcp', 'pip', 'dip'],
+    middle: ['mcp', 'pip', 'dip'],
+    ring: ['mcp', 'pip', 'dip'],
+    pinky: ['mcp', 'pip', 'dip']
+  };
+
+  // point triplets used for the extension test (angle at the middle point)
+  // thumb: 2-3-4 (IP), others: mcp-pip-tip
+  const EXTENSION_TRIPLETS = [
+    [2, 3, 4],
+    [5, 6, 8],
+    [9, 10, 12],
+    [13, 14, 16],
+    [17, 18, 20]
+  ];
+
+  // extended if the triplet angle is above this (degrees, near straight)
+  const DEFAULT_THRESHOLDS = [150, 160, 160, 160, 160];
+
+  // the thumb tip must also sit this far (hand sizes) out from the index MCP
+  // across the palm; with hysteresis the band is ±THUMB_ACROSS_BAND
+  const THUMB_ACROSS = 0.25;
+  const THUMB_ACROSS_BAND = 0.05;
+  // index MCP – pinky MCP distance (hand sizes) below which the palm is seen
+  // edge-on and its frame is not trusted
+  const MIN_PALM_WIDTH = 0.25;
+  // |normal.z| below this faces 'side'
+  const SIDE_FACING = 0.3;
+  // summed finger curl (hand sizes) needed to tell which hand it is
+  const CHIRALITY_EVIDENCE = 0.3;
+  // MCP -> tip per finger, index to pinky
+  const CURL_PAIRS = [[5, 8], [9, 12], [13, 16], [17, 20]];
+
+  // ---- angle helper (3D) ----
+  function angleBetween(a, b, c) {
+    // returns degrees between BA and BC at point B
+    const abx = a.x - b.x, aby = a.y - b.y, abz = (a.z || 0) - (b.z || 0);
+    const cbx = c.x - b.x, cby = c.y - b.y, cbz = (c.z || 0) - (b.z || 0);
+    const dot = abx * cbx + aby * cby + abz * cbz;
+    const mag1 = Math.hypot(abx, aby, abz);
+    const mag2 = Math.hypot(cbx, cby, cbz);
+    if (mag1 === 0 || mag2 === 0) return 0;
+    let cos = dot / (mag1 * mag2);
+    cos = Math.max(-1, Math.min(1, cos));
+    return Math.acos(cos) * (180 / Math.PI);
+  }
+
+  // ---- 3D vector helpers ----
+  function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+  }
+
+  function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+  }
+
+  function scaled(v, k) {
+    return { x: v.x * k, y: v.y * k, z: v.z * k };
+  }
+
+  function normalize(v) {
+    const mag = Math.hypot(v.x, v.y, v.z) || 1e-6;
+    return scaled(v, 1 / mag);
+  }
+
+  function isValidLandmarks(landmarks) {
+    if (!Array.isArray(landmarks) || landmarks.length !== LANDMARK_COUNT) return false;
+    return landmarks.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+  }
+
+  // ---- all joint angles, keyed by finger then joint name ----
+  function jointAngles(landmarks) {
+    const angles = {};
+    for (const finger of FINGERS) {
+      const chain = FINGER_CHAINS[finger];
+      const names = JOINT_NAMES[finger];
+      angles[finger] = {};
+      for (let j = 0; j < names.length; j++) {
+        angles[finger][names[j]] = angleBetween(landmarks[chain[j]], landmarks[chain[j + 1]], landmarks[chain[j + 2]]);
+      }
+    }
+    return angles;
+  }
+
+  // ---- angle used for the extension test, one per finger ----
+  function extensionAngles(landmarks) {
+    return EXTENSION_TRIPLETS.map(([a, b, c]) => angleBetween(landmarks[a], landmarks[b], landmarks[c]));
+  }
+
+  // ---- palm frame from the wrist and MCP landmarks ----
+  // up: wrist -> middle MCP; across: towards the index side, in the palm
+  // plane; axis = across × up. Image axes: x right, y down, z away from the
+  // camera. Model labels assume a mirrored (selfie) image, so a hand labelled
+  // 'Left' is a right hand in the raw frame: its palm points along +axis, a
+  // 'Right' hand's along -axis.
+  // handedness: the model's label (before any display flip), for normal/facing
+  // returns { up, across, normal, facing, chirality, evidence, width, valid, thumb }
+  //   normal: out of the palm (null without a Left/Right label)
+  //   facing: 'front' (palm to the camera) | 'back' | 'side' | null
+  //   chirality: the label implied by the curled fingers, which bend towards
+  //     the palm whichever way the hand is turned; null when too straight
+  //   thumb: { across, up } thumb tip from the index MCP, in hand sizes
+  function palmFrame(landmarks, handedness) {
+    const wrist = landmarks[0], indexMcp = landmarks[5];
+    const u = sub(landmarks[9], wrist);
+    const size = Math.hypot(u.x, u.y, u.z) || 1e-6;
+    const up = scaled(u, 1 / size);
+    const knuckles = sub(indexMcp, landmarks[17]);
+    const width = Math.hypot(knuckles.x, knuckles.y, knuckles.z) / size;
+    const valid = width >= MIN_PALM_WIDTH;
+    const across = normalize(sub(knuckles, scaled(up, dot(knuckles, up))));
+    const axis = cross(across, up);
+
+    let evidence = 0;
+    for (const [mcp, tip] of CURL_PAIRS) evidence += dot(sub(landmarks[tip], landmarks[mcp]), axis) / size;
+    const chirality = !valid || Math.abs(evidence) < CHIRALITY_EVIDENCE ? null : evidence > 0 ? 'Left' : 'Right';
+
+    const sign = handedness === 'Left' ? 1 : handedness === 'Right' ? -1 : 0;
+    const normal = sign ? scaled(axis, sign) : null;
+    let facing = null;
+    if (normal) facing = !valid || Math.abs(normal.z) < SIDE_FACING ? 'side' : normal.z < 0 ? 'front' : 'back';
+
+    const t = sub(landmarks[4], indexMcp);
+    return {
+      up,
+      across,
+      normal,
+      facing,
+      chirality,
+      evidence,
+      width,
+      valid,
+      thumb: { across: dot(t, across) / size, up: dot(t, up) / size }
+    };
+  }
+
+  // ---- analyze single hand landmarks ----
+  // options.thresholds: per-finger extension thresholds (defaults to DEFAULT_THRESHOLDS)
+  // options.hysteresis: per-finger half band (degrees); with options.previous
+  //   (last frame's extended[]) a finger must cross threshold + band to extend
+  //   and threshold - band to fold again
+  // options.handedness: the model's label, for the palm frame's facing
+  // options.thumbAcross: how far out the thumb tip must be (hand sizes,
+  //   default THUMB_ACROSS); false uses the 2-3-4 angle alone
+  function analyzeHand(landmarks, options = {}) {
+    if (!isValidLandmarks(landmarks)) {
+      throw new TypeError(`analyzeHand expects ${LANDMARK_COUNT} landmarks with numeric x/y`);
+    }
+    const thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+    const hysteresis = options.hysteresis;
+    const previous = options.previous;
+
+    const extAngles = extensionAngles(landmarks);
+    const extended = extAngles.map((ang, i) => {
+      if (!hysteresis || !previous) return ang > thresholds[i];
+      return previous[i] ? ang > thresholds[i] - hysteresis[i] : ang > thresholds[i] + hysteresis[i];
+    });
+
+    // a straight thumb folded over the palm passes the angle test, so the tip
+    // must also be out from the index side; measured in the palm plane, this
+    // holds with the back of the hand or the hand's edge to the camera
+    const palm = palmFrame(landmarks, options.handedness);
+    const thumbAcross = options.thumbAcross ?? THUMB_ACROSS;
+    if (thumbAcross !== false && palm.valid && extended[0]) {
+      const band = hysteresis && previous ? (previous[0] ? -THUMB_ACROSS_BAND : THUMB_ACROSS_BAND) : 0;
+      extended[0] = palm.thumb.across > thumbAcross + band;
+    }
+    const count = extended.reduce((s, v) => s + (v ? 1 : 0), 0);
+
+    return {
+      extended,
+      count,
+      extensionAngles: extAngles,
+      angles: jointAngles(landmarks),
+      palm
+    };
+  }
+
+  return {
+    LANDMARK_COUNT,
+    FINGERS,
+    TIP_INDICES,
+    FINGER_CHAINS,
+    JOINT_NAMES,
+    EXTENSION_TRIPLETS,
+    DEFAULT_THRESHOLDS,
+    THUMB_ACROSS,
+    angleBetween,
+    isValidLandmarks,
+    jointAngles,
+    extensionAngles,
+    palmFrame,
+    analyzeHand
+  };
+});
@@ -0,0 +1,127 @@
+// hand-tracker.js
+// Gives every detected hand a persistent ID across frames.
+// Browser global `HandTracker`, Node: require('../shared/hand-tracker').
+//
+// Detections are matched to existing tracks by palm-center distance, with a
+// penalty when the handedness label disagrees. Unmatched detections open new
+// tracks; tracks not seen for `retireMs` are retired. Each track carries an
+// app-defined `state` object (from options.createState) so smoothing
+// histories never mix between hands.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.HandTracker = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PALM_INDICES = [0, 5, 9, 13, 17];
+
+  const DEFAULT_OPTIONS = {
+    maxDistance: 0.25,        // max palm-center movement between frames (normalized)
+    handednessPenalty: 0.15,  // added to the cost when labels disagree
+    retireMs: 600,            // drop a track after this long unseen
+    labelHistory: 8,          // frames used to smooth the handedness label
+    createState: () => ({}),  // per-track state factory
+    onRetire: null            // called with each retired track
+  };
+
+  function palmCenter(landmarks) {
+    let x = 0, y = 0;
+    for (const i of PALM_INDICES) { x += landmarks[i].x; y += landmarks[i].y; }
+    return { x: x / PALM_INDICES.length, y: y / PALM_INDICES.length };
+  }
+
+  function mode(arr) {
+    const counts = {};
+    for (const v of arr) counts[v] = (counts[v] || 0) + 1;
+    return Object.keys(counts).reduce((a, b) => counts[a] >= counts[b] ? a : b);
+  }
+
+  class HandTracker {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.tracks = [];
+      this.nextId = 1;
+    }
+
+    reset() {
+      this.tracks = [];
+      this.nextId = 1;
+    }
+
+    // hands: [{ landmarks, handedness, score }], t: timestamp in ms
+    // returns the tracks matched this frame, oldest (lowest id) first
+    update(hands, t) {
+      const o = this.options;
+      const detections = hands.map(h => ({ ...h, center: palmCenter(h.landmarks) }));
+
+      // candidate pairs, cheapest first (greedy assignment is plenty for two hands)
+      const pairs = [];
+      for (let ti = 0; ti < this.tracks.length; ti++) {
+        const track = this.tracks[ti];
+        for (let di = 0; di < detections.length; di++) {
+          const d = detections[di];
+          let cost = Math.hypot(d.center.x - track.center.x, d.center.y - track.center.y);
+          if (d.handedness && track.handedness !== 'Unknown' && d.handedness !== track.handedness) {
+            cost += o.handednessPenalty;
+          }
+          if (cost <= o.maxDistance) pairs.push({ ti, di, cost });
+        }
+      }
+      pairs.sort((a, b) => a.cost - b.cost);
+
+      const usedTracks = new Set(), usedDetections = new Set();
+      const seen = [];
+      for (const p of pairs) {
+        if (usedTracks.has(p.ti) || usedDetections.has(p.di)) continue;
+        usedTracks.add(p.ti);
+        usedDetections.add(p.di);
+        seen.push(this._apply(this.tracks[p.ti], detections[p.di], t));
+      }
+
+      for (let di = 0; di < detections.length; di++) {
+        if (usedDetections.has(di)) continue;
+        const track = {
+          id: this.nextId++,
+          firstSeen: t,
+          labels: [],
+          handedness: 'Unknown',
+          state: o.createState()
+        };
+        this.tracks.push(track);
+        seen.push(this._apply(track, detections[di], t));
+      }
+
+      // retire stale tracks
+      const alive = [];
+      for (const track of this.tracks) {
+        if (t - track.lastSeen > o.retireMs) {
+          if (o.onRetire) o.onRetire(track);
+        } else {
+          alive.push(track);
+        }
+      }
+      this.tracks = alive;
+
+      return seen.sort((a, b) => a.id - b.id);
+    }
+
+    _apply(track, detection, t) {
+      track.landmarks = detection.landmarks;
+      track.center = detection.center;
+      track.score = detection.score;
+      track.rawHandedness = detection.handedness || 'Unknown';
+      track.labels.push(track.rawHandedness);
+      if (track.labels.length > this.options.labelHistory) track.labels.shift();
+      track.handedness = mode(track.labels);
+      track.lastSeen = t;
+      return track;
+    }
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    HandTracker,
+    palmCenter
+  };
+});
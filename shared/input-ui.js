@@ -0,0 +1,189 @@
+// input-ui.js
+// Input source controls shared by both apps (browser only): a camera picker
+// (enumerateDevices, plus front/back facing mode on touch devices) and
+// frame-by-frame processing of a local video file into a downloadable
+// per-frame timeline (shared/timeline.js).
+//   InputUI.attach(container, tracker, { source, onFileStart(file), onFileEnd() })
+// The picked camera is remembered in localStorage. While a file is processed
+// the tracker's camera loop is paused and its frames go through the normal
+// 'frame' event with frame.input set to the file's video.
+
+(function (root) {
+  'use strict';
+
+  const CAMERA_KEY = 'fingerTrack.camera';
+  const FACING = [['facing:user', 'Front camera'], ['facing:environment', 'Back camera']];
+  const FPS_CHOICES = [10, 15, 30, 60];
+  const DEFAULT_FPS = 30;
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  // select value -> FingerTracker camera options
+  function cameraOptions(value) {
+    if (value.startsWith('facing:')) return { deviceId: null, facingMode: value.slice(7) };
+    if (value.startsWith('device:')) return { deviceId: value.slice(7), facingMode: null };
+    return { deviceId: null, facingMode: null };
+  }
+
+  function loadChoice() {
+    try {
+      return localStorage.getItem(CAMERA_KEY) || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function saveChoice(value) {
+    try {
+      if (value) localStorage.setItem(CAMERA_KEY, value);
+      else localStorage.removeItem(CAMERA_KEY);
+    } catch (e) {
+      console.warn(`Could not save the camera choice: ${e.message}`);
+    }
+  }
+
+  function attach(container, tracker, hooks = {}) {
+    const touch = typeof matchMedia === 'function' && matchMedia('(pointer: coarse)').matches;
+    let choice = loadChoice();
+    let applied = '';
+    let abort = null;      // AbortController while a file is processed
+    let timeline = null;   // last finished timeline
+
+    // ---- controls ----
+    const cameraSel = el('select', { 'aria-label': 'Camera' });
+    const fileLabel = el('label', { class: 'file-btn', title: 'Analyse every frame of a local video (not in real time)' }, 'Process video…');
+    const fileInput = el('input', { type: 'file', accept: 'video/*' });
+    fileLabel.appendChild(fileInput);
+    const fpsSel = el('select', { 'aria-label': 'Frames per second to analyse' });
+    for (const fps of FPS_CHOICES) {
+      const opt = el('option', { value: String(fps) }, `${fps} fps`);
+      if (fps === DEFAULT_FPS) opt.selected = true;
+      fpsSel.appendChild(opt);
+    }
+    const progress = el('progress', { class: 'input-progress', max: '1', value: '0', hidden: '' });
+    const statusEl = el('span', { class: 'input-status' });
+    const btnStop = el('button', { type: 'button', hidden: '' }, 'Stop');
+    const btnTimeline = el('button', { type: 'button', disabled: '' }, 'Download timeline');
+    container.append(el('span', { class: 'label' }, 'Input:'), cameraSel, fileLabel, fpsSel, progress, statusEl, btnStop, btnTimeline);
+
+    // ---- camera picker ----
+    function applyChoice(value) {
+      applied = value;
+      tracker.setOptions({ camera: cameraOptions(value) });
+    }
+
+    // device ids are only usable once the camera is open, so a saved device
+    // is applied on 'ready' (reopening the camera), a facing mode right away
+    async function refresh(applySaved) {
+      let cameras = [];
+      try {
+        cameras = await FingerTracker.listCameras();
+      } catch (e) {
+        console.warn(`Could not list cameras: ${e.message}`);
+      }
+      cameraSel.textContent = '';
+      cameraSel.appendChild(el('option', { value: '' }, 'Default camera'));
+      if (touch) for (const [value, label] of FACING) cameraSel.appendChild(el('option', { value }, label));
+      for (const c of cameras) {
+        if (c.deviceId) cameraSel.appendChild(el('option', { value: `device:${c.deviceId}` }, c.label));
+      }
+      const available = [...cameraSel.options].some(o => o.value === choice);
+      cameraSel.value = available ? choice : applied;
+      if (applySaved && available && choice !== applied) applyChoice(choice);
+    }
+
+    cameraSel.addEventListener('change', () => {
+      choice = cameraSel.value;
+      saveChoice(choice);
+      applyChoice(choice);
+    });
+
+    if (choice.startsWith('facing:') && touch) applyChoice(choice);
+    refresh(false);
+    tracker.on('ready', (info) => {
+      cameraSel.disabled = !info.needsInput;
+      refresh(true);
+    });
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => refresh(false));
+    }
+
+    // ---- video file ----
+    function setBusy(busy) {
+      fileInput.disabled = fpsSel.disabled = busy;
+      fileLabel.classList.toggle('disabled', busy);
+      progress.hidden = btnStop.hidden = !busy;
+      btnTimeline.disabled = busy || !timeline;
+    }
+
+    async function processFile(file) {
+      const fps = Number(fpsSel.value);
+      const video = el('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      const url = URL.createObjectURL(file);
+      video.src = url;
+      const builder = new Timeline.TimelineBuilder({ source: hooks.source || null, file: file.name, fps });
+      abort = new AbortController();
+      progress.value = 0;
+      statusEl.textContent = `Loading ${file.name}…`;
+      setBusy(true);
+      if (hooks.onFileStart) hooks.onFileStart(file);
+      try {
+        const result = await tracker.processVideo(video, {
+          fps,
+          signal: abort.signal,
+          onFrame: (frame, index, total) => {
+            builder.add(frame);
+            progress.value = (index + 1) / total;
+            statusEl.textContent = `${file.name}: frame ${index + 1}/${total}`;
+          }
+        });
+        timeline = builder.finish({
+          width: video.videoWidth,
+          height: video.videoHeight,
+          durationMs: Math.round(result.total * 1000 / fps),
+          complete: !result.aborted
+        });
+        statusEl.textContent = `${file.name}: ${result.frames} frames${result.aborted ? ' (stopped)' : ''}, ` +
+          `hands in ${timeline.summary.framesWithHands}`;
+      } catch (e) {
+        console.error(e);
+        statusEl.textContent = `Could not process ${file.name}: ${e.message}`;
+      } finally {
+        URL.revokeObjectURL(url);
+        video.removeAttribute('src');
+        abort = null;
+        setBusy(false);
+        if (hooks.onFileEnd) hooks.onFileEnd();
+      }
+    }
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file && !abort) processFile(file);
+    });
+    btnStop.addEventListener('click', () => { if (abort) abort.abort(); });
+    btnTimeline.addEventListener('click', () => {
+      if (!timeline) return;
+      const base = timeline.file.replace(/\.[^.]+$/, '').replace(/\W+/g, '_');
+      Session.download(`timeline-${base}.json`, Timeline.toJSON(timeline), 'application/json');
+    });
+
+    return {
+      refresh,
+      processFile,
+      get processing() { return !!abort; },
+      get timeline() { return timeline; }
+    };
+  }
+
+  root.InputUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
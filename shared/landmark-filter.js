@@ -0,0 +1,213 @@
+// landmark-filter.js
+// Per-landmark temporal filtering to take the jitter out of the skeleton.
+// Browser global `LandmarkFilter`, Node: require('../shared/landmark-filter').
+//
+// Filters (each coordinate of each of the 21 landmarks is filtered on its own):
+//   one-euro  One Euro filter (Casiez et al. 2012): low-pass whose cutoff rises
+//             with speed, so slow jitter is smoothed hard and fast moves lag little
+//   kalman    constant-velocity Kalman filter (position + velocity state)
+//   none      pass-through
+// Time is in milliseconds, coordinates are normalized like the landmarks.
+//
+// Page URL options: ?filter=one-euro|kalman|none, ?minCutoff=, ?beta=,
+// ?dCutoff= (One Euro), ?processNoise=, ?measurementNoise= (Kalman).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LandmarkFilter = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FILTER_TYPES = ['one-euro', 'kalman', 'none'];
+  const FILTER_LABELS = { 'one-euro': 'One Euro', kalman: 'Kalman', none: 'Off' };
+
+  const DEFAULT_OPTIONS = {
+    type: 'one-euro',
+    // cutoffs in Hz; beta scales the cutoff with speed (normalized units / s)
+    oneEuro: { minCutoff: 1.0, beta: 20, dCutoff: 1.0 },
+    // processNoise: acceleration variance ((units/s^2)^2)
+    // measurementNoise: landmark noise variance (units^2)
+    kalman: { processNoise: 2, measurementNoise: 2e-5 }
+  };
+
+  // frames further apart than this restart the filter instead of smoothing across the gap
+  const MAX_GAP_MS = 500;
+
+  function smoothingFactor(dt, cutoff) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+  }
+
+  // ---- One Euro, one scalar ----
+  class OneEuroFilter {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS.oneEuro, ...options };
+      this.reset();
+    }
+
+    reset() {
+      this.x = null;
+      this.dx = 0;
+    }
+
+    // dt in seconds
+    filter(value, dt) {
+      if (this.x === null || !(dt > 0)) {
+        this.x = value;
+        this.dx = 0;
+        return value;
+      }
+      const { minCutoff, beta, dCutoff } = this.options;
+      const rawDx = (value - this.x) / dt;
+      this.dx += smoothingFactor(dt, dCutoff) * (rawDx - this.dx);
+      const cutoff = minCutoff + beta * Math.abs(this.dx);
+      this.x += smoothingFactor(dt, cutoff) * (value - this.x);
+      return this.x;
+    }
+  }
+
+  // ---- constant-velocity Kalman, one scalar ----
+  class KalmanFilter1D {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS.kalman, ...options };
+      this.reset();
+    }
+
+    reset() {
+      this.x = null; // position
+      this.v = 0;    // velocity
+      this.p = null; // covariance [p00, p01, p11]
+    }
+
+    // dt in seconds
+    filter(value, dt) {
+      const { processNoise: q, measurementNoise: r } = this.options;
+      if (this.x === null || !(dt > 0)) {
+        this.x = value;
+        this.v = 0;
+        this.p = [r, 0, 1];
+        return value;
+      }
+      // predict: x' = x + v dt, P' = F P F^T + Q (white-noise acceleration)
+      let [p00, p01, p11] = this.p;
+      this.x += this.v * dt;
+      const dt2 = dt * dt;
+      p00 += dt * (2 * p01 + dt * p11) + q * dt2 * dt2 / 4;
+      p01 += dt * p11 + q * dt2 * dt / 2;
+      p11 += q * dt2;
+      // update with the measured position
+      const s = p00 + r;
+      const k0 = p00 / s, k1 = p01 / s;
+      const residual = value - this.x;
+      this.x += k0 * residual;
+      this.v += k1 * residual;
+      this.p = [(1 - k0) * p00, (1 - k0) * p01, p11 - k1 * p01];
+      return this.x;
+    }
+  }
+
+  function createScalar(type, options) {
+    if (type === 'one-euro') return new OneEuroFilter(options.oneEuro);
+    if (type === 'kalman') return new KalmanFilter1D(options.kalman);
+    return null;
+  }
+
+  function mergeOptions(base, options = {}) {
+    return {
+      type: options.type || base.type,
+      oneEuro: { ...base.oneEuro, ...options.oneEuro },
+      kalman: { ...base.kalman, ...options.kalman }
+    };
+  }
+
+  // ---- filter for a whole hand (21 landmarks x {x, y, z}) ----
+  class HandFilter {
+    constructor(options = {}) {
+      this.options = mergeOptions(DEFAULT_OPTIONS, options);
+      if (!FILTER_TYPES.includes(this.options.type)) throw new Error(`Unknown landmark filter "${this.options.type}"`);
+      this.reset();
+    }
+
+    setOptions(options) {
+      this.options = mergeOptions(this.options, options);
+      if (!FILTER_TYPES.includes(this.options.type)) throw new Error(`Unknown landmark filter "${this.options.type}"`);
+      this.reset();
+    }
+
+    reset() {
+      this.filters = null;
+      this.lastT = null;
+    }
+
+    // returns new filtered landmarks; the input is left untouched
+    filter(landmarks, t) {
+      if (this.options.type === 'none') return landmarks;
+      const gap = this.lastT === null ? Infinity : t - this.lastT;
+      if (!this.filters || gap <= 0 || gap > MAX_GAP_MS) {
+        this.filters = landmarks.map(() => ['x', 'y', 'z'].map(() => createScalar(this.options.type, this.options)));
+      }
+      const dt = Number.isFinite(gap) && gap > 0 && gap <= MAX_GAP_MS ? gap / 1000 : 0;
+      this.lastT = t;
+      return landmarks.map((p, i) => {
+        const [fx, fy, fz] = this.filters[i];
+        return { x: fx.filter(p.x, dt), y: fy.filter(p.y, dt), z: fz.filter(p.z || 0, dt) };
+      });
+    }
+  }
+
+  // mean 2D distance between matching landmarks (for the jitter readout)
+  function meanDisplacement(a, b) {
+    if (!a || !b || a.length !== b.length) return null;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+    return sum / a.length;
+  }
+
+  // running average of frame-to-frame landmark movement, raw vs filtered,
+  // for the debug overlay (normalized units per frame)
+  class JitterMeter {
+    constructor(alpha = 0.1) {
+      this.alpha = alpha;
+      this.reset();
+    }
+
+    reset() {
+      this.raw = null;
+      this.filtered = null;
+      this._prevRaw = null;
+      this._prevFiltered = null;
+    }
+
+    update(raw, filtered) {
+      const dr = meanDisplacement(this._prevRaw, raw);
+      const df = meanDisplacement(this._prevFiltered, filtered);
+      if (dr !== null) this.raw = this.raw === null ? dr : this.raw + this.alpha * (dr - this.raw);
+      if (df !== null) this.filtered = this.filtered === null ? df : this.filtered + this.alpha * (df - this.filtered);
+      this._prevRaw = raw;
+      this._prevFiltered = filtered;
+    }
+  }
+
+  function optionsFromUrl() {
+    if (typeof location === 'undefined') return {};
+    const p = new URLSearchParams(location.search);
+    const num = (name) => (p.get(name) !== null && Number.isFinite(Number(p.get(name))) ? Number(p.get(name)) : undefined);
+    const opts = { oneEuro: {}, kalman: {} };
+    if (FILTER_TYPES.includes(p.get('filter'))) opts.type = p.get('filter');
+    for (const k of ['minCutoff', 'beta', 'dCutoff']) if (num(k) !== undefined) opts.oneEuro[k] = num(k);
+    for (const k of ['processNoise', 'measurementNoise']) if (num(k) !== undefined) opts.kalman[k] = num(k);
+    return opts;
+  }
+
+  return {
+    FILTER_TYPES,
+    FILTER_LABELS,
+    DEFAULT_OPTIONS,
+    OneEuroFilter,
+    KalmanFilter1D,
+    HandFilter,
+    meanDisplacement,
+    JitterMeter,
+    optionsFromUrl
+  };
+});
@@ -0,0 +1,139 @@
+// live-client.js
+// Browser client for the /ws live hub (see server/live-hub.js).
+//   LiveClient     - reconnecting WebSocket that joins one channel
+//   LivePublisher  - what the tracker pages use: throttled per-frame state
+//                    plus immediate one-off events (motion, lost hand)
+// Page URL options: ?channel=<name> (default "default"), ?live=0 to turn
+// publishing off, ?landmarks=1 to include raw landmarks in frame events.
+
+(function (root) {
+  'use strict';
+
+  const RECONNECT_MIN_MS = 1000;
+  const RECONNECT_MAX_MS = 10000;
+
+  function defaultUrl() {
+    const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${proto}//${location.host}/ws`;
+  }
+
+  class LiveClient {
+    // options: { url, channel, role, onEvent(msg), onPresence(msg), onStatus(text) }
+    constructor(options = {}) {
+      this.url = options.url || defaultUrl();
+      this.channel = options.channel || 'default';
+      this.role = options.role || 'subscriber';
+      this.onEvent = options.onEvent || (() => {});
+      this.onPresence = options.onPresence || (() => {});
+      this.onStatus = options.onStatus || (() => {});
+      this.ws = null;
+      this.id = null;
+      this.connected = false;
+      this.closed = false;
+      this._delay = RECONNECT_MIN_MS;
+    }
+
+    connect() {
+      this.closed = false;
+      this.onStatus('connecting');
+      const ws = new WebSocket(this.url);
+      this.ws = ws;
+
+      ws.addEventListener('open', () => {
+        this._delay = RECONNECT_MIN_MS;
+        this._send({ type: 'join', channel: this.channel, role: this.role });
+      });
+      ws.addEventListener('message', (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (err) { return; }
+        if (msg.type === 'welcome') this.id = msg.id;
+        else if (msg.type === 'joined') { this.connected = true; this.onStatus('connected'); }
+        else if (msg.type === 'presence') this.onPresence(msg);
+        else if (msg.type === 'event') this.onEvent(msg);
+        else if (msg.type === 'error') console.warn('live hub:', msg.error);
+      });
+      ws.addEventListener('close', () => {
+        this.connected = false;
+        if (this.closed) return this.onStatus('off');
+        this.onStatus('reconnecting');
+        setTimeout(() => { if (!this.closed) this.connect(); }, this._delay);
+        this._delay = Math.min(RECONNECT_MAX_MS, this._delay * 2);
+      });
+      return this;
+    }
+
+    join(channel) {
+      this.channel = channel;
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this._send({ type: 'join', channel, role: this.role });
+      }
+    }
+
+    publish(event) {
+      if (this.connected) this._send({ type: 'publish', event });
+    }
+
+    close() {
+      this.closed = true;
+      if (this.ws) this.ws.close();
+    }
+
+    _send(msg) {
+      this.ws.send(JSON.stringify(msg));
+    }
+  }
+
+  class LivePublisher {
+    // options: { source, intervalMs, statusEl }; channel/landmarks/live from the URL
+    constructor(options = {}) {
+      const params = new URLSearchParams(location.search);
+      this.enabled = params.get('live') !== '0';
+      this.includeLandmarks = params.get('landmarks') === '1';
+      this.source = options.source || 'tracker';
+      this.intervalMs = options.intervalMs || 66; // ~15 updates per second
+      this.statusEl = options.statusEl || null;
+      this._lastSent = 0;
+      this._lastHandCount = 0;
+      this.client = null;
+
+      if (!this.enabled) return this._status('off');
+      this.client = new LiveClient({
+        channel: params.get('channel') || 'default',
+        role: 'publisher',
+        onStatus: (s) => this._status(s)
+      }).connect();
+    }
+
+    _status(s) {
+      if (this.statusEl) this.statusEl.innerText = `Live: ${s}${this.client && s === 'connected' ? ` (${this.client.channel})` : ''}`;
+    }
+
+    // hands: [{ id, handedness, count, gesture: {name, confidence}, landmarks }]
+    frame(hands, now = performance.now()) {
+      if (!this.client) return;
+      // always send the transition to "no hands" so subscribers see the loss
+      const lost = hands.length === 0 && this._lastHandCount > 0;
+      this._lastHandCount = hands.length;
+      if (!hands.length && !lost) return;
+      if (!lost && now >= this._lastSent && now - this._lastSent < this.intervalMs) return;
+      this._lastSent = now;
+      this.client.publish({
+        kind: 'frame',
+        source: this.source,
+        hands: hands.map(h => {
+          const out = { id: h.id, handedness: h.handedness, count: h.count, gesture: h.gesture };
+          if (this.includeLandmarks && h.landmarks) out.landmarks = h.landmarks;
+          return out;
+        })
+      });
+    }
+
+    // one-off events, sent immediately: { kind: 'motion', ... }
+    event(ev) {
+      if (this.client) this.client.publish({ source: this.source, ...ev });
+    }
+  }
+
+  root.LiveClient = LiveClient;
+  root.LivePublisher = LivePublisher;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,115 @@
+// monitor.js
+// /monitor page: subscribes to a live hub channel and shows every connected
+// tracker's hands (count, handedness, gesture, optional skeleton) plus a log
+// of one-off events such as motions.
+
+const trackersEl = document.getElementById('trackers');
+const logEl = document.getElementById('log');
+const statusEl = document.getElementById('status');
+const channelInput = document.getElementById('channel');
+
+const LOG_MAX = 200;
+const trackers = new Map(); // publisher id -> { el, handsEl, canvas }
+
+const params = new URLSearchParams(location.search);
+channelInput.value = params.get('channel') || 'default';
+
+function log(text) {
+  const line = document.createElement('div');
+  line.textContent = `${new Date().toLocaleTimeString()}  ${text}`;
+  logEl.prepend(line);
+  while (logEl.childElementCount > LOG_MAX) logEl.lastChild.remove();
+}
+
+function trackerView(id) {
+  let view = trackers.get(id);
+  if (view) return view;
+  const el = document.createElement('div');
+  el.className = 'tracker';
+  el.innerHTML = `<h2></h2><div class="hands"><div class="idle">waiting for frames…</div></div><canvas width="320" height="180" hidden></canvas>`;
+  el.querySelector('h2').textContent = id;
+  trackersEl.appendChild(el);
+  view = { el, handsEl: el.querySelector('.hands'), canvas: el.querySelector('canvas'), source: null };
+  trackers.set(id, view);
+  return view;
+}
+
+function drawSkeletons(canvas, hands) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const withLandmarks = hands.filter(h => h.landmarks && h.landmarks.length === 21);
+  canvas.hidden = withLandmarks.length === 0;
+  ctx.strokeStyle = 'rgba(0,224,168,0.95)';
+  ctx.lineWidth = 2;
+  for (const h of withLandmarks) {
+    for (const chain of Object.values(HandAnalysis.FINGER_CHAINS)) {
+      ctx.beginPath();
+      chain.forEach((idx, i) => {
+        const p = h.landmarks[idx];
+        if (i === 0) ctx.moveTo(p.x * canvas.width, p.y * canvas.height);
+        else ctx.lineTo(p.x * canvas.width, p.y * canvas.height);
+      });
+      ctx.stroke();
+    }
+  }
+}
+
+function renderFrame(from, event) {
+  const view = trackerView(from);
+  if (event.source && view.source !== event.source) {
+    view.source = event.source;
+    view.el.querySelector('h2').textContent = `${from} · ${event.source}`;
+  }
+  if (!event.hands.length) {
+    view.handsEl.innerHTML = '<div class="idle">no hands</div>';
+  } else {
+    view.handsEl.innerHTML = '';
+    for (const h of event.hands) {
+      const row = document.createElement('div');
+      row.className = 'hand';
+      const gesture = h.gesture && h.gesture.name !== 'none'
+        ? ` · ${h.gesture.label || h.gesture.name} (${Math.round(h.gesture.confidence * 100)}%)`
+        : '';
+      row.textContent = `#${h.id} ${h.handedness}: ${h.count} finger(s)${gesture}`;
+      view.handsEl.appendChild(row);
+    }
+  }
+  drawSkeletons(view.canvas, event.hands);
+}
+
+const client = new LiveClient({
+  channel: channelInput.value,
+  role: 'subscriber',
+  onStatus: (s) => { statusEl.innerText = s === 'connected' ? `connected to "${client.channel}"` : s; },
+  onPresence: (msg) => {
+    // drop cards of trackers that left
+    for (const id of [...trackers.keys()]) {
+      if (!msg.publishers.includes(id)) {
+        trackers.get(id).el.remove();
+        trackers.delete(id);
+        log(`${id} left`);
+      }
+    }
+    for (const id of msg.publishers) {
+      if (!trackers.has(id)) { trackerView(id); log(`${id} joined`); }
+    }
+  },
+  onEvent: (msg) => {
+    const ev = msg.event || {};
+    if (ev.kind === 'frame') {
+      const view = trackers.get(msg.from);
+      const before = view ? view.handsEl.textContent : '';
+      renderFrame(msg.from, ev);
+      if (!ev.hands.length && before && !before.includes('no hands')) log(`${msg.from} lost all hands`);
+    } else {
+      log(`${msg.from} ${ev.kind || 'event'}: ${ev.label || ev.name || JSON.stringify(ev)}${ev.hand ? ` (#${ev.hand})` : ''}`);
+    }
+  }
+}).connect();
+
+document.getElementById('join').addEventListener('click', () => {
+  for (const view of trackers.values()) view.el.remove();
+  trackers.clear();
+  client.join(channelInput.value.trim() || 'default');
+  log(`joined channel "${client.channel}"`);
+});
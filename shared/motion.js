@@ -0,0 +1,200 @@
+// motion.js
+// Dynamic (motion) gestures from a short trajectory of wrist and index-tip
+// positions: swipes, circles, wave and push/pull.
+// Browser global `Motion`, Node: require('../shared/motion').
+//
+// Feed one sample per frame with detector.push(sample); it returns an event
+// object when a motion completes, otherwise null. After an event fires the
+// trajectory is cleared and further events are held back for `debounceMs`,
+// so one physical motion produces one event.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./gestures'));
+  else root.Motion = factory(root.Gestures);
+})(typeof self !== 'undefined' ? self : this, function (Gestures) {
+  'use strict';
+
+  const MOTION_LABELS = {
+    swipe_left: 'Swipe left',
+    swipe_right: 'Swipe right',
+    swipe_up: 'Swipe up',
+    swipe_down: 'Swipe down',
+    circle_cw: 'Circle ↻',
+    circle_ccw: 'Circle ↺',
+    wave: 'Wave',
+    push: 'Push',
+    pull: 'Pull'
+  };
+
+  // distances are in normalized image units, speeds in units per second
+  const DEFAULT_OPTIONS = {
+    bufferMs: 1500,      // how much trajectory to keep
+    debounceMs: 700,     // quiet period after an event
+    mirrorX: false,      // flip left/right and cw/ccw (for mirrored display)
+    swipe: { maxDurationMs: 500, minDistance: 0.25, minSpeed: 0.8, maxOffAxis: 0.5 },
+    circle: { maxDurationMs: 1500, minRadius: 0.04, minTurns: 0.85 },
+    wave: { maxDurationMs: 1200, minAmplitude: 0.04, minReversals: 3 },
+    push: { maxDurationMs: 600, minChange: 0.25, minSpeed: 0.6, maxDrift: 0.12 }
+  };
+
+  function mergeOptions(base, override = {}) {
+    const out = { ...base };
+    for (const k of Object.keys(override)) {
+      const v = override[k];
+      out[k] = (v && typeof v === 'object' && !Array.isArray(v)) ? { ...base[k], ...v } : v;
+    }
+    return out;
+  }
+
+  // relative depth proxy: inverse apparent hand size, smaller = closer to camera
+  function depthFromLandmarks(landmarks) {
+    return 0.1 / Gestures.handSize(landmarks);
+  }
+
+  // ---- sample from a 21-landmark hand ----
+  function sampleFromLandmarks(landmarks, t) {
+    const w = landmarks[0], p = landmarks[8];
+    return {
+      t,
+      wrist: { x: w.x, y: w.y, z: w.z || 0 },
+      tip: { x: p.x, y: p.y, z: p.z || 0 },
+      z: depthFromLandmarks(landmarks)
+    };
+  }
+
+  // samples no older than maxDurationMs before the newest one
+  function recent(buffer, maxDurationMs) {
+    const tEnd = buffer[buffer.length - 1].t;
+    let i = buffer.length - 1;
+    while (i > 0 && tEnd - buffer[i - 1].t <= maxDurationMs) i--;
+    return buffer.slice(i);
+  }
+
+  function detectSwipe(buffer, o) {
+    const s = recent(buffer, o.swipe.maxDurationMs);
+    if (s.length < 3) return null;
+    const a = s[0].tip, b = s[s.length - 1].tip;
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const distance = Math.hypot(dx, dy);
+    const dur = (s[s.length - 1].t - s[0].t) / 1000;
+    if (dur <= 0 || distance < o.swipe.minDistance) return null;
+    const speed = distance / dur;
+    if (speed < o.swipe.minSpeed) return null;
+
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    const offAxis = horizontal ? Math.abs(dy) / Math.abs(dx) : Math.abs(dx) / Math.abs(dy);
+    if (offAxis > o.swipe.maxOffAxis) return null;
+
+    let direction;
+    if (horizontal) direction = (dx > 0) !== o.mirrorX ? 'right' : 'left';
+    else direction = dy > 0 ? 'down' : 'up';
+    return { name: `swipe_${direction}`, type: 'swipe', direction, distance, speed };
+  }
+
+  function detectCircle(buffer, o) {
+    const s = recent(buffer, o.circle.maxDurationMs);
+    if (s.length < 8) return null;
+    let cx = 0, cy = 0;
+    for (const p of s) { cx += p.tip.x; cy += p.tip.y; }
+    cx /= s.length; cy /= s.length;
+
+    let radius = 0, turn = 0;
+    let prev = Math.atan2(s[0].tip.y - cy, s[0].tip.x - cx);
+    for (const p of s) {
+      radius += Math.hypot(p.tip.x - cx, p.tip.y - cy);
+      const ang = Math.atan2(p.tip.y - cy, p.tip.x - cx);
+      let d = ang - prev;
+      if (d > Math.PI) d -= 2 * Math.PI;
+      if (d < -Math.PI) d += 2 * Math.PI;
+      turn += d;
+      prev = ang;
+    }
+    radius /= s.length;
+    if (radius < o.circle.minRadius) return null;
+    if (Math.abs(turn) < o.circle.minTurns * 2 * Math.PI) return null;
+
+    // image y grows downward, so a positive turn is clockwise on screen
+    const clockwise = (turn > 0) !== o.mirrorX;
+    return { name: clockwise ? 'circle_cw' : 'circle_ccw', type: 'circle', direction: clockwise ? 'cw' : 'ccw', radius, turns: Math.abs(turn) / (2 * Math.PI) };
+  }
+
+  function detectWave(buffer, o) {
+    const s = recent(buffer, o.wave.maxDurationMs);
+    if (s.length < 6) return null;
+    // count direction reversals of wrist x that travelled at least minAmplitude
+    let reversals = 0, dir = 0, peak = s[0].wrist.x;
+    for (const p of s) {
+      const x = p.wrist.x;
+      if (dir === 0) {
+        if (Math.abs(x - peak) >= o.wave.minAmplitude) { dir = x > peak ? 1 : -1; peak = x; }
+      } else if (dir * (x - peak) > 0) {
+        peak = x;
+      } else if (Math.abs(x - peak) >= o.wave.minAmplitude) {
+        reversals++;
+        dir = -dir;
+        peak = x;
+      }
+    }
+    if (reversals < o.wave.minReversals) return null;
+    return { name: 'wave', type: 'wave', reversals };
+  }
+
+  function detectPush(buffer, o) {
+    const s = recent(buffer, o.push.maxDurationMs);
+    if (s.length < 3) return null;
+    const a = s[0], b = s[s.length - 1];
+    if (!a.z || !b.z) return null;
+    const change = (b.z - a.z) / a.z;
+    const dur = (b.t - a.t) / 1000;
+    if (dur <= 0 || Math.abs(change) < o.push.minChange) return null;
+    if (Math.abs(change) / dur < o.push.minSpeed) return null;
+    if (Math.hypot(b.wrist.x - a.wrist.x, b.wrist.y - a.wrist.y) > o.push.maxDrift) return null;
+    const name = change < 0 ? 'push' : 'pull';
+    return { name, type: name, change };
+  }
+
+  const DETECTORS = [detectCircle, detectWave, detectPush, detectSwipe];
+
+  class MotionDetector {
+    constructor(options = {}) {
+      this.options = mergeOptions(DEFAULT_OPTIONS, options);
+      this.buffer = [];
+      this.lastEventAt = -Infinity;
+    }
+
+    setOptions(options) {
+      this.options = mergeOptions(this.options, options);
+    }
+
+    reset() {
+      this.buffer = [];
+    }
+
+    // sample: { t (ms), wrist: {x,y,z}, tip: {x,y,z}, z (relative depth) }
+    push(sample) {
+      const o = this.options;
+      this.buffer.push(sample);
+      while (this.buffer.length && sample.t - this.buffer[0].t > o.bufferMs) this.buffer.shift();
+      if (sample.t - this.lastEventAt < o.debounceMs) return null;
+
+      for (const detect of DETECTORS) {
+        const ev = detect(this.buffer, o);
+        if (!ev) continue;
+        ev.label = MOTION_LABELS[ev.name];
+        ev.t = sample.t;
+        this.lastEventAt = sample.t;
+        this.buffer = [];
+        return ev;
+      }
+      return null;
+    }
+  }
+
+  return {
+    MOTION_LABELS,
+    DEFAULT_OPTIONS,
+    MotionDetector,
+    sampleFromLandmarks,
+    depthFromLandmarks
+  };
+});
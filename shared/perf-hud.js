@@ -0,0 +1,86 @@
+// perf-hud.js
+// Optional FingerTracker plugin: a small heads-up display with detection
+// FPS, inference latency, dropped frames, input scale and the backend in use
+// (browser only).
+//   const hud = tracker.use(new PerfHUD({ host: videoWrap, visible: true }));
+//   hud.setVisible(false);
+// It shows the tracker's once-a-second 'stats' event; `host` should be
+// positioned (the pages' .video-wrap is).
+
+(function (root) {
+  'use strict';
+
+  const ROWS = [
+    ['fps', 'FPS'],
+    ['latency', 'Inference'],
+    ['dropped', 'Dropped'],
+    ['scale', 'Input'],
+    ['backend', 'Backend']
+  ];
+
+  class PerfHUD {
+    // options: { host (element), visible = false }
+    constructor(options = {}) {
+      this.host = options.host;
+      this.visible = !!options.visible;
+      this.tracker = null;
+      this.el = document.createElement('div');
+      this.el.className = 'perf-hud';
+      this.el.hidden = !this.visible;
+      this.cells = {};
+      for (const [key, label] of ROWS) {
+        const row = document.createElement('div');
+        const name = document.createElement('span');
+        name.textContent = label;
+        const value = document.createElement('span');
+        value.textContent = '—';
+        row.append(name, value);
+        this.el.appendChild(row);
+        this.cells[key] = value;
+      }
+      this._onStats = stats => this.render(stats);
+      this._onReady = info => this._backend(info);
+    }
+
+    install(tracker) {
+      this.tracker = tracker;
+      this.host.appendChild(this.el);
+      tracker.on('stats', this._onStats);
+      tracker.on('ready', this._onReady);
+    }
+
+    uninstall(tracker) {
+      tracker.off('stats', this._onStats);
+      tracker.off('ready', this._onReady);
+      this.el.remove();
+      this.tracker = null;
+    }
+
+    setVisible(visible) {
+      this.visible = !!visible;
+      this.el.hidden = !this.visible;
+    }
+
+    toggle() {
+      this.setVisible(!this.visible);
+      return this.visible;
+    }
+
+    _backend(info) {
+      this.cells.backend.textContent = `${info.backend} · ${info.inWorker ? 'worker' : 'main thread'}`;
+    }
+
+    render(s) {
+      const over = s.latency > s.budget;
+      this.cells.fps.textContent = `${s.fps.toFixed(1)} / ${s.targetFps}`;
+      this.cells.latency.textContent = `${Math.round(s.latency)} ms (budget ${Math.round(s.budget)})`;
+      this.cells.latency.classList.toggle('over', over);
+      this.cells.dropped.textContent = `${s.dropped} (${Math.round(s.droppedPerSec)}/s)`;
+      this.cells.scale.textContent = `${s.width}×${s.height} · ${Math.round(s.scale * 100)}%` +
+        (s.skip ? ` · skip ${s.skip}` : '') + (s.adaptive ? '' : ' · fixed');
+      this._backend(s);
+    }
+  }
+
+  root.PerfHUD = PerfHUD;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,220 @@
+// rehab-ui.js
+// Joint-angle telemetry panel: live flexion of all 15 joints, rolling charts,
+// the session range-of-motion table and the timed exercise protocol
+// (browser only).
+//   RehabUI.attach(container, overlayHost)
+// The app calls ui.feed(analysis | null, now) every frame with the first
+// tracked hand's analysis; nothing is recorded while telemetry is off.
+// Exercise prompts use the calibration wizard's overlay styles.
+
+(function (root) {
+  'use strict';
+
+  const TABLE_INTERVAL_MS = 100; // table refresh; the charts redraw every frame
+  const JOINT_COLORS = ['#00e0a8', '#ffb347', '#6fa8ff'];
+  const CHART_WIDTH = 420;
+  const CHART_ROW = 56;
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function fmt(v) {
+    return v == null ? '—' : `${Math.round(v)}°`;
+  }
+
+  function attach(container, overlayHost) {
+    const rom = new Rehab.RangeOfMotion();
+    let protocol = null; // ExerciseProtocol, kept after it finishes for the report
+    let running = false;
+    let enabled = false;
+    let lastTable = 0;
+
+    // ---- controls ----
+    const btnToggle = el('button', { type: 'button' }, 'Telemetry: Off');
+    const btnExercise = el('button', { type: 'button' }, 'Start exercise');
+    const btnReset = el('button', { type: 'button' }, 'Reset');
+    const btnCSV = el('button', { type: 'button' }, 'Export CSV');
+    const btnReport = el('button', { type: 'button' }, 'Report');
+    container.append(el('span', { class: 'label' }, 'Rehab:'), btnToggle, btnExercise, btnReset, btnCSV, btnReport);
+
+    // ---- panel: table + charts ----
+    const panel = el('div', { class: 'rehab-panel', hidden: '' });
+    const table = el('table', { class: 'rehab-table' });
+    const head = el('tr');
+    for (const h of ['Joint', 'Now', 'Min', 'Max', 'Range']) head.appendChild(el('th', {}, h));
+    table.appendChild(el('thead')).appendChild(head);
+    const tbody = table.appendChild(el('tbody'));
+    const cells = Rehab.JOINTS.map(j => {
+      const tr = el('tr', j.joint === HandAnalysis.JOINT_NAMES[j.finger][0] ? { class: 'first' } : {});
+      tr.appendChild(el('td', {}, j.label));
+      const row = ['current', 'min', 'max', 'range'].map(() => tr.appendChild(el('td')));
+      tbody.appendChild(tr);
+      return row;
+    });
+    const chart = el('canvas', { class: 'rehab-chart', width: String(CHART_WIDTH), height: String(CHART_ROW * HandAnalysis.FINGERS.length) });
+    panel.append(table, chart);
+    container.appendChild(panel);
+    const chartCtx = chart.getContext('2d');
+
+    // ---- exercise overlay ----
+    const overlay = el('div', { class: 'calibration-overlay', hidden: '' });
+    const title = el('div', { class: 'cal-title' });
+    const prompt = el('div', { class: 'cal-prompt' });
+    const bar = el('div', { class: 'cal-bar' });
+    const barFill = el('div', { class: 'cal-bar-fill' });
+    bar.appendChild(barFill);
+    const actions = el('div', { class: 'cal-actions' });
+    const btnStop = el('button', { type: 'button' }, 'Stop');
+    actions.appendChild(btnStop);
+    overlay.append(title, prompt, bar, actions);
+    overlayHost.appendChild(overlay);
+
+    function setEnabled(on) {
+      enabled = on;
+      btnToggle.innerText = `Telemetry: ${on ? 'On' : 'Off'}`;
+      btnToggle.classList.toggle('active', on);
+      panel.hidden = !on;
+      if (!on) stopExercise();
+      refreshButtons();
+    }
+
+    function refreshButtons() {
+      const has = rom.stats[0].count > 0;
+      btnCSV.disabled = btnReport.disabled = !has;
+      btnExercise.disabled = !enabled;
+      btnExercise.innerText = running ? 'Stop exercise' : 'Start exercise';
+    }
+
+    function startExercise() {
+      protocol = new Rehab.ExerciseProtocol(); // started by the next frame, on the frame clock
+      running = true;
+      overlay.hidden = false;
+      refreshButtons();
+    }
+
+    function stopExercise() {
+      running = false;
+      overlay.hidden = true;
+      refreshButtons();
+    }
+
+    btnToggle.addEventListener('click', () => setEnabled(!enabled));
+    btnExercise.addEventListener('click', () => (running ? stopExercise() : startExercise()));
+    btnStop.addEventListener('click', stopExercise);
+    btnReset.addEventListener('click', () => {
+      if (rom.stats[0].count && !confirm('Clear the recorded range of motion?')) return;
+      rom.reset();
+      protocol = null;
+      stopExercise();
+      renderTable();
+      renderChart(0);
+    });
+
+    function stamp() {
+      return new Date(rom.startedAt || Date.now()).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    }
+
+    btnCSV.addEventListener('click', () => {
+      Session.download(`range-of-motion-${stamp()}.csv`, Rehab.toCSV(rom, protocol), 'text/csv');
+    });
+    btnReport.addEventListener('click', () => {
+      const html = Rehab.reportHTML(rom, protocol);
+      // open the printable page; fall back to a download when pop-ups are blocked
+      const win = window.open('', '_blank');
+      if (!win) return Session.download(`range-of-motion-${stamp()}.html`, html, 'text/html');
+      win.document.write(html);
+      win.document.close();
+    });
+
+    // ---- rendering ----
+    function renderTable() {
+      rom.rows().forEach((r, i) => {
+        const [now, min, max, range] = cells[i];
+        now.textContent = fmt(r.current);
+        min.textContent = fmt(r.min);
+        max.textContent = fmt(r.max);
+        range.textContent = fmt(r.range);
+      });
+    }
+
+    // one band per finger, three lines (its joints) over the last historyMs
+    function renderChart(now) {
+      const w = chart.width, h = CHART_ROW;
+      chartCtx.clearRect(0, 0, chart.width, chart.height);
+      chartCtx.font = '11px sans-serif';
+      HandAnalysis.FINGERS.forEach((finger, f) => {
+        const top = f * h;
+        chartCtx.fillStyle = 'rgba(255,255,255,0.04)';
+        chartCtx.fillRect(0, top + 2, w, h - 4);
+        chartCtx.fillStyle = '#aaa';
+        chartCtx.fillText(finger, 4, top + 14);
+        HandAnalysis.JOINT_NAMES[finger].forEach((joint, j) => {
+          chartCtx.fillStyle = JOINT_COLORS[j];
+          chartCtx.fillText(joint.toUpperCase(), w - 100 + j * 32, top + 14);
+          const index = f * 3 + j;
+          chartCtx.strokeStyle = JOINT_COLORS[j];
+          chartCtx.lineWidth = 1.5;
+          chartCtx.beginPath();
+          let started = false;
+          for (const s of rom.history) {
+            const x = w - (now - s.t) / rom.historyMs * w;
+            // 0° (straight) at the bottom of the band, 180° at the top
+            const v = Math.max(0, Math.min(180, s.values[index]));
+            const y = top + h - 4 - v / 180 * (h - 8);
+            if (started) chartCtx.lineTo(x, y);
+            else chartCtx.moveTo(x, y);
+            started = true;
+          }
+          chartCtx.stroke();
+        });
+      });
+    }
+
+    function updateExercise(values, now) {
+      if (protocol.startT === null) protocol.start(now);
+      const s = protocol.update(values, now);
+      if (s.done) {
+        stopExercise();
+        btnReport.focus();
+        return;
+      }
+      title.textContent = `Exercise ${s.index + 1}/${protocol.steps.length} · ${Math.ceil(s.remainingMs / 1000)} s left`;
+      prompt.textContent = s.phase === 'ready' ? `Get ready: ${s.step.prompt.toLowerCase()}` : s.step.prompt;
+      if (!values && s.phase === 'hold') prompt.textContent += ' — show your hand';
+      barFill.classList.toggle('capturing', s.phase === 'hold');
+      barFill.style.width = `${Math.min(100, s.progress * 100)}%`;
+    }
+
+    // called by the app every frame
+    function feed(analysis, now = performance.now()) {
+      if (!enabled) return null;
+      const values = analysis ? rom.update(analysis.angles, now) : null;
+      if (!analysis) rom.current = null;
+      if (running) updateExercise(values, now);
+      if (now - lastTable >= TABLE_INTERVAL_MS) {
+        lastTable = now;
+        renderTable();
+        refreshButtons();
+      }
+      renderChart(now);
+      return values;
+    }
+
+    renderTable();
+    refreshButtons();
+
+    return {
+      feed,
+      setEnabled,
+      rom,
+      get protocol() { return protocol; },
+      get enabled() { return enabled; }
+    };
+  }
+
+  root.RehabUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,257 @@
+// rehab.js
+// Joint-angle telemetry for rehab use: per-joint flexion, session range of
+// motion, a timed flex/extend exercise protocol and CSV / printable HTML
+// reports.
+// Browser global `Rehab`, Node: require('../shared/rehab').
+//
+// Angles are reported as flexion in degrees, the clinical convention:
+// 0° is a straight joint and the value grows as the joint bends
+// (180° minus the HandAnalysis.jointAngles interior angle). The thumb's
+// joints are CMC, MCP and IP; the other fingers' are MCP, PIP and DIP.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'));
+  else root.Rehab = factory(root.HandAnalysis);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis) {
+  'use strict';
+
+  // the 15 joints in a fixed order, used by every array below
+  const JOINTS = [];
+  for (const finger of HandAnalysis.FINGERS) {
+    for (const joint of HandAnalysis.JOINT_NAMES[finger]) {
+      JOINTS.push({ finger, joint, key: `${finger}.${joint}`, label: `${finger} ${joint.toUpperCase()}` });
+    }
+  }
+
+  const DEFAULT_HISTORY_MS = 10000;
+
+  // flexion per joint (JOINTS order) from HandAnalysis.jointAngles() output
+  function flexionAngles(angles) {
+    return JOINTS.map(({ finger, joint }) => 180 - angles[finger][joint]);
+  }
+
+  function round1(v) {
+    return v == null ? null : Math.round(v * 10) / 10;
+  }
+
+  // ---- range of motion over a session ----
+  class RangeOfMotion {
+    // options.historyMs: how much per-frame history to keep for charts
+    constructor(options = {}) {
+      this.historyMs = options.historyMs || DEFAULT_HISTORY_MS;
+      this.reset();
+    }
+
+    reset() {
+      this.startedAt = null; // wall clock (ms since epoch) of the first sample
+      this.firstT = null;
+      this.lastT = null;
+      this.current = null;
+      this.history = []; // { t, values }
+      this.stats = JOINTS.map(() => ({ min: Infinity, max: -Infinity, sum: 0, count: 0 }));
+    }
+
+    // angles: HandAnalysis.jointAngles() output; returns this frame's flexion values
+    update(angles, t) {
+      const values = flexionAngles(angles);
+      if (this.firstT === null) {
+        this.firstT = t;
+        this.startedAt = Date.now();
+      }
+      this.lastT = t;
+      this.current = values;
+      values.forEach((v, i) => {
+        const s = this.stats[i];
+        if (v < s.min) s.min = v;
+        if (v > s.max) s.max = v;
+        s.sum += v;
+        s.count++;
+      });
+      this.history.push({ t, values });
+      while (this.history.length && t - this.history[0].t > this.historyMs) this.history.shift();
+      return values;
+    }
+
+    get durationMs() {
+      return this.firstT === null ? 0 : this.lastT - this.firstT;
+    }
+
+    // one row per joint; min/max/range/mean are null before the first sample
+    rows() {
+      return JOINTS.map((j, i) => {
+        const s = this.stats[i];
+        const has = s.count > 0;
+        return {
+          ...j,
+          current: this.current ? round1(this.current[i]) : null,
+          min: has ? round1(s.min) : null,
+          max: has ? round1(s.max) : null,
+          range: has ? round1(s.max - s.min) : null,
+          mean: has ? round1(s.sum / s.count) : null,
+          samples: s.count
+        };
+      });
+    }
+  }
+
+  // ---- timed exercise protocol ----
+  // Each finger in turn: get ready, bend it as far as possible, get ready,
+  // straighten it fully. The timer keeps running when the hand is lost.
+  const DEFAULT_PROTOCOL = { fingers: HandAnalysis.FINGERS, readyMs: 2000, holdMs: 5000 };
+
+  function protocolSteps(fingers) {
+    const steps = [];
+    for (const finger of fingers) {
+      steps.push({ finger, action: 'flex', prompt: `Bend your ${finger} as far as you can` });
+      steps.push({ finger, action: 'extend', prompt: `Straighten your ${finger} fully` });
+    }
+    return steps;
+  }
+
+  class ExerciseProtocol {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_PROTOCOL, ...options };
+      this.steps = protocolSteps(this.options.fingers);
+      this.startT = null;
+      // per finger: { flex: { joint: max flexion }, extend: { joint: min flexion } }
+      this.results = {};
+    }
+
+    get stepMs() {
+      return this.options.readyMs + this.options.holdMs;
+    }
+
+    get totalMs() {
+      return this.steps.length * this.stepMs;
+    }
+
+    start(t) {
+      this.startT = t;
+      this.results = {};
+    }
+
+    // flexion: RangeOfMotion.update() values or null without a hand
+    // returns { done, index, step, phase: 'ready' | 'hold', progress (0..1 of the phase), remainingMs }
+    update(flexion, t) {
+      const elapsed = t - this.startT;
+      const index = Math.floor(elapsed / this.stepMs);
+      if (index >= this.steps.length) return { done: true, index: this.steps.length, step: null, phase: null, progress: 1, remainingMs: 0 };
+      const step = this.steps[index];
+      const inStep = elapsed - index * this.stepMs;
+      const ready = inStep < this.options.readyMs;
+      const phaseMs = ready ? this.options.readyMs : this.options.holdMs;
+      const progress = (ready ? inStep : inStep - this.options.readyMs) / phaseMs;
+
+      if (!ready && flexion) {
+        const r = this.results[step.finger] || (this.results[step.finger] = { flex: {}, extend: {} });
+        const out = r[step.action];
+        JOINTS.forEach((j, i) => {
+          if (j.finger !== step.finger) return;
+          const v = flexion[i];
+          if (out[j.joint] === undefined) out[j.joint] = v;
+          else out[j.joint] = step.action === 'flex' ? Math.max(out[j.joint], v) : Math.min(out[j.joint], v);
+        });
+      }
+      return { done: false, index, step, phase: ready ? 'ready' : 'hold', progress, remainingMs: this.totalMs - elapsed };
+    }
+
+    // { flexed, extended } for one joint, or nulls if its step was not reached
+    resultFor(finger, joint) {
+      const r = this.results[finger];
+      return {
+        flexed: r && r.flex[joint] !== undefined ? round1(r.flex[joint]) : null,
+        extended: r && r.extend[joint] !== undefined ? round1(r.extend[joint]) : null
+      };
+    }
+  }
+
+  // ---- reports ----
+  const CSV_HEADER = ['finger', 'joint', 'min_deg', 'max_deg', 'range_deg', 'mean_deg', 'samples', 'protocol_flexed_deg', 'protocol_extended_deg'];
+
+  function csvCell(v) {
+    return v == null ? '' : String(v);
+  }
+
+  // protocol is optional (ExerciseProtocol after a run)
+  function toCSV(rom, protocol) {
+    const lines = [CSV_HEADER.join(',')];
+    for (const r of rom.rows()) {
+      const p = protocol ? protocol.resultFor(r.finger, r.joint) : { flexed: null, extended: null };
+      lines.push([r.finger, r.joint, r.min, r.max, r.range, r.mean, r.samples, p.flexed, p.extended].map(csvCell).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  function fmt(v) {
+    return v == null ? '—' : `${v.toFixed(1)}°`;
+  }
+
+  // self-contained printable page; meta: { title, subject, notes }
+  function reportHTML(rom, protocol, meta = {}) {
+    const title = meta.title || 'Range of motion report';
+    const started = rom.startedAt ? new Date(rom.startedAt).toLocaleString() : '—';
+    const minutes = (rom.durationMs / 60000).toFixed(1);
+    const rows = rom.rows().map(r => {
+      const p = protocol ? protocol.resultFor(r.finger, r.joint) : null;
+      // range bar over 0..180°
+      const left = r.min == null ? 0 : Math.max(0, Math.min(180, r.min)) / 180 * 100;
+      const width = r.range == null ? 0 : Math.min(180, r.range) / 180 * 100;
+      return `<tr${r.joint === HandAnalysis.JOINT_NAMES[r.finger][0] ? ' class="first"' : ''}>` +
+        `<td>${escapeHtml(r.finger)}</td><td>${escapeHtml(r.joint.toUpperCase())}</td>` +
+        `<td>${fmt(r.min)}</td><td>${fmt(r.max)}</td><td><b>${fmt(r.range)}</b></td><td>${fmt(r.mean)}</td>` +
+        (protocol ? `<td>${fmt(p.flexed)}</td><td>${fmt(p.extended)}</td>` : '') +
+        `<td class="bar"><span style="left:${left.toFixed(1)}%;width:${width.toFixed(1)}%"></span></td></tr>`;
+    }).join('\n');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body{font:14px/1.4 system-ui,sans-serif;color:#111;margin:24px}
+h1{font-size:20px;margin:0 0 4px}
+.meta{color:#555;margin-bottom:16px}
+table{border-collapse:collapse;width:100%}
+th,td{padding:4px 8px;border-bottom:1px solid #ddd;text-align:right}
+th:nth-child(-n+2),td:nth-child(-n+2){text-align:left}
+tr.first td{border-top:2px solid #999}
+td.bar{width:30%;position:relative}
+td.bar span{position:absolute;top:6px;bottom:6px;background:#0a8f6c;border-radius:2px}
+.note{margin-top:16px;color:#555;font-size:12px}
+@media print{body{margin:0}button{display:none}}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${meta.subject ? `${escapeHtml(meta.subject)} · ` : ''}Started ${escapeHtml(started)} · ${minutes} min · ${rom.stats[0].count} frames</div>
+<table>
+<thead><tr><th>Finger</th><th>Joint</th><th>Min</th><th>Max</th><th>Range</th><th>Mean</th>${protocol ? '<th>Exercise flexed</th><th>Exercise extended</th>' : ''}<th>Range (0–180°)</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<p class="note">Flexion in degrees: 0° is a straight joint. Angles are estimated from camera landmarks and are not a substitute for goniometer measurements.${meta.notes ? ' ' + escapeHtml(meta.notes) : ''}</p>
+<button onclick="print()">Print</button>
+</body>
+</html>
+`;
+  }
+
+  return {
+    JOINTS,
+    DEFAULT_HISTORY_MS,
+    DEFAULT_PROTOCOL,
+    CSV_HEADER,
+    flexionAngles,
+    protocolSteps,
+    RangeOfMotion,
+    ExerciseProtocol,
+    toCSV,
+    reportHTML
+  };
+});
@@ -0,0 +1,169 @@
+// session-ui.js
+// Record / download / replay controls shared by both apps (browser only).
+// Builds its own buttons inside `container` and talks to the app through hooks:
+//   getMeta()            -> { source, width, height } for a new recording
+//   onReplayStart(s)     -> replay of session `s` begins (stop live input)
+//   onReplayFrame(f)     -> feed frame `f` through the normal analysis path
+//   onReplayStop()       -> back to live input
+// The app calls ui.record(hands, now) for every live frame.
+
+(function (root) {
+  'use strict';
+
+  const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function fmt(ms) {
+    const s = Math.floor(ms / 1000);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}.${String(Math.floor(ms % 1000 / 100))}`;
+  }
+
+  function attach(container, hooks) {
+    const recorder = new Session.SessionRecorder();
+    let lastSession = null;
+    let player = null;
+
+    const btnRecord = el('button', { type: 'button' }, '● Record');
+    const btnJSON = el('button', { type: 'button', disabled: '' }, 'Download JSON');
+    const btnCSV = el('button', { type: 'button', disabled: '' }, 'Download CSV');
+    const btnUpload = el('button', { type: 'button', disabled: '', title: 'Store on the server (/api/sessions)' }, 'Upload');
+    const fileLabel = el('label', { class: 'file-btn' }, 'Replay file…');
+    const fileInput = el('input', { type: 'file', accept: '.json,.csv,application/json,text/csv' });
+    fileLabel.appendChild(fileInput);
+
+    const replayBar = el('div', { class: 'replay-bar', hidden: '' });
+    const btnPlay = el('button', { type: 'button' }, '▶');
+    const seek = el('input', { type: 'range', min: '0', max: '0', step: '1', value: '0' });
+    const timeEl = el('span', { class: 'replay-time' }, '0:00.0');
+    const speedSel = el('select');
+    for (const s of SPEEDS) {
+      const opt = el('option', { value: String(s) }, `${s}×`);
+      if (s === 1) opt.selected = true;
+      speedSel.appendChild(opt);
+    }
+    const btnExit = el('button', { type: 'button' }, 'Exit replay');
+    replayBar.append(btnPlay, seek, timeEl, speedSel, btnExit);
+
+    container.append(btnRecord, btnJSON, btnCSV, btnUpload, fileLabel, replayBar);
+
+    function stamp() {
+      return new Date().toISOString().replace(/[:.]/g, '-');
+    }
+
+    btnRecord.addEventListener('click', () => {
+      if (recorder.recording) {
+        lastSession = recorder.stop();
+        btnRecord.textContent = '● Record';
+        btnRecord.classList.remove('recording');
+        btnJSON.disabled = btnCSV.disabled = btnUpload.disabled = !lastSession.frames.length;
+        btnUpload.textContent = 'Upload';
+      } else {
+        recorder.start(hooks.getMeta(), performance.now());
+        btnRecord.textContent = '■ Stop';
+        btnRecord.classList.add('recording');
+      }
+    });
+
+    btnJSON.addEventListener('click', () => {
+      if (lastSession) Session.download(`session-${stamp()}.json`, Session.toJSON(lastSession), 'application/json');
+    });
+    btnCSV.addEventListener('click', () => {
+      if (lastSession) Session.download(`session-${stamp()}.csv`, Session.toCSV(lastSession), 'text/csv');
+    });
+
+    btnUpload.addEventListener('click', async () => {
+      if (!lastSession) return;
+      const name = prompt('Session name', `session ${new Date().toLocaleString()}`);
+      if (name === null) return;
+      btnUpload.disabled = true;
+      btnUpload.textContent = 'Uploading…';
+      try {
+        const res = await fetch(`/api/sessions?name=${encodeURIComponent(name)}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: Session.toJSON(lastSession)
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error + (body.details ? ': ' + body.details.slice(0, 3).join('; ') : ''));
+        btnUpload.textContent = 'Uploaded ✓';
+      } catch (e) {
+        console.error(e);
+        btnUpload.textContent = 'Upload';
+        btnUpload.disabled = false;
+        alert('Upload failed: ' + e.message);
+      }
+    });
+
+    function updateTime(pos) {
+      seek.value = String(Math.round(pos));
+      timeEl.textContent = `${fmt(pos)} / ${fmt(player.duration)}`;
+    }
+
+    function startReplay(session) {
+      if (player) player.pause();
+      if (recorder.recording) btnRecord.click();
+      player = new Session.SessionPlayer(session, {
+        onFrame: (frame) => hooks.onReplayFrame(frame),
+        onTick: updateTime,
+        onEnd: () => { btnPlay.textContent = '▶'; }
+      });
+      player.setSpeed(speedSel.value);
+      seek.max = String(Math.round(player.duration));
+      replayBar.hidden = false;
+      btnRecord.disabled = true;
+      hooks.onReplayStart(session);
+      player.seek(0);
+      player.play();
+      btnPlay.textContent = '❚❚';
+    }
+
+    function stopReplay() {
+      if (!player) return;
+      player.pause();
+      player = null;
+      replayBar.hidden = true;
+      btnRecord.disabled = false;
+      fileInput.value = '';
+      hooks.onReplayStop();
+    }
+
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        startReplay(Session.parseSession(await file.text()));
+      } catch (e) {
+        console.error(e);
+        alert('Could not load session: ' + e.message);
+      }
+    });
+
+    btnPlay.addEventListener('click', () => {
+      if (!player) return;
+      if (player.playing) { player.pause(); btnPlay.textContent = '▶'; }
+      else { player.play(); btnPlay.textContent = '❚❚'; }
+    });
+    seek.addEventListener('input', () => player && player.seek(Number(seek.value)));
+    speedSel.addEventListener('change', () => player && player.setSpeed(speedSel.value));
+    btnExit.addEventListener('click', stopReplay);
+
+    return {
+      recorder,
+      startReplay,
+      stopReplay,
+      isReplaying: () => !!player,
+      get lastSession() { return lastSession; },
+      record(hands, now) {
+        if (recorder.recording) recorder.addFrame(hands, now);
+      }
+    };
+  }
+
+  root.SessionUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,292 @@
+// session.js
+// Landmark session recording, JSON/CSV (de)serialization and replay.
+// Browser global `Session`, Node: require('../shared/session').
+//
+// A session is:
+//   { version, source, createdAt, width, height, duration,
+//     frames: [{ t, hands: [{ landmarks: [{x,y,z} x21], handedness, score }] }] }
+// `t` is milliseconds since the recording started; landmarks are normalized
+// [0..1] and handedness is the raw model label (before any selfie flip), so
+// a replay goes through exactly the same analysis as the live frame did.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'));
+  else root.Session = factory(root.HandAnalysis);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis) {
+  'use strict';
+
+  const SESSION_VERSION = 1;
+  const LANDMARK_COUNT = 21;
+
+  const CSV_HEADER = ['frame', 't', 'hand', 'handedness', 'score'];
+  for (let i = 0; i < LANDMARK_COUNT; i++) CSV_HEADER.push(`x${i}`, `y${i}`, `z${i}`);
+
+  function round(v, digits = 5) {
+    const f = 10 ** digits;
+    return Math.round(v * f) / f;
+  }
+
+  // ---- recorder ----
+  class SessionRecorder {
+    constructor() {
+      this.recording = false;
+      this.session = null;
+      this.startedAt = 0;
+    }
+
+    // meta: { source, width, height }
+    start(meta = {}, now = Date.now()) {
+      this.session = {
+        version: SESSION_VERSION,
+        source: meta.source || 'unknown',
+        createdAt: new Date().toISOString(),
+        width: meta.width || 0,
+        height: meta.height || 0,
+        duration: 0,
+        frames: []
+      };
+      this.startedAt = now;
+      this.recording = true;
+    }
+
+    // hands: [{ landmarks, handedness, score }]
+    addFrame(hands, now = Date.now()) {
+      if (!this.recording) return;
+      const t = Math.round(now - this.startedAt);
+      this.session.frames.push({
+        t,
+        hands: hands.map(h => ({
+          landmarks: h.landmarks.map(p => ({ x: round(p.x), y: round(p.y), z: round(p.z || 0) })),
+          handedness: h.handedness || 'Unknown',
+          score: h.score == null ? null : round(h.score, 4)
+        }))
+      });
+      this.session.duration = t;
+    }
+
+    stop() {
+      this.recording = false;
+      return this.session;
+    }
+  }
+
+  // ---- serialization ----
+  function toJSON(session) {
+    return JSON.stringify(session);
+  }
+
+  // one row per hand per frame; frames with no hands get a row with empty hand columns
+  function toCSV(session) {
+    const rows = [CSV_HEADER.join(',')];
+    session.frames.forEach((frame, fi) => {
+      if (!frame.hands.length) {
+        rows.push([fi, frame.t].join(','));
+        return;
+      }
+      frame.hands.forEach((h, hi) => {
+        const row = [fi, frame.t, hi, h.handedness, h.score == null ? '' : h.score];
+        for (const p of h.landmarks) row.push(p.x, p.y, p.z || 0);
+        rows.push(row.join(','));
+      });
+    });
+    return rows.join('\n') + '\n';
+  }
+
+  function parseCSV(text, meta = {}) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (!lines.length) throw new Error('CSV session: empty file');
+    const header = lines.shift().split(',');
+    if (header[0] !== 'frame' || header[1] !== 't') throw new Error('CSV session: unexpected header');
+
+    const frames = [];
+    const byIndex = new Map();
+    for (const line of lines) {
+      const cols = line.split(',');
+      const fi = Number(cols[0]);
+      let frame = byIndex.get(fi);
+      if (!frame) {
+        frame = { t: Number(cols[1]), hands: [] };
+        byIndex.set(fi, frame);
+        frames.push(frame);
+      }
+      if (cols.length < CSV_HEADER.length || cols[2] === '') continue;
+      const landmarks = [];
+      for (let i = 0; i < LANDMARK_COUNT; i++) {
+        const o = 5 + i * 3;
+        landmarks.push({ x: Number(cols[o]), y: Number(cols[o + 1]), z: Number(cols[o + 2]) });
+      }
+      frame.hands.push({ landmarks, handedness: cols[3] || 'Unknown', score: cols[4] === '' ? null : Number(cols[4]) });
+    }
+    frames.sort((a, b) => a.t - b.t);
+
+    return {
+      version: SESSION_VERSION,
+      source: meta.source || 'csv',
+      createdAt: meta.createdAt || null,
+      width: meta.width || 0,
+      height: meta.height || 0,
+      duration: frames.length ? frames[frames.length - 1].t : 0,
+      frames
+    };
+  }
+
+  // every frame needs a numeric t and hands of 21 valid landmarks; frames are
+  // put in time order, since replay walks them by t
+  function validateFrames(frames) {
+    frames.forEach((f, i) => {
+      if (!f || !Number.isFinite(f.t) || !Array.isArray(f.hands)) throw new Error(`Frame ${i}: needs a numeric t and a hands array`);
+      f.hands.forEach((h, j) => {
+        if (!h || !HandAnalysis.isValidLandmarks(h.landmarks)) {
+          throw new Error(`Frame ${i}, hand ${j}: needs ${LANDMARK_COUNT} landmarks with numeric x/y`);
+        }
+      });
+    });
+    frames.sort((a, b) => a.t - b.t);
+  }
+
+  // accepts JSON or CSV text, returns a session (throws on malformed input)
+  function parseSession(text) {
+    const trimmed = text.trim();
+    let session;
+    if (trimmed.startsWith('{')) {
+      session = JSON.parse(trimmed);
+      if (!Array.isArray(session.frames)) throw new Error('JSON session: missing frames array');
+    } else {
+      session = parseCSV(trimmed);
+    }
+    validateFrames(session.frames);
+    const last = session.frames[session.frames.length - 1];
+    session.duration = Math.max(session.duration || 0, last ? last.t : 0);
+    return session;
+  }
+
+  // ---- summary used for listings ----
+  function summarize(session) {
+    const hands = new Set();
+    let maxHands = 0;
+    for (const f of session.frames) {
+      maxHands = Math.max(maxHands, f.hands.length);
+      for (const h of f.hands) hands.add(h.handedness);
+    }
+    const last = session.frames[session.frames.length - 1];
+    return {
+      duration: session.duration || (last ? last.t : 0),
+      frameCount: session.frames.length,
+      handsSeen: [...hands].sort(),
+      maxHands
+    };
+  }
+
+  // ---- replay ----
+  // onFrame(frame, index) is called for every frame the playhead crosses, in
+  // order, however fast it moves; seek() is a jump and emits only the frame
+  // at the new position.
+  const schedule = typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame
+    : (fn) => setTimeout(() => fn(Date.now()), 16);
+  const clock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+  class SessionPlayer {
+    constructor(session, { onFrame, onEnd, onTick } = {}) {
+      this.session = session;
+      this.onFrame = onFrame || (() => {});
+      this.onEnd = onEnd || (() => {});
+      this.onTick = onTick || (() => {});
+      this.speed = 1;
+      this.position = 0;   // ms into the session
+      this.index = -1;     // last emitted frame
+      this.playing = false;
+      this._last = 0;
+      this._loop = this._loop.bind(this);
+    }
+
+    get duration() {
+      return this.session.duration || 0;
+    }
+
+    play() {
+      if (this.playing) return;
+      if (this.position >= this.duration) this.seek(0);
+      this.playing = true;
+      this._last = clock();
+      schedule(this._loop);
+    }
+
+    pause() {
+      this.playing = false;
+    }
+
+    setSpeed(speed) {
+      this.speed = Math.max(0.05, Number(speed) || 1);
+    }
+
+    // jump to ms, emitting the frame at that position right away
+    seek(ms) {
+      this.position = Math.max(0, Math.min(this.duration, ms));
+      this.index = this._frameIndexAt(this.position);
+      if (this.index >= 0) this.onFrame(this.session.frames[this.index], this.index);
+      this.onTick(this.position);
+    }
+
+    _frameIndexAt(ms) {
+      const frames = this.session.frames;
+      let lo = 0, hi = frames.length - 1, ans = -1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (frames[mid].t <= ms) { ans = mid; lo = mid + 1; } else hi = mid - 1;
+      }
+      return ans;
+    }
+
+    // every frame after the last emitted one up to ms, so smoothing, motion
+    // and filter state match the live run at any speed or frame rate
+    _emitUpTo(ms) {
+      const idx = this._frameIndexAt(ms);
+      while (this.index < idx) {
+        this.index++;
+        this.onFrame(this.session.frames[this.index], this.index);
+      }
+    }
+
+    _loop() {
+      if (!this.playing) return;
+      const now = clock();
+      this.position = Math.min(this.duration, this.position + (now - this._last) * this.speed);
+      this._last = now;
+      this._emitUpTo(this.position);
+      this.onTick(this.position);
+      if (this.position >= this.duration) {
+        this.playing = false;
+        this.onEnd();
+        return;
+      }
+      schedule(this._loop);
+    }
+  }
+
+  // ---- browser download helper ----
+  function download(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  return {
+    SESSION_VERSION,
+    CSV_HEADER,
+    SessionRecorder,
+    SessionPlayer,
+    toJSON,
+    toCSV,
+    parseCSV,
+    parseSession,
+    summarize,
+    download
+  };
+});
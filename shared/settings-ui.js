@@ -0,0 +1,121 @@
+// settings-ui.js
+// Settings panel shared by both apps (browser only).
+//   const settings = SettingsUI.attach(container, { storageKey, defaults, onChange(values, changed) })
+// settings.values holds the resolved values right away (defaults < saved <
+// URL, see shared/settings.js) so the app can build its tracker from them.
+// Every edit is validated, saved to localStorage and reported through
+// onChange with the keys that changed; the app applies them live.
+
+(function (root) {
+  'use strict';
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function attach(container, { storageKey, defaults = {}, onChange } = {}) {
+    const resolved = Settings.resolve({ storageKey, defaults });
+    let values = resolved.values;
+
+    // ---- controls ----
+    const btnToggle = el('button', { type: 'button' }, 'Settings: Show');
+    const btnReset = el('button', { type: 'button' }, 'Reset to defaults');
+    const btnLink = el('button', { type: 'button', title: 'Copy a link to this page with the current settings' }, 'Copy link');
+    container.append(el('span', { class: 'label' }, 'Settings:'), btnToggle, btnReset, btnLink);
+
+    // ---- panel: one fieldset per group ----
+    const panel = el('div', { class: 'settings-panel', hidden: '' });
+    const inputs = {};
+    const groups = {};
+    for (const f of Settings.FIELDS) {
+      if (!groups[f.group]) {
+        groups[f.group] = el('fieldset');
+        groups[f.group].appendChild(el('legend', {}, f.group));
+        panel.appendChild(groups[f.group]);
+      }
+      let input;
+      if (f.type === 'select') {
+        input = el('select');
+        for (const o of f.options) input.appendChild(el('option', { value: o }, o));
+      } else if (f.type === 'boolean') {
+        input = el('input', { type: 'checkbox' });
+      } else if (f.type === 'color') {
+        input = el('input', { type: 'color' });
+      } else {
+        input = el('input', { type: 'number', min: String(f.min), max: String(f.max), step: String(f.step) });
+      }
+      const row = el('label', { title: `URL: ?${f.param}=` + (f.note ? ` · ${f.note}` : '') });
+      row.append(el('span', {}, f.label), input);
+      groups[f.group].appendChild(row);
+      input.addEventListener('change', () => set(f.key, f.type === 'boolean' ? input.checked : input.value));
+      inputs[f.key] = input;
+    }
+    groups.Thresholds.appendChild(el('p', { class: 'settings-note' }, 'Used while the Default calibration profile is active.'));
+    if (resolved.fromUrl.length) {
+      const labels = resolved.fromUrl.map(key => Settings.field(key).label);
+      panel.appendChild(el('p', { class: 'settings-note settings-url' }, `Set by the page URL: ${labels.join(', ')}.`));
+    }
+    container.appendChild(panel);
+
+    function render() {
+      for (const f of Settings.FIELDS) {
+        const input = inputs[f.key];
+        if (f.type === 'boolean') input.checked = values[f.key];
+        else input.value = String(values[f.key]);
+      }
+    }
+
+    function apply(next) {
+      const changed = Settings.FIELDS.map(f => f.key).filter(k => next[k] !== values[k]);
+      values = next;
+      Settings.save(storageKey, values, resolved.defaults);
+      render();
+      if (changed.length && onChange) onChange(values, changed);
+    }
+
+    // invalid input snaps back to the current value
+    function set(key, raw) {
+      const f = Settings.field(key);
+      const v = f ? Settings.coerce(f, raw) : undefined;
+      if (v === undefined) return render();
+      apply({ ...values, [key]: v });
+    }
+
+    function reset() {
+      apply({ ...resolved.defaults });
+    }
+
+    btnToggle.addEventListener('click', () => {
+      panel.hidden = !panel.hidden;
+      btnToggle.innerText = `Settings: ${panel.hidden ? 'Show' : 'Hide'}`;
+      btnToggle.classList.toggle('active', !panel.hidden);
+    });
+    btnReset.addEventListener('click', reset);
+    btnLink.addEventListener('click', () => {
+      // keep unrelated parameters (backend, filter, ...), replace the settings ones
+      const params = new URLSearchParams(location.search);
+      for (const f of Settings.FIELDS) params.delete(f.param);
+      for (const [k, v] of Settings.toParams(values, resolved.defaults)) params.set(k, v);
+      const query = params.toString();
+      const url = `${location.origin}${location.pathname}${query ? '?' + query : ''}`;
+      navigator.clipboard.writeText(url).then(
+        () => { btnLink.innerText = 'Copied'; setTimeout(() => { btnLink.innerText = 'Copy link'; }, 1500); },
+        () => prompt('Link with these settings:', url)
+      );
+    });
+
+    render();
+
+    return {
+      set,
+      reset,
+      get values() { return values; },
+      get defaults() { return resolved.defaults; }
+    };
+  }
+
+  root.SettingsUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,218 @@
+// settings.js
+// Runtime settings shared by both apps: detector options, camera resolution,
+// smoothing window, extension thresholds, mirroring and overlay colours.
+// Browser global `Settings`, Node: require('../shared/settings').
+//
+// Values come from, lowest first: the app's defaults, the saved settings
+// (localStorage, only fields that differ from the defaults) and the page URL:
+//   ?maxHands=1&model=lite&minDetection=0.6&minTracking=0.5
+//   &resolution=640x480&mirror=1&flip=auto|on|off&checkHand=0
+//   &smoothing=median|mode&history=12&thumbThreshold=145&fingerThreshold=155
+//   &boneColor=%2300e0a8&tipColor=ffb347&labelColor=ffffff
+//   &worker=0&fps=20&adaptive=0&hud=1
+// trackerOptions() / overlayOptions() / profile() turn the flat values into
+// FingerTracker, FingerTrackerOverlay and calibration-profile options.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-analysis'), require('./calibration'));
+  else root.Settings = factory(root.HandAnalysis, root.Calibration);
+})(typeof self !== 'undefined' ? self : this, function (HandAnalysis, Calibration) {
+  'use strict';
+
+  const RESOLUTIONS = ['640x480', '960x540', '1280x720', '1920x1080'];
+
+  // param: URL query parameter; note: side effect of a live change
+  const FIELDS = [
+    { key: 'maxHands', group: 'Detector', label: 'Max hands', type: 'number', min: 1, max: 4, step: 1, param: 'maxHands' },
+    { key: 'modelType', group: 'Detector', label: 'Model', type: 'select', options: ['lite', 'full'], param: 'model' },
+    { key: 'minDetectionConfidence', group: 'Detector', label: 'Detection confidence', type: 'number', min: 0.05, max: 0.95, step: 0.05, param: 'minDetection' },
+    { key: 'minTrackingConfidence', group: 'Detector', label: 'Tracking confidence', type: 'number', min: 0.05, max: 0.95, step: 0.05, param: 'minTracking' },
+    { key: 'resolution', group: 'Camera', label: 'Resolution', type: 'select', options: RESOLUTIONS, param: 'resolution', note: 'reopens the camera' },
+    { key: 'mirror', group: 'Camera', label: 'Mirror view', type: 'boolean', param: 'mirror' },
+    { key: 'flipHandedness', group: 'Camera', label: 'Swap Left/Right', type: 'select', options: ['auto', 'on', 'off'], param: 'flip' },
+    { key: 'checkHandedness', group: 'Camera', label: 'Check Left/Right by palm', type: 'boolean', param: 'checkHand' },
+    { key: 'smoothing', group: 'Smoothing', label: 'Count smoothing', type: 'select', options: ['median', 'mode'], param: 'smoothing' },
+    { key: 'historySize', group: 'Smoothing', label: 'Window (frames)', type: 'number', min: 1, max: 30, step: 1, param: 'history' },
+    { key: 'thumbThreshold', group: 'Thresholds', label: 'Thumb extended (°)', type: 'number', min: 90, max: 179, step: 1, param: 'thumbThreshold' },
+    { key: 'fingerThreshold', group: 'Thresholds', label: 'Fingers extended (°)', type: 'number', min: 90, max: 179, step: 1, param: 'fingerThreshold' },
+    { key: 'boneColor', group: 'Overlay', label: 'Skeleton', type: 'color', param: 'boneColor' },
+    { key: 'tipColor', group: 'Overlay', label: 'Extended tip', type: 'color', param: 'tipColor' },
+    { key: 'labelColor', group: 'Overlay', label: 'Labels', type: 'color', param: 'labelColor' },
+    { key: 'worker', group: 'Performance', label: 'Detect in a worker', type: 'boolean', param: 'worker', note: 'reloads the detector; tfjs-tfjs and mock only' },
+    { key: 'targetFps', group: 'Performance', label: 'Target FPS', type: 'number', min: 5, max: 60, step: 1, param: 'fps' },
+    { key: 'adaptive', group: 'Performance', label: 'Adaptive skip/scale', type: 'boolean', param: 'adaptive' },
+    { key: 'hud', group: 'Performance', label: 'Performance HUD', type: 'boolean', param: 'hud' }
+  ];
+
+  const DEFAULTS = {
+    maxHands: 2,
+    modelType: 'full',
+    minDetectionConfidence: 0.7,
+    minTrackingConfidence: 0.6,
+    resolution: '1280x720',
+    mirror: false,
+    flipHandedness: 'auto',
+    checkHandedness: true,
+    smoothing: 'median',
+    historySize: 8,
+    thumbThreshold: HandAnalysis.DEFAULT_THRESHOLDS[0],
+    fingerThreshold: HandAnalysis.DEFAULT_THRESHOLDS[1],
+    boneColor: '#00e0a8',
+    tipColor: '#00e0a8',
+    labelColor: '#ffffff',
+    worker: true,
+    targetFps: 30,
+    adaptive: true,
+    hud: false
+  };
+
+  function field(key) {
+    return FIELDS.find(f => f.key === key) || null;
+  }
+
+  // raw (string from a URL or input, or a stored value) -> valid value or undefined
+  function coerce(f, raw) {
+    if (raw == null || raw === '') return undefined;
+    switch (f.type) {
+      case 'number': {
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return undefined;
+        const v = Math.min(f.max, Math.max(f.min, n));
+        return f.step >= 1 ? Math.round(v) : Math.round(v * 100) / 100;
+      }
+      case 'boolean':
+        if (raw === true || raw === false) return raw;
+        if (/^(1|true|on|yes)$/i.test(raw)) return true;
+        if (/^(0|false|off|no)$/i.test(raw)) return false;
+        return undefined;
+      case 'select':
+        return f.options.includes(String(raw)) ? String(raw) : undefined;
+      case 'color': {
+        const m = /^#?([0-9a-f]{6})$/i.exec(String(raw));
+        return m ? `#${m[1].toLowerCase()}` : undefined;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  // only valid, known fields survive
+  function sanitize(values) {
+    const out = {};
+    for (const f of FIELDS) {
+      const v = coerce(f, values ? values[f.key] : undefined);
+      if (v !== undefined) out[f.key] = v;
+    }
+    return out;
+  }
+
+  function fromParams(search) {
+    const p = new URLSearchParams(search);
+    const out = {};
+    for (const f of FIELDS) {
+      const v = coerce(f, p.get(f.param));
+      if (v !== undefined) out[f.key] = v;
+    }
+    return out;
+  }
+
+  // the fields that differ from `defaults`, as URL parameters
+  function toParams(values, defaults = DEFAULTS) {
+    const p = new URLSearchParams();
+    for (const f of FIELDS) {
+      if (values[f.key] === defaults[f.key]) continue;
+      const v = values[f.key];
+      p.set(f.param, f.type === 'boolean' ? (v ? '1' : '0') : String(v));
+    }
+    return p;
+  }
+
+  // ---- localStorage (browser); missing or blocked storage means no saved settings ----
+  function load(storageKey) {
+    try {
+      return sanitize(JSON.parse(localStorage.getItem(storageKey)));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save(storageKey, values, defaults = DEFAULTS) {
+    const diff = {};
+    for (const f of FIELDS) if (values[f.key] !== defaults[f.key]) diff[f.key] = values[f.key];
+    try {
+      if (Object.keys(diff).length) localStorage.setItem(storageKey, JSON.stringify(diff));
+      else localStorage.removeItem(storageKey);
+    } catch (e) {
+      console.warn(`Could not save settings: ${e.message}`);
+    }
+  }
+
+  // defaults < saved < URL; returns { values, defaults, fromUrl: [keys] }
+  function resolve({ storageKey = null, defaults = {}, search = null } = {}) {
+    const base = { ...DEFAULTS, ...sanitize(defaults) };
+    const stored = storageKey ? load(storageKey) : {};
+    const url = search != null ? fromParams(search)
+      : typeof location !== 'undefined' ? fromParams(location.search) : {};
+    return { values: { ...base, ...stored, ...url }, defaults: base, fromUrl: Object.keys(url) };
+  }
+
+  // ---- values -> component options ----
+  function resolution(values) {
+    const [width, height] = values.resolution.split('x').map(Number);
+    return { width, height };
+  }
+
+  function trackerOptions(values) {
+    return {
+      detector: {
+        maxHands: values.maxHands,
+        modelType: values.modelType,
+        minDetectionConfidence: values.minDetectionConfidence,
+        minTrackingConfidence: values.minTrackingConfidence
+      },
+      camera: resolution(values),
+      mirror: values.mirror,
+      flipHandedness: values.flipHandedness === 'auto' ? null : values.flipHandedness === 'on',
+      checkHandedness: values.checkHandedness,
+      smoothing: values.smoothing,
+      historySize: values.historySize,
+      worker: values.worker,
+      pacing: { targetFps: values.targetFps, adaptive: values.adaptive }
+    };
+  }
+
+  function overlayOptions(values) {
+    return {
+      mirror: values.mirror,
+      colors: { bone: values.boneColor, tipOn: values.tipColor, label: values.labelColor }
+    };
+  }
+
+  // the thresholds as a calibration profile; a calibrated profile takes precedence
+  function profile(values, calibrated = null) {
+    if (calibrated && calibrated !== Calibration.DEFAULT_PROFILE) return calibrated;
+    return {
+      version: Calibration.DEFAULT_PROFILE.version,
+      name: 'Settings',
+      thresholds: [values.thumbThreshold, values.fingerThreshold, values.fingerThreshold, values.fingerThreshold, values.fingerThreshold],
+      hysteresis: [0, 0, 0, 0, 0]
+    };
+  }
+
+  return {
+    FIELDS,
+    DEFAULTS,
+    RESOLUTIONS,
+    field,
+    coerce,
+    sanitize,
+    fromParams,
+    toParams,
+    load,
+    save,
+    resolve,
+    trackerOptions,
+    overlayOptions,
+    profile
+  };
+});
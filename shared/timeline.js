@@ -0,0 +1,107 @@
+// timeline.js
+// Per-frame analysis timeline: what FingerTracker reported for every frame of
+// a processed video (or recording). Browser global `Timeline`, Node:
+// require('../shared/timeline').
+//
+//   const builder = new Timeline.TimelineBuilder({ file: 'clip.mp4', fps: 30 });
+//   tracker.on('frame', f => builder.add(f));
+//   const timeline = builder.finish();
+//
+// A timeline is
+//   { version, ...meta, createdAt, frames: [{ frame, t, hands: [hand] }], summary }
+// where each hand is { id, handedness, palm, count, rawCount, gesture, confidence }:
+// count, gesture and palm (facing) are the smoothed values the pages display,
+// rawCount the unsmoothed finger count of that frame.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Timeline = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TIMELINE_VERSION = 1;
+
+  function round(v, digits) {
+    const k = Math.pow(10, digits);
+    return Math.round(v * k) / k;
+  }
+
+  // one reported hand from a FingerTracker 'frame' event
+  function handEntry(hand) {
+    return {
+      id: hand.id,
+      handedness: hand.handedness,
+      palm: hand.facing,
+      count: hand.count,
+      rawCount: hand.analysis.count,
+      gesture: hand.smoothGesture.name,
+      confidence: round(hand.smoothGesture.confidence, 3)
+    };
+  }
+
+  class TimelineBuilder {
+    constructor(meta = {}) {
+      this.meta = meta;
+      this.frames = [];
+    }
+
+    // frame: FingerTracker 'frame' payload (or process() result)
+    add(frame) {
+      this.frames.push({ frame: this.frames.length, t: round(frame.t, 1), hands: frame.hands.map(handEntry) });
+    }
+
+    finish(extra = {}) {
+      return {
+        version: TIMELINE_VERSION,
+        ...this.meta,
+        ...extra,
+        createdAt: new Date().toISOString(),
+        frames: this.frames,
+        summary: summarize(this.frames)
+      };
+    }
+  }
+
+  // frames per count / gesture / handedness over every reported hand, the
+  // share of frames with a hand, and gesture occurrences (a hand switching
+  // into the gesture counts once, however long it is held)
+  function summarize(frames) {
+    const counts = {}, gestures = {}, handedness = {}, occurrences = {};
+    const current = new Map(); // hand id -> gesture in the previous frame
+    let withHands = 0;
+    for (const f of frames) {
+      if (f.hands.length) withHands++;
+      const seen = new Set();
+      for (const h of f.hands) {
+        counts[h.count] = (counts[h.count] || 0) + 1;
+        gestures[h.gesture] = (gestures[h.gesture] || 0) + 1;
+        handedness[h.handedness] = (handedness[h.handedness] || 0) + 1;
+        if (h.gesture !== 'none' && current.get(h.id) !== h.gesture) occurrences[h.gesture] = (occurrences[h.gesture] || 0) + 1;
+        current.set(h.id, h.gesture);
+        seen.add(h.id);
+      }
+      for (const id of [...current.keys()]) if (!seen.has(id)) current.delete(id);
+    }
+    return {
+      frames: frames.length,
+      framesWithHands: withHands,
+      handPresence: frames.length ? round(withHands / frames.length, 4) : 0,
+      counts,
+      gestures,
+      gestureOccurrences: occurrences,
+      handedness
+    };
+  }
+
+  function toJSON(timeline) {
+    return JSON.stringify(timeline);
+  }
+
+  return {
+    TIMELINE_VERSION,
+    TimelineBuilder,
+    handEntry,
+    summarize,
+    toJSON
+  };
+});
@@ -0,0 +1,274 @@
+// two-hand.js
+// Two-hand interactions over the first two reported hands: a 0–10 total
+// finger count with a per-hand breakdown, and bimanual gestures: pinch-zoom
+// and rotate (the two index tips), clap, and "frame" (thumbs and index
+// fingers forming a rectangle). Browser global `TwoHand`,
+// Node: require('../shared/two-hand').
+//
+//   const two = new TwoHand.TwoHandDetector({ mirrorX: true });
+//   const state = two.update(hands, t, width / height);  // once per frame
+//   for (const ev of state.events) ...;   // total, zoom, rotate, bimanual
+//
+// hands are FingerTracker hands ({ id, handedness, count, landmarks, analysis }).
+// Zoom and rotate run while both hands point (index out, middle to pinky
+// folded). Each starts at factor 1 and 0°, relative to the tips' distance
+// and angle at that moment. It sends 'move' every frame and 'end' when a
+// hand stops pointing or is lost. Geometry uses image units with x scaled by
+// the aspect ratio, so angles are true on screen.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TwoHand = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const BIMANUAL_LABELS = {
+    clap: 'Clap',
+    frame: 'Frame'
+  };
+
+  // distances relative to hand size (wrist -> middle MCP) unless noted
+  const DEFAULT_OPTIONS = {
+    mirrorX: false,   // selfie display: rotation is reported as seen on screen
+    zoom: { minDistance: 0.05 },   // image widths between the tips to start
+    // palm centres: apart beyond `open`, then within `close` in maxMs
+    clap: { open: 1.6, close: 0.8, maxMs: 400, debounceMs: 600 },
+    // L shapes: |cos| thumb vs index below maxCos; the hands' index (and
+    // thumb) directions opposed beyond `opposed`; each side at least minSide
+    frame: { maxCos: 0.5, opposed: 0.7, minSide: 0.5, holdMs: 300 }
+  };
+
+  const LABEL_ORDER = { Left: 0, Right: 1 };
+
+  function mergeOptions(base, override = {}) {
+    const out = { ...base };
+    for (const k of Object.keys(override)) {
+      const v = override[k];
+      out[k] = (v && typeof v === 'object' && !Array.isArray(v)) ? { ...base[k], ...v } : v;
+    }
+    return out;
+  }
+
+  // ---- 2D geometry in aspect-corrected image units ----
+  function point(p, aspect) {
+    return { x: p.x * aspect, y: p.y };
+  }
+
+  function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  function direction(a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const mag = Math.hypot(dx, dy) || 1e-6;
+    return { x: dx / mag, y: dy / mag };
+  }
+
+  function dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+  }
+
+  function handSize(landmarks, aspect) {
+    return dist(point(landmarks[0], aspect), point(landmarks[9], aspect)) || 1e-6;
+  }
+
+  function palmCenter(landmarks, aspect) {
+    const a = point(landmarks[0], aspect), b = point(landmarks[9], aspect);
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  // degrees in (-180, 180]
+  function wrapDegrees(d) {
+    while (d > 180) d -= 360;
+    while (d <= -180) d += 360;
+    return d;
+  }
+
+  function matches(extended, pattern) {
+    return pattern.every((want, f) => want === null || extended[f] === want);
+  }
+
+  function pointing(hand) {
+    return matches(hand.analysis.extended, [null, true, false, false, false]);
+  }
+
+  // thumb and index out at roughly a right angle: { corner, index, thumb }
+  function lShape(hand, aspect, o) {
+    if (!matches(hand.analysis.extended, [true, true, false, false, false])) return null;
+    const lm = hand.landmarks;
+    const index = direction(point(lm[5], aspect), point(lm[8], aspect));
+    const thumb = direction(point(lm[2], aspect), point(lm[4], aspect));
+    if (Math.abs(dot(index, thumb)) > o.maxCos) return null;
+    const a = point(lm[2], aspect), b = point(lm[5], aspect);
+    return { corner: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, index, thumb };
+  }
+
+  // two L shapes rotated 180° to each other, each opening toward the other:
+  // the rectangle between their corners in normalized image coordinates
+  function framePose(a, b, aspect, o) {
+    const pa = lShape(a, aspect, o), pb = lShape(b, aspect, o);
+    if (!pa || !pb) return null;
+    if (dot(pa.index, pb.index) > -o.opposed || dot(pa.thumb, pb.thumb) > -o.opposed) return null;
+    const d = { x: pb.corner.x - pa.corner.x, y: pb.corner.y - pa.corner.y };
+    const side = o.minSide * (handSize(a.landmarks, aspect) + handSize(b.landmarks, aspect)) / 2;
+    if (dot(d, pa.index) < side || dot(d, pa.thumb) < side) return null;
+    return {
+      x0: Math.min(pa.corner.x, pb.corner.x) / aspect,
+      y0: Math.min(pa.corner.y, pb.corner.y),
+      x1: Math.max(pa.corner.x, pb.corner.x) / aspect,
+      y1: Math.max(pa.corner.y, pb.corner.y)
+    };
+  }
+
+  // per-hand breakdown, Left before Right
+  function breakdown(hands) {
+    return hands
+      .map(h => ({ id: h.id, handedness: h.handedness, count: h.count }))
+      .sort((a, b) => ((LABEL_ORDER[a.handedness] ?? 2) - (LABEL_ORDER[b.handedness] ?? 2)) || a.id - b.id);
+  }
+
+  function countFor(entries, label) {
+    const e = entries.find(h => h.handedness === label);
+    return e ? e.count : null;
+  }
+
+  class TwoHandDetector {
+    constructor(options = {}) {
+      this.options = mergeOptions(DEFAULT_OPTIONS, options);
+      this.total = null;
+      this.reset();
+    }
+
+    setOptions(options) {
+      this.options = mergeOptions(this.options, options);
+    }
+
+    // forget gesture state; returns the 'end' events of a running zoom/rotate
+    reset() {
+      const events = this._endPinch();
+      this._pinch = null;      // { ids, distance, angle, lastAngle, rotation }
+      this._openAt = -Infinity;
+      this._clapArmed = false;
+      this._lastClapAt = -Infinity;
+      this._frameSince = null;
+      this._framing = null;
+      return events;
+    }
+
+    // hands: reported FingerTracker hands (first two used); aspect: width / height
+    // returns { t, total, hands, left, right, zoom, rotation, framing, events }
+    update(hands, t, aspect = 1) {
+      const o = this.options;
+      const pair = hands.slice(0, 2);
+      const entries = breakdown(pair);
+      const total = entries.reduce((s, h) => s + h.count, 0);
+      const events = [];
+      if (total !== this.total) {
+        events.push({ type: 'total', total, previous: this.total, hands: entries });
+        this.total = total;
+      }
+
+      let framing = null;
+      if (pair.length === 2) {
+        const [a, b] = pair;
+        framing = framePose(a, b, aspect, o.frame);
+        this._clap(a, b, t, aspect, events);
+      }
+      this._frame(framing, t, events);
+
+      const pinchable = pair.length === 2 && !framing && pair.every(pointing);
+      if (pinchable) this._movePinch(pair, t, aspect, events);
+      else events.push(...this._endPinch());
+
+      const p = this._pinch;
+      return {
+        t,
+        total,
+        hands: entries,
+        left: countFor(entries, 'Left'),
+        right: countFor(entries, 'Right'),
+        zoom: p ? { factor: p.factor, distance: p.current } : null,
+        rotation: p ? { angle: p.rotation } : null,
+        framing: this._framing,
+        events
+      };
+    }
+
+    // ---- zoom + rotate: the vector between the two index tips ----
+    _movePinch(pair, t, aspect, events) {
+      const o = this.options;
+      const ids = pair.map(h => h.id).sort((x, y) => x - y);
+      const [first, second] = ids.map(id => pair.find(h => h.id === id));
+      const a = point(first.landmarks[8], aspect), b = point(second.landmarks[8], aspect);
+      const distance = dist(a, b);
+      const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+      const p = this._pinch;
+
+      if (p && (p.ids[0] !== ids[0] || p.ids[1] !== ids[1])) events.push(...this._endPinch());
+      if (!this._pinch) {
+        if (distance / aspect < o.zoom.minDistance) return;
+        this._pinch = { ids, start: distance, current: distance, factor: 1, lastAngle: angle, rotation: 0 };
+        events.push({ type: 'zoom', phase: 'start', factor: 1, distance }, { type: 'rotate', phase: 'start', angle: 0, delta: 0 });
+        return;
+      }
+      // image y grows downward, so a positive angle is clockwise on screen
+      const delta = wrapDegrees(angle - p.lastAngle) * (o.mirrorX ? -1 : 1);
+      p.lastAngle = angle;
+      p.rotation += delta;
+      p.current = distance;
+      p.factor = distance / p.start;
+      events.push(
+        { type: 'zoom', phase: 'move', factor: p.factor, distance },
+        { type: 'rotate', phase: 'move', angle: p.rotation, delta }
+      );
+    }
+
+    _endPinch() {
+      const p = this._pinch;
+      if (!p) return [];
+      this._pinch = null;
+      return [
+        { type: 'zoom', phase: 'end', factor: p.factor, distance: p.current },
+        { type: 'rotate', phase: 'end', angle: p.rotation, delta: 0 }
+      ];
+    }
+
+    // ---- clap: palms far apart, then together within maxMs ----
+    _clap(a, b, t, aspect, events) {
+      const o = this.options.clap;
+      const size = (handSize(a.landmarks, aspect) + handSize(b.landmarks, aspect)) / 2;
+      const separation = dist(palmCenter(a.landmarks, aspect), palmCenter(b.landmarks, aspect)) / size;
+      if (separation >= o.open) {
+        this._openAt = t;
+        this._clapArmed = true;
+      } else if (this._clapArmed && separation <= o.close && t - this._openAt <= o.maxMs && t - this._lastClapAt >= o.debounceMs) {
+        this._clapArmed = false;
+        this._lastClapAt = t;
+        events.push({ type: 'bimanual', name: 'clap', label: BIMANUAL_LABELS.clap, t, ms: t - this._openAt });
+      }
+    }
+
+    // ---- frame: fires once when the pose has been held for holdMs ----
+    _frame(rect, t, events) {
+      if (!rect) {
+        this._frameSince = null;
+        this._framing = null;
+        return;
+      }
+      if (this._frameSince === null) this._frameSince = t;
+      const wasFraming = !!this._framing;
+      if (wasFraming || t - this._frameSince >= this.options.frame.holdMs) this._framing = rect;
+      if (this._framing && !wasFraming) {
+        events.push({ type: 'bimanual', name: 'frame', label: BIMANUAL_LABELS.frame, t, rect });
+      }
+    }
+  }
+
+  return {
+    BIMANUAL_LABELS,
+    DEFAULT_OPTIONS,
+    TwoHandDetector,
+    framePose,
+    breakdown
+  };
+});
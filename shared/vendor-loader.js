@@ -0,0 +1,134 @@
+// vendor-loader.js
+// Loads third-party browser libraries (MediaPipe, TF.js) from the app's own
+// /vendor routes, pinned to the versions below, so the apps work offline.
+// Browser global `VendorLoader`; Node (app.js) reads VENDOR_VERSIONS to check
+// that the installed packages match.
+//
+// URL option ?cdn=1 loads everything from jsDelivr instead, ?cdn=0 disables
+// the automatic CDN fallback used when a local file fails to load.
+//
+// The TF.js-runtime hand models are not on npm; `npm run fetch-models`
+// copies the pinned versions below into vendor/models once, and the apps
+// serve them under /vendor/models/<name>/model.json. modelUrl() falls back to
+// the models' home (TF Hub) the same way scripts fall back to the CDN.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.VendorLoader = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // keep in sync with the exact versions in each app's package.json
+  const VENDOR_VERSIONS = {
+    '@mediapipe/hands': '0.4.1675469240',
+    '@tensorflow/tfjs-core': '4.13.0',
+    '@tensorflow/tfjs-converter': '4.13.0',
+    '@tensorflow/tfjs-backend-webgl': '4.13.0',
+    '@tensorflow-models/hand-pose-detection': '2.0.1'
+  };
+
+  // TF.js graph models: local name -> pinned remote version
+  const MODELS = {
+    'handpose_3d/detector/full': 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/detector/full/1',
+    'handpose_3d/detector/lite': 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/detector/lite/1',
+    'handpose_3d/landmark/full': 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/landmark/full/1',
+    'handpose_3d/landmark/lite': 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/landmark/lite/1'
+  };
+
+  const LOCAL_BASE = '/vendor';
+  const CDN_BASE = 'https://cdn.jsdelivr.net/npm';
+
+  const params = typeof location !== 'undefined' ? new URLSearchParams(location.search) : new Map();
+  const cdnParam = params.get('cdn');
+  const forceCdn = cdnParam === '1';
+  const allowFallback = cdnParam !== '0';
+  const useCdn = new Set(); // packages that fell back to the CDN
+  const loaded = new Set(); // 'pkg/file' already on the page
+  let localModels = null;   // model names the server has, from /vendor/manifest.json
+
+  function localUrl(pkg, file = '') {
+    return `${LOCAL_BASE}/${pkg}/${file}`;
+  }
+
+  function cdnUrl(pkg, file = '') {
+    return `${CDN_BASE}/${pkg}@${VENDOR_VERSIONS[pkg]}/${file}`;
+  }
+
+  // where a package's files (scripts, wasm, models) are served from right now
+  function url(pkg, file = '') {
+    if (!VENDOR_VERSIONS[pkg]) throw new Error(`Unknown vendor package ${pkg}`);
+    return forceCdn || useCdn.has(pkg) ? cdnUrl(pkg, file) : localUrl(pkg, file);
+  }
+
+  function source(pkg) {
+    return forceCdn || useCdn.has(pkg) ? 'cdn' : 'local';
+  }
+
+  // model.json of a vendored TF.js model: local when the server has it
+  // (or when fallback is off, so a missing file fails loudly), else remote
+  function modelUrl(name) {
+    if (!MODELS[name]) throw new Error(`Unknown vendor model ${name}`);
+    const local = `${LOCAL_BASE}/models/${name}/model.json`;
+    const remote = `${MODELS[name]}/model.json?tfjs-format=file`;
+    if (forceCdn) return remote;
+    if (!localModels || localModels.includes(name) || !allowFallback) return local;
+    console.warn(`Model ${name} is not in vendor/models (npm run fetch-models); loading it from TF Hub`);
+    return remote;
+  }
+
+  async function loadManifest() {
+    try {
+      const res = await fetch(`${LOCAL_BASE}/manifest.json`);
+      if (res.ok) localModels = (await res.json()).models || [];
+    } catch (e) {
+      console.warn(`Could not read the vendor manifest: ${e.message}`);
+    }
+  }
+
+  function addScript(src) {
+    return new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = src;
+      s.onload = resolve;
+      s.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(s);
+    });
+  }
+
+  async function loadVendorScript(pkg, file) {
+    const key = `${pkg}/${file}`;
+    if (loaded.has(key)) return;
+    loaded.add(key);
+    try {
+      await addScript(url(pkg, file));
+    } catch (e) {
+      if (forceCdn || !allowFallback || useCdn.has(pkg)) throw e;
+      console.warn(`${e.message}; falling back to CDN for ${pkg}`);
+      useCdn.add(pkg);
+      await addScript(cdnUrl(pkg, file));
+    }
+  }
+
+  // vendor: [[pkg, file], ...] loaded in order (duplicates once), then the app's own scripts
+  async function load(vendor, appScripts = []) {
+    try {
+      if (!forceCdn) await loadManifest();
+      for (const [pkg, file] of vendor) await loadVendorScript(pkg, file);
+    } catch (e) {
+      console.error(e);
+      const statusEl = document.getElementById('status');
+      if (statusEl) statusEl.innerText = `Could not load libraries: ${e.message}`;
+      return;
+    }
+    for (const src of appScripts) await addScript(src);
+  }
+
+  return {
+    VENDOR_VERSIONS,
+    MODELS,
+    url,
+    source,
+    modelUrl,
+    load
+  };
+});
@@ -0,0 +1,110 @@
+// whiteboard-ui.js
+// Controls for the air-drawing whiteboard (browser only).
+//   WhiteboardUI.attach(container, { getSize() -> {width, height} })
+// Builds the on/off toggle, undo/redo/clear and PNG/SVG export buttons
+// inside `container`. Every frame the app calls ui.update(hand | null, now)
+// with the first tracked hand ({ landmarks, extended }) and ui.render(ctx,
+// width, height) in view coordinates (after any mirror transform is undone).
+// Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo while the board is on.
+
+(function (root) {
+  'use strict';
+
+  function el(tag, attrs = {}, text) {
+    const e = document.createElement(tag);
+    for (const k of Object.keys(attrs)) e.setAttribute(k, attrs[k]);
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function stamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+  }
+
+  function attach(container, hooks = {}) {
+    const board = new Whiteboard.Board();
+    let enabled = false;
+
+    const btnToggle = el('button', { type: 'button' }, 'Whiteboard: Off');
+    const btnUndo = el('button', { type: 'button', disabled: '' }, 'Undo');
+    const btnRedo = el('button', { type: 'button', disabled: '' }, 'Redo');
+    const btnClear = el('button', { type: 'button', disabled: '' }, 'Clear');
+    const btnPNG = el('button', { type: 'button', disabled: '' }, 'Export PNG');
+    const btnSVG = el('button', { type: 'button', disabled: '' }, 'Export SVG');
+    const hint = el('span', { class: 'label', hidden: '' }, 'index: draw · two fingers: move · open palm: erase · hold fist: clear');
+    container.append(el('span', { class: 'label' }, 'Board:'), btnToggle, btnUndo, btnRedo, btnClear, btnPNG, btnSVG, hint);
+
+    function refresh() {
+      btnToggle.innerText = `Whiteboard: ${enabled ? 'On' : 'Off'}`;
+      btnToggle.classList.toggle('active', enabled);
+      btnUndo.disabled = !board.canUndo;
+      btnRedo.disabled = !board.canRedo;
+      btnClear.disabled = btnPNG.disabled = btnSVG.disabled = !board.allStrokes().length;
+      hint.hidden = !enabled;
+    }
+
+    function size() {
+      const s = hooks.getSize ? hooks.getSize() : null;
+      return s && s.width && s.height ? s : { width: 1280, height: 720 };
+    }
+
+    btnToggle.addEventListener('click', () => {
+      enabled = !enabled;
+      board.reset();
+      refresh();
+    });
+    btnUndo.addEventListener('click', () => { board.undo(); refresh(); });
+    btnRedo.addEventListener('click', () => { board.redo(); refresh(); });
+    btnClear.addEventListener('click', () => { board.clear(); refresh(); });
+    btnSVG.addEventListener('click', () => {
+      const { width, height } = size();
+      Session.download(`whiteboard-${stamp()}.svg`, board.toSVG(width, height), 'image/svg+xml');
+    });
+    btnPNG.addEventListener('click', () => {
+      const { width, height } = size();
+      const out = document.createElement('canvas');
+      out.width = width;
+      out.height = height;
+      const ctx = out.getContext('2d');
+      ctx.fillStyle = board.options.background;
+      ctx.fillRect(0, 0, width, height);
+      board.drawStrokes(ctx, width, height);
+      out.toBlob((blob) => Session.download(`whiteboard-${stamp()}.png`, blob, 'image/png'), 'image/png');
+    });
+
+    window.addEventListener('keydown', (e) => {
+      if (!enabled || !(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) board.undo();
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) board.redo();
+      else return;
+      e.preventDefault();
+      refresh();
+    });
+
+    // called by the app every frame
+    function update(hand, now = performance.now()) {
+      if (!enabled) return null;
+      const before = board.strokes;
+      const tool = board.update(hand, now);
+      if (board.strokes !== before || (board.current && board.current.points.length === 1)) refresh();
+      return tool;
+    }
+
+    function render(ctx, width, height) {
+      if (enabled) board.render(ctx, width, height);
+    }
+
+    refresh();
+
+    return {
+      update,
+      render,
+      board,
+      setMirror: (mirrorX) => board.setOptions({ mirrorX }),
+      get enabled() { return enabled; }
+    };
+  }
+
+  root.WhiteboardUI = { attach };
+})(typeof self !== 'undefined' ? self : this);
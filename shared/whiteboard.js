@@ -0,0 +1,361 @@
+// whiteboard.js
+// Air-drawing whiteboard: vector strokes drawn with the index fingertip.
+// Browser global `Whiteboard`, Node: require('../shared/whiteboard').
+//
+// Tools come from analyzeHand().extended ([thumb, index, middle, ring, pinky],
+// thumb ignored):
+//   draw   index only                    -> the index tip draws
+//   move   index + middle                -> the tip moves without drawing
+//   erase  open palm (all four fingers)  -> erases around the palm centre
+//   clear  fist held for clearHoldMs     -> clears the board
+// A tool has to be steady for toolSettleMs before it takes effect, so the
+// in-between poses while changing tools do not leave marks.
+// Hovering the index tip over a swatch for hoverMs picks a colour or size.
+//
+// Coordinates are view fractions [0..1] of the canvas as shown. Pass
+// mirrorX when the view is mirrored relative to the landmarks. Brush sizes
+// are fractions of the canvas width, so strokes scale with the export size.
+// Every change (stroke, erase pass, clear) is one undo step.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hand-tracker'));
+  else root.Whiteboard = factory(root.HandTracker);
+})(typeof self !== 'undefined' ? self : this, function (HandTracker) {
+  'use strict';
+
+  const INDEX_TIP = 8;
+
+  const COLORS = ['#00e0a8', '#ff5c5c', '#ffd166', '#4d9de0', '#ffffff'];
+  const SIZES = [0.004, 0.008, 0.016];
+
+  const DEFAULT_OPTIONS = {
+    mirrorX: false,
+    toolSettleMs: 100,
+    clearHoldMs: 1500,
+    hoverMs: 600,
+    eraserRadius: 0.05,  // view fraction (of width)
+    minPointDistance: 0.002,
+    maxUndo: 100,
+    background: '#071023'
+  };
+
+  // swatch layout along the top edge (view fractions)
+  const SWATCH_SIZE = 0.05;
+  const SWATCH_GAP = 0.012;
+  const SWATCH_TOP = 0.03;
+
+  function buildSwatches() {
+    const swatches = [];
+    let x = 0.02;
+    for (const color of COLORS) {
+      swatches.push({ kind: 'color', value: color, x, y: SWATCH_TOP, w: SWATCH_SIZE, h: SWATCH_SIZE });
+      x += SWATCH_SIZE + SWATCH_GAP;
+    }
+    x += SWATCH_GAP * 2;
+    for (const size of SIZES) {
+      swatches.push({ kind: 'size', value: size, x, y: SWATCH_TOP, w: SWATCH_SIZE, h: SWATCH_SIZE });
+      x += SWATCH_SIZE + SWATCH_GAP;
+    }
+    return swatches;
+  }
+
+  const SWATCHES = buildSwatches();
+
+  // tool for one frame of finger states
+  function toolFor(extended) {
+    if (!extended) return 'none';
+    const [, index, middle, ring, pinky] = extended;
+    if (index && !middle && !ring && !pinky) return 'draw';
+    if (index && middle && !ring && !pinky) return 'move';
+    if (index && middle && ring && pinky) return 'erase';
+    if (!index && !middle && !ring && !pinky) return 'fist';
+    return 'none';
+  }
+
+  // split strokes around an eraser circle; returns null when nothing was hit
+  function eraseAt(strokes, p, radius, aspect) {
+    let hit = false;
+    const out = [];
+    const inside = q => Math.hypot(q.x - p.x, (q.y - p.y) / aspect) <= radius;
+    for (const s of strokes) {
+      if (!s.points.some(inside)) {
+        out.push(s);
+        continue;
+      }
+      hit = true;
+      let run = [];
+      for (const q of s.points) {
+        if (inside(q)) {
+          if (run.length > 1) out.push({ ...s, points: run });
+          run = [];
+        } else run.push(q);
+      }
+      if (run.length > 1) out.push({ ...s, points: run });
+    }
+    return hit ? out : null;
+  }
+
+  class Board {
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.aspect = 16 / 9; // canvas width / height, for round erasers and dots
+      this.strokes = [];
+      this.undoStack = [];
+      this.redoStack = [];
+      this.color = COLORS[0];
+      this.size = SIZES[1];
+      this.reset();
+    }
+
+    setOptions(options) {
+      this.options = { ...this.options, ...options };
+    }
+
+    // gesture state only; strokes and history are kept
+    reset() {
+      this.current = null;     // stroke being drawn
+      this.tool = 'none';      // tool in effect
+      this.pending = { tool: 'none', since: 0 };
+      this.cursor = null;      // {x, y} of the index tip (view)
+      this.palm = null;        // {x, y} of the palm centre (view)
+      this.fistSince = null;
+      this.clearProgress = 0;
+      this.hover = null;       // { swatch, since, progress }
+      this._erasing = false;   // an erase pass is one undo step
+    }
+
+    _toView(p) {
+      return { x: this.options.mirrorX ? 1 - p.x : p.x, y: p.y };
+    }
+
+    _commit(strokes) {
+      this.undoStack.push(this.strokes);
+      if (this.undoStack.length > this.options.maxUndo) this.undoStack.shift();
+      this.redoStack = [];
+      this.strokes = strokes;
+    }
+
+    _endStroke() {
+      if (this.current) {
+        this._commit([...this.strokes, this.current]);
+        this.current = null;
+      }
+    }
+
+    // hand: { landmarks, extended } of the drawing hand, or null when it is gone
+    update(hand, t) {
+      if (!hand) {
+        this._endStroke();
+        this.reset();
+        return this.tool;
+      }
+      const o = this.options;
+      this.cursor = this._toView(hand.landmarks[INDEX_TIP]);
+      this.palm = this._toView(HandTracker.palmCenter(hand.landmarks));
+
+      // debounce tool changes
+      const seen = toolFor(hand.extended);
+      if (seen !== this.pending.tool) this.pending = { tool: seen, since: t };
+      const tool = t - this.pending.since >= o.toolSettleMs ? this.pending.tool : this.tool;
+      if (tool !== this.tool) {
+        if (this.tool === 'draw') this._endStroke();
+        if (this.tool === 'erase') this._erasing = false;
+        if (tool === 'fist') this.fistSince = t;
+        this.tool = tool;
+      }
+
+      // swatches: hover with the tip while not erasing
+      const swatch = tool === 'erase' || tool === 'fist' ? null : this.swatchAt(this.cursor);
+      if (swatch) {
+        this._endStroke();
+        if (!this.hover || this.hover.swatch !== swatch) this.hover = { swatch, since: t, progress: 0 };
+        this.hover.progress = Math.min(1, (t - this.hover.since) / o.hoverMs);
+        if (this.hover.progress >= 1) this._pick(swatch);
+        return tool;
+      }
+      this.hover = null;
+
+      if (tool === 'draw') {
+        // hold the pen while a tool change is settling so the new pose leaves no tail
+        if (seen !== 'draw') return tool;
+        if (!this.current) this.current = { color: this.color, size: this.size, points: [] };
+        const last = this.current.points[this.current.points.length - 1];
+        if (!last || Math.hypot(this.cursor.x - last.x, this.cursor.y - last.y) >= o.minPointDistance) {
+          this.current.points.push({ x: this.cursor.x, y: this.cursor.y });
+        }
+      } else if (tool === 'erase') {
+        const erased = eraseAt(this.strokes, this.palm, o.eraserRadius, this.aspect);
+        if (erased) {
+          // the first hit of a pass is the undo step, the rest extend it
+          if (this._erasing) this.strokes = erased;
+          else this._commit(erased);
+          this._erasing = true;
+        }
+      } else if (tool === 'fist') {
+        this.clearProgress = this.strokes.length ? Math.min(1, (t - this.fistSince) / o.clearHoldMs) : 0;
+        if (this.clearProgress >= 1) {
+          this.clear();
+          this.fistSince = Infinity; // once per fist
+        }
+      }
+      if (tool !== 'fist') this.clearProgress = 0;
+      return tool;
+    }
+
+    swatchAt(p) {
+      if (!p) return null;
+      const ys = (p.y - SWATCH_TOP) / this.aspect; // swatches are square on screen, sized in width units
+      return SWATCHES.find(s => p.x >= s.x && p.x <= s.x + s.w && ys >= 0 && ys <= s.h) || null;
+    }
+
+    _pick(swatch) {
+      if (swatch.kind === 'color') this.color = swatch.value;
+      else this.size = swatch.value;
+      this.hover = { swatch, since: Infinity, progress: 0 }; // picked; move off to pick again
+    }
+
+    clear() {
+      this._endStroke();
+      if (this.strokes.length) this._commit([]);
+    }
+
+    undo() {
+      this._endStroke();
+      if (!this.undoStack.length) return false;
+      this.redoStack.push(this.strokes);
+      this.strokes = this.undoStack.pop();
+      return true;
+    }
+
+    redo() {
+      if (!this.redoStack.length) return false;
+      this.undoStack.push(this.strokes);
+      this.strokes = this.redoStack.pop();
+      return true;
+    }
+
+    get canUndo() { return this.undoStack.length > 0 || !!this.current; }
+    get canRedo() { return this.redoStack.length > 0; }
+
+    allStrokes() {
+      return this.current ? [...this.strokes, this.current] : this.strokes;
+    }
+
+    // ---- rendering (2D canvas context, view coordinates) ----
+    // strokes only; also used for PNG export
+    drawStrokes(ctx, width, height) {
+      ctx.save();
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      for (const s of this.allStrokes()) {
+        ctx.strokeStyle = ctx.fillStyle = s.color;
+        ctx.lineWidth = s.size * width;
+        if (s.points.length === 1) {
+          ctx.beginPath();
+          ctx.arc(s.points[0].x * width, s.points[0].y * height, s.size * width / 2, 0, Math.PI * 2);
+          ctx.fill();
+          continue;
+        }
+        ctx.beginPath();
+        s.points.forEach((p, i) => (i ? ctx.lineTo(p.x * width, p.y * height) : ctx.moveTo(p.x * width, p.y * height)));
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // strokes + swatches + tool cursor, for the live overlay
+    render(ctx, width, height) {
+      this.aspect = width / height;
+      this.drawStrokes(ctx, width, height);
+      ctx.save();
+
+      for (const s of SWATCHES) {
+        const x = s.x * width, y = s.y * height, w = s.w * width, h = s.h * width;
+        const selected = s.kind === 'color' ? s.value === this.color : s.value === this.size;
+        ctx.fillStyle = 'rgba(0,0,0,0.55)';
+        ctx.fillRect(x, y, w, h);
+        if (s.kind === 'color') {
+          ctx.fillStyle = s.value;
+          ctx.fillRect(x + 4, y + 4, w - 8, h - 8);
+        } else {
+          ctx.fillStyle = this.color;
+          ctx.beginPath();
+          ctx.arc(x + w / 2, y + h / 2, Math.max(2, s.value * width / 2), 0, Math.PI * 2);
+          ctx.fill();
+        }
+        ctx.lineWidth = selected ? 4 : 1;
+        ctx.strokeStyle = selected ? '#ffffff' : 'rgba(255,255,255,0.3)';
+        ctx.strokeRect(x, y, w, h);
+        if (this.hover && this.hover.swatch === s && this.hover.progress > 0) {
+          ctx.fillStyle = 'rgba(255,255,255,0.35)';
+          ctx.fillRect(x, y + h * (1 - this.hover.progress), w, h * this.hover.progress);
+        }
+      }
+
+      const c = this.cursor;
+      if (c) {
+        const cx = c.x * width, cy = c.y * height;
+        ctx.lineWidth = 2;
+        if (this.tool === 'draw') {
+          ctx.fillStyle = this.color;
+          ctx.beginPath();
+          ctx.arc(cx, cy, Math.max(3, this.size * width / 2), 0, Math.PI * 2);
+          ctx.fill();
+        } else if (this.tool === 'erase') {
+          ctx.strokeStyle = '#ffffff';
+          ctx.setLineDash([6, 6]);
+          ctx.beginPath();
+          ctx.arc(this.palm.x * width, this.palm.y * height, this.options.eraserRadius * width, 0, Math.PI * 2);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        } else if (this.tool === 'fist' && this.clearProgress > 0) {
+          const px = this.palm.x * width, py = this.palm.y * height;
+          ctx.strokeStyle = '#ff5c5c';
+          ctx.lineWidth = 6;
+          ctx.beginPath();
+          ctx.arc(px, py, 40, -Math.PI / 2, -Math.PI / 2 + this.clearProgress * Math.PI * 2);
+          ctx.stroke();
+          ctx.fillStyle = '#ff5c5c';
+          ctx.font = 'bold 16px sans-serif';
+          ctx.fillText('Clear', px - 20, py + 62);
+        } else {
+          ctx.strokeStyle = this.color;
+          ctx.beginPath();
+          ctx.arc(cx, cy, 10, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+      ctx.restore();
+    }
+
+    // ---- SVG export ----
+    toSVG(width, height) {
+      const f = v => Math.round(v * 100) / 100;
+      const body = this.allStrokes().map(s => {
+        const w = f(s.size * width);
+        if (s.points.length === 1) {
+          return `  <circle cx="${f(s.points[0].x * width)}" cy="${f(s.points[0].y * height)}" r="${f(w / 2)}" fill="${s.color}"/>`;
+        }
+        const d = s.points.map((p, i) => `${i ? 'L' : 'M'}${f(p.x * width)} ${f(p.y * height)}`).join(' ');
+        return `  <path d="${d}" fill="none" stroke="${s.color}" stroke-width="${w}" stroke-linecap="round" stroke-linejoin="round"/>`;
+      });
+      return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `  <rect width="100%" height="100%" fill="${this.options.background}"/>`,
+        ...body,
+        '</svg>',
+        ''
+      ].join('\n');
+    }
+  }
+
+  return {
+    COLORS,
+    SIZES,
+    SWATCHES,
+    DEFAULT_OPTIONS,
+    toolFor,
+    eraseAt,
+    Board
+  };
+});
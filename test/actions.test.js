@@ -0,0 +1,129 @@
+// actions.test.js
+// Rule set validation and the rule engine (shared/actions.js), fed by
+// FingerTracker over the synthetic one-hand and motion sessions (fixtures/).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Actions = require('../shared/actions');
+const Session = require('../shared/session');
+const FingerTracker = require('../shared/finger-tracker');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const load = name => Session.parseSession(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+const oneHand = load('one-hand');
+const motion = load('motion');
+
+const key = k => ({ type: 'key', key: k });
+const rule = (trigger, action = key('a'), extra = {}) => ({ rules: [{ trigger, action, ...extra }] });
+
+// runs the engine over a session the way the pages do; returns the fired rules' names
+function replay(session, rules) {
+  const engine = new Actions.RuleEngine({ name: 'test', rules });
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const fired = [];
+  tracker.on('frame', f => engine.frame(f.hands, f.t).forEach(x => fired.push(x)));
+  tracker.on('motion', ev => engine.motion(ev).forEach(x => fired.push(x)));
+  for (const frame of session.frames) tracker.process(frame.hands, frame.t, { replay: true });
+  return fired;
+}
+
+test('validateRuleSet normalizes rules', () => {
+  const set = Actions.validateRuleSet({
+    name: '  Slides ',
+    rules: [
+      { trigger: { type: 'swipe', direction: 'left' }, holdMs: 500, action: { type: 'url', url: '/api/next', method: 'put' } },
+      { name: 'Open', enabled: false, trigger: { type: 'gesture', gesture: 'open_palm', hand: 'Left' }, holdMs: 300.4, action: { type: 'key', key: 'a', ctrlKey: 1, foo: 1 } }
+    ]
+  });
+  assert.equal(set.name, 'Slides');
+  assert.deepEqual(set.rules[0], {
+    name: 'Rule 1', enabled: true, trigger: { type: 'swipe', direction: 'left', hand: 'any' },
+    holdMs: 0, cooldownMs: 0, action: { type: 'url', url: '/api/next', method: 'PUT' }
+  });
+  assert.deepEqual(set.rules[1].action, { type: 'key', key: 'a', ctrlKey: true });
+  assert.equal(set.rules[1].holdMs, 300);
+  assert.equal(set.rules[1].enabled, false);
+});
+
+test('validateRuleSet rejects bad triggers and actions', () => {
+  const cases = [
+    [{}, /needs a "rules" array/],
+    [rule({ type: 'count', count: 6 }), /trigger.count must be 0-5/],
+    [rule({ type: 'count', count: 11, hand: 'both' }), /trigger.count must be 0-10/],
+    [rule({ type: 'gesture', gesture: 'none' }), /unknown gesture "none"/],
+    [rule({ type: 'gesture', gesture: 'fist', hand: 'both' }), /hand "both" only applies to counts/],
+    [rule({ type: 'swipe', direction: 'diagonal' }), /trigger.direction/],
+    [rule({ type: 'count', count: 1 }, { type: 'url', url: 'https://example.com/' }), /path on this server/],
+    [rule({ type: 'count', count: 1 }, { type: 'hook', name: 'bad name' }), /hook action needs a name/],
+    [rule({ type: 'count', count: 1 }, key('a'), { holdMs: -1 }), /holdMs must be/]
+  ];
+  for (const [set, error] of cases) assert.throws(() => Actions.validateRuleSet(set), error);
+  assert.throws(() => Actions.parseRuleSet('{'), /Not valid JSON/);
+});
+
+test('url actions only reach paths on this server', () => {
+  const url = u => Actions.validateRuleSet(rule({ type: 'count', count: 1 }, { type: 'url', url: u }));
+  for (const ok of ['/api/next', '/api/slide?to=3#top', '/a%20b', '/']) assert.equal(url(ok).rules[0].action.url, ok);
+  // each of these would leave the page's origin once a browser or proxy reads it
+  for (const bad of ['//evil.example/x', '/\\evil.example/x', '/%5Cevil.example/x', '/%5cevil.example/x', '/\tx', '/a\nb', '/\u0000x', 'api/next', 'https://example.com/', '']) {
+    assert.throws(() => url(bad), /path on this server/, JSON.stringify(bad));
+  }
+});
+
+test('describeTrigger and describeAction read well', () => {
+  const [count, gesture] = Actions.validateRuleSet({
+    rules: [
+      { trigger: { type: 'count', count: 1, hand: 'both' }, action: { type: 'key', key: 'x', shiftKey: true } },
+      { trigger: { type: 'gesture', gesture: 'open_palm', hand: 'Left' }, holdMs: 1200, action: { type: 'hook', name: 'next' } }
+    ]
+  }).rules;
+  assert.equal(Actions.describeTrigger(count), '1 finger (both hands)');
+  assert.equal(Actions.describeTrigger(gesture), 'Open palm (Left) 1200 ms');
+  assert.equal(Actions.describeAction(count.action), 'key shift+x');
+  assert.equal(Actions.describeAction(gesture.action), 'hook next');
+});
+
+test('held gestures fire once per hold, after holdMs', () => {
+  const fired = replay(oneHand, [
+    { name: 'fist', trigger: { type: 'gesture', gesture: 'fist' }, holdMs: 100, action: key('f') },
+    { name: 'three', trigger: { type: 'count', count: 3, hand: 'Left' }, holdMs: 150, action: key('3') },
+    { name: 'right only', trigger: { type: 'count', count: 5, hand: 'Right' }, action: key('5') },
+    { name: 'too long', trigger: { type: 'gesture', gesture: 'peace' }, holdMs: 2000, action: key('p') }
+  ]);
+  // the session starts and ends with a fist
+  assert.deepEqual(fired.map(f => f.rule.name), ['fist', 'three', 'fist']);
+  assert.equal(fired[1].hand.handedness, 'Left');
+});
+
+test('cooldownMs holds back a rule after it fired', () => {
+  const fired = replay(oneHand, [
+    { name: 'fist', trigger: { type: 'gesture', gesture: 'fist' }, cooldownMs: 60000, action: key('f') }
+  ]);
+  assert.equal(fired.length, 1);
+});
+
+test('swipes fire from motion events, matching direction only', () => {
+  const fired = replay(motion, [
+    { name: 'right', trigger: { type: 'swipe', direction: 'right' }, action: key('ArrowRight') },
+    { name: 'left', trigger: { type: 'swipe', direction: 'left' }, action: key('ArrowLeft') }
+  ]);
+  assert.deepEqual(fired.map(f => f.rule.name), ['right']);
+});
+
+test('a two-hand total fires on the first hand', () => {
+  const engine = new Actions.RuleEngine({ rules: [{ trigger: { type: 'count', count: 7, hand: 'both' }, action: key('7') }] });
+  const left = { id: 1, handedness: 'Left', count: 2 }, right = { id: 2, handedness: 'Right', count: 5 };
+  assert.deepEqual(engine.frame([left], 0), []);
+  assert.equal(engine.frame([left, right], 33)[0].hand, left);
+});
+
+test('time going backwards (a replay seek) starts holds over', () => {
+  const engine = new Actions.RuleEngine({ rules: [{ trigger: { type: 'count', count: 1 }, holdMs: 100, cooldownMs: 5000, action: key('1') }] });
+  const hands = [{ id: 1, handedness: 'Left', count: 1 }];
+  assert.equal(engine.frame(hands, 1000).length, 0);
+  assert.equal(engine.frame(hands, 1100).length, 1);
+  assert.equal(engine.frame(hands, 0).length, 0);
+  assert.equal(engine.frame(hands, 100).length, 1, 'cooldown was cleared by the seek');
+});
@@ -0,0 +1,138 @@
+// air-pointer.test.js
+// The touchless pointer (shared/air-pointer.js): region mapping, the pinch
+// press/drag/click state machine and dwell-to-click, driven frame by frame.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AirPointer = require('../shared/air-pointer');
+
+const REGION = { x0: 0, y0: 0, x1: 1, y1: 1 };
+// next to no smoothing, so the cursor sits where the fingertip is
+const SHARP = { minCutoff: 1000, beta: 0 };
+const FRAME_MS = 33;
+
+// a hand whose index tip is at (x, y) in the camera frame and whose thumb tip
+// is `pinch` hand sizes away from it (hand size = wrist to middle MCP = 0.1)
+function hand(x, y, pinch = 1) {
+  const lm = Array.from({ length: 21 }, () => ({ x, y: y + 0.2, z: 0 }));
+  lm[9] = { x, y: y + 0.1, z: 0 };
+  lm[8] = { x, y, z: 0 };
+  lm[4] = { x: x + pinch * 0.1, y, z: 0 };
+  return lm;
+}
+
+function pointer(options) {
+  return new AirPointer.AirPointer({ region: REGION, mirrorX: false, smoothing: SHARP, ...options });
+}
+
+// feeds [x, y, pinch] frames; returns every action but the per-frame moves
+function play(p, frames, t0 = 0) {
+  const actions = [];
+  frames.forEach((f, i) => {
+    const out = p.update(f && hand(...f), t0 + i * FRAME_MS);
+    actions.push(...out.actions.filter(a => a.type !== 'move'));
+  });
+  return actions;
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-3;
+
+test('mapToScreen stretches the region over the screen', () => {
+  const region = AirPointer.DEFAULT_OPTIONS.region;
+  assert.deepEqual(AirPointer.mapToScreen({ x: region.x0, y: region.y0 }, region, false), { x: 0, y: 0 });
+  assert.deepEqual(AirPointer.mapToScreen({ x: region.x1, y: region.y1 }, region, false), { x: 1, y: 1 });
+  assert.deepEqual(AirPointer.mapToScreen({ x: region.x0, y: region.y1 }, region, true), { x: 1, y: 1 });
+  // outside the region sticks to the edge
+  assert.deepEqual(AirPointer.mapToScreen({ x: 0, y: 1 }, region, false), { x: 0, y: 1 });
+});
+
+test('parseRegion and the constructor reject unusable regions', () => {
+  assert.deepEqual(AirPointer.parseRegion('0.1,0.2,0.9,0.8'), { x0: 0.1, y0: 0.2, x1: 0.9, y1: 0.8 });
+  for (const text of ['0.9,0.2,0.1,0.8', '0,0,1.5,1', '0.5,0.5,0.52,0.9', '0,0,1', 'a,b,c,d']) {
+    assert.equal(AirPointer.parseRegion(text), null, text);
+  }
+  assert.throws(() => pointer({ region: { x0: 0.8, x1: 0.2 } }), /region must be/);
+});
+
+test('pinchRatio is the thumb-index distance over the hand size', () => {
+  assert.ok(near(AirPointer.pinchRatio(hand(0.5, 0.5, 0.3)), 0.3));
+});
+
+test('a still pinch is a click at the press point', () => {
+  const p = pointer();
+  const actions = play(p, [[0.4, 0.5], [0.4, 0.5, 0.1], [0.405, 0.5, 0.1], [0.405, 0.5, 1]]);
+  assert.deepEqual(actions.map(a => a.type), ['down', 'up', 'click']);
+  for (const a of actions) assert.ok(near(a.x, 0.4) && near(a.y, 0.5), `${a.type} at the press point`);
+});
+
+test('pinch uses hysteresis between pinchDown and pinchUp', () => {
+  const p = pointer();
+  // 0.3 is between the two: not enough to press, not enough to release
+  assert.equal(p.update(hand(0.5, 0.5, 0.3), 0).pinched, false);
+  assert.equal(p.update(hand(0.5, 0.5, 0.2), 33).pinched, true);
+  assert.equal(p.update(hand(0.5, 0.5, 0.3), 66).pinched, true);
+  assert.equal(p.update(hand(0.5, 0.5, 0.45), 99).pinched, false);
+});
+
+test('the cursor holds still while pressed, then a drag follows the hand', () => {
+  const p = pointer();
+  p.update(hand(0.3, 0.5), 0);
+  p.update(hand(0.3, 0.5, 0.1), 33);
+  // within dragThreshold: still a press, the cursor stays put
+  const small = p.update(hand(0.31, 0.5, 0.1), 66);
+  assert.equal(p.state, 'pressed');
+  assert.ok(near(small.x, 0.3));
+  const moved = p.update(hand(0.4, 0.5, 0.1), 99);
+  assert.deepEqual(moved.actions.map(a => a.type), ['move', 'drag-start']);
+  assert.ok(near(moved.actions[1].x, 0.3), 'the drag starts where the press was');
+  assert.ok(near(moved.x, 0.4));
+  const released = p.update(hand(0.5, 0.5, 1), 132);
+  assert.deepEqual(released.actions.map(a => a.type), ['move', 'drag-end', 'up']);
+  assert.ok(near(released.actions[1].x, 0.5));
+  assert.equal(p.state, 'idle');
+});
+
+test('losing the hand mid-press cancels it', () => {
+  const p = pointer();
+  const actions = play(p, [[0.5, 0.5], [0.5, 0.5, 0.1], null]);
+  assert.deepEqual(actions.map(a => a.type), ['down', 'cancel']);
+  assert.equal(p.state, 'idle');
+  assert.equal(p.pinched, false);
+  // losing an idle hand is quiet
+  assert.deepEqual(play(p, [[0.5, 0.5], null]), []);
+});
+
+test('dwell clicks once, then needs the cursor to move away', () => {
+  const p = pointer({ dwell: { enabled: true, ms: 300, radius: 0.02 } });
+  const outs = Array.from({ length: 20 }, (_, i) => p.update(hand(0.6, 0.4), i * FRAME_MS));
+  // the first still frame starts the dwell; 300 ms later it fires
+  const fired = Math.ceil(300 / FRAME_MS);
+  const progress = outs.slice(0, fired).map(o => o.dwellProgress);
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+  assert.ok(progress[fired - 1] > 0.8 && progress[fired - 1] < 1);
+  const actions = outs.flatMap(o => o.actions).filter(a => a.type !== 'move');
+  assert.deepEqual(actions.map(a => a.type), ['down', 'up', 'click']);
+  assert.ok(outs[fired].actions.some(a => a.type === 'click'));
+  assert.ok(outs.slice(fired).every(o => o.dwellProgress === 0));
+  // moving beyond the radius and holding again arms a second click
+  const again = play(p, [...Array(12).fill([0.8, 0.4])], 20 * FRAME_MS);
+  assert.deepEqual(again.map(a => a.type), ['down', 'up', 'click']);
+});
+
+test('dwell does not run during a pinch', () => {
+  const p = pointer({ dwell: { enabled: true, ms: 100 } });
+  const actions = play(p, [[0.5, 0.5], ...Array(10).fill([0.5, 0.5, 0.1])]);
+  assert.deepEqual(actions.map(a => a.type), ['down']);
+});
+
+test('optionsFromUrl reads the page URL', (t) => {
+  global.location = { search: '?pointerRegion=0.1,0.1,0.9,0.9&dwell=800&pointerMirror=0' };
+  t.after(() => { delete global.location; });
+  assert.deepEqual(AirPointer.optionsFromUrl(), {
+    region: { x0: 0.1, y0: 0.1, x1: 0.9, y1: 0.9 },
+    dwell: { enabled: true, ms: 800 },
+    mirrorX: false
+  });
+  global.location = { search: '?pointerRegion=1,1,0,0&dwell=-5' };
+  assert.deepEqual(AirPointer.optionsFromUrl(), {});
+});
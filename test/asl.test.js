@@ -0,0 +1,172 @@
+// asl.test.js
+// ASL fingerspelling (shared/asl.js): static letters from synthetic hands
+// (Detectors.syntheticHand), J and Z from traced paths, and hold-to-type.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ASL = require('../shared/asl');
+const Detectors = require('../shared/detectors');
+const HandAnalysis = require('../shared/hand-analysis');
+
+// [thumb, index, middle, ring, pinky] for the letters the synthetic hand can
+// make; its fingers are parallel, so index + middle reads as U, not V
+const SHAPES = {
+  B: [false, true, true, true, true],
+  D: [false, true, false, false, false],
+  E: [false, false, false, false, false],
+  I: [false, false, false, false, true],
+  L: [true, true, false, false, false],
+  U: [false, true, true, false, false],
+  W: [false, true, true, true, false],
+  Y: [true, false, false, false, true]
+};
+
+function letterOf(extended, { handedness = 'Left', tilt = 0, label = handedness } = {}) {
+  const landmarks = Detectors.syntheticHand({ extended, handedness, tilt });
+  return ASL.recognizeLetter(landmarks, HandAnalysis.analyzeHand(landmarks), { handedness: label });
+}
+
+test('static letters from their hand shapes', () => {
+  for (const [letter, extended] of Object.entries(SHAPES)) {
+    const result = letterOf(extended);
+    assert.equal(result.letter, letter);
+    assert.ok(result.confidence >= ASL.MIN_SCORE);
+    assert.equal(result.candidates[0].letter, letter);
+    assert.equal(result.palm, 'camera');
+  }
+});
+
+test('letters do not depend on the hand or a small roll', () => {
+  for (const [letter, extended] of Object.entries(SHAPES)) {
+    assert.equal(letterOf(extended, { handedness: 'Right' }).letter, letter, `${letter} right hand`);
+    assert.equal(letterOf(extended, { tilt: 0.3 }).letter, letter, `${letter} tilted`);
+  }
+});
+
+test('an open hand with the thumb out is not a letter', () => {
+  const result = letterOf([true, true, true, true, true]);
+  assert.equal(result.letter, null);
+  assert.ok(result.confidence < ASL.MIN_SCORE);
+});
+
+test('the back of the hand halves the confidence', () => {
+  // the model's label disagrees with the shape, so the palm faces away
+  const result = letterOf(SHAPES.Y, { label: 'Right' });
+  assert.equal(result.palm, 'away');
+  assert.equal(result.confidence, result.candidates[0].score / 2);
+  // without a label the orientation is unknown and counts for nothing
+  assert.equal(letterOf(SHAPES.Y, { label: null }).palm, null);
+});
+
+// traces a path with the hand in `extended`, moving the whole hand by
+// [dx, dy] hand sizes per step; returns the letters MotionLetters reports
+function trace(extended, steps, staticLetter = null) {
+  const motion = new ASL.MotionLetters();
+  const base = Detectors.syntheticHand({ extended });
+  const size = 0.18; // syntheticHand's default hand size
+  let x = 0, y = 0, t = 0;
+  const letters = [];
+  const frame = () => {
+    const landmarks = base.map(p => ({ ...p, x: p.x + x * size, y: p.y + y * size }));
+    const letter = motion.push(landmarks, staticLetter, HandAnalysis.analyzeHand(landmarks), t);
+    if (letter) letters.push(letter);
+    t += 33;
+  };
+  frame();
+  for (const [dx, dy, n] of steps) {
+    for (let i = 0; i < n; i++) {
+      x += dx;
+      y += dy;
+      frame();
+    }
+  }
+  return letters;
+}
+
+test('J is the pinky moving down, then hooking sideways', () => {
+  assert.deepEqual(trace(SHAPES.I, [[0, 0.15, 6], [-0.15, 0, 4]], 'I'), ['J']);
+  // straight down is just a moving I
+  assert.deepEqual(trace(SHAPES.I, [[0, 0.15, 8]], 'I'), []);
+});
+
+test('Z is the index across, diagonally back, then across again', () => {
+  const z = [[0.15, 0, 4], [-0.15, 0.15, 4], [0.15, 0, 4]];
+  assert.deepEqual(trace(SHAPES.D, z), ['Z']);
+  // as seen in a mirrored view
+  assert.deepEqual(trace(SHAPES.D, z.map(([dx, dy, n]) => [-dx, dy, n])), ['Z']);
+  // the same path with the whole hand open is not a letter
+  assert.deepEqual(trace([false, true, true, true, true], z), []);
+});
+
+test('MotionLetters.moving tells a trace from a held letter', () => {
+  const motion = new ASL.MotionLetters();
+  const landmarks = Detectors.syntheticHand({ extended: SHAPES.D });
+  const analysis = HandAnalysis.analyzeHand(landmarks);
+  const shifted = dx => landmarks.map(p => ({ ...p, x: p.x + dx }));
+  for (let t = 0; t <= 300; t += 33) motion.push(landmarks, 'D', analysis, t);
+  assert.equal(motion.moving(300), false);
+  for (let t = 333, dx = 0.02; t <= 500; t += 33, dx += 0.02) motion.push(shifted(dx), 'D', analysis, t);
+  assert.equal(motion.moving(500), true);
+});
+
+// feeds [symbol, ms] runs at 30 fps; returns the speller's text
+function spell(speller, runs) {
+  let t = speller.t || 0;
+  for (const [symbol, ms] of runs) {
+    for (const end = t + ms; t < end; t += 33) speller.feed(symbol, t);
+  }
+  speller.t = t;
+  return speller.text;
+}
+
+test('a letter types once after holdMs, however long it is held', () => {
+  const speller = new ASL.Speller();
+  assert.equal(spell(speller, [['H', 700]]), '');
+  assert.equal(spell(speller, [['H', 200]]), 'H');
+  assert.equal(spell(speller, [['H', 3000]]), 'H');
+});
+
+test('hold progress rises towards the commit', () => {
+  const speller = new ASL.Speller({ holdMs: 400 });
+  assert.deepEqual(speller.feed('A', 0), { symbol: 'A', progress: 0, committed: null });
+  assert.equal(speller.feed('A', 200).progress, 0.5);
+  assert.deepEqual(speller.feed('A', 400), { symbol: 'A', progress: 1, committed: 'A' });
+  assert.deepEqual(speller.feed('A', 600), { symbol: 'A', progress: 0, committed: null });
+});
+
+test('double letters need a release in between', () => {
+  const speller = new ASL.Speller();
+  // a blip shorter than releaseMs does not release the L
+  assert.equal(spell(speller, [['L', 900], [null, 100], ['L', 900]]), 'L');
+  assert.equal(spell(speller, [[null, 300], ['L', 900]]), 'LL');
+});
+
+test('space and backspace edit the text', () => {
+  const speller = new ASL.Speller();
+  spell(speller, [['H', 900], ['I', 900], ['space', 900], [null, 300], ['space', 900]]);
+  assert.equal(speller.text, 'HI ');
+  spell(speller, [['backspace', 900], [null, 300], ['backspace', 900]]);
+  assert.equal(speller.text, 'H');
+  speller.clear();
+  assert.equal(speller.text, '');
+});
+
+test('motion letters commit at once', () => {
+  const speller = new ASL.Speller();
+  assert.deepEqual(speller.feed('J', 0, true), { symbol: 'J', progress: 1, committed: 'J' });
+  assert.equal(speller.text, 'J');
+  // the same reading afterwards does not type it again
+  assert.equal(spell(speller, [['J', 900]]), 'J');
+});
+
+test('text stops at maxLength', () => {
+  const speller = new ASL.Speller({ maxLength: 2 });
+  assert.equal(spell(speller, [['A', 900], ['B', 900], ['C', 900]]), 'AB');
+});
+
+test('controlSymbol maps the control gestures', () => {
+  assert.equal(ASL.controlSymbol({ name: 'open_palm' }), 'space');
+  assert.equal(ASL.controlSymbol({ name: 'thumbs_down' }), 'backspace');
+  assert.equal(ASL.controlSymbol({ name: 'peace' }), null);
+  assert.equal(ASL.controlSymbol(null), null);
+});
@@ -0,0 +1,116 @@
+// calibration.test.js
+// Per-user thresholds and hysteresis (shared/calibration.js), derived from
+// the poses in the synthetic one-hand session (fixtures/).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Calibration = require('../shared/calibration');
+const HandAnalysis = require('../shared/hand-analysis');
+const Session = require('../shared/session');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const session = Session.parseSession(fs.readFileSync(path.join(FIXTURES, 'one-hand.json'), 'utf8'));
+const labels = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'one-hand.labels.json'), 'utf8'));
+
+// each pose is held for 12 frames; the second half has settled
+const SETTLE_FRAMES = 6;
+const landmarksOf = l => session.frames[l.frame].hands[0].landmarks;
+const settled = labels.filter(l => l.frame % 12 >= SETTLE_FRAMES);
+
+// the wizard's steps, played by the fixture's poses
+const STEP_GESTURES = { fist: 'fist', open: 'open_palm', thumb: 'thumbs_up', index: 'pointing' };
+function capture(steps = STEP_GESTURES) {
+  const samples = {};
+  for (const [step, gesture] of Object.entries(steps)) {
+    samples[step] = settled.filter(l => l.gesture === gesture).map(l => HandAnalysis.extensionAngles(landmarksOf(l)));
+  }
+  return samples;
+}
+
+test('deriveProfile puts each threshold between the folded and extended angles', () => {
+  const samples = capture();
+  const { profile, warnings } = Calibration.deriveProfile(samples, 'Tester');
+  assert.deepEqual(warnings, []);
+  assert.equal(profile.name, 'Tester');
+  Calibration.validateProfile(profile);
+  for (let f = 0; f < 5; f++) {
+    const { foldedHigh, straightLow } = profile.stats[f];
+    assert.ok(foldedHigh < profile.thresholds[f] && profile.thresholds[f] < straightLow, HandAnalysis.FINGERS[f]);
+    assert.ok(profile.hysteresis[f] >= 2 && profile.hysteresis[f] <= 12, `${HandAnalysis.FINGERS[f]} band`);
+  }
+});
+
+test('a derived profile counts every settled pose of the session', () => {
+  const { profile } = Calibration.deriveProfile(capture());
+  for (const l of settled) {
+    assert.equal(HandAnalysis.analyzeHand(landmarksOf(l), Calibration.analysisOptions(profile)).count, l.count, `frame ${l.frame}`);
+  }
+});
+
+test('fingers without both clusters keep the default threshold', () => {
+  const { profile, warnings } = Calibration.deriveProfile(capture({ fist: 'fist' }));
+  assert.deepEqual(profile.thresholds, HandAnalysis.DEFAULT_THRESHOLDS);
+  assert.deepEqual(profile.hysteresis, [0, 0, 0, 0, 0]);
+  assert.equal(warnings.length, 5);
+  assert.match(warnings[0], /thumb: not enough samples/);
+});
+
+test('overlapping clusters keep the default threshold', () => {
+  // an "open hand" that is really a fist
+  const { profile, warnings } = Calibration.deriveProfile(capture({ fist: 'fist', open: 'fist' }));
+  assert.deepEqual(profile.thresholds, HandAnalysis.DEFAULT_THRESHOLDS);
+  assert.ok(warnings.every(w => /overlap/.test(w)), warnings.join('\n'));
+});
+
+test('inside the hysteresis band the previous state decides', () => {
+  const lm = landmarksOf(labels.find(l => l.count === 5 && l.frame % 12 >= SETTLE_FRAMES));
+  // thresholds right at each finger's angle
+  const profile = { thresholds: HandAnalysis.extensionAngles(lm).map(a => a - 1), hysteresis: [5, 5, 5, 5, 5] };
+  const analyze = previous => HandAnalysis.analyzeHand(lm, { ...Calibration.analysisOptions(profile, previous), thumbAcross: false });
+  assert.equal(analyze([true, true, true, true, true]).count, 5);
+  assert.equal(analyze([false, false, false, false, false]).count, 0);
+  // without a previous state the plain threshold applies
+  assert.equal(analyze(undefined).count, 5);
+});
+
+test('analysisOptions falls back to the default profile', () => {
+  assert.deepEqual(Calibration.analysisOptions(null, [true]), {
+    thresholds: Calibration.DEFAULT_PROFILE.thresholds,
+    hysteresis: [0, 0, 0, 0, 0],
+    previous: [true]
+  });
+});
+
+test('validateProfile checks imported profiles', () => {
+  const ok = { name: '  Me  ', thresholds: [150, 160, 160, 160, 160] };
+  const p = Calibration.validateProfile(ok);
+  assert.equal(p.name, 'Me');
+  assert.deepEqual(p.hysteresis, [0, 0, 0, 0, 0]);
+  assert.throws(() => Calibration.validateProfile({ ...ok, name: ' ' }), /needs a name/);
+  assert.throws(() => Calibration.validateProfile({ ...ok, thresholds: [1, 2, 3] }), /5 numeric thresholds/);
+  assert.throws(() => Calibration.validateProfile({ ...ok, hysteresis: [1, 1, 1, 1, 'x'] }), /hysteresis must be 5 numbers/);
+  assert.throws(() => Calibration.validateProfile({ ...ok, thresholds: [0, 160, 160, 160, 160] }), /between 0 and 180/);
+});
+
+test('ProfileStore keeps profiles and the active one in localStorage', (t) => {
+  const items = new Map();
+  global.localStorage = {
+    getItem: k => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: k => items.delete(k)
+  };
+  t.after(() => { delete global.localStorage; });
+  const store = Calibration.ProfileStore;
+  assert.equal(store.active(), Calibration.DEFAULT_PROFILE);
+  const { profile } = Calibration.deriveProfile(capture(), 'Mine');
+  store.save(profile);
+  store.setActive('Mine');
+  assert.deepEqual(store.active().thresholds, profile.thresholds);
+  const json = store.exportJSON('Mine');
+  store.remove('Mine');
+  assert.equal(store.active(), Calibration.DEFAULT_PROFILE);
+  assert.equal(store.importJSON(json).name, 'Mine');
+  assert.deepEqual(store.list().map(p => p.name), ['Mine']);
+});
@@ -0,0 +1,104 @@
+// cli.test.js
+// The finger-track command (cli/finger-track.js): main()'s exit codes and
+// output files over the synthetic sessions (fixtures/), and the bin that
+// `npm install` links into the app running the tests.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main } = require('../cli/finger-track');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const ONE_HAND = path.join(FIXTURES, 'one-hand.json');
+const LABELS = path.join(FIXTURES, 'one-hand.labels.json');
+// npm test runs in an app directory
+const BIN = path.join(process.cwd(), 'node_modules', '.bin', 'finger-track');
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finger-track-cli-'));
+});
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// main() with captured output: { code, stdout, stderr }
+function run(...argv) {
+  const out = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: s => { out.stdout += s; } },
+    stderr: { write: s => { out.stderr += s; } }
+  };
+  return { code: main(argv, io), ...out };
+}
+
+test('exits with 0 and writes --out without labels', () => {
+  const file = path.join(dir, 'one-hand.json');
+  const { code, stdout } = run(ONE_HAND, '--format', 'json', '--out', file);
+  assert.equal(code, 0);
+  assert.equal(stdout, '');
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(report.passed, null);
+  assert.equal(report.files[0].frames.length, 132);
+  assert.equal(report.files[0].accuracy, null);
+});
+
+test('exits with 0 when every compared accuracy reaches --min-accuracy', () => {
+  const { code, stdout } = run(ONE_HAND, '--expected', LABELS, '--min-accuracy', '0.5', '--format', 'json');
+  assert.equal(code, 0);
+  const report = JSON.parse(stdout);
+  assert.equal(report.passed, true);
+  assert.deepEqual(Object.keys(report.files[0].accuracy).sort(), ['count', 'gesture']);
+});
+
+test('exits with 1 below --min-accuracy', () => {
+  // smoothing lags every pose change, so the fixture stays below 100%
+  const { code, stdout } = run(ONE_HAND, '--expected', LABELS, '--min-accuracy', '1');
+  assert.equal(code, 1);
+  assert.match(stdout, /FAIL/);
+});
+
+test('CSV keeps the verdict on stderr', () => {
+  const file = path.join(dir, 'frames.csv');
+  const fail = run(ONE_HAND, '--expected', LABELS, '--min-accuracy', '1', '--format', 'csv', '--out', file);
+  assert.equal(fail.code, 1);
+  assert.match(fail.stderr, /^FAIL: accuracy below 100\.0%/);
+  assert.equal(fs.readFileSync(file, 'utf8').trimEnd().split('\n').length, 133);
+  const pass = run(ONE_HAND, '--expected', LABELS, '--min-accuracy', '0', '--format', 'csv', '--out', file);
+  assert.equal(pass.code, 0);
+  assert.equal(pass.stderr, 'PASS\n');
+});
+
+test('exits with 2 on usage errors, with the usage text', () => {
+  for (const argv of [[], ['--bogus', ONE_HAND], [ONE_HAND, '--format', 'xml'], [ONE_HAND, '--min-accuracy', '2'], [ONE_HAND, '--out'], [ONE_HAND, ONE_HAND, '--expected', LABELS]]) {
+    const { code, stderr } = run(...argv);
+    assert.equal(code, 2, argv.join(' '));
+    assert.match(stderr, /^finger-track: .+\n\nUsage: finger-track/, argv.join(' '));
+  }
+  assert.equal(run('--help').code, 0);
+});
+
+test('exits with 2 on unreadable input', () => {
+  const missing = run(path.join(dir, 'nope.json'));
+  assert.equal(missing.code, 2);
+  assert.match(missing.stderr, /ENOENT/);
+  const broken = path.join(dir, 'broken.json');
+  fs.writeFileSync(broken, '{"frames": [');
+  assert.equal(run(broken).code, 2);
+  // labels that match no frame leave nothing to judge
+  const none = path.join(dir, 'none.json');
+  fs.writeFileSync(none, JSON.stringify([{ frame: 9999, count: 1 }]));
+  const unmatched = run(ONE_HAND, '--expected', none);
+  assert.equal(unmatched.code, 2);
+  assert.match(unmatched.stderr, /no expected label matched a frame/);
+});
+
+test('the installed bin sets the process exit code', { skip: !fs.existsSync(BIN) && 'finger-track-cli is not installed here' }, () => {
+  const exit = (...argv) => spawnSync(BIN, argv, { encoding: 'utf8', timeout: 60000 }).status;
+  assert.equal(exit(ONE_HAND), 0);
+  assert.equal(exit(ONE_HAND, '--expected', LABELS, '--min-accuracy', '1'), 1);
+  assert.equal(exit('--bogus'), 2);
+});
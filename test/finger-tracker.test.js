@@ -0,0 +1,120 @@
+// finger-tracker.test.js
+// The embeddable tracker (shared/finger-tracker.js) replaying the synthetic
+// sessions (fixtures/) through process(): smoothed counts and gestures,
+// change events, motions, dropped detections and plugins.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const FingerTracker = require('../shared/finger-tracker');
+const Detectors = require('../shared/detectors');
+const Session = require('../shared/session');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const load = name => Session.parseSession(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+const session = load('one-hand.json');
+const motion = load('motion.json');
+const labels = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'one-hand.labels.json'), 'utf8'));
+
+// each pose is held for POSE_FRAMES; smoothing needs about SETTLE_FRAMES to follow
+const POSE_FRAMES = 12;
+const SETTLE_FRAMES = 6;
+
+function replay(tracker, s) {
+  for (const frame of s.frames) tracker.process(frame.hands, frame.t, { replay: true });
+}
+
+test('smooths counts and gestures to the labels once a pose settles', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  let counts = 0, gestures = 0, settled = 0;
+  session.frames.forEach((frame, i) => {
+    const hand = tracker.process(frame.hands, frame.t, { replay: true }).hands[0];
+    if (i % POSE_FRAMES < SETTLE_FRAMES) return;
+    settled++;
+    if (hand.count === labels[i].count) counts++;
+    if (hand.smoothGesture.name === labels[i].gesture) gestures++;
+  });
+  assert.ok(counts / settled >= 0.95, `counts ${counts}/${settled}`);
+  assert.ok(gestures / settled >= 0.95, `gestures ${gestures}/${settled}`);
+});
+
+test('emits count changes in pose order', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const counts = [];
+  tracker.on('count', e => counts.push(e.count));
+  replay(tracker, session);
+  // the median may pass through the counts in between (5 -> 4 -> 3 -> 2)
+  const expected = labels.map(l => l.count).filter((c, i, all) => i === 0 || c !== all[i - 1]);
+  let next = 0;
+  for (const c of counts) if (c === expected[next]) next++;
+  assert.equal(next, expected.length, `${counts} should pass through ${expected}`);
+  assert.equal(counts[counts.length - 1], labels[labels.length - 1].count);
+});
+
+test('drops detections without valid landmarks and reports them', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const errors = [];
+  tracker.on('error', e => errors.push(e));
+  const good = session.frames[0].hands[0];
+  const frame = tracker.process([good, { landmarks: good.landmarks.slice(0, 5), handedness: 'Left' }, null], 0);
+  assert.equal(frame.tracked, 1);
+  assert.equal(frame.hands.length, 1);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Dropped 2 detection/);
+});
+
+test('reports the motions of the motion session with the hand', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const events = [];
+  tracker.on('motion', e => events.push(e));
+  replay(tracker, motion);
+  assert.deepEqual(events.map(e => e.name), ['swipe_right', 'wave', 'push']);
+  assert.ok(events.every(e => e.hand && e.id === e.hand.id));
+});
+
+test('mirror flips motion directions', () => {
+  const tracker = new FingerTracker({ backend: 'mock', mirror: true });
+  const events = [];
+  tracker.on('motion', e => events.push(e.name));
+  replay(tracker, motion);
+  assert.equal(events[0], 'swipe_left');
+});
+
+test('reset retires every track with a lost event', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const lost = [];
+  tracker.on('lost', e => lost.push(e));
+  const frame = tracker.process(session.frames[0].hands, 0);
+  tracker.reset();
+  assert.deepEqual(lost.map(e => e.id), [frame.hands[0].id]);
+});
+
+test('plugins are installed, uninstalled and can stop listening', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const frames = [];
+  const onFrame = e => frames.push(e.t);
+  const plugin = {
+    install: t => t.on('frame', onFrame),
+    uninstall: t => t.off('frame', onFrame)
+  };
+  assert.equal(tracker.use(plugin), plugin);
+  tracker.process(session.frames[0].hands, 10);
+  tracker.remove(plugin);
+  tracker.process(session.frames[1].hands, 43);
+  assert.deepEqual(frames, [10]);
+  assert.deepEqual(tracker.plugins, []);
+});
+
+test('the palm overrides a handedness label it contradicts, unless checkHandedness is off', () => {
+  // a fist whose curled fingers say 'Left', labelled 'Right' by the model
+  const fist = Detectors.syntheticHand({ extended: [false, false, false, false, false], handedness: 'Left' });
+  const lastHand = options => {
+    const tracker = new FingerTracker({ backend: 'mock', ...options });
+    let hand;
+    for (let i = 0; i < 20; i++) hand = tracker.process([{ landmarks: fist, handedness: 'Right', score: 1 }], i * 33).hands[0];
+    return hand;
+  };
+  assert.equal(lastHand().handedness, 'Left');
+  assert.equal(lastHand({ checkHandedness: false }).handedness, 'Right');
+});
@@ -0,0 +1,102 @@
+// frame-pacer.test.js
+// Adaptive frame pacing (shared/frame-pacer.js) against a simulated 30 fps
+// camera and a detector of a given speed.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const FramePacer = require('../shared/frame-pacer');
+
+const CAMERA_MS = 1000 / 30;
+
+// runs the camera loop for `seconds`; detectMs(scale) is how long one
+// detection takes at that input scale. Returns the stats of every window.
+function simulate(pacer, seconds, detectMs, t0 = 0) {
+  const windows = [];
+  let busyUntil = -Infinity;
+  for (let t = t0; t < t0 + seconds * 1000; t += CAMERA_MS) {
+    if (t < busyUntil) {
+      pacer.drop();
+      continue;
+    }
+    if (!pacer.shouldProcess()) continue;
+    const ms = detectMs(pacer.scale);
+    busyUntil = t + ms;
+    const stats = pacer.record(ms, t + ms);
+    if (stats) windows.push(stats);
+  }
+  return windows;
+}
+
+test('the budget follows targetFps', () => {
+  assert.equal(new FramePacer.FramePacer().budget, 1000 / 30);
+  assert.equal(new FramePacer.FramePacer({ targetFps: 20 }).budget, 50);
+});
+
+test('slow detection lowers the scale first, then skips frames, within limits', () => {
+  const pacer = new FramePacer.FramePacer();
+  const windows = simulate(pacer, 8, () => 80);
+  assert.deepEqual(windows.map(w => [w.scale, w.skip]), [[0.75, 0], [0.5, 0], [0.5, 1], [0.5, 2], [0.5, 3], [0.5, 3], [0.5, 3]]);
+  assert.ok(windows.every(w => w.droppedPerSec > 0));
+});
+
+test('the scale settles where detection fits the budget', () => {
+  const pacer = new FramePacer.FramePacer();
+  // a detector whose time grows with the input area
+  const windows = simulate(pacer, 6, scale => 60 * scale * scale);
+  assert.deepEqual(windows.map(w => w.scale), [0.75, 0.75, 0.75, 0.75, 0.75]);
+  assert.ok(windows.every(w => w.skip === 0));
+});
+
+test('fast detection undoes the last step: skips first, then the scale', () => {
+  const pacer = new FramePacer.FramePacer();
+  simulate(pacer, 6, () => 80);
+  assert.deepEqual([pacer.scale, pacer.skip], [0.5, 3]);
+  const windows = simulate(pacer, 7, () => 5, 6000);
+  // the smoothed latency needs the first second to come down
+  assert.deepEqual(windows.map(w => [w.scale, w.skip]), [[0.5, 3], [0.5, 2], [0.5, 1], [0.5, 0], [0.75, 0], [1, 0], [1, 0]]);
+});
+
+test('latency inside the band changes nothing', () => {
+  const pacer = new FramePacer.FramePacer();
+  const windows = simulate(pacer, 4, () => 25);
+  assert.ok(windows.every(w => w.scale === 1 && w.skip === 0));
+  assert.ok(Math.abs(windows[windows.length - 1].latency - 25) < 1e-9);
+});
+
+test('skip lets `skip` camera frames pass between detections and counts them as dropped', () => {
+  const pacer = new FramePacer.FramePacer();
+  pacer.skip = 2;
+  const pattern = Array.from({ length: 7 }, () => pacer.shouldProcess());
+  assert.deepEqual(pattern, [true, false, false, true, false, false, true]);
+  assert.equal(pacer.dropped, 4);
+});
+
+test('record reports stats once per second', () => {
+  const pacer = new FramePacer.FramePacer();
+  assert.equal(pacer.record(10, 0), null);
+  assert.equal(pacer.record(20, 500), null);
+  pacer.drop();
+  const stats = pacer.record(30, 1000);
+  assert.equal(stats.processed, 3);
+  assert.equal(stats.fps, 3);
+  assert.equal(stats.droppedPerSec, 1);
+  assert.equal(stats.dropped, 1);
+  // 10, then 20% steps towards 20 and 30
+  assert.ok(Math.abs(stats.latency - ((10 * 0.8 + 20 * 0.2) * 0.8 + 30 * 0.2)) < 1e-9);
+  assert.equal(pacer.record(10, 1500), null);
+});
+
+test('with adaptive off nothing changes, and turning it off restores full frames', () => {
+  const fixed = new FramePacer.FramePacer({ adaptive: false });
+  const windows = simulate(fixed, 3, () => 80);
+  assert.ok(windows.every(w => w.scale === 1 && w.skip === 0 && w.adaptive === false));
+
+  const pacer = new FramePacer.FramePacer();
+  simulate(pacer, 4, () => 80);
+  assert.notEqual(pacer.skip, 0);
+  pacer.setOptions({ adaptive: false });
+  assert.deepEqual([pacer.scale, pacer.skip], [1, 0]);
+  assert.equal(pacer.shouldProcess(), true);
+  pacer.reset();
+  assert.deepEqual([pacer.processed, pacer.dropped, pacer.latency], [0, 0, null]);
+});
@@ -0,0 +1,101 @@
+// gesture-model.test.js
+// User-trained gestures (shared/gesture-model.js): the feature vector and
+// the k-NN classifier, trained and checked on the synthetic one-hand session.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const GestureModel = require('../shared/gesture-model');
+const Session = require('../shared/session');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const session = Session.parseSession(fs.readFileSync(path.join(FIXTURES, 'one-hand.json'), 'utf8'));
+const labels = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'one-hand.labels.json'), 'utf8'));
+
+// each pose is held for 12 frames; the second half has settled
+const SETTLE_FRAMES = 6;
+const landmarksOf = l => session.frames[l.frame].hands[0].landmarks;
+const TRAINED = ['fist', 'pointing', 'peace', 'open_palm', 'rock'];
+
+// trains on the first settled frames of each pose, keeps the rest to test
+function split() {
+  const train = [], held = [];
+  for (const l of labels) {
+    if (!TRAINED.includes(l.gesture) || l.frame % 12 < SETTLE_FRAMES) continue;
+    (l.frame % 12 < SETTLE_FRAMES + 3 ? train : held).push(l);
+  }
+  return { train, held };
+}
+
+function trained() {
+  const classifier = new GestureModel.GestureClassifier({ name: 'test' });
+  for (const l of split().train) classifier.addSample(l.gesture, GestureModel.features(landmarksOf(l)));
+  return classifier;
+}
+
+test('features do not depend on where, how big or which hand', () => {
+  const lm = landmarksOf(labels.find(l => l.gesture === 'peace' && l.frame % 12 === SETTLE_FRAMES));
+  const base = GestureModel.features(lm);
+  assert.equal(base.length, GestureModel.FEATURE_LENGTH);
+  const moved = lm.map(p => ({ x: 0.1 + p.x * 0.5, y: 0.2 + p.y * 0.5, z: p.z * 0.5 }));
+  const mirrored = lm.map(p => ({ x: 1 - p.x, y: p.y, z: p.z }));
+  for (const other of [moved, mirrored]) {
+    assert.ok(GestureModel.distance(base, GestureModel.features(other)) < 1e-6);
+  }
+  assert.throws(() => GestureModel.features(lm.slice(1)), TypeError);
+});
+
+test('the classifier names held-out frames of the trained poses', () => {
+  const classifier = trained();
+  assert.deepEqual(classifier.labels().map(l => l.label), TRAINED);
+  for (const l of split().held) {
+    const result = classifier.predict(GestureModel.features(landmarksOf(l)));
+    assert.equal(result.label, l.gesture, `frame ${l.frame}`);
+    assert.ok(result.confidence > 0.5, `frame ${l.frame} confidence ${result.confidence}`);
+  }
+});
+
+test('a pose far from every sample gets no label', () => {
+  const classifier = trained();
+  classifier.maxDistance = 0.05;
+  const other = labels.find(l => l.gesture === 'thumbs_down');
+  assert.equal(classifier.predict(GestureModel.features(landmarksOf(other))).label, null);
+  assert.equal(new GestureModel.GestureClassifier().predict(GestureModel.features(landmarksOf(other))), null);
+});
+
+test('removeLabel and clear drop samples', () => {
+  const classifier = trained();
+  classifier.removeLabel('rock');
+  assert.equal(classifier.labels().some(l => l.label === 'rock'), false);
+  classifier.clear();
+  assert.deepEqual(classifier.labels(), []);
+});
+
+test('addSample checks names and vector length', () => {
+  const classifier = new GestureModel.GestureClassifier();
+  const f = GestureModel.features(landmarksOf(labels[0]));
+  assert.throws(() => classifier.addSample('no/slash', f), /Gesture names/);
+  assert.throws(() => classifier.addSample('ok', f.slice(1)), /Expected \d+ features/);
+  classifier.addSample('  padded  ', f);
+  assert.equal(classifier.samples[0].label, 'padded');
+});
+
+test('models survive a JSON round trip', () => {
+  const classifier = trained();
+  const copy = GestureModel.GestureClassifier.fromJSON(JSON.parse(JSON.stringify(classifier.toJSON())));
+  assert.equal(copy.name, 'test');
+  assert.deepEqual(copy.labels(), classifier.labels());
+  for (const l of split().held) {
+    assert.equal(copy.predict(GestureModel.features(landmarksOf(l))).label, l.gesture);
+  }
+});
+
+test('validateModel rejects foreign or broken models', () => {
+  const json = trained().toJSON();
+  assert.throws(() => GestureModel.validateModel(null), /JSON object/);
+  assert.throws(() => GestureModel.validateModel({ ...json, type: 'svm' }), /Unsupported/);
+  assert.throws(() => GestureModel.validateModel({ ...json, featureVersion: 2 }), /feature version 2/);
+  assert.throws(() => GestureModel.validateModel({ ...json, samples: [{ label: 'x', features: [1, 2] }] }), /needs \d+ numeric features/);
+  assert.throws(() => GestureModel.validateModel({ ...json, samples: [{ label: '<b>', features: json.samples[0].features }] }), /Invalid gesture name/);
+});
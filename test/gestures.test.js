@@ -0,0 +1,32 @@
+// gestures.test.js
+// Static gestures (shared/gestures.js) per frame over the synthetic
+// one-hand session and its labels (fixtures/).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const HandAnalysis = require('../shared/hand-analysis');
+const Gestures = require('../shared/gestures');
+const Session = require('../shared/session');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const session = Session.parseSession(fs.readFileSync(path.join(FIXTURES, 'one-hand.json'), 'utf8'));
+const labels = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'one-hand.labels.json'), 'utf8'));
+
+test('recognizeGesture names the labelled gesture in almost every frame', () => {
+  let right = 0;
+  session.frames.forEach((frame, i) => {
+    const h = frame.hands[0];
+    const g = Gestures.recognizeGesture(h.landmarks, HandAnalysis.analyzeHand(h.landmarks, { handedness: h.handedness }));
+    assert.equal(g.label, Gestures.GESTURE_LABELS[g.name]);
+    assert.ok(g.confidence >= 0 && g.confidence <= 1);
+    if (g.name === labels[i].gesture) right++;
+  });
+  assert.ok(right / session.frames.length >= 0.97, `${right}/${session.frames.length} frames`);
+});
+
+test('every labelled gesture shows up', () => {
+  const seen = new Set(session.frames.map(f => Gestures.recognizeGesture(f.hands[0].landmarks).name));
+  for (const name of new Set(labels.map(l => l.gesture))) assert.ok(seen.has(name), name);
+});
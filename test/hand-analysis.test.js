@@ -0,0 +1,115 @@
+// hand-analysis.test.js
+// Finger extension, joint angles and counts (shared/hand-analysis.js) over
+// the synthetic one-hand session and its per-frame labels (fixtures/).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const HandAnalysis = require('../shared/hand-analysis');
+const Session = require('../shared/session');
+const Detectors = require('../shared/detectors');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const session = Session.parseSession(fs.readFileSync(path.join(FIXTURES, 'one-hand.json'), 'utf8'));
+const labels = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'one-hand.labels.json'), 'utf8'));
+
+const first = i => session.frames[i].hands[0];
+const frameOf = count => labels.find(l => l.count === count).frame;
+
+test('angleBetween measures the angle at the middle point', () => {
+  const a = { x: 1, y: 0, z: 0 }, b = { x: 0, y: 0, z: 0 };
+  assert.equal(HandAnalysis.angleBetween(a, b, { x: 0, y: 1, z: 0 }), 90);
+  assert.equal(HandAnalysis.angleBetween(a, b, { x: -1, y: 0, z: 0 }), 180);
+  assert.equal(HandAnalysis.angleBetween(a, b, b), 0);
+});
+
+test('isValidLandmarks needs 21 points with numeric x/y', () => {
+  assert.equal(HandAnalysis.isValidLandmarks(first(0).landmarks), true);
+  assert.equal(HandAnalysis.isValidLandmarks(first(0).landmarks.slice(1)), false);
+  assert.equal(HandAnalysis.isValidLandmarks([...first(0).landmarks.slice(1), { x: NaN, y: 0 }]), false);
+  assert.equal(HandAnalysis.isValidLandmarks(null), false);
+});
+
+test('jointAngles names three joints per finger and follows the pose', () => {
+  const open = HandAnalysis.jointAngles(first(frameOf(5)).landmarks);
+  const fist = HandAnalysis.jointAngles(first(frameOf(0)).landmarks);
+  for (const finger of HandAnalysis.FINGERS) {
+    assert.deepEqual(Object.keys(open[finger]), HandAnalysis.JOINT_NAMES[finger]);
+  }
+  for (const finger of ['index', 'middle', 'ring', 'pinky']) {
+    assert.ok(open[finger].pip > 170, `${finger} pip straight in the open hand`);
+    assert.ok(fist[finger].pip < 90, `${finger} pip bent in the fist`);
+  }
+});
+
+test('analyzeHand counts the labelled fingers in every frame', () => {
+  const wrong = [];
+  session.frames.forEach((frame, i) => {
+    const h = frame.hands[0];
+    const analysis = HandAnalysis.analyzeHand(h.landmarks, { handedness: h.handedness });
+    if (analysis.count !== labels[i].count) wrong.push(`frame ${i}: ${analysis.count}, expected ${labels[i].count}`);
+    assert.equal(analysis.extended.filter(Boolean).length, analysis.count);
+  });
+  assert.deepEqual(wrong, []);
+});
+
+test('analyzeHand rejects malformed landmarks', () => {
+  assert.throws(() => HandAnalysis.analyzeHand(first(0).landmarks.slice(0, 20)), TypeError);
+});
+
+// ---- palm frame ----
+const synthetic = (extended, options = {}) => Detectors.syntheticHand({ extended, ...options });
+const FIST = [false, false, false, false, false];
+const THUMB_ONLY = [true, false, false, false, false];
+const mirrored = lm => lm.map(p => ({ ...p, x: 1 - p.x }));
+
+test('palmFrame tells which hand it is from the curled fingers', () => {
+  const fist = first(frameOf(0));
+  const palm = HandAnalysis.palmFrame(fist.landmarks, fist.handedness);
+  assert.equal(palm.valid, true);
+  assert.equal(palm.chirality, fist.handedness);
+  assert.ok(['front', 'back', 'side'].includes(palm.facing));
+});
+
+test('palmFrame chirality follows the hand, whichever way it is turned', () => {
+  for (const handedness of ['Left', 'Right']) {
+    for (const tilt of [0, Math.PI / 2, Math.PI]) {
+      const lm = synthetic(FIST, { handedness, tilt });
+      assert.equal(HandAnalysis.palmFrame(lm).chirality, handedness, `${handedness} at ${tilt.toFixed(2)} rad`);
+      // the other hand is its mirror image
+      assert.equal(HandAnalysis.palmFrame(mirrored(lm)).chirality, handedness === 'Left' ? 'Right' : 'Left');
+    }
+  }
+  // straight fingers carry no evidence either way
+  assert.equal(HandAnalysis.palmFrame(synthetic([true, true, true, true, true])).chirality, null);
+});
+
+test('palmFrame facing reads the palm normal against the model label', () => {
+  const lm = synthetic(FIST, { handedness: 'Left' });
+  const front = HandAnalysis.palmFrame(lm, 'Left');
+  assert.equal(front.facing, 'front');
+  assert.ok(front.normal.z < 0, 'the palm points at the camera');
+  assert.equal(HandAnalysis.palmFrame(lm, 'Right').facing, 'back');
+  const unknown = HandAnalysis.palmFrame(lm);
+  assert.equal(unknown.normal, null);
+  assert.equal(unknown.facing, null);
+});
+
+test('palmFrame places the thumb tip across the palm or out to the side', () => {
+  const tucked = HandAnalysis.palmFrame(synthetic(FIST)).thumb;
+  const out = HandAnalysis.palmFrame(synthetic(THUMB_ONLY)).thumb;
+  assert.ok(tucked.across < 0.2, `tucked thumb at ${tucked.across}`);
+  assert.ok(out.across > 0.5, `thumb out at ${out.across}`);
+});
+
+test('a thumb out counts on either hand at any roll', () => {
+  for (const handedness of ['Left', 'Right']) {
+    for (const tilt of [0, Math.PI / 2, Math.PI]) {
+      const where = `${handedness} at ${tilt.toFixed(2)} rad`;
+      const thumb = synthetic(THUMB_ONLY, { handedness, tilt });
+      assert.deepEqual(HandAnalysis.analyzeHand(thumb, { handedness }).extended, THUMB_ONLY, where);
+      assert.equal(HandAnalysis.analyzeHand(synthetic(FIST, { handedness, tilt }), { handedness }).count, 0, where);
+    }
+  }
+});
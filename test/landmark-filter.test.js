@@ -0,0 +1,82 @@
+// landmark-filter.test.js
+// Jitter filtering (shared/landmark-filter.js) on the synthetic motion
+// session (fixtures/): the still stretches carry seeded detector noise, the
+// moves must not lag far behind.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const LandmarkFilter = require('../shared/landmark-filter');
+const Session = require('../shared/session');
+
+const session = Session.parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', 'motion.json'), 'utf8'));
+// the hand holds still for the first 10 frames, then swipes right
+const STILL = session.frames.slice(0, 10);
+const SWIPE_END = 19;
+
+function jitter(type) {
+  const filter = new LandmarkFilter.HandFilter({ type });
+  const meter = new LandmarkFilter.JitterMeter(0.5);
+  for (const frame of STILL) {
+    const raw = frame.hands[0].landmarks;
+    meter.update(raw, filter.filter(raw, frame.t));
+  }
+  return meter;
+}
+
+test('One Euro and Kalman take out most of the still-hand jitter', () => {
+  for (const type of ['one-euro', 'kalman']) {
+    const meter = jitter(type);
+    assert.ok(meter.filtered < meter.raw / 2, `${type}: ${meter.filtered} vs raw ${meter.raw}`);
+  }
+});
+
+test("'none' passes the landmarks through", () => {
+  const meter = jitter('none');
+  assert.equal(meter.filtered, meter.raw);
+});
+
+test('filters keep up with a fast swipe', () => {
+  for (const type of ['one-euro', 'kalman']) {
+    const filter = new LandmarkFilter.HandFilter({ type });
+    let out;
+    for (const frame of session.frames.slice(0, SWIPE_END + 1)) out = filter.filter(frame.hands[0].landmarks, frame.t);
+    const raw = session.frames[SWIPE_END].hands[0].landmarks;
+    assert.ok(LandmarkFilter.meanDisplacement(out, raw) < 0.06, `${type} lags ${LandmarkFilter.meanDisplacement(out, raw)}`);
+  }
+});
+
+test('the input landmarks are left untouched', () => {
+  const filter = new LandmarkFilter.HandFilter();
+  const raw = STILL[1].hands[0].landmarks;
+  const copy = JSON.parse(JSON.stringify(raw));
+  filter.filter(STILL[0].hands[0].landmarks, STILL[0].t);
+  filter.filter(raw, STILL[1].t);
+  assert.deepEqual(raw, copy);
+});
+
+test('a long gap or time going backwards restarts the filter', () => {
+  const a = STILL[0].hands[0].landmarks;
+  const b = session.frames[SWIPE_END].hands[0].landmarks;
+  for (const t of [2000, -10]) {
+    const filter = new LandmarkFilter.HandFilter();
+    filter.filter(a, 0);
+    assert.deepEqual(filter.filter(b, t), b.map(p => ({ x: p.x, y: p.y, z: p.z })));
+  }
+});
+
+test('scalar filters start at the first value and converge on a constant', () => {
+  for (const f of [new LandmarkFilter.OneEuroFilter(), new LandmarkFilter.KalmanFilter1D()]) {
+    assert.equal(f.filter(0, 0), 0);
+    let v;
+    for (let i = 0; i < 200; i++) v = f.filter(1, 1 / 30);
+    assert.ok(Math.abs(v - 1) < 1e-3, `${f.constructor.name}: ${v}`);
+  }
+});
+
+test('unknown filter types are rejected', () => {
+  assert.throws(() => new LandmarkFilter.HandFilter({ type: 'median' }), /Unknown landmark filter "median"/);
+  const filter = new LandmarkFilter.HandFilter();
+  assert.throws(() => filter.setOptions({ type: 'median' }), /Unknown landmark filter/);
+});
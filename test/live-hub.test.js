@@ -0,0 +1,150 @@
+// live-hub.test.js
+// The /ws hub (server/live-hub.js) on an ephemeral port, and what the
+// pages' LivePublisher (shared/live-client.js) sends through it.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { attachLiveHub } = require('../server/live-hub');
+
+// ws comes from the app whose `npm test` runs this
+const { WebSocket, WebSocketServer } = require(require.resolve('ws', { paths: [process.cwd()] }));
+
+let server, wss, url;
+before(async () => {
+  server = http.createServer();
+  wss = attachLiveHub(WebSocketServer, server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `ws://127.0.0.1:${server.address().port}/ws`;
+});
+after(async () => {
+  for (const ws of wss.clients) ws.terminate();
+  await new Promise(resolve => wss.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+});
+
+// a raw protocol client: next(type) resolves with the next message of that
+// type, whether it already arrived or not
+async function connect() {
+  const ws = new WebSocket(url);
+  const inbox = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data);
+    const i = waiting.findIndex(w => w.type === msg.type);
+    if (i >= 0) waiting.splice(i, 1)[0].resolve(msg);
+    else inbox.push(msg);
+  });
+  const client = {
+    ws,
+    send: (msg) => ws.send(typeof msg === 'string' ? msg : JSON.stringify(msg)),
+    next: (type) => {
+      const i = inbox.findIndex(m => m.type === type);
+      if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    received: (type) => inbox.filter(m => m.type === type),
+    close: () => new Promise(resolve => { ws.once('close', resolve); ws.close(); })
+  };
+  client.id = (await client.next('welcome')).id;
+  return client;
+}
+
+async function join(channel, role) {
+  const client = await connect();
+  client.send({ type: 'join', channel, role });
+  assert.deepEqual(await client.next('joined'), { type: 'joined', channel, role });
+  return client;
+}
+
+test('events reach the other members of the channel only', async () => {
+  const sub = await join('room', 'subscriber');
+  const pub = await join('room', 'publisher');
+  const elsewhere = await join('other', 'subscriber');
+  try {
+    let presence;
+    do presence = await sub.next('presence'); while (!presence.publishers.length);
+    assert.deepEqual(presence.publishers, [pub.id]);
+
+    pub.send({ type: 'publish', event: { kind: 'motion', name: 'wave' } });
+    const msg = await sub.next('event');
+    assert.equal(msg.channel, 'room');
+    assert.equal(msg.from, pub.id);
+    assert.equal(typeof msg.ts, 'number');
+    assert.deepEqual(msg.event, { kind: 'motion', name: 'wave' });
+
+    // a round trip on each socket flushes anything the hub might have sent
+    for (const c of [pub, elsewhere]) {
+      c.send({ type: 'ping' });
+      await c.next('error');
+      assert.deepEqual(c.received('event'), []);
+    }
+  } finally {
+    await Promise.all([sub, pub, elsewhere].map(c => c.close()));
+  }
+});
+
+test('presence drops a publisher that disconnects', async () => {
+  const sub = await join('presence', 'subscriber');
+  const pub = await join('presence', 'publisher');
+  let presence;
+  do presence = await sub.next('presence'); while (!presence.publishers.length);
+  await pub.close();
+  assert.deepEqual((await sub.next('presence')).publishers, []);
+  await sub.close();
+});
+
+test('bad messages get an error, not a disconnect', async () => {
+  const client = await connect();
+  try {
+    client.send('not json');
+    assert.equal((await client.next('error')).error, 'Message is not valid JSON');
+    client.send({ type: 'join', channel: '../etc' });
+    assert.match((await client.next('error')).error, /Channel must be/);
+    client.send({ type: 'publish', event: {} });
+    assert.match((await client.next('error')).error, /as a publisher first/);
+    client.send({ type: 'join', channel: 'quiet', role: 'subscriber' });
+    await client.next('joined');
+    client.send({ type: 'publish', event: {} });
+    assert.match((await client.next('error')).error, /as a publisher first/);
+    assert.equal(client.ws.readyState, WebSocket.OPEN);
+  } finally {
+    await client.close();
+  }
+});
+
+// LivePublisher reads the page URL and opens a browser WebSocket; give it both
+async function livePublisher(search) {
+  const { port } = server.address();
+  global.location = { protocol: 'http:', host: `127.0.0.1:${port}`, search };
+  global.WebSocket = WebSocket;
+  const { LivePublisher } = require('../shared/live-client');
+  const publisher = new LivePublisher({ source: 'test' });
+  await new Promise(resolve => {
+    const check = () => (publisher.client.connected ? resolve() : setTimeout(check, 5));
+    check();
+  });
+  return publisher;
+}
+
+const hand = { id: 1, handedness: 'Right', count: 2, gesture: { name: 'peace', confidence: 1 }, landmarks: [{ x: 0.5, y: 0.5, z: 0 }] };
+
+for (const [search, sendsLandmarks] of [['?channel=lm&landmarks=1', true], ['?channel=lm', false]]) {
+  test(`frame events ${sendsLandmarks ? 'include' : 'leave out'} landmarks with ${search}`, async (t) => {
+    t.after(() => { delete global.location; delete global.WebSocket; });
+    const sub = await join('lm', 'subscriber');
+    const publisher = await livePublisher(search);
+    try {
+      publisher.frame([hand], 1000);
+      const { event } = await sub.next('event');
+      assert.equal(event.kind, 'frame');
+      assert.equal(event.source, 'test');
+      const expected = { id: 1, handedness: 'Right', count: 2, gesture: hand.gesture };
+      if (sendsLandmarks) expected.landmarks = hand.landmarks;
+      assert.deepEqual(event.hands, [expected]);
+    } finally {
+      publisher.client.close();
+      await sub.close();
+    }
+  });
+}
@@ -0,0 +1,104 @@
+// model-store.test.js
+// The file-based gesture model store and /api/models (server/), in a
+// temporary directory, with models trained on the synthetic two-hand session.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { StoreError } = require('../server/file-store');
+const { ModelStore } = require('../server/model-store');
+const { modelsRouter } = require('../server/models-router');
+const Session = require('../shared/session');
+const GestureModel = require('../shared/gesture-model');
+
+// express comes from the app whose `npm test` runs this
+const express = require(require.resolve('express', { paths: [process.cwd()] }));
+
+const session = Session.parseSession(require('fs').readFileSync(path.join(__dirname, 'fixtures', 'two-hands.json'), 'utf8'));
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'finger-track-test-'));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function rejectsWith(promise, status, message) {
+  await assert.rejects(promise, e => e instanceof StoreError && e.status === status && message.test(e.message));
+}
+
+// one sample per label from the first hand: peace, pointing, then open
+function model(labels = ['peace', 'point']) {
+  const classifier = new GestureModel.GestureClassifier({ name: 'test' });
+  labels.forEach((label, i) => classifier.addSample(label, GestureModel.features(session.frames[i * 20].hands[0].landmarks)));
+  return classifier.toJSON();
+}
+
+test('replaces models by name', async () => {
+  const store = new ModelStore({ dir });
+  await store.init();
+  const first = await store.save('hands', model());
+  assert.deepEqual(first.labels, { peace: 1, point: 1 });
+  const second = await store.save('hands', model(['peace', 'point', 'open']));
+  assert.equal(second.sampleCount, 3);
+  const list = await store.list();
+  assert.deepEqual(list.map(m => [m.name, m.sampleCount]), [['hands', 3]]);
+  assert.equal((await store.get('hands')).name, 'hands');
+  await store.remove('hands');
+  await rejectsWith(store.get('hands'), 404, /Model not found/);
+  await rejectsWith(store.get('../hands'), 404, /Model not found/);
+});
+
+test('rejects bad names and models', async () => {
+  const store = new ModelStore({ dir });
+  await store.init();
+  await rejectsWith(store.save('no/slashes', model()), 400, /Model names/);
+  await rejectsWith(store.save('m', { ...model(), type: 'svm' }), 400, /failed validation/);
+  await rejectsWith(store.save('m', { ...model(), featureVersion: 99 }), 400, /failed validation/);
+  assert.deepEqual(await store.list(), []);
+});
+
+test('the quota counts a replaced model once', async () => {
+  const bytes = Buffer.byteLength(JSON.stringify({ ...model(), name: 'a', updatedAt: new Date().toISOString() }));
+  const store = new ModelStore({ dir, maxStoreBytes: bytes + 50 });
+  await store.init();
+  await store.save('a', model());
+  await store.save('a', model()); // replacing does not need room for two
+  await rejectsWith(store.save('b', model()), 507, /Model store is full/);
+  const results = await Promise.allSettled([store.save('c', model()), store.save('d', model())]);
+  assert.ok(results.every(r => r.status === 'rejected'));
+  assert.deepEqual((await store.list()).map(m => m.name), ['a']);
+});
+
+test('/api/models shares models between clients', async () => {
+  const store = new ModelStore({ dir });
+  await store.init();
+  const app = express();
+  app.use('/api/models', modelsRouter(express, { store }));
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}/api/models`;
+  const put = (name, body) => fetch(`${base}/${name}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body });
+  try {
+    const saved = await put('hands', JSON.stringify(model()));
+    assert.equal(saved.status, 200);
+    assert.equal((await saved.json()).sampleCount, 2);
+    const loaded = GestureModel.GestureClassifier.fromJSON(await (await fetch(`${base}/hands`)).json());
+    assert.deepEqual(loaded.labels(), [{ label: 'peace', count: 1 }, { label: 'point', count: 1 }]);
+    assert.deepEqual((await (await fetch(base)).json()).models.map(m => m.name), ['hands']);
+
+    const bad = await put('bad', JSON.stringify({ ...model(), type: 'svm' }));
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error, 'Model failed validation');
+    assert.equal((await put('bad', '{')).status, 400);
+
+    assert.equal((await fetch(`${base}/hands`, { method: 'DELETE' })).status, 204);
+    const gone = await fetch(`${base}/hands`);
+    assert.equal(gone.status, 404);
+    assert.deepEqual(await gone.json(), { error: 'Model not found' });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,60 @@
+// motion.test.js
+// Motion gestures (shared/motion.js) over the synthetic motion session
+// (fixtures/): a swipe to the right, a wave and a push, with pauses between.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Motion = require('../shared/motion');
+const Session = require('../shared/session');
+
+const session = Session.parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', 'motion.json'), 'utf8'));
+
+function run(options) {
+  const detector = new Motion.MotionDetector(options);
+  const events = [];
+  for (const frame of session.frames) {
+    const ev = detector.push(Motion.sampleFromLandmarks(frame.hands[0].landmarks, frame.t));
+    if (ev) events.push(ev);
+  }
+  return events;
+}
+
+test('sampleFromLandmarks takes the wrist, index tip and depth', () => {
+  const lm = session.frames[0].hands[0].landmarks;
+  const s = Motion.sampleFromLandmarks(lm, 123);
+  assert.equal(s.t, 123);
+  assert.deepEqual(s.wrist, { x: lm[0].x, y: lm[0].y, z: lm[0].z });
+  assert.deepEqual(s.tip, { x: lm[8].x, y: lm[8].y, z: lm[8].z });
+  assert.equal(s.z, Motion.depthFromLandmarks(lm));
+});
+
+test('the session yields one swipe, one wave and one push, in order', () => {
+  const events = run();
+  assert.deepEqual(events.map(e => e.name), ['swipe_right', 'wave', 'push']);
+  for (const ev of events) assert.equal(ev.label, Motion.MOTION_LABELS[ev.name]);
+  assert.equal(events[0].direction, 'right');
+  assert.ok(events[1].reversals >= 3);
+  assert.ok(events[2].change < 0, 'the hand grows, so it came closer');
+});
+
+test('mirrorX flips the swipe direction', () => {
+  assert.equal(run({ mirrorX: true })[0].name, 'swipe_left');
+});
+
+test('stricter options ignore the same motions', () => {
+  const events = run({ swipe: { minDistance: 0.9 }, circle: { minTurns: 5 }, wave: { minReversals: 20 }, push: { minChange: 0.9 } });
+  assert.deepEqual(events, []);
+});
+
+test('one physical motion fires once within debounceMs', () => {
+  const detector = new Motion.MotionDetector();
+  const at = (t, x) => ({ t, wrist: { x, y: 0.5, z: 0 }, tip: { x, y: 0.4, z: 0 }, z: 0.5 });
+  const events = [];
+  for (let i = 0; i <= 20; i++) {
+    const ev = detector.push(at(i * 33, 0.1 + i * 0.04));
+    if (ev) events.push(ev);
+  }
+  assert.deepEqual(events.map(e => e.name), ['swipe_right']);
+});
@@ -0,0 +1,95 @@
+// recording-store.test.js
+// The file-based WebM recording store and /api/recordings (server/), in a
+// temporary directory, with a made-up clip that only has the EBML header.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { StoreError } = require('../server/file-store');
+const { RecordingStore } = require('../server/recording-store');
+const { recordingsRouter } = require('../server/recordings-router');
+
+// express comes from the app whose `npm test` runs this
+const express = require(require.resolve('express', { paths: [process.cwd()] }));
+
+const WEBM = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(1000, 7)]);
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'finger-track-test-'));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function rejectsWith(promise, status, message) {
+  await assert.rejects(promise, e => e instanceof StoreError && e.status === status && message.test(e.message));
+}
+
+test('keeps WebM clips with their metadata', async () => {
+  const store = new RecordingStore({ dir });
+  await store.init();
+  const meta = await store.save(WEBM, { name: 'clip', source: 'v2', durationMs: 1234.6 });
+  assert.equal(meta.bytes, WEBM.length);
+  assert.equal(meta.durationMs, 1235);
+  assert.deepEqual(await fs.readFile(await store.path(meta.id)), WEBM);
+  assert.deepEqual(await store.list(), [meta]);
+  await store.remove(meta.id);
+  await rejectsWith(store.path(meta.id), 404, /not found/);
+});
+
+test('rejects empty and non-WebM uploads', async () => {
+  const store = new RecordingStore({ dir });
+  await store.init();
+  await rejectsWith(store.save(Buffer.alloc(0)), 400, /empty/);
+  await rejectsWith(store.save(Buffer.from('RIFF....WAVE')), 400, /not a WebM/);
+  assert.deepEqual(await store.list(), []);
+});
+
+test('concurrent uploads never exceed the quota', async () => {
+  const store = new RecordingStore({ dir, maxStoreBytes: WEBM.length * 2 });
+  await store.init();
+  const results = await Promise.allSettled([1, 2, 3].map(() => store.save(WEBM)));
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.equal(results[2].reason.status, 507);
+  assert.equal(await store.usage(), WEBM.length * 2);
+});
+
+test('/api/recordings uploads, streams and deletes clips', async () => {
+  const store = new RecordingStore({ dir });
+  await store.init();
+  const app = express();
+  app.use('/api/recordings', recordingsRouter(express, { store, maxUploadBytes: 2048 }));
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}/api/recordings`;
+  const post = (body, type = 'video/webm', query = '') => fetch(`${base}${query}`, { method: 'POST', headers: { 'Content-Type': type }, body });
+  try {
+    const created = await post(WEBM, 'video/webm', '?name=clip&source=v1&durationMs=900');
+    assert.equal(created.status, 201);
+    const meta = await created.json();
+    assert.equal(created.headers.get('location'), `/api/recordings/${meta.id}`);
+    assert.deepEqual([meta.name, meta.source, meta.durationMs, meta.bytes], ['clip', 'v1', 900, WEBM.length]);
+    assert.deepEqual((await (await fetch(base)).json()).recordings, [meta]);
+
+    const clip = await fetch(`${base}/${meta.id}`);
+    assert.equal(clip.headers.get('content-type'), 'video/webm');
+    assert.deepEqual(Buffer.from(await clip.arrayBuffer()), WEBM);
+    // seeking in the player asks for a byte range
+    const part = await fetch(`${base}/${meta.id}`, { headers: { Range: 'bytes=0-3' } });
+    assert.equal(part.status, 206);
+    assert.deepEqual(Buffer.from(await part.arrayBuffer()), WEBM.subarray(0, 4));
+
+    assert.equal((await post(Buffer.from('RIFF....WAVE'))).status, 400);
+    assert.equal((await post('{}', 'application/json')).status, 415);
+    assert.equal((await post(Buffer.concat([WEBM, WEBM, WEBM]))).status, 413);
+
+    assert.equal((await fetch(`${base}/${meta.id}`, { method: 'DELETE' })).status, 204);
+    const gone = await fetch(`${base}/${meta.id}`);
+    assert.equal(gone.status, 404);
+    assert.deepEqual(await gone.json(), { error: 'Recording not found' });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
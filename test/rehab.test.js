@@ -0,0 +1,127 @@
+// rehab.test.js
+// Joint-angle telemetry (shared/rehab.js): flexion, range of motion over a
+// session, the timed exercise protocol and the CSV / HTML reports.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Rehab = require('../shared/rehab');
+const HandAnalysis = require('../shared/hand-analysis');
+const Session = require('../shared/session');
+
+const session = Session.parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', 'one-hand.json'), 'utf8'));
+
+// jointAngles()-shaped interior angles: every joint at `deg`, some overridden
+// by key ('index.pip': 90)
+function angles(deg, overrides = {}) {
+  const out = {};
+  for (const finger of HandAnalysis.FINGERS) {
+    out[finger] = {};
+    for (const joint of HandAnalysis.JOINT_NAMES[finger]) out[finger][joint] = overrides[`${finger}.${joint}`] ?? deg;
+  }
+  return out;
+}
+
+const col = key => Rehab.JOINTS.findIndex(j => j.key === key);
+
+test('JOINTS lists three joints per finger', () => {
+  assert.equal(Rehab.JOINTS.length, 15);
+  assert.deepEqual(Rehab.JOINTS.slice(0, 3).map(j => j.key), ['thumb.cmc', 'thumb.mcp', 'thumb.ip']);
+  assert.deepEqual(Rehab.JOINTS.slice(3, 6).map(j => j.label), ['index MCP', 'index PIP', 'index DIP']);
+});
+
+test('flexion is 0 for a straight joint and grows as it bends', () => {
+  const flexion = Rehab.flexionAngles(angles(180, { 'index.pip': 90, 'pinky.dip': 135 }));
+  assert.equal(flexion[col('thumb.cmc')], 0);
+  assert.equal(flexion[col('index.pip')], 90);
+  assert.equal(flexion[col('pinky.dip')], 45);
+});
+
+test('RangeOfMotion tracks min, max, range and mean per joint', () => {
+  const rom = new Rehab.RangeOfMotion();
+  assert.deepEqual(rom.rows()[col('index.pip')], { ...Rehab.JOINTS[col('index.pip')], current: null, min: null, max: null, range: null, mean: null, samples: 0 });
+  [170, 100, 80, 150].forEach((deg, i) => rom.update(angles(180, { 'index.pip': deg }), 1000 + i * 500));
+  const row = rom.rows()[col('index.pip')];
+  assert.deepEqual([row.current, row.min, row.max, row.range, row.mean, row.samples], [30, 10, 100, 90, 55, 4]);
+  assert.equal(rom.rows()[col('thumb.ip')].range, 0);
+  assert.equal(rom.durationMs, 1500);
+  assert.ok(rom.startedAt <= Date.now());
+});
+
+test('RangeOfMotion keeps historyMs of per-frame values', () => {
+  const rom = new Rehab.RangeOfMotion({ historyMs: 1000 });
+  for (let t = 0; t <= 3000; t += 100) rom.update(angles(180), t);
+  assert.equal(rom.history[0].t, 2000);
+  assert.equal(rom.history.length, 11);
+  // the statistics still cover the whole session
+  assert.equal(rom.rows()[0].samples, 31);
+  rom.reset();
+  assert.equal(rom.durationMs, 0);
+  assert.equal(rom.rows()[0].min, null);
+});
+
+test('the synthetic session opens and closes every finger', () => {
+  const rom = new Rehab.RangeOfMotion();
+  for (const frame of session.frames) rom.update(HandAnalysis.jointAngles(frame.hands[0].landmarks), frame.t);
+  for (const key of ['index.pip', 'middle.pip', 'ring.pip', 'pinky.pip']) {
+    const row = rom.rows()[col(key)];
+    assert.ok(row.min < 15, `${key} straightens (min ${row.min})`);
+    assert.ok(row.range > 60, `${key} bends (range ${row.range})`);
+  }
+  assert.equal(rom.durationMs, session.frames[session.frames.length - 1].t - session.frames[0].t);
+});
+
+test('the protocol walks each finger through ready and hold phases', () => {
+  const protocol = new Rehab.ExerciseProtocol({ fingers: ['index', 'pinky'], readyMs: 1000, holdMs: 2000 });
+  assert.deepEqual(protocol.steps.map(s => `${s.finger} ${s.action}`), ['index flex', 'index extend', 'pinky flex', 'pinky extend']);
+  assert.equal(protocol.totalMs, 12000);
+  protocol.start(500);
+  assert.deepEqual(protocol.update(null, 1000), { done: false, index: 0, step: protocol.steps[0], phase: 'ready', progress: 0.5, remainingMs: 11500 });
+  const hold = protocol.update(null, 2000);
+  assert.equal(hold.phase, 'hold');
+  assert.equal(hold.progress, 0.25);
+  assert.equal(protocol.update(null, 3500).index, 1);
+  assert.deepEqual(protocol.update(null, 12500), { done: true, index: 4, step: null, phase: null, progress: 1, remainingMs: 0 });
+});
+
+test('the protocol keeps the most bent and the straightest angle of each step', () => {
+  const protocol = new Rehab.ExerciseProtocol({ fingers: ['index'], readyMs: 1000, holdMs: 2000 });
+  protocol.start(0);
+  const frame = (deg, t) => protocol.update(Rehab.flexionAngles(angles(180, { 'index.pip': deg, 'middle.pip': 20 })), t);
+  frame(20, 500); // ready: not counted
+  frame(100, 1500);
+  frame(80, 2000);
+  protocol.update(null, 2500); // hand lost: the timer keeps running
+  frame(175, 4500);
+  frame(150, 5000);
+  assert.deepEqual(protocol.resultFor('index', 'pip'), { flexed: 100, extended: 5 });
+  assert.deepEqual(protocol.resultFor('middle', 'pip'), { flexed: null, extended: null });
+});
+
+test('toCSV writes one row per joint with the protocol columns', () => {
+  const rom = new Rehab.RangeOfMotion();
+  rom.update(angles(180, { 'index.pip': 90 }), 0);
+  rom.update(angles(180, { 'index.pip': 120 }), 100);
+  const protocol = new Rehab.ExerciseProtocol({ fingers: ['index'], readyMs: 0, holdMs: 100 });
+  protocol.start(0);
+  protocol.update(Rehab.flexionAngles(angles(180, { 'index.pip': 95 })), 50);
+  const lines = Rehab.toCSV(rom, protocol).trimEnd().split('\n');
+  assert.equal(lines.length, 16);
+  assert.equal(lines[0], Rehab.CSV_HEADER.join(','));
+  assert.equal(lines[1 + col('index.pip')], 'index,pip,60,90,30,75,2,85,');
+  assert.equal(lines[1 + col('thumb.cmc')], 'thumb,cmc,0,0,0,0,2,,');
+  assert.equal(Rehab.toCSV(rom).split('\n')[1 + col('index.pip')], 'index,pip,60,90,30,75,2,,');
+});
+
+test('reportHTML is a printable page with escaped text', () => {
+  const rom = new Rehab.RangeOfMotion();
+  rom.update(angles(180, { 'index.pip': 90 }), 0);
+  const html = Rehab.reportHTML(rom, null, { subject: '<b>Pat</b>', notes: 'R & L' });
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /&lt;b&gt;Pat&lt;\/b&gt;/);
+  assert.match(html, /R &amp; L/);
+  assert.equal((html.match(/<tr class="first">/g) || []).length, 5);
+  assert.doesNotMatch(html, /Exercise flexed/);
+  assert.match(Rehab.reportHTML(rom, new Rehab.ExerciseProtocol()), /Exercise flexed/);
+});
@@ -0,0 +1,131 @@
+// session-store.test.js
+// The file-based session store and /api/sessions (server/), in a temporary
+// directory, plus the write queue the stores share (server/file-store.js).
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { StoreError, taskQueue } = require('../server/file-store');
+const { SessionStore } = require('../server/session-store');
+const { sessionsRouter } = require('../server/sessions-router');
+
+// express comes from the app whose `npm test` runs this
+const express = require(require.resolve('express', { paths: [process.cwd()] }));
+
+const fixture = require('fs').readFileSync(path.join(__dirname, 'fixtures', 'two-hands.json'), 'utf8');
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'finger-track-test-'));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function rejectsWith(promise, status, message) {
+  await assert.rejects(promise, e => e instanceof StoreError && e.status === status && message.test(e.message));
+}
+
+// the router on an ephemeral port; returns its base URL and a close()
+async function serve(store) {
+  const app = express();
+  app.use('/api/sessions', sessionsRouter(express, { store, maxUploadBytes: '1mb' }));
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  return { base: `http://127.0.0.1:${server.address().port}/api/sessions`, close: () => new Promise(r => server.close(r)) };
+}
+
+test('taskQueue runs tasks one at a time, in order, past failures', async () => {
+  const queue = taskQueue();
+  const log = [];
+  const task = (name, ms, fail) => queue(async () => {
+    log.push(`${name} start`);
+    await new Promise(r => setTimeout(r, ms));
+    log.push(`${name} end`);
+    if (fail) throw new Error(name);
+    return name;
+  });
+  const results = await Promise.allSettled([task('a', 20), task('b', 5, true), task('c', 1)]);
+  assert.deepEqual(log, ['a start', 'a end', 'b start', 'b end', 'c start', 'c end']);
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+});
+
+test('saves, lists, reads and removes sessions', async () => {
+  const store = new SessionStore({ dir });
+  await store.init();
+  const meta = await store.save(JSON.parse(fixture), { name: 'clap', uploader: 'tests' });
+  assert.match(meta.id, /^[a-f0-9]{16}$/);
+  assert.equal(meta.name, 'clap');
+  assert.equal(meta.uploader, 'tests');
+  assert.equal(meta.frameCount, 55);
+  assert.deepEqual(meta.handsSeen, ['Left', 'Right']);
+  assert.deepEqual(await store.list(), [meta]);
+  assert.deepEqual((await store.get(meta.id)).frames, JSON.parse(fixture).frames);
+  await store.remove(meta.id);
+  assert.deepEqual(await store.list(), []);
+  await rejectsWith(store.get(meta.id), 404, /Session not found/);
+  await rejectsWith(store.get('../../etc/passwd'), 404, /Session not found/);
+});
+
+test('rejects sessions that fail the schema', async () => {
+  const store = new SessionStore({ dir });
+  await store.init();
+  const session = JSON.parse(fixture);
+  session.frames[3].hands[0].landmarks.pop();
+  await assert.rejects(store.save(session), e => e.status === 400 && e.details.length > 0);
+  await rejectsWith(store.save({ frames: [{ t: -1, hands: [] }] }), 400, /failed validation/);
+  await assert.rejects(store.save({ frames: [] }), e => e.status === 400 && /at least 1 items/.test(e.details[0]));
+  assert.deepEqual(await store.list(), []);
+});
+
+test('concurrent saves never exceed the quota', async () => {
+  const bytes = Buffer.byteLength(JSON.stringify(JSON.parse(fixture)));
+  const store = new SessionStore({ dir, maxStoreBytes: bytes * 2 + 10 });
+  await store.init();
+  const results = await Promise.allSettled([1, 2, 3, 4].map(() => store.save(JSON.parse(fixture))));
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'fulfilled', 'rejected', 'rejected']);
+  assert.equal(results[2].reason.status, 507);
+  assert.ok(await store.usage() <= store.maxStoreBytes);
+});
+
+test('/api/sessions stores, serves and deletes sessions', async () => {
+  const store = new SessionStore({ dir });
+  await store.init();
+  const { base, close } = await serve(store);
+  try {
+    const post = await fetch(`${base}?name=api`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: fixture });
+    assert.equal(post.status, 201);
+    const meta = await post.json();
+    assert.equal(post.headers.get('location'), `/api/sessions/${meta.id}`);
+    assert.equal(meta.name, 'api');
+    const got = await (await fetch(`${base}/${meta.id}`)).json();
+    assert.equal(got.frames.length, 55);
+    assert.deepEqual(got.meta, meta);
+    assert.deepEqual((await (await fetch(base)).json()).sessions, [meta]);
+    assert.equal((await fetch(`${base}/${meta.id}`, { method: 'DELETE' })).status, 204);
+    assert.equal((await fetch(`${base}/${meta.id}`)).status, 404);
+  } finally {
+    await close();
+  }
+});
+
+test('/api/sessions answers bad uploads with JSON errors', async () => {
+  const store = new SessionStore({ dir });
+  await store.init();
+  const { base, close } = await serve(store);
+  const post = body => fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+  try {
+    const empty = await post(JSON.stringify({ frames: [] }));
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'Session failed validation');
+    const broken = await post('{"frames":');
+    assert.equal(broken.status, 400);
+    assert.equal((await broken.json()).error, 'Body is not valid JSON');
+    const big = await post(JSON.stringify({ frames: [], pad: 'x'.repeat(2 * 1024 * 1024) }));
+    assert.equal(big.status, 413);
+    assert.deepEqual(await store.list(), []);
+  } finally {
+    await close();
+  }
+});
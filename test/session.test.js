@@ -0,0 +1,90 @@
+// session.test.js
+// Session recording, JSON/CSV round trips, validation and replay
+// (shared/session.js).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Session = require('../shared/session');
+
+const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'two-hands.json'), 'utf8');
+const session = Session.parseSession(text);
+
+test('parseSession reads the session JSON', () => {
+  assert.equal(session.version, Session.SESSION_VERSION);
+  assert.equal(session.frames.length, 55);
+  assert.equal(session.duration, session.frames[session.frames.length - 1].t);
+  assert.equal(session.frames[0].hands.length, 2);
+});
+
+test('CSV round trip keeps frames, hands and landmarks', () => {
+  const csv = Session.toCSV(session);
+  assert.equal(csv.split('\n')[0], Session.CSV_HEADER.join(','));
+  const back = Session.parseSession(csv);
+  assert.equal(back.frames.length, session.frames.length);
+  assert.deepEqual(back.frames[10].hands, session.frames[10].hands);
+  assert.equal(back.duration, session.duration);
+});
+
+test('CSV keeps frames without hands', () => {
+  const withGap = { ...session, frames: [session.frames[0], { t: 50, hands: [] }, session.frames[2]] };
+  const back = Session.parseCSV(Session.toCSV(withGap));
+  assert.deepEqual(back.frames.map(f => f.hands.length), [2, 0, 2]);
+});
+
+test('parseSession sorts frames by t and extends the duration', () => {
+  const shuffled = { ...session, duration: 0, frames: [...session.frames].reverse() };
+  const back = Session.parseSession(Session.toJSON(shuffled));
+  assert.deepEqual(back.frames.map(f => f.t), session.frames.map(f => f.t));
+  assert.equal(back.duration, session.duration);
+});
+
+test('parseSession rejects frames and hands it cannot replay', () => {
+  const hand = session.frames[0].hands[0];
+  const bad = frames => Session.toJSON({ ...session, frames });
+  assert.throws(() => Session.parseSession('{"version":1}'), /missing frames array/);
+  assert.throws(() => Session.parseSession(bad([{ t: 'soon', hands: [] }])), /Frame 0: needs a numeric t/);
+  assert.throws(() => Session.parseSession(bad([{ t: 0, hands: [hand] }, { t: 33, hands: [{ ...hand, landmarks: hand.landmarks.slice(1) }] }])),
+    /Frame 1, hand 0: needs 21 landmarks/);
+  assert.throws(() => Session.parseSession('time,x\n0,1'), /unexpected header/);
+  assert.throws(() => Session.parseSession(''), /CSV session: empty file/);
+  assert.throws(() => Session.parseCSV(' \n\r\n'), /CSV session: empty file/);
+});
+
+test('SessionRecorder times frames from start and rounds landmarks', () => {
+  const rec = new Session.SessionRecorder();
+  rec.addFrame(session.frames[0].hands, 5); // not recording yet
+  rec.start({ source: 'test', width: 640, height: 480 }, 1000);
+  rec.addFrame([{ landmarks: session.frames[0].hands[0].landmarks.map(p => ({ x: p.x + 1e-7, y: p.y })) }], 1040);
+  const out = rec.stop();
+  assert.equal(out.frames.length, 1);
+  assert.equal(out.frames[0].t, 40);
+  assert.equal(out.duration, 40);
+  assert.equal(out.frames[0].hands[0].handedness, 'Unknown');
+  assert.equal(out.frames[0].hands[0].landmarks[0].x, session.frames[0].hands[0].landmarks[0].x);
+});
+
+test('summarize lists hands and counts', () => {
+  assert.deepEqual(Session.summarize(session), { duration: session.duration, frameCount: 55, handsSeen: ['Left', 'Right'], maxHands: 2 });
+});
+
+test('SessionPlayer emits every crossed frame once and in order, at any speed', async () => {
+  const seen = [];
+  await new Promise((resolve) => {
+    const player = new Session.SessionPlayer(session, { onFrame: (f, i) => seen.push(i), onEnd: resolve });
+    player.setSpeed(40);
+    player.play();
+  });
+  assert.deepEqual(seen, session.frames.map((f, i) => i));
+});
+
+test('SessionPlayer seek emits only the frame at the new position', () => {
+  const seen = [];
+  const player = new Session.SessionPlayer(session, { onFrame: (f, i) => seen.push(i) });
+  player.seek(session.frames[30].t + 10);
+  player.seek(-5);
+  player.seek(session.duration + 1000);
+  assert.deepEqual(seen, [30, 0, session.frames.length - 1]);
+  assert.equal(player.position, session.duration);
+});
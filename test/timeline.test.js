@@ -0,0 +1,92 @@
+// timeline.test.js
+// The per-frame analysis timeline (shared/timeline.js) that video
+// processing exports, built from FingerTracker frames of the synthetic
+// one-hand session (fixtures/).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Timeline = require('../shared/timeline');
+const FingerTracker = require('../shared/finger-tracker');
+const Session = require('../shared/session');
+
+const session = Session.parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', 'one-hand.json'), 'utf8'));
+
+function build(meta) {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const builder = new Timeline.TimelineBuilder(meta);
+  tracker.on('frame', f => builder.add(f));
+  for (const frame of session.frames) tracker.process(frame.hands, frame.t, { replay: true });
+  return builder;
+}
+
+// a hand-written timeline frame: [id, gesture] per hand
+function frame(i, hands) {
+  return { frame: i, t: i * 33, hands: hands.map(([id, gesture]) => ({ id, handedness: 'Left', palm: 'front', count: 1, rawCount: 1, gesture, confidence: 1 })) };
+}
+
+test('one timeline frame per processed frame, with the displayed values', () => {
+  const builder = build();
+  const timeline = builder.finish();
+  assert.equal(timeline.version, Timeline.TIMELINE_VERSION);
+  assert.equal(timeline.frames.length, session.frames.length);
+  timeline.frames.forEach((f, i) => {
+    assert.equal(f.frame, i);
+    assert.equal(f.t, session.frames[i].t);
+    assert.equal(f.hands.length, 1);
+  });
+  const hand = timeline.frames[100].hands[0];
+  assert.deepEqual(Object.keys(hand), ['id', 'handedness', 'palm', 'count', 'rawCount', 'gesture', 'confidence']);
+  assert.ok(hand.confidence >= 0 && hand.confidence <= 1);
+});
+
+test('handEntry takes the smoothed values and the raw count', () => {
+  const tracker = new FingerTracker({ backend: 'mock' });
+  const hand = tracker.process(session.frames[0].hands, 0).hands[0];
+  const entry = Timeline.handEntry(hand);
+  assert.equal(entry.id, hand.id);
+  assert.equal(entry.count, hand.count);
+  assert.equal(entry.rawCount, hand.analysis.count);
+  assert.equal(entry.gesture, hand.smoothGesture.name);
+  assert.equal(entry.palm, hand.facing);
+});
+
+test('the summary covers every pose of the session', () => {
+  const { summary } = build().finish();
+  assert.equal(summary.frames, session.frames.length);
+  assert.equal(summary.framesWithHands, session.frames.length);
+  assert.equal(summary.handPresence, 1);
+  assert.equal(Object.values(summary.counts).reduce((a, b) => a + b, 0), session.frames.length);
+  for (const count of [0, 1, 2, 3, 4, 5]) assert.ok(summary.counts[count] > 0, `count ${count}`);
+  for (const gesture of ['fist', 'pointing', 'peace', 'open_palm', 'rock', 'call_me', 'thumbs_up', 'thumbs_down']) {
+    assert.ok(summary.gestureOccurrences[gesture] >= 1, gesture);
+  }
+  // the session starts and ends with a fist, with other poses between
+  assert.ok(summary.gestureOccurrences.fist >= 2);
+});
+
+test('a gesture held across frames occurs once; losing the hand starts over', () => {
+  const summary = Timeline.summarize([
+    frame(0, [[1, 'peace']]),
+    frame(1, [[1, 'peace'], [2, 'peace']]),
+    frame(2, [[1, 'peace'], [2, 'none']]),
+    frame(3, []),
+    frame(4, [[1, 'peace']])
+  ]);
+  assert.deepEqual(summary.gestureOccurrences, { peace: 3 });
+  assert.deepEqual(summary.gestures, { peace: 5, none: 1 });
+  assert.equal(summary.framesWithHands, 4);
+  assert.equal(summary.handPresence, 0.8);
+  assert.equal(Timeline.summarize([]).handPresence, 0);
+});
+
+test('the exported JSON carries the metadata and reads back', () => {
+  const builder = build({ file: 'clip.webm', fps: 30 });
+  const timeline = JSON.parse(Timeline.toJSON(builder.finish({ durationMs: 4356 })));
+  assert.equal(timeline.file, 'clip.webm');
+  assert.equal(timeline.fps, 30);
+  assert.equal(timeline.durationMs, 4356);
+  assert.ok(!Number.isNaN(Date.parse(timeline.createdAt)));
+  assert.deepEqual(timeline.summary, Timeline.summarize(timeline.frames));
+});
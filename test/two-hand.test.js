@@ -0,0 +1,82 @@
+// two-hand.test.js
+// Two-hand totals and bimanual gestures (shared/two-hand.js) through
+// FingerTracker over the synthetic two-hand session: peace + open palm (7),
+// both hands pointing and pulled apart (zoom), then two open hands clapping.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const TwoHand = require('../shared/two-hand');
+const Session = require('../shared/session');
+const FingerTracker = require('../shared/finger-tracker');
+
+const session = Session.parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', 'two-hands.json'), 'utf8'));
+// first frame of each part of the session
+const ZOOM_FROM = 15, CLAP_FROM = 35;
+
+function replay(options = {}) {
+  const tracker = new FingerTracker({ backend: 'mock', twoHand: true, ...options });
+  tracker.setSize(session.width, session.height);
+  const events = { total: [], zoom: [], rotate: [], bimanual: [] };
+  for (const type of Object.keys(events)) tracker.on(type, e => events[type].push(e));
+  const states = session.frames.map(frame => tracker.process(frame.hands, frame.t, { replay: true }).twoHand);
+  return { events, states };
+}
+
+test('the total settles on each part of the session', () => {
+  const { states } = replay();
+  assert.equal(states[ZOOM_FROM - 1].total, 7);
+  assert.equal(states[ZOOM_FROM - 1].left, 2);
+  assert.equal(states[ZOOM_FROM - 1].right, 5);
+  assert.equal(states[CLAP_FROM - 1].total, 2);
+  assert.equal(states[states.length - 1].total, 10);
+  assert.deepEqual(states[0].hands.map(h => h.handedness), ['Left', 'Right']);
+});
+
+test('pulling the pointing hands apart zooms in, with little rotation', () => {
+  const { events } = replay();
+  assert.deepEqual(events.zoom.filter(e => e.phase !== 'move').map(e => e.phase), ['start', 'end']);
+  const end = events.zoom[events.zoom.length - 1];
+  assert.ok(end.factor > 2, `factor ${end.factor}`);
+  const moves = events.zoom.filter(e => e.phase === 'move').map(e => e.factor);
+  assert.ok(moves.every((f, i) => i === 0 || f >= moves[i - 1] - 0.05), 'factor grows as the hands part');
+  assert.ok(Math.abs(events.rotate[events.rotate.length - 1].angle) < 5);
+});
+
+test('the open hands coming together clap once', () => {
+  const { events } = replay();
+  assert.deepEqual(events.bimanual.map(e => e.name), ['clap']);
+  assert.ok(events.bimanual[0].t >= session.frames[CLAP_FROM].t);
+  assert.ok(events.bimanual[0].ms <= TwoHand.DEFAULT_OPTIONS.clap.maxMs);
+});
+
+test('total events report each change once', () => {
+  const { events } = replay();
+  events.total.forEach((e, i) => {
+    assert.notEqual(e.total, e.previous);
+    if (i) assert.equal(e.previous, events.total[i - 1].total);
+  });
+});
+
+test('breakdown puts Left before Right, then by id', () => {
+  const hands = [
+    { id: 4, handedness: 'Unknown', count: 1 },
+    { id: 3, handedness: 'Right', count: 2 },
+    { id: 2, handedness: 'Left', count: 5 },
+    { id: 1, handedness: 'Right', count: 0 }
+  ];
+  assert.deepEqual(TwoHand.breakdown(hands).map(h => h.id), [2, 1, 3, 4]);
+});
+
+test('reset ends a running zoom', () => {
+  const detector = new TwoHand.TwoHandDetector();
+  const tracker = new FingerTracker({ backend: 'mock', maxHands: 2 });
+  let last = [];
+  for (const frame of session.frames.slice(ZOOM_FROM, ZOOM_FROM + 5)) {
+    last = tracker.process(frame.hands, frame.t, { replay: true }).hands;
+    detector.update(last, frame.t, session.width / session.height);
+  }
+  assert.deepEqual(detector.reset().map(e => `${e.type} ${e.phase}`), ['zoom end', 'rotate end']);
+  assert.deepEqual(detector.reset(), []);
+});
@@ -0,0 +1,98 @@
+// vendor.test.js
+// Pinned browser libraries: the versions in shared/vendor-loader.js, the
+// apps' package.json pins, and the /vendor routes (server/vendor.js) over a
+// made-up app directory on an ephemeral port.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { vendorRouter } = require('../server/vendor');
+const VendorLoader = require('../shared/vendor-loader');
+
+// express comes from the app whose `npm test` runs this
+const express = require(require.resolve('express', { paths: [process.cwd()] }));
+
+const { VENDOR_VERSIONS, MODELS } = VendorLoader;
+const [pinned, stale, missing] = Object.keys(VENDOR_VERSIONS);
+
+test('both apps pin exactly the versions the pages load', () => {
+  for (const app of ['finger_track_app_v1', 'finger_track_app_v2']) {
+    const { dependencies } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', app, 'package.json'), 'utf8'));
+    for (const [pkg, version] of Object.entries(VENDOR_VERSIONS)) {
+      assert.equal(dependencies[pkg], version, `${app} ${pkg}`);
+    }
+  }
+});
+
+test('the loader builds local URLs and pinned CDN fallbacks', () => {
+  assert.equal(VendorLoader.url(pinned, 'hands.js'), `/vendor/${pinned}/hands.js`);
+  assert.equal(VendorLoader.source(pinned), 'local');
+  assert.throws(() => VendorLoader.url('left-pad'), /Unknown vendor package left-pad/);
+  for (const name of Object.keys(MODELS)) {
+    assert.equal(VendorLoader.modelUrl(name), `/vendor/models/${name}/model.json`);
+    assert.match(MODELS[name], /\/\d+$/, `${name} pins a model version`);
+  }
+  assert.throws(() => VendorLoader.modelUrl('handpose_3d'), /Unknown vendor model/);
+});
+
+let appDir, server, base, warnings;
+before(async () => {
+  // node_modules with one package at the pinned version, one at another
+  // version and one not installed at all
+  appDir = fs.mkdtempSync(path.join(os.tmpdir(), 'finger-track-vendor-'));
+  const install = (pkg, version) => {
+    const dir = path.join(appDir, 'node_modules', pkg);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: pkg, version }));
+    fs.writeFileSync(path.join(dir, 'lib.js'), `// ${pkg}@${version}\n`);
+  };
+  install(pinned, VENDOR_VERSIONS[pinned]);
+  install(stale, '0.0.1');
+  fs.writeFileSync(path.join(appDir, 'secret.txt'), 'not for the browser');
+
+  warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  const app = express();
+  try {
+    app.use('/vendor', vendorRouter(express, appDir));
+  } finally {
+    console.warn = warn;
+  }
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}/vendor`;
+});
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(appDir, { recursive: true, force: true });
+});
+
+test('the manifest lists installed versions and the fetched models', async () => {
+  const manifest = await (await fetch(`${base}/manifest.json`)).json();
+  assert.equal(manifest[pinned], VENDOR_VERSIONS[pinned]);
+  assert.equal(manifest[stale], '0.0.1');
+  assert.equal(missing in manifest, false);
+  const fetched = Object.keys(MODELS).filter(name => fs.existsSync(path.join(__dirname, '..', 'vendor', 'models', name, 'model.json')));
+  assert.deepEqual(manifest.models, fetched);
+});
+
+test('a version other than the pinned one is reported', () => {
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], new RegExp(`${stale} 0\\.0\\.1 installed, pages expect ${VENDOR_VERSIONS[stale].replace(/\./g, '\\.')}`));
+});
+
+test('package files are served with a long immutable cache', async () => {
+  const res = await fetch(`${base}/${pinned}/lib.js`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), `// ${pinned}@${VENDOR_VERSIONS[pinned]}\n`);
+  assert.match(res.headers.get('cache-control'), /max-age=2592000/);
+  assert.match(res.headers.get('cache-control'), /immutable/);
+});
+
+test('nothing outside the pinned packages is served', async () => {
+  for (const p of [`/${missing}/lib.js`, '/secret.txt', `/${pinned}/../../secret.txt`, `/${pinned}/%2e%2e/%2e%2e/secret.txt`, `/${pinned}/`, '/models/nope/model.json']) {
+    assert.equal((await fetch(base + p)).status, 404, p);
+  }
+});
@@ -0,0 +1,182 @@
+// whiteboard.test.js
+// The air-drawing board (shared/whiteboard.js): tools from finger states,
+// strokes, erasing, undo/redo and SVG export, driven frame by frame.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Whiteboard = require('../shared/whiteboard');
+
+const FRAME_MS = 33;
+// [thumb, index, middle, ring, pinky]
+const POSES = {
+  draw: [false, true, false, false, false],
+  move: [false, true, true, false, false],
+  erase: [true, true, true, true, true],
+  fist: [false, false, false, false, false]
+};
+
+// a hand in `pose` whose index tip is at (x, y) and whose palm centre is at (x, y + 0.1)
+function hand(pose, x, y) {
+  const landmarks = Array.from({ length: 21 }, () => ({ x, y: y + 0.1, z: 0 }));
+  landmarks[8] = { x, y, z: 0 };
+  return { landmarks, extended: POSES[pose] };
+}
+
+// plays frames [pose, x, y] (or null for no hand) from t0; returns the next t
+function play(board, frames, t0 = 0) {
+  let t = t0;
+  for (const f of frames) {
+    board.update(f && hand(...f), t);
+    t += FRAME_MS;
+  }
+  return t;
+}
+
+// `pose` held still at (x, y) for settleMs, then moved to (x2, y2) over `steps` frames
+function line(pose, [x, y], [x2, y2], steps = 10, settleMs = 150) {
+  const frames = Array(Math.ceil(settleMs / FRAME_MS)).fill([pose, x, y]);
+  for (let i = 1; i <= steps; i++) frames.push([pose, x + (x2 - x) * i / steps, y + (y2 - y) * i / steps]);
+  return frames;
+}
+
+test('toolFor ignores the thumb', () => {
+  for (const [tool, pose] of Object.entries(POSES)) {
+    assert.equal(Whiteboard.toolFor(pose), tool);
+    assert.equal(Whiteboard.toolFor([!pose[0], ...pose.slice(1)]), tool);
+  }
+  assert.equal(Whiteboard.toolFor([false, false, true, false, false]), 'none');
+  assert.equal(Whiteboard.toolFor(null), 'none');
+});
+
+test('the index finger draws one stroke, ended when the hand leaves', () => {
+  const board = new Whiteboard.Board();
+  play(board, [...line('draw', [0.2, 0.5], [0.6, 0.5]), null]);
+  assert.equal(board.strokes.length, 1);
+  const [stroke] = board.strokes;
+  assert.equal(stroke.color, Whiteboard.COLORS[0]);
+  assert.equal(stroke.size, Whiteboard.SIZES[1]);
+  assert.deepEqual(stroke.points[0], { x: 0.2, y: 0.5 });
+  assert.ok(Math.abs(stroke.points[stroke.points.length - 1].x - 0.6) < 1e-9);
+  assert.equal(board.undoStack.length, 1);
+});
+
+test('mirrorX flips the stroke into view coordinates', () => {
+  const board = new Whiteboard.Board({ mirrorX: true });
+  play(board, [...line('draw', [0.2, 0.5], [0.3, 0.5]), null]);
+  assert.deepEqual(board.strokes[0].points[0], { x: 0.8, y: 0.5 });
+});
+
+test('poses shorter than toolSettleMs do not draw', () => {
+  const board = new Whiteboard.Board();
+  play(board, [['move', 0.2, 0.5], ['move', 0.2, 0.5], ['draw', 0.25, 0.5], ['draw', 0.3, 0.5], ...line('move', [0.3, 0.5], [0.6, 0.5]), null]);
+  assert.deepEqual(board.strokes, []);
+});
+
+test('undo and redo step through strokes; a new stroke drops the redo history', () => {
+  const board = new Whiteboard.Board();
+  let t = play(board, [...line('draw', [0.1, 0.3], [0.4, 0.3]), null]);
+  t = play(board, [...line('draw', [0.1, 0.6], [0.4, 0.6]), null], t);
+  const [first, second] = board.strokes;
+  assert.equal(board.undo(), true);
+  assert.deepEqual(board.strokes, [first]);
+  assert.equal(board.undo(), true);
+  assert.deepEqual(board.strokes, []);
+  assert.equal(board.undo(), false);
+  assert.equal(board.canRedo, true);
+  assert.equal(board.redo(), true);
+  assert.equal(board.redo(), true);
+  assert.deepEqual(board.strokes, [first, second]);
+  assert.equal(board.redo(), false);
+
+  board.undo();
+  play(board, [...line('draw', [0.1, 0.8], [0.4, 0.8]), null], t);
+  assert.equal(board.canRedo, false);
+  assert.deepEqual(board.strokes.slice(0, 1), [first]);
+  assert.equal(board.strokes.length, 2);
+});
+
+test('undo mid-stroke ends the stroke, then takes it back', () => {
+  const board = new Whiteboard.Board();
+  play(board, line('draw', [0.1, 0.5], [0.5, 0.5]));
+  assert.equal(board.canUndo, true);
+  assert.equal(board.undo(), true);
+  assert.deepEqual(board.strokes, []);
+  assert.equal(board.redo(), true);
+  assert.equal(board.strokes.length, 1);
+});
+
+test('history is capped at maxUndo', () => {
+  const board = new Whiteboard.Board({ maxUndo: 2 });
+  let t = 0;
+  for (const y of [0.3, 0.5, 0.7]) t = play(board, [...line('draw', [0.1, y], [0.4, y]), null], t);
+  assert.equal(board.undo(), true);
+  assert.equal(board.undo(), true);
+  assert.equal(board.undo(), false);
+  assert.equal(board.strokes.length, 1);
+});
+
+test('an open palm erases around its centre as one undo step', () => {
+  const board = new Whiteboard.Board();
+  let t = play(board, [...line('draw', [0.1, 0.5], [0.9, 0.5], 40), null]);
+  const drawn = board.strokes;
+  // palm centre sweeps across the middle of the line
+  t = play(board, [...line('erase', [0.45, 0.4], [0.55, 0.4], 5), null], t);
+  assert.equal(board.strokes.length, 2, 'the line is split in two');
+  assert.ok(board.strokes[0].points.every(p => p.x < 0.45));
+  assert.ok(board.strokes[1].points.every(p => p.x > 0.55));
+  board.undo();
+  assert.deepEqual(board.strokes, drawn);
+});
+
+test('eraseAt reports a miss with null', () => {
+  const strokes = [{ color: '#fff', size: 0.01, points: [{ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.1 }] }];
+  assert.equal(Whiteboard.eraseAt(strokes, { x: 0.8, y: 0.8 }, 0.05, 1), null);
+  assert.deepEqual(Whiteboard.eraseAt(strokes, { x: 0.1, y: 0.1 }, 0.05, 1), []);
+});
+
+test('a fist held for clearHoldMs clears once, and undo brings it back', () => {
+  const board = new Whiteboard.Board({ clearHoldMs: 300 });
+  let t = play(board, [...line('draw', [0.1, 0.5], [0.4, 0.5]), null]);
+  const drawn = board.strokes;
+  t = play(board, Array(8).fill(['fist', 0.5, 0.5]), t);
+  assert.ok(board.clearProgress > 0 && board.clearProgress < 1);
+  assert.equal(board.strokes, drawn);
+  play(board, Array(10).fill(['fist', 0.5, 0.5]), t);
+  assert.deepEqual(board.strokes, []);
+  assert.equal(board.undoStack.length, 2);
+  board.undo();
+  assert.equal(board.strokes, drawn);
+});
+
+test('hovering a swatch picks its colour or size', () => {
+  const board = new Whiteboard.Board({ hoverMs: 200 });
+  const centre = s => [s.x + s.w / 2, s.y + s.h / 2];
+  const red = Whiteboard.SWATCHES.find(s => s.value === '#ff5c5c');
+  const big = Whiteboard.SWATCHES.find(s => s.value === Whiteboard.SIZES[2]);
+  let t = play(board, Array(10).fill(['move', ...centre(red)]));
+  t = play(board, Array(10).fill(['draw', ...centre(big)]), t);
+  assert.equal(board.color, '#ff5c5c');
+  assert.equal(board.size, Whiteboard.SIZES[2]);
+  // drawing across the swatches leaves nothing behind
+  assert.deepEqual(board.strokes, []);
+  play(board, [...line('draw', [0.2, 0.5], [0.5, 0.5]), null], t);
+  assert.equal(board.strokes[0].color, '#ff5c5c');
+});
+
+test('toSVG scales strokes to the export size', () => {
+  const board = new Whiteboard.Board({ background: '#000' });
+  board.strokes = [
+    { color: '#ff5c5c', size: 0.01, points: [{ x: 0.1, y: 0.2 }, { x: 0.5, y: 0.25 }] },
+    { color: '#ffffff', size: 0.02, points: [{ x: 0.5, y: 0.5 }] }
+  ];
+  board.current = { color: '#4d9de0', size: 0.004, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] };
+  assert.equal(board.toSVG(800, 400), [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="400" viewBox="0 0 800 400">',
+    '  <rect width="100%" height="100%" fill="#000"/>',
+    '  <path d="M80 80 L400 100" fill="none" stroke="#ff5c5c" stroke-width="8" stroke-linecap="round" stroke-linejoin="round"/>',
+    '  <circle cx="400" cy="200" r="8" fill="#ffffff"/>',
+    '  <path d="M0 0 L800 400" fill="none" stroke="#4d9de0" stroke-width="3.2" stroke-linecap="round" stroke-linejoin="round"/>',
+    '</svg>',
+    ''
+  ].join('\n'));
+});